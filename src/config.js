@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { mergeAgentDefinitions } = require('./core/agents/agent-registry');
 
 // Load environment variables from .env file if present
 require('dotenv').config();
@@ -32,6 +33,14 @@ class ConfigManager {
     // Supermemory enabled defaults to true if key is present, otherwise use config value or false
     this.config.api.supermemory.enabled = !!process.env.SUPERMEMORY_API_KEY || this.config.api.supermemory.enabled || false;
 
+    // Agent types from `agents.plugins` join the configured ones (src/core/agents/agent-registry.js)
+    if (this.config.agents?.plugins !== undefined) {
+      try {
+        this.config.agents.definitions = mergeAgentDefinitions(this.config, process.cwd());
+      } catch (error) {
+        throw new Error(`Error loading agent plugins: ${error.message}`);
+      }
+    }
 
     // Validate the loaded configuration
     this.validate();
@@ -71,8 +80,207 @@ class ConfigManager {
       errors.push(`projectPath not found: ${this.config.projectPath}`);
     }
 
+    // --- LLM Providers ---
+    const providerTypes = ['openrouter', 'openai-compatible', 'mock'];
+    const resolveProviderType = (name) => this.config.api?.[name]?.type || name;
+    const definitions = this.config.agents?.definitions || {};
+    const providersInUse = process.env.LLM_PROVIDER
+      ? [process.env.LLM_PROVIDER]
+      : [...new Set(Object.values(definitions).map(def => def.provider || this.config.api?.defaultProvider || 'openrouter'))];
+
+    providersInUse.forEach(name => {
+      if (!providerTypes.includes(resolveProviderType(name))) {
+        errors.push(`LLM provider '${name}' is unknown. Add an \`api.${name}\` block with a \`type\` of: ${providerTypes.join(', ')}.`);
+      }
+
+      // Request deadlines, retries and circuit breaker (request-resilience.js)
+      const block = this.config.api?.[name] || {};
+      ['timeout', 'retryBaseDelay', 'retryMaxDelay'].forEach(key => {
+        if (block[key] !== undefined && (!Number.isInteger(block[key]) || block[key] < 0)) {
+          errors.push(`\`api.${name}.${key}\` must be a non-negative integer (milliseconds).`);
+        }
+      });
+      if (block.retries !== undefined && (!Number.isInteger(block.retries) || block.retries < 0)) {
+        errors.push(`\`api.${name}.retries\` must be a non-negative integer.`);
+      }
+      const breaker = block.circuitBreaker || {};
+      ['failureThreshold', 'resetTimeout'].forEach(key => {
+        if (breaker[key] !== undefined && (!Number.isInteger(breaker[key]) || breaker[key] < 1)) {
+          errors.push(`\`api.${name}.circuitBreaker.${key}\` must be a positive integer.`);
+        }
+      });
+    });
+
+    // --- Model Routing ---
+    const routingStages = ['analysis', 'planning', 'generation', 'testing', 'review', 'improvement', 'architecture', 'documentation', 'chat'];
+    const validateRoute = (where, entry) => {
+      const lists = Array.isArray(entry) ? [entry] : ['default', 'simple', 'medium', 'complex'].map(k => entry?.[k]).filter(Boolean);
+      if ((lists.length === 0 && entry?.maxCost === undefined) || lists.some(list => !Array.isArray(list) || list.some(m => typeof m !== 'string'))) {
+        errors.push(`\`${where}\` must be a list of model ids or an object of lists (default/simple/medium/complex).`);
+      }
+      if (!Array.isArray(entry) && entry?.maxCost !== undefined && (typeof entry.maxCost !== 'number' || entry.maxCost < 0)) {
+        errors.push(`\`${where}.maxCost\` must be a non-negative number.`);
+      }
+    };
+    const routing = this.config.modelRouting;
+    if (routing) {
+      Object.entries(routing.stages || {}).forEach(([stage, entry]) => {
+        if (!routingStages.includes(stage)) {
+          errors.push(`\`modelRouting.stages.${stage}\` is not a known stage. Use one of: ${routingStages.join(', ')}.`);
+        }
+        validateRoute(`modelRouting.stages.${stage}`, entry);
+      });
+      Object.entries(routing.agents || {}).forEach(([agent, stages]) => {
+        Object.entries(stages).forEach(([stage, entry]) => validateRoute(`modelRouting.agents.${agent}.${stage}`, entry));
+      });
+    }
+
+    // --- LLM Response Cache ---
+    const cacheModes = ['off', 'read', 'write', 'replay-only'];
+    const cacheMode = process.env.LLM_CACHE_MODE || this.config.llmCache?.mode;
+    if (cacheMode && !cacheModes.includes(cacheMode)) {
+      errors.push(`LLM cache mode '${cacheMode}' is unknown. Use one of: ${cacheModes.join(', ')}.`);
+    }
+
+    // --- Code Index ---
+    const topK = this.config.codeIndex?.topK;
+    if (topK !== undefined && (!Number.isInteger(topK) || topK < 1)) {
+      errors.push('`codeIndex.topK` must be a positive integer.');
+    }
+
+    // --- Code Edits ---
+    const editModes = ['auto', 'patch', 'rewrite'];
+    const editMode = this.config.codeEdits?.mode;
+    if (editMode !== undefined && !editModes.includes(editMode)) {
+      errors.push(`\`codeEdits.mode\` '${editMode}' is unknown. Use one of: ${editModes.join(', ')}.`);
+    }
+
+    // --- Context Budget ---
+    const contextBudget = this.config.contextBudget || {};
+    if (contextBudget.outputTokens !== undefined && (!Number.isInteger(contextBudget.outputTokens) || contextBudget.outputTokens < 1)) {
+      errors.push('`contextBudget.outputTokens` must be a positive integer.');
+    }
+    if (contextBudget.safetyMargin !== undefined && (typeof contextBudget.safetyMargin !== 'number' || contextBudget.safetyMargin < 0 || contextBudget.safetyMargin >= 1)) {
+      errors.push('`contextBudget.safetyMargin` must be a number from 0 up to (but not including) 1.');
+    }
+    Object.entries(contextBudget.contextWindows || {}).forEach(([model, size]) => {
+      if (!Number.isInteger(size) || size < 1) {
+        errors.push(`\`contextBudget.contextWindows.${model}\` must be a positive integer (tokens).`);
+      }
+    });
+
+    // --- Code Review ---
+    const codeReview = this.config.codeReview || {};
+    const reviewModes = ['single', 'ensemble'];
+    if (codeReview.mode !== undefined && !reviewModes.includes(codeReview.mode)) {
+      errors.push(`\`codeReview.mode\` '${codeReview.mode}' is unknown. Use one of: ${reviewModes.join(', ')}.`);
+    }
+    if (codeReview.reviewers !== undefined && (!Array.isArray(codeReview.reviewers) || codeReview.reviewers.some(model => typeof model !== 'string'))) {
+      errors.push('`codeReview.reviewers` must be a list of model ids.');
+    }
+    ['size', 'minReviewers'].forEach(key => {
+      if (codeReview[key] !== undefined && (!Number.isInteger(codeReview[key]) || codeReview[key] < 1)) {
+        errors.push(`\`codeReview.${key}\` must be a positive integer.`);
+      }
+    });
+    if (codeReview.disagreementThreshold !== undefined && (typeof codeReview.disagreementThreshold !== 'number' || codeReview.disagreementThreshold < 0 || codeReview.disagreementThreshold > 1)) {
+      errors.push('`codeReview.disagreementThreshold` must be a number from 0 to 1.');
+    }
+
+    // --- Tool Loop ---
+    const toolLoop = this.config.toolLoop || {};
+    ['maxSteps', 'commandTimeout', 'maxOutputChars'].forEach(key => {
+      if (toolLoop[key] !== undefined && (!Number.isInteger(toolLoop[key]) || toolLoop[key] < 1)) {
+        errors.push(`\`toolLoop.${key}\` must be a positive integer.`);
+      }
+    });
+    if (toolLoop.testCommand !== undefined && (typeof toolLoop.testCommand !== 'string' || !toolLoop.testCommand.trim())) {
+      errors.push('`toolLoop.testCommand` must be a non-empty command string.');
+    }
+
+    // --- Test Fix Loop ---
+    const testFixLoop = this.config.testFixLoop || {};
+    const testFormats = ['jest', 'tap'];
+    if (testFixLoop.format !== undefined && !testFormats.includes(testFixLoop.format)) {
+      errors.push(`\`testFixLoop.format\` '${testFixLoop.format}' is unknown. Use one of: ${testFormats.join(', ')}.`);
+    }
+    if (testFixLoop.command !== undefined && (typeof testFixLoop.command !== 'string' || !testFixLoop.command.trim())) {
+      errors.push('`testFixLoop.command` must be a non-empty command string.');
+    }
+    if (testFixLoop.maxIterations !== undefined && (!Number.isInteger(testFixLoop.maxIterations) || testFixLoop.maxIterations < 0)) {
+      errors.push('`testFixLoop.maxIterations` must be a non-negative integer.');
+    }
+    if (testFixLoop.maxCost !== undefined && (typeof testFixLoop.maxCost !== 'number' || testFixLoop.maxCost < 0)) {
+      errors.push('`testFixLoop.maxCost` must be a non-negative number (USD).');
+    }
+    if (testFixLoop.commandTimeout !== undefined && (!Number.isInteger(testFixLoop.commandTimeout) || testFixLoop.commandTimeout < 1)) {
+      errors.push('`testFixLoop.commandTimeout` must be a positive integer (milliseconds).');
+    }
+
+    // --- Dry Run ---
+    const dryRun = this.config.dryRun || {};
+    if (dryRun.directory !== undefined && (typeof dryRun.directory !== 'string' || !dryRun.directory.trim())) {
+      errors.push('`dryRun.directory` must be a non-empty path.');
+    }
+
+    // --- Hybrid Mode ---
+    const hybrid = this.config.hybrid || {};
+    if (hybrid.contextLines !== undefined && (!Number.isInteger(hybrid.contextLines) || hybrid.contextLines < 0)) {
+      errors.push('`hybrid.contextLines` must be a whole number of lines, 0 or more.');
+    }
+    if (hybrid.rememberFeedback !== undefined && typeof hybrid.rememberFeedback !== 'boolean') {
+      errors.push('`hybrid.rememberFeedback` must be true or false.');
+    }
+
+    // --- Agent Boundaries ---
+    const boundaries = this.config.boundaries || {};
+    const violationActions = ['handoff', 'reject'];
+    if (boundaries.enabled !== undefined && typeof boundaries.enabled !== 'boolean') {
+      errors.push('`boundaries.enabled` must be true or false.');
+    }
+    if (boundaries.onViolation !== undefined && !violationActions.includes(boundaries.onViolation)) {
+      errors.push(`\`boundaries.onViolation\` must be one of: ${violationActions.join(', ')}.`);
+    }
+
+    // --- Agent Handoffs ---
+    const handoffs = this.config.handoffs || {};
+    if (handoffs.enabled !== undefined && typeof handoffs.enabled !== 'boolean') {
+      errors.push('`handoffs.enabled` must be true or false.');
+    }
+    if (handoffs.blockParent !== undefined && typeof handoffs.blockParent !== 'boolean') {
+      errors.push('`handoffs.blockParent` must be true or false.');
+    }
+
+    // --- Worktrees ---
+    const worktrees = this.config.worktrees || {};
+    if (worktrees.enabled !== undefined && typeof worktrees.enabled !== 'boolean') {
+      errors.push('`worktrees.enabled` must be true or false.');
+    }
+    if (worktrees.directory !== undefined && (typeof worktrees.directory !== 'string' || !worktrees.directory.trim())) {
+      errors.push('`worktrees.directory` must be a non-empty path.');
+    }
+
+    // --- Senior Validation ---
+    const seniorValidation = this.config.seniorValidation || {};
+    if (seniorValidation.minScore !== undefined && (typeof seniorValidation.minScore !== 'number' || seniorValidation.minScore < 0 || seniorValidation.minScore > 100)) {
+      errors.push('`seniorValidation.minScore` must be a number from 0 to 100.');
+    }
+    if (seniorValidation.review !== undefined && typeof seniorValidation.review !== 'boolean') {
+      errors.push('`seniorValidation.review` must be true or false.');
+    }
+
+    // --- Acceptance Criteria ---
+    const acceptance = this.config.acceptance || {};
+    if (acceptance.enabled !== undefined && typeof acceptance.enabled !== 'boolean') {
+      errors.push('`acceptance.enabled` must be true or false.');
+    }
+    if (acceptance.review !== undefined && typeof acceptance.review !== 'boolean') {
+      errors.push('`acceptance.review` must be true or false.');
+    }
+
     // --- API Keys ---
-    if (!this.config.api?.openrouter?.apiKey) {
+    // The OpenRouter key is only needed when an agent actually routes through OpenRouter
+    if (providersInUse.some(name => resolveProviderType(name) === 'openrouter') && !this.config.api?.openrouter?.apiKey) {
       errors.push('OpenRouter API key (OPENROUTER_API_KEY) is missing. Get it from https://openrouter.ai/keys');
     }
     // SUPERMEMORY_API_KEY is optional, but if supermemory.enabled is true, it should be present.
@@ -96,9 +304,61 @@ class ConfigManager {
             if (typeof p !== 'string') errors.push(`Agent '${agentName}' has a non-string workingPath.`);
           });
         }
+
+        // Dispatcher, persona and AgentManager fields (src/core/agents/agent-registry.js)
+        ['keywords', 'filePatterns', 'skills'].forEach(key => {
+          const list = agentConfig[key];
+          if (list !== undefined && (!Array.isArray(list) || list.some(item => typeof item !== 'string'))) {
+            errors.push(`\`agents.definitions.${agentName}.${key}\` must be a list of strings.`);
+          }
+        });
+        ['persona', 'label'].forEach(key => {
+          if (agentConfig[key] !== undefined && typeof agentConfig[key] !== 'string') {
+            errors.push(`\`agents.definitions.${agentName}.${key}\` must be a string.`);
+          }
+        });
+        if (agentConfig.capabilities !== undefined && (typeof agentConfig.capabilities !== 'object' || Array.isArray(agentConfig.capabilities))) {
+          errors.push(`\`agents.definitions.${agentName}.capabilities\` must map capability groups to lists.`);
+        }
+
+        // Stage pipeline overrides (src/core/agents/agent-pipeline.js)
+        const pipeline = agentConfig.pipeline;
+        if (pipeline !== undefined) {
+          const isNameList = list => Array.isArray(list) && list.every(name => typeof name === 'string' && name.trim());
+          ['skip', 'standard', 'senior'].forEach(key => {
+            if (pipeline[key] !== undefined && !isNameList(pipeline[key])) {
+              errors.push(`\`agents.definitions.${agentName}.pipeline.${key}\` must be a list of stage names.`);
+            }
+          });
+          if (pipeline.add !== undefined && !Array.isArray(pipeline.add)) {
+            errors.push(`\`agents.definitions.${agentName}.pipeline.add\` must be a list of stages to add.`);
+          }
+          (Array.isArray(pipeline.add) ? pipeline.add : []).forEach((entry, index) => {
+            const where = `agents.definitions.${agentName}.pipeline.add[${index}]`;
+            if (typeof entry === 'string') return;
+            if (typeof entry?.stage !== 'string' || !entry.stage.trim()) {
+              errors.push(`\`${where}\` must be a stage name or an object with a \`stage\` name.`);
+            }
+            if (entry?.after !== undefined && entry?.before !== undefined) {
+              errors.push(`\`${where}\` may set \`after\` or \`before\`, not both.`);
+            }
+            ['after', 'before', 'module'].forEach(key => {
+              if (entry?.[key] !== undefined && typeof entry[key] !== 'string') {
+                errors.push(`\`${where}.${key}\` must be a string.`);
+              }
+            });
+            if (entry?.modes !== undefined && (!Array.isArray(entry.modes) || entry.modes.some(mode => !['standard', 'senior'].includes(mode)))) {
+              errors.push(`\`${where}.modes\` must be a list of: standard, senior.`);
+            }
+          });
+        }
       }
     }
 
+    if (this.config.agents?.stageDirectory !== undefined && (typeof this.config.agents.stageDirectory !== 'string' || !this.config.agents.stageDirectory.trim())) {
+      errors.push('`agents.stageDirectory` must be a non-empty path.');
+    }
+
     // --- Numerical values and intervals ---
     if (typeof this.config.agents?.maxConcurrent !== 'number' || this.config.agents.maxConcurrent < 1) {
         errors.push('`agents.maxConcurrent` must be a positive number.');
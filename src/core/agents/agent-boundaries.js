@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+
+/**
+ * Agent Boundaries
+ * Decides which files an agent may change. A path must fall under one of
+ * the agent's `workingPaths` without matching its `excludePaths`
+ * (agents.definitions.<agent> or its plugin, see agent-registry.js).
+ * Patterns are directories (`src/db`) or globs with `*`, `**`, `?`,
+ * `[...]` and `{a,b}`; a pattern that matches a directory covers
+ * everything below it.
+ *
+ * The same rules are applied before an agent writes a file (agent-stages.js),
+ * to the paths of the agent tools, to the master agent's review of a branch
+ * and by the pre-commit hook of agent-task.js:
+ *
+ *   node agent-boundaries.js check <agent | boundaries.json> [files...]
+ *
+ * A file outside an agent's boundary has an owner when another agent's
+ * working paths cover it; `boundaries.onViolation` says whether such files
+ * are handed off to their owner (agent-handoffs.js) or rejected.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadSettings } = require('../../settings');
+const { mergeAgentDefinitions } = require('./agent-registry');
+const { HandoffQueue } = require('./agent-handoffs');
+
+const normalize = pattern => pattern.replace(/\\/g, '/').replace(/^\.\/+/, '').replace(/\/+$/, '') || '.';
+const isGlob = pattern => /[*?[{]/.test(pattern);
+
+// src/{api,db}/** -> src/api/**, src/db/**
+function expandBraces(pattern) {
+  const open = pattern.indexOf('{');
+  if (open === -1) return [pattern];
+
+  let depth = 0;
+  const commas = [];
+  for (let i = open; i < pattern.length; i++) {
+    if (pattern[i] === '{') depth++;
+    if (pattern[i] === '}' && --depth === 0) {
+      if (commas.length === 0) break; // {x} is literal
+      const bounds = [open, ...commas, i];
+      const parts = bounds.slice(1).map((end, n) => pattern.slice(bounds[n] + 1, end));
+      const rest = pattern.slice(i + 1);
+      return parts.flatMap(part => expandBraces(`${pattern.slice(0, open)}${part}${rest}`));
+    }
+    if (pattern[i] === ',' && depth === 1) commas.push(i);
+  }
+
+  // Unbalanced or single-element braces are matched literally
+  return [pattern];
+}
+
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+      const close = pattern.indexOf(']', i + 2);
+      const body = pattern.slice(i + 1, close);
+      const negated = body[0] === '!' || body[0] === '^';
+      source += `[${negated ? '^/' : ''}${(negated ? body.slice(1) : body).replace(/[\\\]]/g, '\\$&')}]`;
+      i = close;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}(?:/.*)?$`);
+}
+
+// Does `file` (relative, '/'-separated) fall under `pattern`?
+function matchesPath(file, pattern) {
+  return expandBraces(normalize(pattern)).some(p => {
+    if (p === '.') return true;
+    if (isGlob(p)) return globToRegExp(p).test(file);
+    return file === p || file.startsWith(`${p}/`);
+  });
+}
+
+// May a listing descend into `dir` on its way to something `pattern` covers?
+function leadsTo(dir, pattern) {
+  return expandBraces(normalize(pattern)).some(p => {
+    if (dir === '' || p === '.') return true;
+
+    const segments = p.split('/');
+    const firstGlob = segments.findIndex(isGlob);
+    if (firstGlob === -1) return p.startsWith(`${dir}/`);
+
+    // Below the static part of a glob any directory may hold a match
+    const base = segments.slice(0, firstGlob).join('/');
+    return base === '' || base.startsWith(`${dir}/`) || dir === base || dir.startsWith(`${base}/`);
+  });
+}
+
+// How much of the tree a pattern singles out: the length of its static part
+const specificity = pattern => {
+  const p = normalize(pattern);
+  if (p === '.') return 0;
+  const glob = p.search(/[*?[{]/);
+  return glob === -1 ? p.length : glob;
+};
+
+const REASONS = {
+  'not-allowed': agent => `is outside the ${agent} agent's working paths`,
+  excluded: agent => `is excluded for the ${agent} agent`,
+  'outside-project': () => 'is outside the project'
+};
+
+// `prisma/schema.prisma is excluded for the frontend agent (owned by database)`
+function formatViolation(violation) {
+  const owner = violation.owner ? ` (owned by ${violation.owner})` : '';
+  return `${violation.file} ${REASONS[violation.type](violation.agent)}${owner}`;
+}
+
+class AgentBoundaries {
+  constructor(options = {}) {
+    const settings = options.settings || loadSettings();
+    const configured = settings.boundaries || {};
+
+    this.root = path.resolve(options.root || process.cwd());
+    this.definitions = options.definitions || mergeAgentDefinitions(settings);
+    this.enabled = configured.enabled ?? true;
+    this.onViolation = configured.onViolation || 'handoff';
+  }
+
+  // Project-relative, '/'-separated path of `file`, or null outside the project
+  relative(file) {
+    const relative = path.relative(this.root, path.resolve(this.root, String(file))).split(path.sep).join('/');
+    if (relative === '..' || relative.startsWith('../') || path.isAbsolute(relative)) return null;
+    return relative;
+  }
+
+  /**
+   * Why `agentType` may not change `file`: null when it may, otherwise
+   * { file, agent, type: 'not-allowed' | 'excluded' | 'outside-project', owner }.
+   * Agents without a definition are not restricted inside the project.
+   */
+  violation(agentType, file) {
+    const relative = this.relative(file);
+    if (relative === null) {
+      return { file: String(file), agent: agentType, type: 'outside-project', owner: null };
+    }
+
+    const definition = this.definitions[agentType];
+    if (!definition) return null;
+
+    const type = (definition.excludePaths || []).some(pattern => matchesPath(relative, pattern))
+      ? 'excluded'
+      : (definition.workingPaths || ['.']).some(pattern => matchesPath(relative, pattern)) ? null : 'not-allowed';
+
+    return type && { file: relative, agent: agentType, type, owner: this.ownerOf(relative, agentType) };
+  }
+
+  isAllowed(agentType, file) {
+    return this.violation(agentType, file) === null;
+  }
+
+  /**
+   * The agent whose working paths single out `file` most closely. An agent
+   * whose boundary is the whole project (`.`) owns nothing in particular.
+   */
+  ownerOf(file, except = null) {
+    const relative = this.relative(file);
+    if (relative === null) return null;
+
+    let owner = null;
+    let best = 0;
+    Object.entries(this.definitions).forEach(([agentType, definition]) => {
+      if (agentType === except || (definition.excludePaths || []).some(pattern => matchesPath(relative, pattern))) return;
+
+      const score = Math.max(0, ...(definition.workingPaths || [])
+        .filter(pattern => matchesPath(relative, pattern))
+        .map(specificity));
+      if (score > best) {
+        owner = agentType;
+        best = score;
+      }
+    });
+    return owner;
+  }
+
+  /**
+   * Split `files` into those `agentType` may change and its violations
+   */
+  review(agentType, files) {
+    const allowed = [];
+    const violations = [];
+    files.forEach(file => {
+      const violation = this.violation(agentType, file);
+      if (violation) {
+        violations.push(violation);
+      } else {
+        allowed.push(file);
+      }
+    });
+    return { allowed, violations };
+  }
+
+  // The agent whose `branchPrefix` starts `branch` (the longest one wins)
+  agentForBranch(branch) {
+    const [agentType] = Object.entries(this.definitions)
+      .filter(([, definition]) => definition.branchPrefix && branch.startsWith(definition.branchPrefix))
+      .sort(([, a], [, b]) => b.branchPrefix.length - a.branchPrefix.length)[0] || [];
+    return agentType || null;
+  }
+}
+
+/**
+ * Add `files` handoffs for files that belong to other agents to
+ * `handoffFile`, one open entry per ticket and owner (agent-handoffs.js),
+ * and return the entries that changed
+ */
+function recordHandoffs(handoffFile, { ticket, from, violations }) {
+  const queue = new HandoffQueue({ file: handoffFile });
+  const owners = [...new Set(violations.filter(violation => violation.owner).map(violation => violation.owner))];
+
+  return owners.map(to => queue.request({
+    ticket,
+    from,
+    to,
+    type: 'files',
+    files: violations.filter(violation => violation.owner === to).map(violation => violation.file)
+  }));
+}
+
+module.exports = { AgentBoundaries, matchesPath, leadsTo, formatViolation, recordHandoffs };
+
+// CLI Interface: the pre-commit hook passes a boundaries file written by agent-task.js
+if (require.main === module) {
+  const [command, subject, ...files] = process.argv.slice(2);
+
+  if (command !== 'check' || !subject) {
+    console.log(`
+Agent Boundaries
+
+Commands:
+  check <agent> [files...]            Check files against an agent's working paths
+  check <boundaries.json> [files...]  Check files against a boundaries file (agent, allowedPaths, excludedPaths)
+    `);
+    process.exit(command ? 1 : 0);
+  }
+
+  let boundaries;
+  let agentType = subject;
+  if (subject.endsWith('.json')) {
+    const file = JSON.parse(fs.readFileSync(subject, 'utf8'));
+    agentType = file.agent;
+    boundaries = new AgentBoundaries({
+      settings: {},
+      definitions: { [agentType]: { workingPaths: file.allowedPaths, excludePaths: file.excludedPaths || [] } }
+    });
+  } else {
+    boundaries = new AgentBoundaries();
+  }
+
+  const { violations } = boundaries.review(agentType, files);
+  if (violations.length > 0) {
+    console.log('❌ Agent boundary violation detected!');
+    console.log(`\nThe following files are outside the ${agentType} agent's work boundaries:`);
+    violations.forEach(violation => console.log(`  - ${formatViolation(violation)}`));
+    console.log('\nPlease remove these changes or hand them off to the agent that owns them.');
+    process.exit(1);
+  }
+
+  console.log('✅ All changes are within agent boundaries');
+}
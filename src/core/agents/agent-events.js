@@ -0,0 +1,26 @@
+/**
+ * Agent Event Protocol
+ * Structured events an agent process writes to stdout, one per line, so a
+ * parent process (e.g. the dashboard server) can follow progress and stream
+ * generated code while the agent runs.
+ */
+
+const EVENT_PREFIX = '@@agent-event ';
+
+function formatAgentEvent(event) {
+  return `${EVENT_PREFIX}${JSON.stringify(event)}\n`;
+}
+
+function parseAgentEvent(line) {
+  if (!line.startsWith(EVENT_PREFIX)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(line.substring(EVENT_PREFIX.length));
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = { EVENT_PREFIX, formatAgentEvent, parseAgentEvent };
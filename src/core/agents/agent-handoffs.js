@@ -0,0 +1,169 @@
+/**
+ * Agent Handoffs
+ * Work one agent needs from another. An agent asks for it with a typed
+ * handoff request in `.agent-handoffs.json`:
+ *
+ *   { id: 'HO-1', ticket: 'TICKET-7', from: 'backend', to: 'database',
+ *     type: 'schema-change', request: 'Add a trackingNumber field to Order',
+ *     files: ['prisma/schema.prisma'], status: 'open', childTicket: null }
+ *
+ * Requests come from the ticket analysis ("handoffs") and from planned
+ * files that another agent owns (agent-boundaries.js, type `files`).
+ * MasterAgentDispatcher turns each open request into a child ticket for
+ * the agent it is addressed to (`dispatchHandoffs`) and blocks the parent
+ * ticket until the child merges (`releaseHandoffs`). A handoff goes from
+ * `open` to `dispatched` to `merged`.
+ *
+ * Config: `handoffs.enabled` (false ignores the analysis' requests),
+ * `handoffs.blockParent` (false dispatches children without blocking).
+ */
+
+const fs = require('fs');
+
+const HANDOFF_FILE = '.agent-handoffs.json';
+const HANDOFF_TYPES = ['files', 'schema-change', 'api-change', 'ui-change', 'test-change', 'other'];
+
+const handoffError = (message, code) => Object.assign(new Error(message), { code });
+
+const describeFiles = (ticket, files) => `Change ${files.join(', ')} for ${ticket}`;
+
+class HandoffQueue {
+  constructor(options = {}) {
+    this.file = options.file || HANDOFF_FILE;
+  }
+
+  list() {
+    return fs.existsSync(this.file) ? JSON.parse(fs.readFileSync(this.file, 'utf8')) : [];
+  }
+
+  save(handoffs) {
+    fs.writeFileSync(this.file, JSON.stringify(handoffs, null, 2));
+  }
+
+  pending() {
+    return this.list().filter(handoff => handoff.status === 'open');
+  }
+
+  forTicket(ticket) {
+    return this.list().filter(handoff => handoff.ticket === ticket);
+  }
+
+  /**
+   * Add a request, or merge it into the open one with the same ticket,
+   * agents, type and request text, and return the entry
+   */
+  request({ ticket, from, to, type = 'other', request, files = [] }) {
+    if (!HANDOFF_TYPES.includes(type)) {
+      throw handoffError(`Unknown handoff type '${type}'. Use one of: ${HANDOFF_TYPES.join(', ')}.`, 'INVALID_HANDOFF');
+    }
+    if (!to || to === from) {
+      throw handoffError(`A handoff from the ${from} agent for ${ticket} needs another agent to go to.`, 'INVALID_HANDOFF');
+    }
+    if (type !== 'files' && !String(request || '').trim()) {
+      throw handoffError(`A ${type} handoff for ${ticket} needs a request.`, 'INVALID_HANDOFF');
+    }
+
+    const handoffs = this.list();
+    let handoff = handoffs.find(entry => entry.ticket === ticket && entry.from === from && entry.to === to &&
+      entry.status === 'open' && (entry.type || 'files') === type && (type === 'files' || entry.request === request));
+    if (!handoff) {
+      handoff = { id: `HO-${handoffs.length + 1}`, ticket, from, to, type, request, files: [], status: 'open', childTicket: null, createdAt: new Date().toISOString() };
+      handoffs.push(handoff);
+    }
+
+    files.filter(file => !handoff.files.includes(file)).forEach(file => handoff.files.push(file));
+    if (type === 'files') handoff.request = describeFiles(ticket, handoff.files);
+
+    this.save(handoffs);
+    return handoff;
+  }
+
+  update(id, changes) {
+    const handoffs = this.list();
+    const handoff = handoffs.find(entry => entry.id === id);
+    if (!handoff) return null;
+
+    Object.assign(handoff, changes);
+    this.save(handoffs);
+    return handoff;
+  }
+}
+
+// TICKET-7-H1, TICKET-7-H2, ...: the first id no assignment uses yet
+function childTicketId(parent, assignments) {
+  let n = 1;
+  while (assignments[`${parent}-H${n}`]) n++;
+  return `${parent}-H${n}`;
+}
+
+/**
+ * Turn every open handoff into a child ticket for the agent it is
+ * addressed to. `createTask(agent, task)` creates the assignment
+ * (MasterAgentDispatcher.createAgentTask). The child links back to its
+ * parent and, with `blockParent`, the parent is blocked until it merges.
+ * Resolves with the dispatched handoffs.
+ */
+async function dispatchHandoffs(queue, assignments, createTask, { blockParent = true } = {}) {
+  const dispatched = [];
+
+  for (const handoff of queue.pending()) {
+    const id = childTicketId(handoff.ticket, assignments);
+    await createTask(handoff.to, {
+      id,
+      description: handoff.request,
+      dependencies: [],
+      notes: [
+        `Requested by the ${handoff.from} agent for ${handoff.ticket} (${handoff.type})`,
+        ...handoff.files.map(file => `Change ${file}`)
+      ],
+      acceptanceCriteria: []
+    });
+    Object.assign(assignments[id], { parent: handoff.ticket, handoff: handoff.id });
+
+    const parent = assignments[handoff.ticket];
+    if (parent) {
+      parent.children = [...(parent.children || []), id];
+      if (blockParent) {
+        parent.blockedBy = [...(parent.blockedBy || []), id];
+        parent.status = 'blocked';
+      }
+    }
+
+    dispatched.push(queue.update(handoff.id, { status: 'dispatched', childTicket: id, dispatchedAt: new Date().toISOString() }));
+  }
+
+  return dispatched;
+}
+
+/**
+ * Mark the dispatched handoffs whose child ticket is done
+ * (`isDone(childId, assignment)`) as merged and unblock the parents that
+ * wait on nothing else. Returns { merged: handoffs, released: parent ids }.
+ */
+function releaseHandoffs(queue, assignments, isDone) {
+  const done = new Map();
+  const finished = child => {
+    if (!done.has(child)) done.set(child, Boolean(isDone(child, assignments[child])));
+    return done.get(child);
+  };
+
+  const merged = queue.list()
+    .filter(handoff => handoff.status === 'dispatched' && finished(handoff.childTicket))
+    .map(handoff => queue.update(handoff.id, { status: 'merged', mergedAt: new Date().toISOString() }));
+
+  const released = [];
+  Object.entries(assignments)
+    .filter(([, assignment]) => assignment.status === 'blocked')
+    .forEach(([ticket, assignment]) => {
+      assignment.blockedBy = (assignment.blockedBy || []).filter(child => !finished(child));
+      if (assignment.blockedBy.length > 0) return;
+
+      delete assignment.blockedBy;
+      assignment.status = 'assigned';
+      released.push(ticket);
+    });
+
+  return { merged, released };
+}
+
+module.exports = { HandoffQueue, HANDOFF_FILE, HANDOFF_TYPES, childTicketId, dispatchHandoffs, releaseHandoffs };
@@ -3,6 +3,7 @@
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const { ProviderRegistry } = require('../ai/providers');
 
 class AgentMemorySystem {
   constructor() {
@@ -12,7 +13,7 @@ class AgentMemorySystem {
     }
     
     this.supermemoryApiKey = process.env.SUPERMEMORY_API_KEY || 'sm_dy7m3s5FbqC2DaFMkKoTw1_DZZJlVjVjqJuXSEFrUEjnlfMggzyBryibVhXVwlImfeOMzFXyKvzvHEMzSoGETQC';
-    this.openrouterApiKey = process.env.OPENROUTER_API_KEY;
+    this.providers = new ProviderRegistry();
     
     // Memory categories for different agent types
     this.memoryCategories = {
@@ -218,6 +219,35 @@ ${await this.extractReusablePattern(solution)}
     });
   }
 
+  /**
+   * Store a developer's hunk decisions from a hybrid session
+   * (hybrid-session.js): what they rejected, how they edited it and what
+   * they asked to have revised
+   */
+  async recordDeveloperFeedback(agent, ticketId, decisions) {
+    const describe = ({ file, hunk, decision, proposed, final, comment }) => {
+      const lines = [`### ${decision} ${file} ${hunk}`, '', 'Proposed:', '```', proposed, '```'];
+      if (decision === 'edit') lines.push('', 'Changed by the developer to:', '```', final, '```');
+      if (decision === 'revise') lines.push('', `Revision requested: ${comment}`);
+      return lines.join('\n');
+    };
+
+    const content = `
+# Developer Feedback on ${ticketId}
+
+The developer reviewed the ${agent} agent's changes hunk by hunk.
+
+${decisions.map(describe).join('\n\n')}
+`;
+
+    return await this.addMemory(content, agent, 'developerFeedback', {
+      ticket: ticketId,
+      rejected: decisions.filter(({ decision }) => decision === 'reject').length,
+      edited: decisions.filter(({ decision }) => decision === 'edit').length,
+      revised: decisions.filter(({ decision }) => decision === 'revise').length
+    });
+  }
+
   /**
    * Query memories for relevant knowledge
    */
@@ -281,56 +311,29 @@ List the most important lessons that would help a developer grow from junior to
   }
 
   /**
-   * Call OpenRouter AI for analysis
+   * Call the configured LLM provider for analysis
    */
   async callAI(prompt) {
-    const data = JSON.stringify({
-      model: "anthropic/claude-3-sonnet-20240229",
-      messages: [
-        {
-          role: "system",
-          content: "You are a principal software engineer with deep expertise in modern development practices."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      max_tokens: 500,
-      temperature: 0.7
-    });
-
-    const options = {
-      hostname: 'openrouter.ai',
-      port: 443,
-      path: '/api/v1/chat/completions',
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${this.openrouterApiKey}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': 'https://github.com/multi-agent-orchestrator',
-        'X-Title': 'Agent Memory System'
-      }
-    };
-
-    return new Promise((resolve, reject) => {
-      const req = https.request(options, (res) => {
-        let body = '';
-        res.on('data', (chunk) => body += chunk);
-        res.on('end', () => {
-          try {
-            const response = JSON.parse(body);
-            resolve(response.choices[0].message.content);
-          } catch (e) {
-            resolve(prompt); // Fallback to prompt if AI fails
+    try {
+      const completion = await this.providers.getDefault().complete({
+        model: "anthropic/claude-3-sonnet-20240229",
+        messages: [
+          {
+            role: "system",
+            content: "You are a principal software engineer with deep expertise in modern development practices."
+          },
+          {
+            role: "user",
+            content: prompt
           }
-        });
+        ],
+        maxTokens: 500,
+        temperature: 0.7
       });
-
-      req.on('error', () => resolve(prompt));
-      req.write(data);
-      req.end();
-    });
+      return completion.content;
+    } catch (e) {
+      return prompt; // Fallback to prompt if AI fails
+    }
   }
 
   /**
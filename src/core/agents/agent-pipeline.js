@@ -0,0 +1,244 @@
+/**
+ * Agent Pipeline
+ * Runs an agent's workflow as a list of stages that share one context
+ * object. The standard and senior modes have default stage lists; an agent
+ * type changes its own in `agents.definitions.<agent>.pipeline` (or in its
+ * plugin, see agent-registry.js):
+ *
+ *   "pipeline": {
+ *     "skip": ["generate-tests"],
+ *     "add": [{ "stage": "migration-safety", "after": "generate-code" }],
+ *     "senior": ["analyze", "architecture", "plan", ...]
+ *   }
+ *
+ * `standard` / `senior` replace a mode's list outright, `skip` removes
+ * stages and `add` inserts them (`after` or `before` another stage, or at
+ * the end; `modes` limits an entry to some modes). Stages are looked up in
+ * the project's stage directory (`agents.stageDirectory`, default
+ * `.agent-stages/<name>.js`) before the built-ins in agent-stages.js, so a
+ * team can add or replace a stage without editing the agents.
+ *
+ * A stage module exports { name, label, needs, provides, sideEffects,
+ * restore, run(context) } or just the `run` function. The context carries
+ * { agent, ai, ticket, mode, dryRun, boundaries, hybrid, analysis,
+ * architecture, plan, files, generated, tests, testResults, acceptance,
+ * handoffs, warnings, completedStages, checkpoint() }; `needs` and
+ * `provides` name the fields a stage reads and adds, and are checked
+ * before anything runs. Stages with `sideEffects` (git, shared memory) are
+ * skipped in dry runs. Stages write project files through
+ * `writeProjectFile` (agent-stages.js) so the agent's boundary
+ * (agent-boundaries.js) is checked first; generated files go through
+ * `proposeFile`, which lets the developer of a hybrid run review them
+ * first (hybrid-session.js).
+ *
+ * After every stage, and after every file of the generating stages, the
+ * context's `checkpoint()` emits `checkpoint`. The agent then saves
+ * `snapshotContext(context)` so an interrupted run can be resumed. A
+ * resumed run skips the stages in `completedStages` and calls their
+ * `restore(context)` if they have one.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { BUILT_IN_STAGES } = require('./agent-stages');
+const { AgentBoundaries } = require('./agent-boundaries');
+const { mergeAgentDefinitions } = require('./agent-registry');
+const { loadSettings } = require('../../settings');
+
+// Live objects in the context; everything else is a result and checkpointed
+const RUNTIME_FIELDS = ['agent', 'ai', 'ticket', 'workDir', 'dryRun', 'boundaries', 'handoffsEnabled', 'hybrid', 'checkpoint'];
+
+// The context's results as plain JSON
+function snapshotContext(context) {
+  return JSON.parse(JSON.stringify(Object.fromEntries(
+    Object.entries(context).filter(([field]) => !RUNTIME_FIELDS.includes(field))
+  )));
+}
+
+function restoreContext(context, snapshot) {
+  Object.entries(snapshot || {})
+    .filter(([field]) => !RUNTIME_FIELDS.includes(field))
+    .forEach(([field, value]) => { context[field] = value; });
+  return context;
+}
+
+const PIPELINES = {
+  standard: ['analyze', 'plan', 'branch', 'generate-code', 'generate-tests', 'run-tests', 'quality-checks', 'acceptance', 'commit'],
+  senior: [
+    'recall', 'analyze', 'architecture', 'plan', 'branch', 'generate-code', 'generate-tests',
+    'documentation', 'optimize', 'security-audit', 'integration-tests', 'run-tests', 'quality-checks',
+    'acceptance', 'commit', 'pr-description', 'share-knowledge'
+  ]
+};
+
+const pipelineError = (message, code) => Object.assign(new Error(message), { code });
+
+const stepMarker = step => (step === 10 ? '🔟' : step < 10 ? `${step}️⃣` : `${step}.`);
+
+const addEntry = entry => (typeof entry === 'string' ? { stage: entry } : entry);
+
+/**
+ * Stage names for a mode after the agent's `pipeline` config is applied
+ */
+function planStages(mode, config = {}) {
+  if (!PIPELINES[mode]) {
+    throw pipelineError(`Unknown pipeline mode '${mode}'. Use one of: ${Object.keys(PIPELINES).join(', ')}.`, 'UNKNOWN_PIPELINE_MODE');
+  }
+
+  const skip = config.skip || [];
+  const names = (config[mode] || PIPELINES[mode]).filter(name => !skip.includes(name));
+
+  config.add?.map(addEntry).forEach(({ stage, after, before, modes }) => {
+    if (names.includes(stage) || skip.includes(stage) || (modes && !modes.includes(mode))) return;
+
+    const anchor = after ?? before;
+    if (anchor === undefined) {
+      names.push(stage);
+      return;
+    }
+
+    const index = names.indexOf(anchor);
+    if (index === -1) {
+      throw pipelineError(`Cannot add stage '${stage}' ${after ? 'after' : 'before'} '${anchor}': the ${mode} pipeline has no such stage.`, 'UNKNOWN_STAGE');
+    }
+    names.splice(after ? index + 1 : index, 0, stage);
+  });
+
+  return names;
+}
+
+class AgentPipeline extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const settings = options.settings || loadSettings();
+
+    this.agentType = options.agentType;
+    this.mode = options.mode || 'standard';
+    this.root = path.resolve(options.root || process.cwd());
+    this.config = mergeAgentDefinitions(settings)[this.agentType]?.pipeline || {};
+    this.stageDirectory = path.resolve(this.root, options.stageDirectory || settings.agents?.stageDirectory || '.agent-stages');
+    this.registry = { ...BUILT_IN_STAGES, ...options.stages };
+    this.boundaries = new AgentBoundaries({ root: this.root, settings });
+    this.handoffsEnabled = settings.handoffs?.enabled ?? true;
+    this.stages = this.resolve();
+  }
+
+  /**
+   * Load the stages of this pipeline and check that every stage's inputs
+   * are provided by an earlier one
+   */
+  resolve() {
+    (this.config.skip || []).forEach(name => this.load(name));
+
+    const stages = planStages(this.mode, this.config).map(name => this.load(name));
+    const provided = new Set(['ticket']);
+
+    stages.forEach(stage => {
+      const needs = typeof stage.needs === 'function' ? stage.needs(this.mode) : stage.needs || [];
+      const missing = needs.filter(field => !provided.has(field));
+      if (missing.length > 0) {
+        throw pipelineError(`Stage '${stage.name}' of the ${this.agentType} ${this.mode} pipeline needs ${missing.join(', ')}, which no earlier stage provides.`, 'STAGE_INPUT_MISSING');
+      }
+      (stage.provides || []).forEach(field => provided.add(field));
+    });
+
+    return stages;
+  }
+
+  load(name) {
+    const entry = this.config.add?.map(addEntry).find(candidate => candidate.stage === name);
+    const file = entry?.module
+      ? path.resolve(this.root, entry.module)
+      : path.join(this.stageDirectory, `${name}.js`);
+
+    if (entry?.module || fs.existsSync(file)) {
+      return this.loadModule(name, file);
+    }
+    if (this.registry[name]) {
+      return this.registry[name];
+    }
+
+    throw pipelineError(
+      `Unknown pipeline stage '${name}' for the ${this.agentType} agent. Built-in stages: ${Object.keys(this.registry).join(', ')}. Custom stages go in ${path.relative(this.root, this.stageDirectory) || '.'}/<name>.js.`,
+      'UNKNOWN_STAGE'
+    );
+  }
+
+  loadModule(name, file) {
+    let exported;
+    try {
+      exported = require(file);
+    } catch (error) {
+      throw pipelineError(`Could not load pipeline stage '${name}' from ${file}: ${error.message}`, 'INVALID_STAGE');
+    }
+
+    const stage = typeof exported === 'function' ? { run: exported } : exported;
+    if (typeof stage?.run !== 'function') {
+      throw pipelineError(`Pipeline stage '${name}' (${file}) must export a run(context) function.`, 'INVALID_STAGE');
+    }
+    return { label: name, ...stage, name };
+  }
+
+  createContext(agent) {
+    const context = {
+      agent,
+      ai: agent.ai,
+      ticket: agent.ticket,
+      workDir: agent.workDir || this.root, // The branch stage moves it to the ticket's worktree
+      mode: this.mode,
+      dryRun: Boolean(agent.dryRun),
+      boundaries: this.boundaries.enabled ? this.boundaries : null,
+      hybrid: agent.hybrid || null,
+      files: [],
+      generated: {},
+      tests: [],
+      handoffs: [],
+      handoffsEnabled: this.handoffsEnabled,
+      warnings: [],
+      completedStages: [],
+      checkpoint: () => this.emit('checkpoint', context)
+    };
+    return context;
+  }
+
+  /**
+   * Run every stage in order. A failing stage stops the pipeline; the
+   * error carries the stage name in `error.stage`.
+   */
+  async run(context) {
+    const total = this.stages.length;
+
+    for (const [index, stage] of this.stages.entries()) {
+      const step = index + 1;
+      console.log(`${index ? '\n' : ''}${stepMarker(step)} ${stage.label}...`);
+      this.emit('stage:start', { name: stage.name, label: stage.label, step, total });
+
+      if (context.dryRun && stage.sideEffects) {
+        console.log('   ⏭️  Skipped in a dry run');
+        continue;
+      }
+
+      if (context.completedStages.includes(stage.name)) {
+        console.log('   ♻️  Restored from the checkpoint');
+        if (stage.restore) await stage.restore(context);
+        continue;
+      }
+
+      try {
+        await stage.run(context);
+      } catch (error) {
+        error.stage = error.stage || stage.name;
+        throw error;
+      }
+
+      context.completedStages.push(stage.name);
+      context.checkpoint();
+      this.emit('stage:end', { name: stage.name, label: stage.label, step, total });
+    }
+
+    return context;
+  }
+}
+
+module.exports = { AgentPipeline, PIPELINES, planStages, snapshotContext, restoreContext };
@@ -0,0 +1,227 @@
+/**
+ * Agent Registry
+ * The agent types the orchestrator knows about and what each one brings:
+ * persona, senior capabilities, dispatcher keywords and file patterns,
+ * skills (AgentManager), default stages and file ownership.
+ *
+ * Types come from `agents.definitions` and from plugin modules listed in
+ * `agents.plugins` (paths or package names, resolved from the working
+ * directory). A plugin exports one agent type, or a list of them:
+ *
+ *   module.exports = {
+ *     type: 'devops',
+ *     label: 'DevOps Engineer',
+ *     model: 'anthropic/claude-sonnet-4',
+ *     workingPaths: ['.github', 'docker', 'infra'],
+ *     branchPrefix: 'feature/devops',
+ *     pipeline: { skip: ['generate-tests'] },
+ *     persona: 'You are a senior DevOps engineer...',
+ *     capabilities: { patterns: ['Infrastructure as Code', 'Blue-Green Deployments'] },
+ *     keywords: ['docker', 'deploy', 'kubernetes'],
+ *     filePatterns: ['.github/workflows', 'Dockerfile'],
+ *     skills: ['docker', 'terraform']
+ *   };
+ *
+ * A definition in the config with the same type overrides the plugin key
+ * by key. The built-in types (frontend, backend, database, integration,
+ * testing) keep their capabilities, keywords and file patterns here; the
+ * config may override those too.
+ */
+
+const path = require('path');
+const { loadSettings } = require('../../settings');
+
+const registryError = (message, code) => Object.assign(new Error(message), { code });
+
+const BUILT_IN_AGENTS = {
+  frontend: {
+    label: 'Frontend Developer',
+    skills: ['react', 'javascript', 'css'],
+    capabilities: {
+      patterns: ['Compound Components', 'Render Props', 'Custom Hooks', 'Suspense Boundaries'],
+      performance: ['Code Splitting', 'Lazy Loading', 'Memoization', 'Virtual DOM Optimization'],
+      testing: ['RTL Best Practices', 'E2E Strategies', 'Visual Regression', 'Accessibility Testing'],
+      architecture: ['Micro-frontends', 'Design Systems', 'State Management Patterns']
+    },
+    keywords: [
+      'component', 'ui', 'display', 'button', 'form', 'page', 'view', 'chart', 'visualization',
+      'style', 'css', 'layout', 'responsive', 'animation', 'progress', 'prompt', 'chat'
+    ],
+    filePatterns: ['src/components', 'src/pages', 'src/app', 'src/styles']
+  },
+  backend: {
+    label: 'Backend Developer',
+    skills: ['nodejs', 'api', 'database'],
+    capabilities: {
+      patterns: ['CQRS', 'Event Sourcing', 'Saga Pattern', 'Circuit Breaker'],
+      performance: ['Caching Strategies', 'Database Optimization', 'Load Balancing', 'Message Queues'],
+      security: ['OAuth2/OIDC', 'Rate Limiting', 'Input Validation', 'OWASP Compliance'],
+      architecture: ['Microservices', 'Domain-Driven Design', 'API Gateway', 'Service Mesh']
+    },
+    keywords: [
+      'api', 'endpoint', 'service', 'webhook', 'auth', 'security', 'validation', 'business logic',
+      'calculation', 'algorithm', 'analytics', 'query', 'template', 'parser', 'natural language'
+    ],
+    filePatterns: ['src/server', 'src/api', 'src/lib/api', 'src/lib/analytics']
+  },
+  database: {
+    label: 'Database Engineer',
+    skills: ['sql', 'prisma', 'migrations'],
+    capabilities: {
+      patterns: ['Sharding', 'Replication', 'Partitioning', 'Indexing Strategies'],
+      optimization: ['Query Planning', 'Connection Pooling', 'Materialized Views', 'Denormalization'],
+      migrations: ['Zero-downtime', 'Rollback Strategies', 'Data Versioning', 'Schema Evolution'],
+      architecture: ['CQRS Read Models', 'Event Store', 'Time-series Design', 'Multi-tenant']
+    },
+    keywords: [
+      'database', 'model', 'schema', 'migration', 'field', 'table', 'relation', 'index',
+      'constraint', 'package definition', 'order model'
+    ],
+    filePatterns: ['prisma', 'src/lib/db']
+  },
+  integration: {
+    label: 'Integration Engineer',
+    skills: ['webhooks', 'third-party-apis'],
+    capabilities: {
+      patterns: ['Event-Driven Architecture', 'API Gateway', 'Message Queues', 'Circuit Breaker'],
+      performance: ['Connection Pooling', 'Async Processing', 'Batch Operations', 'Rate Limiting'],
+      security: ['API Authentication', 'Data Encryption', 'Secure Webhooks', 'Input Sanitization'],
+      architecture: ['Service Mesh', 'API Versioning', 'Webhook Reliability', 'Error Handling']
+    },
+    keywords: [
+      'integration', 'google', 'search console', 'third-party', 'external', 'sync', 'import',
+      'export', 'connect', 'escalation'
+    ],
+    filePatterns: ['src/lib/integrations']
+  },
+  testing: {
+    label: 'Test Engineer',
+    skills: ['jest', 'e2e', 'coverage'],
+    capabilities: {
+      patterns: ['Test Pyramid', 'Given-When-Then', 'Page Object Model', 'Test Doubles'],
+      performance: ['Parallel Testing', 'Test Optimization', 'Mocking Strategies', 'CI/CD Pipeline'],
+      coverage: ['Unit Testing', 'Integration Testing', 'E2E Testing', 'Performance Testing'],
+      architecture: ['Test Isolation', 'Test Data Management', 'Environment Parity', 'Test Automation']
+    },
+    keywords: ['test', 'coverage', 'unit test', 'integration test', 'e2e', 'spec'],
+    filePatterns: ['tests', '__tests__']
+  }
+};
+
+const LIST_FIELDS = ['keywords', 'filePatterns', 'skills', 'workingPaths', 'excludePaths'];
+
+function checkPlugin(entry, source) {
+  if (!entry || typeof entry !== 'object' || typeof entry.type !== 'string' || !entry.type.trim()) {
+    throw registryError(`Agent plugin ${source} must export an object with a \`type\` name (or a list of them).`, 'INVALID_AGENT_PLUGIN');
+  }
+  LIST_FIELDS.forEach(field => {
+    if (entry[field] !== undefined && (!Array.isArray(entry[field]) || entry[field].some(item => typeof item !== 'string'))) {
+      throw registryError(`Agent plugin ${source} (${entry.type}): \`${field}\` must be a list of strings.`, 'INVALID_AGENT_PLUGIN');
+    }
+  });
+  ['persona', 'label'].forEach(field => {
+    if (entry[field] !== undefined && typeof entry[field] !== 'string') {
+      throw registryError(`Agent plugin ${source} (${entry.type}): \`${field}\` must be a string.`, 'INVALID_AGENT_PLUGIN');
+    }
+  });
+}
+
+/**
+ * The agent types exported by the modules in `agents.plugins`. Stage
+ * modules a plugin adds to its pipeline are resolved from the plugin file.
+ */
+function loadAgentPlugins(settings = {}, root = process.cwd()) {
+  const specs = settings.agents?.plugins || [];
+  if (!Array.isArray(specs) || specs.some(spec => typeof spec !== 'string' || !spec.trim())) {
+    throw registryError('`agents.plugins` must be a list of module paths or package names.', 'INVALID_AGENT_PLUGIN');
+  }
+
+  return specs.flatMap(spec => {
+    let file;
+    let exported;
+    try {
+      file = require.resolve(spec, { paths: [path.resolve(root)] });
+      exported = require(file);
+    } catch (error) {
+      throw registryError(`Could not load agent plugin ${spec}: ${error.message}`, 'INVALID_AGENT_PLUGIN');
+    }
+
+    return (Array.isArray(exported) ? exported : [exported]).map(entry => {
+      checkPlugin(entry, spec);
+      const { pipeline } = entry;
+      if (!Array.isArray(pipeline?.add)) return entry;
+
+      const add = pipeline.add.map(stage => (stage?.module
+        ? { ...stage, module: path.resolve(path.dirname(file), stage.module) }
+        : stage));
+      return { ...entry, pipeline: { ...pipeline, add } };
+    });
+  });
+}
+
+/**
+ * `agents.definitions` with the plugin types added; a configured
+ * definition overrides its plugin key by key
+ */
+function mergeAgentDefinitions(settings = {}, root = process.cwd()) {
+  const configured = settings.agents?.definitions || {};
+  const merged = {};
+
+  loadAgentPlugins(settings, root).forEach(({ type, ...definition }) => {
+    merged[type] = { ...merged[type], ...definition };
+  });
+  Object.entries(configured).forEach(([type, definition]) => {
+    merged[type] = { ...merged[type], ...definition };
+  });
+  return merged;
+}
+
+class AgentRegistry {
+  constructor(options = {}) {
+    const settings = options.settings || loadSettings();
+    this.definitions = options.definitions || mergeAgentDefinitions(settings, options.root);
+  }
+
+  /**
+   * Every registered type: the configured and plugin types, or the
+   * built-in ones when the config defines none
+   */
+  types() {
+    const registered = Object.keys(this.definitions);
+    return registered.length > 0 ? registered : Object.keys(BUILT_IN_AGENTS);
+  }
+
+  has(type) {
+    return this.types().includes(type);
+  }
+
+  // Built-in defaults, then the plugin, then the config
+  get(type) {
+    const label = type.charAt(0).toUpperCase() + type.slice(1);
+    return { type, label, persona: '', capabilities: {}, keywords: [], filePatterns: [], skills: [], ...BUILT_IN_AGENTS[type], ...this.definitions[type] };
+  }
+
+  all() {
+    return this.types().map(type => this.get(type));
+  }
+
+  capabilities(type) {
+    return this.get(type).capabilities;
+  }
+
+  persona(type) {
+    return this.get(type).persona;
+  }
+
+  // { keyword: type } for the dispatcher; a later type wins a shared keyword
+  keywordMap() {
+    return Object.fromEntries(this.all().flatMap(agent => agent.keywords.map(keyword => [keyword.toLowerCase(), agent.type])));
+  }
+
+  // { path fragment: type } for the dispatcher
+  filePatternMap() {
+    return Object.fromEntries(this.all().flatMap(agent => agent.filePatterns.map(pattern => [pattern, agent.type])));
+  }
+}
+
+module.exports = { AgentRegistry, BUILT_IN_AGENTS, loadAgentPlugins, mergeAgentDefinitions };
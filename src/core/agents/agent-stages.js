@@ -0,0 +1,665 @@
+/**
+ * Agent Stages
+ * The built-in stages of the agent pipeline (agent-pipeline.js). A stage
+ * reads and extends the shared context; the work itself is done by the
+ * agent's methods (ai-agent.js), so an agent class changes a step by
+ * overriding a method and an agent type changes its workflow through
+ * configuration. Stages that differ between the standard and senior modes
+ * check `context.mode`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { formatIssue, formatTarget } = require('../ai/senior-validation');
+const { formatViolation, recordHandoffs } = require('./agent-boundaries');
+const { extractAcceptanceCriteria } = require('../ai/acceptance-criteria');
+const { HandoffQueue, HANDOFF_FILE, HANDOFF_TYPES } = require('./agent-handoffs');
+
+const SOURCE_FILE = /\.(ts|tsx|js|jsx)$/;
+
+// Statements that can lose data or lock tables on a live database
+const MIGRATION_RISKS = [
+  { pattern: /\bDROP\s+(TABLE|SCHEMA|DATABASE)\b/i, risk: 'drops a table' },
+  { pattern: /\bDROP\s+COLUMN\b/i, risk: 'drops a column' },
+  { pattern: /\bTRUNCATE\b/i, risk: 'truncates a table' },
+  { pattern: /\bALTER\s+COLUMN\b[\s\S]*\b(TYPE|SET\s+DATA\s+TYPE)\b/i, risk: 'changes a column type' },
+  { pattern: /\bADD\s+COLUMN\b(?![\s\S]*\bDEFAULT\b)[\s\S]*\bNOT\s+NULL\b/i, risk: 'adds a NOT NULL column without a default' },
+  { pattern: /\bRENAME\s+(COLUMN\b|TO\b)/i, risk: 'renames a table or column' },
+  { pattern: /\bDELETE\s+FROM\b(?![\s\S]*\bWHERE\b)/i, risk: 'deletes rows without a WHERE clause' }
+];
+
+const isSenior = context => context.mode === 'senior';
+
+// Plans and PR descriptions go to the agent's state directory, not its worktree
+const stateFile = (agent, name) => path.join(agent.stateDir || process.cwd(), name);
+
+// Project files are named relative to the agent's checkout, which may be a worktree
+const projectPath = (context, file) => path.resolve(context?.workDir || process.cwd(), file);
+
+const boundaryError = (message, code) => Object.assign(new Error(message), { code });
+
+// Tests and docs are written next to source files only
+const isSourceFile = file => SOURCE_FILE.test(file) && !file.includes('.test.');
+
+function ensureDirectory(file) {
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+    console.log(`   📁 Created directory: ${dir}`);
+  }
+}
+
+/**
+ * Report files outside the agent's boundary. With `boundaries.onViolation`
+ * "handoff" a file another agent owns is handed off to it in
+ * .agent-handoffs.json; every other violation is rejected.
+ */
+function reportViolations(context, violations) {
+  const { agent, boundaries } = context;
+  const handedOff = boundaries.onViolation === 'handoff' ? violations.filter(violation => violation.owner) : [];
+
+  violations.filter(violation => !handedOff.includes(violation)).forEach(violation => {
+    console.log(`   🚫 Rejected ${formatViolation(violation)}`);
+    context.warnings.push(`Rejected ${formatViolation(violation)}`);
+  });
+  if (handedOff.length === 0) return;
+
+  handedOff.forEach(violation => {
+    console.log(`   ↪️  Handing ${violation.file} off to the ${violation.owner} agent`);
+    context.warnings.push(`${formatViolation(violation)}; handed off to the ${violation.owner} agent`);
+  });
+  recordHandoffs(stateFile(agent, HANDOFF_FILE), { ticket: agent.ticket.id, from: agent.type, violations: handedOff })
+    .forEach(handoff => {
+      context.handoffs = [...context.handoffs.filter(existing => existing.id !== handoff.id), handoff];
+    });
+}
+
+/**
+ * Ask other agents for the work the analysis hands off ("need field X on
+ * Order"). A request goes to the agent it names, or else to the agent
+ * that owns its files.
+ */
+function requestHandoffs(context, requests = []) {
+  const { agent, boundaries } = context;
+  if (requests.length === 0 || context.handoffsEnabled === false) return;
+
+  const queue = new HandoffQueue({ file: stateFile(agent, HANDOFF_FILE) });
+  requests.forEach(({ agent: named, type, request, files = [] }) => {
+    const owner = files.map(file => boundaries?.ownerOf(file, agent.type)).find(Boolean);
+    const to = named && (!boundaries || boundaries.definitions[named]) ? named : owner;
+    if (!to || to === agent.type) {
+      console.log(`   ⚠️  No other agent to hand off to: ${request}`);
+      context.warnings.push(`Not handed off, no other agent owns it: ${request}`);
+      return;
+    }
+
+    const handoff = queue.request({
+      ticket: agent.ticket.id,
+      from: agent.type,
+      to,
+      type: HANDOFF_TYPES.includes(type) ? type : 'other',
+      request,
+      files
+    });
+    console.log(`   ↪️  Requested from the ${to} agent: ${handoff.request}`);
+    context.handoffs = [...context.handoffs.filter(existing => existing.id !== handoff.id), handoff];
+  });
+}
+
+// The files the agent may change; the rest are reported
+function enforceBoundaries(context, files) {
+  if (!context.boundaries) return { allowed: files, violations: [] };
+
+  const review = context.boundaries.review(context.agent.type, files);
+  if (review.violations.length > 0) reportViolations(context, review.violations);
+  return review;
+}
+
+/**
+ * Write a project file if it is inside the agent's boundary, and say
+ * whether it was written
+ */
+function writeProjectFile(context, file, content) {
+  const violation = context?.boundaries?.violation(context.agent.type, file);
+  if (violation) {
+    reportViolations(context, [violation]);
+    return false;
+  }
+
+  const target = projectPath(context, file);
+  ensureDirectory(target);
+  fs.writeFileSync(target, content);
+  return true;
+}
+
+/**
+ * Write a generated file. In a hybrid run the developer first reviews it
+ * hunk by hunk with `notes` (hybrid-session.js) and may ask the agent to
+ * revise it. Resolves with the content written, or null when nothing was.
+ */
+async function proposeFile(context, file, content, notes = []) {
+  const { agent, hybrid } = context;
+  let written = content;
+
+  if (hybrid && !context.boundaries?.violation(agent.type, file)) {
+    written = await hybrid.review(projectPath(context, file), content, {
+      notes,
+      revise: (proposal, comment) => agent.reviseProposal(file, proposal, comment, context)
+    });
+    if (written === null) {
+      console.log(`   ⏭️  Nothing of ${file} was accepted; it is not written`);
+      return null;
+    }
+  }
+
+  return writeProjectFile(context, file, written) ? written : null;
+}
+
+// Memory is bookkeeping: an unreachable memory store never fails a run
+async function remember(what, write) {
+  try {
+    return await write();
+  } catch (error) {
+    console.warn(`   ⚠️  Could not record ${what} in memory: ${error.message}`);
+    return null;
+  }
+}
+
+// The ticket's acceptance criteria travel with the analysis to the later stages
+function withAcceptanceCriteria(analysis, ticket) {
+  const criteria = extractAcceptanceCriteria(ticket);
+  if (criteria.length > 0) {
+    console.log(`   Acceptance Criteria: ${criteria.length}`);
+  }
+  return { ...analysis, acceptanceCriteria: criteria };
+}
+
+// A file generated before the run was interrupted is not generated again
+function restoreGeneratedFile(context, file) {
+  const { code } = context.generated[file];
+  const target = projectPath(context, file);
+  if (!fs.existsSync(target) || fs.readFileSync(target, 'utf8') !== code) {
+    writeProjectFile(context, file, code);
+  }
+  console.log(`   ♻️  ${file} restored from the checkpoint`);
+}
+
+async function generateStandardFile(context, file) {
+  const { agent, analysis, plan } = context;
+  let review = null;
+  let written;
+
+  const target = projectPath(context, file);
+  const existingCode = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+  const notes = [];
+
+  // Large existing files are patched; new and small files are generated whole
+  const patching = agent.ai.shouldPatch(existingCode);
+  const code = patching
+    ? await agent.generatePatchedCode(file, existingCode, analysis, plan)
+    : await agent.ai.generateCode(agent.type, file, agent.ticket.description, existingCode, analysis, plan);
+
+  console.log(`   🔍 Validating generated code...`);
+  const validation = await agent.validator.validateCode(code, file, {
+    ticket: agent.ticket.id,
+    agent: agent.type,
+    root: context.workDir
+  });
+
+  if (!validation.valid) {
+    console.log(`   ❌ Validation failed:`);
+    validation.errors.forEach(e => {
+      console.log(`      - ${e.message}`);
+      notes.push(`Fixed after validation: ${e.message}`);
+    });
+    console.log(`   🔧 Attempting to fix issues...`);
+
+    // Generate fixed code with validation feedback
+    const fixPrompt = `Fix the following validation errors:\n${JSON.stringify(validation.errors, null, 2)}`;
+    written = await agent.improveGeneratedCode(file, code, { feedback: fixPrompt }, patching, analysis);
+
+    const revalidation = await agent.validator.validateCode(written, file, {
+      ticket: agent.ticket.id,
+      agent: agent.type,
+      root: context.workDir,
+      attempt: 2
+    });
+
+    if (!revalidation.valid) {
+      console.log(`   ⚠️  Still has issues, proceeding with warnings`);
+      revalidation.errors.forEach(e => notes.push(`Still fails validation: ${e.message}`));
+    }
+  } else {
+    // Review before writing
+    review = await agent.ai.reviewCode(agent.type, code, agent.ticket.description, { file });
+
+    if (review.status === 'unparseable') {
+      console.log(`   ⚠️  Review could not be parsed; ${file} is written unapproved and needs manual review`);
+      notes.push('The review could not be parsed; unreviewed');
+      written = code;
+    } else if (review.score < 70) {
+      console.log(`   ⚠️  Code quality too low (${review.score}/100), improving...`);
+      notes.push(`Improved after a review score of ${review.score}/100`);
+      written = await agent.improveGeneratedCode(file, code, review, patching, analysis);
+    } else {
+      notes.push(`Review score ${review.score}/100`);
+      written = code;
+    }
+    (review.issues || []).forEach(issue => notes.push(`[${issue.severity}]${issue.line ? ` line ${issue.line}:` : ''} ${issue.description}`));
+  }
+
+  written = await proposeFile(context, file, written, notes);
+  if (written === null) return null;
+  if (review?.status === 'unparseable') {
+    context.warnings.push(`${file} was committed without a review (the review could not be parsed); review it manually`);
+  }
+  const score = review?.status === 'unparseable' ? null : review?.score ?? null;
+  console.log(`   ✅ Generated ${file} (Quality: ${score ?? 'unreviewed'}${score != null ? '/100' : ''})`);
+
+  return { code: written, score };
+}
+
+async function generateSeniorFile(context, file) {
+  const { agent, analysis, architecture, plan } = context;
+
+  // Large existing files are patched; everything else gets senior-level patterns
+  const target = projectPath(context, file);
+  const existingCode = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+  const code = agent.ai.shouldPatch(existingCode)
+    ? await agent.generatePatchedCode(file, existingCode, analysis, plan)
+    : await agent.generateSeniorCode(file, analysis, architecture, plan);
+
+  console.log(`   🔍 Performing comprehensive validation...`);
+  let validation = await agent.performSeniorValidation(code, file);
+  let written = code;
+
+  if (!validation.passed) {
+    // Suggestions are reported but do not hold the code back
+    const blocking = validation.issues.filter(issue => issue.severity !== 'low');
+    console.log(`   ⚠️  Quality issues detected (score ${validation.score}/100):`);
+    blocking.forEach(issue => console.log(`      - ${formatIssue(issue)}`));
+
+    written = await agent.applySeniorFixes(code, blocking.length ? blocking : validation.issues);
+    validation = await agent.performSeniorValidation(written, file);
+    if (!validation.passed) {
+      console.log(`   ⚠️  ${validation.issues.filter(issue => issue.severity !== 'low').length} issue(s) remain after fixing; ${file} needs review`);
+    }
+  }
+
+  const notes = [`Senior quality score ${validation.score}/100`, ...validation.issues.map(formatIssue)];
+  written = await proposeFile(context, file, written, notes);
+  if (written === null) return null;
+  console.log(`   ✅ Generated ${file} (Senior Quality Score: ${validation.score}/100)`);
+
+  // A dry run's code is only proposed, so it is not remembered as a solution
+  if (!context.dryRun) {
+    await agent.supermemory.storeTicketSolution(
+      agent.ticket.id,
+      agent.type,
+      agent.ticket.description,
+      `Generated ${file} with ${architecture.pattern} pattern`,
+      written
+    );
+    await remember('the code pattern', () => agent.memory.learnCodePattern(
+      agent.type,
+      `${agent.ticket.id}-implementation`,
+      `Implementation for ${agent.ticket.description}`,
+      written.substring(0, 1000)
+    ));
+  }
+
+  return { code: written, score: validation.score, issues: validation.issues };
+}
+
+function findMigrationRisks(sql) {
+  return sql.split(';').flatMap(statement =>
+    MIGRATION_RISKS.filter(({ pattern }) => pattern.test(statement)).map(({ risk }) => risk)
+  );
+}
+
+const BUILT_IN_STAGES = {
+  recall: {
+    name: 'recall',
+    label: 'Retrieving senior knowledge',
+    provides: ['memories'],
+    async run(context) {
+      const { agent, ticket } = context;
+
+      console.log('   🧠 Checking persistent memory for similar tickets...');
+      const similarSolutions = await agent.supermemory.findSimilarSolutions(ticket.description, agent.type);
+      if (similarSolutions.length > 0) {
+        console.log(`   ✨ Found ${similarSolutions.length} similar past implementations!`);
+        similarSolutions.forEach((sol, i) => {
+          console.log(`      ${i + 1}. ${sol.ticketId}: ${sol.description}`);
+        });
+      }
+
+      const agentContext = await agent.supermemory.getAgentContext(agent.type, ticket.description);
+      if (agentContext) {
+        console.log(`   📚 Context: ${agentContext.summary}`);
+      }
+
+      context.similarSolutions = similarSolutions;
+      context.memories = await agent.memory.queryMemories(ticket.description, agent.type, 10);
+    }
+  },
+
+  analyze: {
+    name: 'analyze',
+    label: 'Analyzing requirements',
+    provides: ['analysis'],
+    async run(context) {
+      const { agent } = context;
+
+      if (isSenior(context)) {
+        const analysis = await agent.performSeniorAnalysis();
+        console.log(`   Complexity: ${analysis.complexity}`);
+        console.log(`   Architecture Impact: ${formatTarget(analysis.architectureImpact)}`);
+        console.log(`   Performance Grade Target: ${formatTarget(analysis.performanceGrade)}`);
+        console.log(`   Security Grade Target: ${formatTarget(analysis.securityGrade)}`);
+        console.log(`   Test Coverage Target: ${formatTarget(analysis.testCoverageTarget, '%')}`);
+        if (analysis.status === 'unparseable') {
+          context.warnings.push(`The senior analysis could not be parsed (${analysis.errors.join('; ')}); the run was planned without grade or coverage targets`);
+        }
+        context.analysis = withAcceptanceCriteria(analysis, agent.ticket);
+        requestHandoffs(context, analysis.handoffs);
+        return;
+      }
+
+      // Pass agent type to analysis for potentially type-specific models/prompts
+      const analysis = await agent.ai.analyzeTicket({ ...agent.ticket, agentType: agent.type });
+      console.log(`   Complexity: ${analysis.complexity}`);
+      console.log(`   Primary Goal: ${analysis.primaryGoal}`);
+      console.log(`   Key Features: ${analysis.keyFeatures?.join(', ') || 'N/A'}`);
+      console.log(`   Estimated LOC: ${analysis.estimatedLinesOfCode}`);
+      context.analysis = withAcceptanceCriteria(analysis, agent.ticket);
+      requestHandoffs(context, analysis.handoffs);
+    }
+  },
+
+  architecture: {
+    name: 'architecture',
+    label: 'Creating architectural design',
+    needs: ['analysis'],
+    provides: ['architecture'],
+    async run(context) {
+      const { agent } = context;
+      const architecture = await agent.designArchitecture(context.analysis);
+
+      await remember('the architectural decision', () => agent.memory.recordArchitecturalDecision(
+        agent.type,
+        architecture.decision,
+        architecture.rationale,
+        architecture.alternatives
+      ));
+      context.architecture = architecture;
+    }
+  },
+
+  plan: {
+    name: 'plan',
+    label: 'Creating implementation plan',
+    needs: mode => (mode === 'senior' ? ['analysis', 'architecture'] : ['analysis']),
+    provides: ['plan'],
+    async run(context) {
+      const { agent, analysis } = context;
+      const senior = isSenior(context);
+
+      context.plan = senior
+        ? await agent.generateSeniorImplementationPlan(analysis, context.architecture)
+        : await agent.ai.generateImplementationPlan(agent.ticket, agent.type, analysis);
+
+      const planFileName = `.${senior ? 'senior' : 'ai'}-plan-${agent.ticket.id}.md`;
+      fs.writeFileSync(stateFile(agent, planFileName), context.plan);
+      console.log(`   Plan saved to ${planFileName}`);
+    }
+  },
+
+  branch: {
+    name: 'branch',
+    label: 'Setting up development branch',
+    sideEffects: true,
+    // A resumed run works on the branch (and in the worktree) it started on
+    async restore(context) {
+      context.agent.setupBranch();
+      context.workDir = context.agent.workDir;
+    },
+    async run(context) {
+      context.agent.setupBranch();
+      context.workDir = context.agent.workDir;
+    }
+  },
+
+  'generate-code': {
+    name: 'generate-code',
+    label: 'Generating code',
+    needs: mode => (mode === 'senior' ? ['analysis', 'architecture'] : ['analysis']),
+    provides: ['files'],
+    restore(context) {
+      Object.keys(context.generated).forEach(file => restoreGeneratedFile(context, file));
+    },
+    async run(context) {
+      const { agent, analysis } = context;
+      const senior = isSenior(context);
+
+      // A resumed run keeps the files it planned before it was interrupted
+      if (context.files.length === 0) {
+        // An unparseable standard analysis carries no file list, so fall back to inference
+        const planned = senior
+          ? await agent.identifyRequiredFiles(analysis)
+          : analysis.requiredFiles?.length ? analysis.requiredFiles : agent.inferRequiredFiles();
+
+        const { allowed, violations } = enforceBoundaries(context, planned);
+        if (planned.length > 0 && allowed.length === 0) {
+          throw boundaryError(
+            `None of the files planned for ${agent.ticket.id} are inside the ${agent.type} agent's boundary:\n${violations.map(violation => `  - ${formatViolation(violation)}`).join('\n')}`,
+            'BOUNDARY_VIOLATION'
+          );
+        }
+        context.files = allowed;
+      }
+
+      for (const file of context.files) {
+        if (context.generated[file]) {
+          restoreGeneratedFile(context, file);
+          continue;
+        }
+
+        console.log(`   📄 Generating ${file}...`);
+        ensureDirectory(projectPath(context, file));
+        const result = senior
+          ? await generateSeniorFile(context, file)
+          : await generateStandardFile(context, file);
+        if (result) context.generated[file] = result;
+        context.checkpoint();
+      }
+
+      // Files the developer rejected in a hybrid run are left out of the later stages
+      context.files = context.files.filter(file => context.generated[file]);
+    }
+  },
+
+  'generate-tests': {
+    name: 'generate-tests',
+    label: 'Generating tests',
+    needs: ['files'],
+    // Test files are not kept in the checkpoint; missing ones are generated again
+    async restore(context) {
+      context.tests = context.tests.filter(test => fs.existsSync(projectPath(context, test.testFile)));
+      await this.run(context);
+    },
+    async run(context) {
+      const { agent } = context;
+
+      for (const file of context.files.filter(isSourceFile)) {
+        const { code } = context.generated[file] || {};
+        if (code === undefined || context.tests.some(test => test.source === file)) continue;
+
+        if (isSenior(context)) {
+          const testFile = await agent.generateComprehensiveTests(file, code);
+          if (testFile) context.tests.push({ source: file, testFile });
+          context.checkpoint();
+          continue;
+        }
+
+        console.log(`   🧪 Generating tests for ${file}...`);
+        const tests = await agent.ai.generateTests(agent.type, file, code, context.analysis);
+        const testFile = file.replace(SOURCE_FILE, '.test.$1');
+        if (await proposeFile(context, testFile, tests, [`Tests for ${path.basename(file)}`]) === null) continue;
+        console.log(`   ✅ Generated ${testFile}`);
+        context.tests.push({ source: file, testFile });
+        context.checkpoint();
+      }
+    }
+  },
+
+  'run-tests': {
+    name: 'run-tests',
+    label: 'Running generated tests',
+    needs: ['files'],
+    provides: ['testResults'],
+    async run(context) {
+      context.testResults = await context.agent.verifyGeneratedTests(context);
+    }
+  },
+
+  documentation: {
+    name: 'documentation',
+    label: 'Writing documentation',
+    needs: ['files', 'architecture'],
+    async run(context) {
+      for (const file of context.files.filter(isSourceFile)) {
+        const { code } = context.generated[file] || {};
+        if (code !== undefined) {
+          await context.agent.generateDocumentation(file, code, context.architecture);
+        }
+      }
+    }
+  },
+
+  optimize: {
+    name: 'optimize',
+    label: 'Applying performance optimizations',
+    needs: ['files'],
+    async run(context) {
+      await context.agent.optimizeImplementation(context.files);
+    }
+  },
+
+  'security-audit': {
+    name: 'security-audit',
+    label: 'Running security audit',
+    needs: ['files'],
+    async run(context) {
+      await context.agent.performSecurityAudit(context.files);
+    }
+  },
+
+  'integration-tests': {
+    name: 'integration-tests',
+    label: 'Generating integration tests',
+    needs: ['files', 'architecture'],
+    async run(context) {
+      await context.agent.generateIntegrationTests(context.files, context.architecture);
+    }
+  },
+
+  'migration-safety': {
+    name: 'migration-safety',
+    label: 'Checking migrations for destructive changes',
+    needs: ['files'],
+    async run(context) {
+      const migrations = context.files.filter(file => file.endsWith('.sql') && fs.existsSync(projectPath(context, file)));
+      let risky = 0;
+
+      migrations.forEach(file => {
+        findMigrationRisks(fs.readFileSync(projectPath(context, file), 'utf8')).forEach(risk => {
+          console.log(`   ⚠️  ${file} ${risk}`);
+          context.warnings.push(`${file} ${risk}; confirm a backup and rollback plan before deploying`);
+          risky++;
+        });
+      });
+
+      if (risky === 0) {
+        console.log(`   ✅ No destructive statements in ${migrations.length} migration(s)`);
+      }
+    }
+  },
+
+  'quality-checks': {
+    name: 'quality-checks',
+    label: 'Running quality checks',
+    needs: ['analysis', 'files'],
+    async run(context) {
+      await context.agent.refineWithTools(context.files, context.analysis);
+      context.agent.runQualityChecks();
+    }
+  },
+
+  acceptance: {
+    name: 'acceptance',
+    label: 'Verifying acceptance criteria',
+    needs: ['analysis'],
+    provides: ['acceptance'],
+    async run(context) {
+      context.acceptance = await context.agent.verifyAcceptanceCriteria(context);
+    }
+  },
+
+  commit: {
+    name: 'commit',
+    label: 'Committing changes',
+    sideEffects: true,
+    async run(context) {
+      const { agent, analysis, architecture } = context;
+
+      if (isSenior(context) && analysis && architecture) {
+        agent.commitSeniorWork(analysis, architecture, context.testResults, context.acceptance, agent.qualityScore(context));
+      } else {
+        agent.commitStandardWork(context.testResults, context.acceptance, context.warnings);
+      }
+    }
+  },
+
+  'pr-description': {
+    name: 'pr-description',
+    label: 'Writing the pull request description',
+    needs: ['analysis', 'architecture', 'files'],
+    async run(context) {
+      const { agent } = context;
+      const description = await agent.generatePRDescription(context.analysis, context.architecture, context.files, context.acceptance);
+      fs.writeFileSync(stateFile(agent, `.pr-description-${agent.ticket.id}.md`), description);
+      console.log(`   PR description saved to .pr-description-${agent.ticket.id}.md`);
+    }
+  },
+
+  'share-knowledge': {
+    name: 'share-knowledge',
+    label: 'Sharing decisions with other agents',
+    sideEffects: true,
+    needs: ['analysis', 'architecture'],
+    async run(context) {
+      const { agent, analysis, architecture } = context;
+
+      await agent.supermemory.storeArchitectureDecision(
+        `${architecture.pattern} for ${agent.ticket.description}`,
+        architecture.rationale,
+        `Performance: ${formatTarget(analysis.performanceGrade)}, Security: ${formatTarget(analysis.securityGrade)}`,
+        agent.ticket.id
+      );
+
+      console.log('   🤝 Checking cross-agent insights...');
+      const crossInsights = await agent.supermemory.getCrossAgentInsights(agent.ticket.description);
+      if (crossInsights) {
+        console.log(`   Found related work from other agents:`);
+        Object.entries(crossInsights).forEach(([other, items]) => {
+          if (items.length > 0 && other !== 'summary') {
+            console.log(`   - ${other}: ${items.length} related implementations`);
+          }
+        });
+      }
+    }
+  }
+};
+
+module.exports = { BUILT_IN_STAGES, findMigrationRisks, projectPath, writeProjectFile, proposeFile };
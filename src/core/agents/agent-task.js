@@ -93,7 +93,7 @@ cat > .agent-work-boundaries.json << EOF
   "taskId": "${taskId}",
   "branch": "$BRANCH_NAME",
   "allowedPaths": ${JSON.stringify(agentConfig.workingPaths, null, 2)},
-  "excludedPaths": ${JSON.stringify(agentConfig.excludePaths || [], null, 2)}, # Jules: Added: Handle potentially undefined excludePaths
+  "excludedPaths": ${JSON.stringify(agentConfig.excludePaths || [], null, 2)},
   "startTime": "${new Date().toISOString()}"
 }
 EOF
@@ -110,56 +110,9 @@ if [ ! -f "$BOUNDARIES_FILE" ]; then
   exit 0  # No boundaries defined, allow commit
 fi
 
-# Parse allowed and excluded paths
-ALLOWED_PATHS=$(cat "$BOUNDARIES_FILE" | grep -A10 '"allowedPaths"' | grep '"' | cut -d'"' -f2 | grep -v allowedPaths || true)
-EXCLUDED_PATHS=$(cat "$BOUNDARIES_FILE" | grep -A10 '"excludedPaths"' | grep '"' | cut -d'"' -f2 | grep -v excludedPaths || true)
-
-# Get list of modified files
-MODIFIED_FILES=$(git diff --cached --name-only)
-
-VIOLATIONS=""
-
-for file in $MODIFIED_FILES; do
-  # Skip boundary file itself
-  if [ "$file" = "$BOUNDARIES_FILE" ]; then
-    continue
-  fi
-  
-  # Check if file is in allowed paths
-  ALLOWED=false
-  if [ -n "$ALLOWED_PATHS" ]; then
-    while IFS= read -r path; do
-      if [[ "$file" == $path* ]]; then
-        ALLOWED=true
-        break
-      fi
-    done <<< "$ALLOWED_PATHS"
-  fi
-  
-  # Check if file is in excluded paths
-  EXCLUDED=false
-  if [ -n "$EXCLUDED_PATHS" ]; then
-    while IFS= read -r path; do
-      if [[ "$file" == $path* ]]; then
-        EXCLUDED=true
-        break
-      fi
-    done <<< "$EXCLUDED_PATHS"
-  fi
-  
-  if [ "$EXCLUDED" = true ] || [ "$ALLOWED" = false ]; then
-    VIOLATIONS="$VIOLATIONS\\n  - $file"
-  fi
-done
-
-if [ -n "$VIOLATIONS" ]; then
-  echo "❌ Agent boundary violation detected!"
-  echo -e "\\nThe following files are outside your agent's work boundaries:$VIOLATIONS"
-  echo -e "\\nPlease remove these changes or request permission to modify these files."
-  exit 1
-fi
-
-echo "✅ All changes are within agent boundaries"
+# Check the staged files with the same glob rules the agents use (agent-boundaries.js)
+git diff --cached --name-only -z -- . ":(exclude)$BOUNDARIES_FILE" |
+  xargs -0 node "${path.join(__dirname, 'agent-boundaries.js')}" check "$BOUNDARIES_FILE"
 HOOK
 
 chmod +x .git/hooks/pre-commit
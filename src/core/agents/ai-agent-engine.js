@@ -3,452 +3,887 @@
 const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-
-class AIAgentEngine {
-  constructor() {
+const EventEmitter = require('events');
+const { ProviderRegistry } = require('../ai/providers');
+const { ResponseCache } = require('../ai/response-cache');
+const { ModelRouter } = require('../ai/model-router');
+const { PromptLibrary } = require('../ai/prompt-templates');
+const { ProjectScanner, describeProfile } = require('../ai/project-scanner');
+const { CodeIndex } = require('../ai/code-index');
+const { parseEdits, applyEdits, describeFailures } = require('../ai/code-edits');
+const { ContextBudget } = require('../ai/token-budget');
+const { RequestResilience } = require('../ai/request-resilience');
+const { mergeReviews } = require('../ai/review-consensus');
+const FailureRecoverySystem = require('../../infrastructure/monitoring/failure-recovery');
+const HumanOversightSystem = require('../../infrastructure/monitoring/human-oversight');
+const { loadSettings } = require('../../settings');
+const { estimateCost } = require('../../infrastructure/monitoring/model-pricing');
+const { parseStructured, buildRepairPrompt } = require('../ai/structured-output');
+const schemas = require('../ai/schemas');
+const { extractAcceptanceCriteria } = require('../ai/acceptance-criteria');
+const { AgentRegistry } = require('./agent-registry');
+
+// `AC1: Orders are paginated`, one per line, for prompts
+const listCriteria = criteria => (criteria?.length ? criteria.map(criterion => `${criterion.id}: ${criterion.text}`).join('\n') : 'None');
+
+// `- database: prisma, src/db`, the agents a ticket analysis can hand work off to
+const listOtherAgents = (registry, agentType) => registry.all()
+  .filter(agent => agent.type !== agentType && agent.workingPaths?.length)
+  .map(agent => `- ${agent.type}: ${agent.workingPaths.join(', ')}`)
+  .join('\n') || 'None';
+
+class AIAgentEngine extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    
     // Load environment variables from root directory
     require('dotenv').config({ path: path.join(__dirname, '..', '..', '..', '.env') });
     
-    this.apiKey = process.env.OPENROUTER_API_KEY;
-    if (!this.apiKey) {
+    // Providers are resolved per agent from agents.definitions.<agent>.provider
+    this.agentType = options.agentType || 'general';
+    this.providers = options.providers || new ProviderRegistry();
+    this.provider = this.providers.forAgent(this.agentType);
+    
+    // When streaming, labelled completions emit stream:start/delta/end events
+    this.streaming = options.stream ?? process.env.AGENT_STREAM === 'true';
+    this.activeStreams = new Set();
+    
+    // Completions are served from / recorded to the on-disk cache per LLM_CACHE_MODE
+    this.cache = options.cache || new ResponseCache();
+    
+    // Token usage is recorded against a ResourceMonitor session once trackUsage() is called
+    this.usageSession = null;
+    
+    // Follow-up round-trips allowed when a structured response fails its schema
+    this.repairAttempts = options.repairAttempts ?? 2;
+    
+    // Existing files are changed through SEARCH/REPLACE edits rather than rewrites (codeEdits in the config)
+    const codeEdits = options.codeEdits || loadSettings().codeEdits || {};
+    this.editMode = codeEdits.mode || 'auto';
+    this.editMinLines = codeEdits.minLines ?? 40;
+    this.editAttempts = codeEdits.correctionAttempts ?? 2;
+    
+    // Reviews come from one model, or from several compared for consensus (codeReview in the config)
+    const codeReview = options.codeReview || loadSettings().codeReview || {};
+    this.reviewSettings = {
+      mode: codeReview.mode || 'single',
+      reviewers: codeReview.reviewers || [],
+      size: codeReview.size || 3,
+      minReviewers: codeReview.minReviewers || 2,
+      disagreementThreshold: codeReview.disagreementThreshold ?? 0.5
+    };
+    this.oversight = options.oversight || null;
+    
+    // Models can inspect and patch the repository through tools for up to maxSteps turns (toolLoop in the config)
+    const toolLoop = options.toolLoop || loadSettings().toolLoop || {};
+    this.toolLoop = { enabled: toolLoop.enabled ?? true, maxSteps: toolLoop.maxSteps || 12 };
+    
+    if (this.provider.requiresApiKey && !this.provider.apiKey) {
       console.error('❌ Please set OPENROUTER_API_KEY environment variable');
       console.log('\nOptions:');
       console.log('1. Create a .env file with: OPENROUTER_API_KEY=your-key-here');
       console.log('2. Or run: export OPENROUTER_API_KEY=your-key-here');
+      console.log('3. Or run offline with: export LLM_PROVIDER=mock');
       console.log('\nGet your API key from: https://openrouter.ai/keys');
       process.exit(1);
     }
     
-    // Available models from OpenRouter - Latest and most powerful!
-    this.availableModels = {
-      // Primary models (use these most often)
-      primary: [
-        'openai/gpt-4.1',                // GPT 4.1 - Latest
-        'anthropic/claude-opus-4',       // Claude Opus 4
-        'anthropic/claude-sonnet-4',     // Claude Sonnet 4
-        'openai/o3-pro',                 // O3 Pro for complex reasoning
-      ],
-      // Fast models for simple tasks
-      fast: [
-        'openai/gpt-4.1-mini',           // GPT 4.1 Mini
-        'google/gemini-2.5-flash',       // Gemini 2.5 Flash
-        'deepseek/deepseek-r1',          // DeepSeek R1
-        'qwen/qwen-2.5-coder-32b-instruct', // Qwen Coder
-      ],
-      // Specialized models
-      specialized: [
-        'openai/o3',                     // O3 for reasoning
-        'x-ai/grok-3',                   // Grok 3
-        'deepseek/deepseek-chat',        // DeepSeek Chat
-        'minimax/minimax-01',            // MiniMax
-      ],
-      // Coding-focused models
-      coding: [
-        'qwen/qwen-2.5-coder-32b-instruct',
-        'deepseek/deepseek-r1',
-        'openai/gpt-4.1',
-        'anthropic/claude-sonnet-4'
-      ]
-    };
+    // Every model choice goes through the routing policy (modelRouting in the config)
+    this.router = options.router || new ModelRouter();
     
-    // Model selection based on task complexity and agent type
-    // Senior-level model configuration for enhanced agents
-    this.modelConfig = {
-      frontend: {
-        simple: 'openai/gpt-4.1-mini',
-        complex: 'anthropic/claude-opus-4',
-        creative: 'anthropic/claude-opus-4',
-        review: 'anthropic/claude-sonnet-4',
-        architecture: 'openai/o3-pro' // For complex reasoning
-      },
-      backend: {
-        simple: 'openai/gpt-4.1-mini',
-        complex: 'anthropic/claude-opus-4',
-        algorithm: 'deepseek/deepseek-r1',
-        review: 'anthropic/claude-sonnet-4',
-        architecture: 'openai/o3-pro' // For complex reasoning
-      },
-      database: {
-        simple: 'google/gemini-2.5-flash',
-        complex: 'anthropic/claude-opus-4',
-        optimization: 'deepseek/deepseek-r1',
-        review: 'anthropic/claude-opus-4',
-        architecture: 'openai/o3-pro' // For complex reasoning
-      },
-      testing: {
-        unit: 'openai/gpt-4.1-mini',
-        integration: 'anthropic/claude-sonnet-4',
-        e2e: 'anthropic/claude-sonnet-4',
-        review: 'anthropic/claude-opus-4'
-      }
-    };
+    // Provider calls get deadlines, retries and a circuit breaker (api.<provider> in the config);
+    // failed attempts are recorded against `taskId` in the FailureRecoverySystem state
+    this.resilience = options.resilience || new RequestResilience({
+      settings: this.providers.settings || loadSettings(),
+      onFailure: event => this.recordRequestFailure(event)
+    });
+    this.recovery = options.recovery || null;
+    this.taskId = options.taskId || null;
     
-    // Load existing code patterns
+    // Prompts are sized to the routed models' context windows (contextBudget in the config)
+    this.budget = options.budget || new ContextBudget();
+    
+    // Conventions of the target project (the agent starts in its root; see useProjectPath)
+    this.projectPath = options.projectPath || process.cwd();
     this.codePatterns = this.loadProjectPatterns();
     
-    // Agent personas for better code generation
-    this.agentPersonas = {
-      frontend: "You are a senior React/Next.js developer. You follow modern React patterns, use TypeScript strictly, and create reusable components. You care about UI/UX and accessibility.",
-      backend: "You are a senior Node.js/API developer. You write secure, scalable, and well-documented APIs. You follow RESTful principles and handle errors gracefully.",
-      database: "You are a database architect. You design efficient schemas, write optimized queries, and ensure data integrity. You understand Prisma and PostgreSQL deeply.",
-      testing: "You are a QA engineer who writes comprehensive tests. You ensure high code coverage and test edge cases. You write clear, maintainable test suites."
-    };
+    // Local BM25 index of the project, built lazily on the first search
+    this.codeIndex = options.codeIndex || new CodeIndex({ root: this.projectPath });
+    
+    // Prompts and agent personas are templates in config/prompts, overridable per project
+    this.prompts = options.prompts || new PromptLibrary();
   }
 
-  async callOpenRouter(messages, model, temperature = 0.7) {
-    const data = JSON.stringify({
-      model: model,
-      messages: messages,
-      temperature: temperature,
-      max_tokens: 4000
-    });
-
-    const options = {
-      hostname: 'openrouter.ai',
-      port: 443,
-      path: '/api/v1/chat/completions',
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(data),
-        'HTTP-Referer': 'https://github.com/rylie-seo-hub',
-        'X-Title': 'Multi-Agent Development System'
+  /**
+   * Run a chat completion through the agent's configured provider.
+   * `model` is a model id or a route from this.route(); routed calls fall
+   * back to the next model on provider errors and respect stage cost caps.
+   * `options.tools` offers function-calling tools (never streamed).
+   * Resolves with { content, model, usage, cost, provider, raw } and
+   * `toolCalls` when the model called tools.
+   */
+  async complete(messages, model, temperature = 0.7, options = {}) {
+    const route = typeof model === 'string' ? null : model;
+    const models = route ? route.models : [model];
+    const maxTokens = options.maxTokens || this.budget.outputTokens;
+    
+    const tools = options.tools;
+    const cached = this.cache.find(models.map(candidate => ({ model: candidate, messages, temperature, tools })));
+    if (cached) {
+      if (this.streaming && options.streamLabel) {
+        this.replayStream(cached, options.streamLabel);
+      }
+      return { ...cached, cached: true, prompt: options.promptId || null };
+    }
+    
+    const inputTokens = this.budget.countMessages(messages);
+    const affordable = route ? this.router.affordable(route, inputTokens, maxTokens) : models;
+    const candidates = this.fitContext(affordable, inputTokens, maxTokens);
+    
+    return await this.router.run(candidates, async candidate => {
+      const startTime = Date.now();
+      // Never ask for more output than the model's window has left
+      const outputTokens = Math.min(maxTokens, this.budget.contextWindow(candidate) - inputTokens);
+      let completion;
+      
+      if (this.streaming && options.streamLabel && !tools) {
+        completion = await this.completeStreaming(messages, candidate, temperature, { ...options, maxTokens: outputTokens });
+      } else {
+        const provider = this.getProvider(options.agent);
+        completion = await this.resilience.execute(provider.name, ({ signal }) => provider.complete({
+          model: candidate,
+          messages,
+          temperature,
+          maxTokens: outputTokens,
+          tools,
+          signal
+        }));
       }
-    };
-
-    return new Promise((resolve, reject) => {
-      const req = https.request(options, (res) => {
-        let body = '';
-        res.on('data', (chunk) => body += chunk);
-        res.on('end', () => {
-          try {
-            const response = JSON.parse(body);
-            
-            // Check for API errors
-            if (response.error) {
-              console.error('OpenRouter API Error:', response.error);
-              reject(new Error(response.error.message || 'API Error'));
-              return;
-            }
-            
-            // Check response structure
-            if (!response.choices || !response.choices[0] || !response.choices[0].message) {
-              console.error('Unexpected response format:', response);
-              reject(new Error('Invalid response format from OpenRouter'));
-              return;
-            }
-            
-            resolve(response.choices[0].message.content);
-          } catch (e) {
-            console.error('Failed to parse response:', e.message);
-            console.error('Response body:', body);
-            reject(e);
-          }
-        });
-      });
       
-      req.on('error', reject);
-      req.write(data);
-      req.end();
+      this.recordUsage(completion, candidate, Date.now() - startTime, options.promptId);
+      if (route) {
+        const usage = completion.usage || {};
+        this.router.recordSpend(route.stage, completion.cost ??
+          estimateCost(completion.model || candidate, usage.prompt_tokens || 0, usage.completion_tokens || 0));
+      }
+      this.cache.set({ model: candidate, messages, temperature, tools, prompt: options.promptId }, completion);
+      return { ...completion, prompt: options.promptId || null };
     });
   }
 
-  loadProjectPatterns() {
-    // Analyze existing code to understand patterns
-    const patterns = {
-      imports: new Set(),
-      components: [],
-      utilities: [],
-      apiPatterns: [],
-      testPatterns: []
-    };
+  /**
+   * Drop models whose context window cannot hold the prompt plus a useful
+   * amount of output. Throws CONTEXT_WINDOW_EXCEEDED when none can.
+   */
+  fitContext(models, inputTokens, maxTokens) {
+    const minOutput = Math.min(maxTokens, 1024);
+    const fitting = models.filter(model => this.budget.contextWindow(model) - inputTokens >= minOutput);
     
-    // This would scan your project, for now using common patterns
-    patterns.imports = new Set([
-      'import React from "react"',
-      'import { useState, useEffect } from "react"',
-      'import { prisma } from "@/lib/prisma"',
-      'import { NextResponse } from "next/server"'
+    if (fitting.length === 0) {
+      const error = new Error(`Prompt of ${inputTokens} tokens does not fit the context window of ${models.join(', ')}`);
+      error.code = 'CONTEXT_WINDOW_EXCEEDED';
+      throw error;
+    }
+    if (fitting.length < models.length) {
+      console.log(`   ✂️  Skipping ${models.filter(m => !fitting.includes(m)).join(', ')}: prompt of ${inputTokens} tokens exceeds the context window`);
+    }
+    return fitting;
+  }
+
+  /**
+   * Render a template with its bulky variables shrunk to fit every routed
+   * model's context window. `sections` are ContextBudget.fit() sections
+   * keyed by variable name; the other variables are used as-is.
+   */
+  renderWithinBudget(name, variables, sections, model, system = null) {
+    const empty = Object.fromEntries(Object.keys(sections).map(key => [key, '']));
+    const skeleton = this.prompts.render(name, { ...variables, ...empty });
+    const fixed = this.budget.countMessages([
+      { content: system ?? skeleton.system ?? '' },
+      { content: skeleton.text }
     ]);
+    const models = typeof model === 'string' ? [model] : model.models;
+    
+    const fitted = this.budget.fit(sections, this.budget.inputBudget(models) - fixed);
+    fitted.trimmed.forEach(({ name: section, from, to }) => {
+      console.log(`   ✂️  Trimmed ${section} from ${from} to ${to} tokens to fit the context window`);
+    });
     
-    return patterns;
+    return this.prompts.render(name, { ...variables, ...fitted.values });
   }
 
-  async analyzeTicket(ticket) {
-    const prompt = `Analyze this development ticket and provide a structured response:
-
-Ticket: ${ticket.id}
-Description: ${ticket.description}
-Notes: ${ticket.notes?.join('\n') || 'None'}
-
-Provide your analysis in this JSON format. Be specific and thorough:
-{
-  "complexity": "simple|medium|complex",
-  "estimatedLinesOfCode": number,
-  "primaryGoal": "A concise statement of the main objective.",
-  "keyFeatures": ["A list of specific features or functionalities to implement."],
-  "coreLogicAreas": ["Identify main areas where logic needs to be developed or modified."],
-  "requiredFiles": ["list", "of", "files", "expected", "to", "be", "created", "or", "modified"],
-  "dependencies": ["Any new internal or external dependencies anticipated."],
-  "suggestedApproach": "A brief but clear technical approach to the implementation.",
-  "potentialChallenges": ["List potential technical challenges or risks."],
-  "testingStrategy": "Outline key aspects to test and how (e.g., unit tests for X, integration for Y)."
-}`;
-
-    const response = await this.callOpenRouter([
-      { role: 'system', content: 'You are a meticulous software architect providing detailed analysis for a development ticket.' },
-      { role: 'user', content: prompt }
-    ], this.modelConfig[ticket.agentType]?.analysis || 'openai/gpt-4'); // Allow agent-specific model for analysis
+  /**
+   * Routed model list for a stage, e.g. this.route('review', 'backend')
+   */
+  route(stage, agent = this.agentType, complexity = 'medium') {
+    return this.router.route(agent, stage, complexity);
+  }
 
-    try {
-      const parsedResponse = JSON.parse(response);
-      // Ensure all new fields have default values if not provided by the LLM
-      return {
-        complexity: parsedResponse.complexity || 'medium',
-        estimatedLinesOfCode: parsedResponse.estimatedLinesOfCode || 100,
-        primaryGoal: parsedResponse.primaryGoal || ticket.description,
-        keyFeatures: parsedResponse.keyFeatures || [],
-        coreLogicAreas: parsedResponse.coreLogicAreas || [],
-        requiredFiles: parsedResponse.requiredFiles || [],
-        dependencies: parsedResponse.dependencies || [],
-        suggestedApproach: parsedResponse.suggestedApproach || "Standard implementation approach.",
-        potentialChallenges: parsedResponse.potentialChallenges || [],
-        testingStrategy: parsedResponse.testingStrategy || "Standard unit and integration tests.",
-        ...parsedResponse // Spread the original response to keep any other fields
-      };
-    } catch (e) {
-      console.log('Failed to parse analysis, using defaults with enhanced structure');
-      return {
-        complexity: 'medium',
-        estimatedLinesOfCode: 100,
-        primaryGoal: ticket.description,
-        keyFeatures: [],
-        coreLogicAreas: [],
-        requiredFiles: [],
-        dependencies: [],
-        suggestedApproach: "Standard implementation approach.",
-        potentialChallenges: [],
-        testingStrategy: "Standard unit and integration tests."
-      };
-    }
+  // Cached completions still reach stream listeners, as a single chunk
+  replayStream(completion, label) {
+    this.emit('stream:start', { label, model: completion.model });
+    this.emit('stream:delta', { label, content: completion.content });
+    this.emit('stream:end', { label, model: completion.model });
   }
 
-  async generateImplementationPlan(ticket, agent, analysis) {
-    const persona = this.agentPersonas[agent];
-    const examples = await this.getRelevantExamples(ticket, agent);
+  /**
+   * Attribute the usage of every subsequent completion to a ResourceMonitor session
+   */
+  trackUsage(monitor, sessionId) {
+    this.usageSession = monitor && sessionId ? { monitor, sessionId } : null;
+  }
+
+  recordUsage(completion, model, latencyMs, promptId = null) {
+    if (!this.usageSession) return;
     
-    const prompt = `${persona}
+    const usage = completion.usage || {};
+    try {
+      this.usageSession.monitor.trackAPICall(
+        this.usageSession.sessionId,
+        completion.model || model,
+        usage.prompt_tokens || 0,
+        usage.completion_tokens || 0,
+        { latencyMs, cost: completion.cost, provider: completion.provider, prompt: promptId }
+      );
+    } catch (error) {
+      console.warn(`⚠️  Could not record token usage: ${error.message}`);
+    }
+  }
 
-You are implementing this ticket:
-Ticket ID: ${ticket.id}
-Description: ${ticket.description}
-Primary Goal: ${analysis.primaryGoal}
+  /**
+   * Stream a completion as an async iterator of
+   * { type: 'delta', content } chunks followed by one { type: 'done', ... }.
+   */
+  async *stream(messages, model, temperature = 0.7, options = {}) {
+    yield* this.getProvider(options.agent).stream({
+      model,
+      messages,
+      temperature,
+      maxTokens: options.maxTokens || this.budget.outputTokens,
+      signal: options.signal,
+      onChunk: options.onChunk
+    });
+  }
 
-Detailed Analysis:
-${JSON.stringify(analysis, null, 2)}
+  async completeStreaming(messages, model, temperature, options) {
+    const label = options.streamLabel;
+    const controller = new AbortController();
+    this.activeStreams.add(controller);
+    this.emit('stream:start', { label, model });
+    
+    // Retries restart the stream, so only until the first chunk reached listeners
+    const attempt = async ({ signal, heartbeat }) => {
+      let streamed = false;
+      try {
+        for await (const chunk of this.stream(messages, model, temperature, { ...options, signal, onChunk: heartbeat })) {
+          if (chunk.type === 'delta') {
+            streamed = true;
+            this.emit('stream:delta', { label, content: chunk.content });
+          } else if (chunk.type === 'done') {
+            this.emit('stream:end', { label, model: chunk.model });
+            return chunk;
+          }
+        }
+        throw new Error(`Stream for ${label} ended without completing`);
+      } catch (error) {
+        error.streamed = streamed;
+        throw error;
+      }
+    };
+    
+    try {
+      return await this.resilience.execute(this.getProvider(options.agent).name, attempt, { signal: controller.signal });
+    } finally {
+      this.activeStreams.delete(controller);
+    }
+  }
 
-Existing code patterns in this project:
-${examples}
+  // Abort every in-flight streamed completion
+  cancel() {
+    this.activeStreams.forEach(controller => controller.abort());
+  }
 
-Create a detailed, step-by-step implementation plan. For each step, specify:
-- The file(s) to be modified or created.
-- A concise description of the task for that step.
-- Key functions/modules/components to be developed or altered.
-- Specific code snippets or pseudocode for complex logic if applicable.
-- Any new dependencies to be added.
-- How to test this specific step or feature.
+  recordRequestFailure({ provider, attempt, error, willRetry, delay }) {
+    if (!this.recovery) {
+      this.recovery = new FailureRecoverySystem();
+    }
+    this.recovery.recordFailure(`${this.agentType}-agent`, this.taskId || 'llm-request', error, {
+      provider,
+      attempt,
+      retrying: willRetry,
+      retryDelayMs: delay
+    });
+  }
 
-The plan should be actionable and clear. Focus on the key features: ${analysis.keyFeatures?.join(', ') || 'core requirements'}.
-Address core logic areas: ${analysis.coreLogicAreas?.join(', ') || 'main logic'}.
-Consider potential challenges: ${analysis.potentialChallenges?.join(', ') || 'none listed'}.
+  getProvider(agent) {
+    return agent ? this.providers.forAgent(agent) : this.provider;
+  }
 
-Format your response as a markdown document with numbered steps.`;
+  // Kept under its historical name; routes through the configured provider
+  async callOpenRouter(messages, model, temperature = 0.7, options = {}) {
+    const completion = await this.complete(messages, model, temperature, options);
+    return completion.content;
+  }
 
-    const model = this.modelConfig[agent]?.complex || 'anthropic/claude-sonnet-4'; // Use a capable model for planning
+  /**
+   * Run a completion whose reply must match a JSON schema. Invalid replies
+   * are sent back to the model with the errors, up to `repairAttempts` times.
+   * Resolves with { status: 'ok', data } or { status: 'unparseable', errors, raw }.
+   */
+  async completeJSON(messages, model, schema, temperature = 0.7, options = {}) {
+    const maxRepairs = options.repairAttempts ?? this.repairAttempts;
+    let conversation = messages;
+    let result;
+    let response;
     
-    return await this.callOpenRouter([
-      { role: 'system', content: persona },
-      { role: 'user', content: prompt }
-    ], model);
+    for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+      response = await this.callOpenRouter(conversation, model, attempt === 0 ? temperature : 0, options);
+      result = parseStructured(response, schema);
+      
+      if (result.ok) {
+        return { status: 'ok', data: result.data, attempts: attempt + 1 };
+      }
+      
+      if (attempt < maxRepairs) {
+        console.log(`   🔁 Structured response invalid (${result.errors.length} error(s)), asking for a repair...`);
+        conversation = [
+          ...conversation,
+          { role: 'assistant', content: response },
+          { role: 'user', content: buildRepairPrompt(result.errors, schema) }
+        ];
+      }
+    }
+    
+    return { status: 'unparseable', errors: result.errors, raw: response, attempts: maxRepairs + 1 };
   }
 
-  async generateCode(agent, file, requirements, existingCode = null, analysis = {}, plan = "") {
-    const persona = this.agentPersonas[agent];
-    const model = this.modelConfig[agent]?.complex || 'anthropic/claude-opus-4'; // Use a very capable model for code gen
-    
-    const prompt = `${persona}
+  /**
+   * Read conventions and related code from another checkout of the
+   * project, such as the ticket's worktree
+   */
+  useProjectPath(projectPath) {
+    this.projectPath = projectPath;
+    this.codePatterns = this.loadProjectPatterns();
+    this.codeIndex = new CodeIndex({ root: projectPath });
+  }
 
-Generate production-ready code for the file: ${file}
+  loadProjectPatterns() {
+    try {
+      const profile = new ProjectScanner(this.projectPath).scan();
+      return {
+        profile,
+        summary: describeProfile(profile),
+        imports: new Set(profile.imports)
+      };
+    } catch (error) {
+      console.warn(`⚠️  Could not scan project conventions: ${error.message}`);
+      return { profile: null, summary: describeProfile(null), imports: new Set() };
+    }
+  }
 
-Ticket Description: ${requirements}
-${analysis.primaryGoal ? `Primary Goal: ${analysis.primaryGoal}` : ''}
-${analysis.keyFeatures && analysis.keyFeatures.length > 0 ? `Key Features to implement in this file: ${analysis.keyFeatures.join(', ')}` : ''}
+  async analyzeTicket(ticket) {
+    const agentType = ticket.agentType || this.agentType;
+    this.registry = this.registry || new AgentRegistry();
+    const prompt = this.prompts.render('analyze-ticket', {
+      ticketId: ticket.id,
+      description: ticket.description,
+      notes: ticket.notes?.join('\n') || 'None',
+      acceptanceCriteria: listCriteria(extractAcceptanceCriteria(ticket)),
+      agentType,
+      otherAgents: listOtherAgents(this.registry, agentType)
+    });
+
+    const result = await this.completeJSON([
+      { role: 'system', content: prompt.system },
+      { role: 'user', content: prompt.text }
+    ], this.route('analysis', ticket.agentType), schemas.ticketAnalysis, 0.7, { agent: ticket.agentType, promptId: prompt.id });
+
+    const defaults = {
+      complexity: 'medium',
+      estimatedLinesOfCode: 100,
+      primaryGoal: ticket.description,
+      keyFeatures: [],
+      coreLogicAreas: [],
+      requiredFiles: [],
+      dependencies: [],
+      suggestedApproach: "Standard implementation approach.",
+      potentialChallenges: [],
+      testingStrategy: "Standard unit and integration tests."
+    };
 
-Overall Plan:
-${plan || "Implement based on the ticket description and analysis."}
+    if (result.status !== 'ok') {
+      // Planning can proceed on defaults, but the outcome is flagged so callers can tell
+      console.log(`⚠️  Ticket analysis unparseable: ${result.errors.join('; ')}`);
+      return { ...defaults, status: 'unparseable', errors: result.errors };
+    }
 
-${existingCode ? `Existing code to modify:\n\`\`\`\n${existingCode}\n\`\`\`` : 'This is a new file.'}
+    // Optional fields the model left out fall back to defaults; extra fields are kept
+    return { ...defaults, ...result.data, status: 'ok' };
+  }
 
-Project patterns to follow:
-- Use TypeScript with strict typing.
-- Adhere to SOLID principles and clean code practices.
-- Follow existing import patterns and project structure.
-- Implement comprehensive error handling (try-catch blocks, error logging).
-- Add detailed JSDoc comments for all functions, classes, and complex logic.
-- Ensure code is modular, reusable, and testable (e.g., by using dependency injection where appropriate).
-- Optimize for performance and security relevant to the task.
+  async generateImplementationPlan(ticket, agent, analysis) {
+    const persona = this.prompts.persona(agent).text;
+    const examples = await this.getRelevantExamples(ticket, agent);
+    
+    const model = this.route('planning', agent, analysis.complexity);
+    
+    const prompt = this.renderWithinBudget('implementation-plan', {
+      persona,
+      ticketId: ticket.id,
+      description: ticket.description,
+      primaryGoal: analysis.primaryGoal,
+      keyFeatures: analysis.keyFeatures?.join(', ') || 'core requirements',
+      coreLogicAreas: analysis.coreLogicAreas?.join(', ') || 'main logic',
+      potentialChallenges: analysis.potentialChallenges?.join(', ') || 'none listed'
+    }, {
+      analysis: { text: JSON.stringify(analysis, null, 2), priority: 1, shrink: 'truncate' },
+      examples: { text: examples, priority: 2, shrink: 'truncate' }
+    }, model, persona);
+    
+    return await this.callOpenRouter([
+      { role: 'system', content: persona },
+      { role: 'user', content: prompt.text }
+    ], model, 0.7, { agent, promptId: prompt.id });
+  }
 
-Respond with ONLY the complete, production-quality code for the file ${file}. Do not include any explanations, markdown formatting, or anything other than the raw code.`;
+  async generateCode(agent, file, requirements, existingCode = null, analysis = {}, plan = "") {
+    const persona = this.prompts.persona(agent).text;
+    const model = this.route('generation', agent, analysis.complexity);
+    
+    const prompt = this.renderWithinBudget('generate-code', {
+      persona,
+      file,
+      requirements,
+      goalSection: analysis.primaryGoal ? `Primary Goal: ${analysis.primaryGoal}` : '',
+      featuresSection: analysis.keyFeatures && analysis.keyFeatures.length > 0 ? `Key Features to implement in this file: ${analysis.keyFeatures.join(', ')}` : ''
+    }, {
+      existingCodeSection: {
+        text: existingCode ? `Existing code to modify:\n\`\`\`\n${existingCode}\n\`\`\`` : 'This is a new file.',
+        priority: 0,
+        shrink: 'none'
+      },
+      projectProfile: { text: this.codePatterns.summary, priority: 1, shrink: 'truncate' },
+      plan: { text: plan || "Implement based on the ticket description and analysis.", priority: 2, shrink: 'truncate' },
+      relatedCodeSection: { text: this.relatedCodeFor(file, requirements, analysis), priority: 3, shrink: 'truncate' }
+    }, model, persona);
 
     const code = await this.callOpenRouter([
       { role: 'system', content: persona },
-      { role: 'user', content: prompt }
-    ], model, 0.25); // Slightly lower temperature for more deterministic and high-quality code
+      { role: 'user', content: prompt.text }
+    ], model, 0.25, { agent, streamLabel: file, promptId: prompt.id }); // Slightly lower temperature for more deterministic and high-quality code
     
     // Clean up response
     return code.replace(/```[\w\S]*\n?/g, '').replace(/```$/g, '').trim();
   }
 
-  async generateTests(agent, codeFile, implementation, analysis = {}) {
-    const testFile = codeFile.replace(/\.(ts|tsx|js)$/, '.test.$1');
-    const model = this.modelConfig.testing.unit;
+  relatedCodeFor(file, requirements, analysis = {}) {
+    return this.findRelatedCode(
+      [file, requirements, ...(analysis.keyFeatures || [])].join(' '),
+      { exclude: [file] }
+    ) || 'No related code found in this project.';
+  }
+
+  /**
+   * Whether an existing file should be changed through edits. In 'auto'
+   * mode only files of at least `codeEdits.minLines` lines are patched.
+   * Files too large to come back whole within the output budget are always
+   * patched.
+   */
+  shouldPatch(existingCode) {
+    if (!existingCode) return false;
+    if (this.budget.countTokens(existingCode) > this.budget.outputTokens * 0.8) return true;
+    if (this.editMode === 'rewrite') return false;
+    return this.editMode === 'patch' || existingCode.split('\n').length >= this.editMinLines;
+  }
+
+  /**
+   * Change an existing file through SEARCH/REPLACE blocks (unified diffs are
+   * accepted too) instead of asking for the whole file. Edits that do not
+   * apply are sent back with the reason, up to `codeEdits.correctionAttempts`
+   * times. Files too large for one prompt are split into segments that are
+   * edited independently and joined back together. Resolves with
+   * { status, code, applied, failed, attempts } where status is 'ok',
+   * 'partial' (some edits never applied) or 'unparseable' (no edits in the
+   * reply; `code` is the unchanged file).
+   */
+  async editCode(agent, file, requirements, existingCode, analysis = {}, plan = "") {
+    const model = this.route('generation', agent, analysis.complexity);
+    const context = {
+      persona: this.prompts.persona(agent).text,
+      requirements,
+      goalSection: analysis.primaryGoal ? `Primary Goal: ${analysis.primaryGoal}` : '',
+      plan: plan || "Implement based on the ticket description and analysis.",
+      relatedCodeSection: this.relatedCodeFor(file, requirements, analysis)
+    };
+    
+    // Leave room for the plan and related code next to each segment
+    const skeleton = this.prompts.render('edit-code', {
+      ...context, file, code: '', plan: '', relatedCodeSection: '', projectProfile: ''
+    });
+    const room = this.budget.inputBudget(model.models) - this.budget.countMessages([
+      { content: context.persona },
+      { content: skeleton.text }
+    ]);
+    const segments = this.budget.segment(existingCode, Math.floor(room * 0.6));
+    
+    if (segments.length === 1) {
+      return await this.editSegment(agent, file, file, existingCode, context, model);
+    }
     
-    const prompt = `Generate comprehensive tests for this code:
+    console.log(`   ✂️  ${file} is too large for one prompt, editing it in ${segments.length} segments`);
+    const results = [];
+    for (const segment of segments) {
+      const label = `${file} (lines ${segment.startLine}-${segment.endLine}; the rest of the file is edited separately)`;
+      const result = await this.editSegment(agent, file, label, segment.text, context, model);
+      // Report edit positions as lines of the whole file
+      result.applied.forEach(edit => { edit.line += segment.startLine - 1; });
+      results.push(result);
+    }
+    
+    const applied = results.flatMap(result => result.applied);
+    const failed = results.flatMap(result => result.failed);
+    return {
+      status: failed.length ? 'partial' : (applied.length ? 'ok' : 'unparseable'),
+      code: results.map(result => result.code).join('\n'),
+      applied,
+      failed,
+      attempts: Math.max(...results.map(result => result.attempts))
+    };
+  }
 
-File: ${codeFile}
-\`\`\`
-${implementation}
-\`\`\`
+  async editSegment(agent, file, label, existingCode, context, model) {
+    const prompt = this.renderWithinBudget('edit-code', {
+      persona: context.persona,
+      file: label,
+      requirements: context.requirements,
+      goalSection: context.goalSection,
+      code: existingCode
+    }, {
+      projectProfile: { text: this.codePatterns.summary, priority: 1, shrink: 'truncate' },
+      plan: { text: context.plan, priority: 2, shrink: 'truncate' },
+      relatedCodeSection: { text: context.relatedCodeSection, priority: 3, shrink: 'truncate' }
+    }, model, context.persona);
+
+    let reply = await this.callOpenRouter([
+      { role: 'system', content: context.persona },
+      { role: 'user', content: prompt.text }
+    ], model, 0.25, { agent, streamLabel: file, promptId: prompt.id });
+    
+    let code = existingCode;
+    let parsed = parseEdits(reply);
+    const applied = [];
+    let failed = [];
+    
+    for (let attempt = 1; ; attempt++) {
+      const result = applyEdits(code, parsed.edits);
+      code = result.content;
+      applied.push(...result.applied);
+      failed = result.failed;
+      
+      if (applied.length === 0 && failed.length === 0) {
+        return { status: 'unparseable', code: existingCode, applied, failed, attempts: attempt };
+      }
+      if (failed.length === 0 || attempt > this.editAttempts) {
+        return { status: failed.length ? 'partial' : 'ok', code, applied, failed, attempts: attempt };
+      }
+      
+      console.log(`   🩹 ${failed.length} edit(s) to ${label} did not apply, asking for corrections...`);
+      const fix = this.prompts.render('fix-edits', { file: label, failures: describeFailures(failed), code });
+      reply = await this.callOpenRouter([
+        { role: 'system', content: fix.system },
+        { role: 'user', content: fix.text }
+      ], model, 0.1, { agent, promptId: fix.id });
+      parsed = parseEdits(reply);
+      
+      if (parsed.edits.length === 0) {
+        return { status: 'partial', code, applied, failed, attempts: attempt + 1 };
+      }
+    }
+  }
 
-Create tests that:
-1. Cover all functions/methods
-2. Test edge cases
-3. Test error scenarios
-4. Use Jest and React Testing Library (if React component)
-5. Aim for >80% coverage
+  /**
+   * Let the model check and refine work with repository tools
+   * (an AgentToolbox: read_file, list_dir, grep, run_tests, propose_patch)
+   * until it replies without calling one, or `toolLoop.maxSteps`
+   * completions have been made. Resolves with
+   * { status: 'done' | 'step-limit' | 'context-limit', summary, steps, patches }.
+   */
+  async runWithTools(agent, toolbox, requirements, files = [], options = {}) {
+    const model = this.route(options.stage || 'generation', agent, options.complexity);
+    const maxSteps = options.maxSteps || this.toolLoop.maxSteps;
+    const persona = this.prompts.persona(agent).text;
+    const prompt = this.renderWithinBudget('tool-loop', {
+      persona,
+      requirements,
+      workingPaths: toolbox.workingPaths.join(', '),
+      excludePaths: toolbox.excludePaths.join(', ') || 'nothing excluded',
+      maxSteps
+    }, {
+      files: { text: files.map(file => `- ${file}`).join('\n') || '- (none yet)', priority: 1, shrink: 'truncate' },
+      projectProfile: { text: this.codePatterns.summary, priority: 2, shrink: 'truncate' }
+    }, model, persona);
+    
+    const messages = [
+      { role: 'system', content: persona },
+      { role: 'user', content: prompt.text }
+    ];
+    const tools = toolbox.definitions();
+    let steps = 0;
+    const result = status => ({ status, steps, patches: toolbox.patches });
+    
+    while (steps < maxSteps) {
+      steps++;
+      let completion;
+      try {
+        completion = await this.complete(messages, model, 0.2, { agent, tools, promptId: prompt.id });
+      } catch (error) {
+        if (error.code !== 'CONTEXT_WINDOW_EXCEEDED') throw error;
+        console.log('   ✂️  Tool conversation outgrew the context window, stopping');
+        return { ...result('context-limit'), summary: '' };
+      }
+      
+      const calls = completion.toolCalls || [];
+      if (calls.length === 0) {
+        return { ...result('done'), summary: completion.content };
+      }
+      
+      messages.push({
+        role: 'assistant',
+        content: completion.content || null,
+        tool_calls: calls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments) }
+        }))
+      });
+      for (const call of calls) {
+        console.log(`   🛠️  ${call.name} ${call.arguments?.path || call.arguments?.pattern || ''}`.trimEnd());
+        messages.push({ role: 'tool', tool_call_id: call.id, content: await toolbox.execute(call.name, call.arguments) });
+      }
+    }
+    
+    console.log(`   ⚠️  Stopped after ${maxSteps} tool steps`);
+    return { ...result('step-limit'), summary: '' };
+  }
 
-Respond with ONLY the test code.`;
+  async generateTests(agent, codeFile, implementation, analysis = {}) {
+    const model = this.route('testing', agent, analysis.complexity);
+    const persona = this.prompts.persona('testing').text;
+    const prompt = this.renderWithinBudget('generate-tests', {
+      file: codeFile,
+      testRunner: this.codePatterns.profile?.testRunner || 'Jest',
+      acceptanceCriteria: listCriteria(analysis.acceptanceCriteria)
+    }, {
+      code: { text: implementation, priority: 1, shrink: 'outline' },
+      projectProfile: { text: this.codePatterns.summary, priority: 2, shrink: 'truncate' }
+    }, model, persona);
 
     return await this.callOpenRouter([
-      { role: 'system', content: this.agentPersonas.testing },
-      { role: 'user', content: prompt }
-    ], model, 0.3);
+      { role: 'system', content: persona },
+      { role: 'user', content: prompt.text }
+    ], model, 0.3, { agent, promptId: prompt.id });
   }
 
-  async reviewCode(agent, code, requirements) {
-    const model = this.modelConfig[agent].review;
-    
-    const prompt = `Review this code for quality, security, and best practices:
+  /**
+   * Judge `criteria` ([{ id, text }]) against a change at temperature 0.
+   * Resolves with { status, criteria: [{ id, passed, evidence }] }; an
+   * unreadable judgement passes nothing.
+   */
+  async verifyAcceptanceCriteria(agent, criteria, diff, ticket = {}) {
+    const model = this.route('review', agent);
+    const prompt = this.renderWithinBudget('verify-acceptance', {
+      ticketId: ticket.id || 'unknown',
+      description: ticket.description || 'None',
+      criteria: listCriteria(criteria)
+    }, {
+      diff: { text: diff || '(no changes)', priority: 1, shrink: 'truncate' }
+    }, model);
+
+    const result = await this.completeJSON([
+      { role: 'system', content: prompt.system },
+      { role: 'user', content: prompt.text }
+    ], model, schemas.acceptanceReview, 0, { agent, promptId: prompt.id });
+
+    if (result.status !== 'ok') {
+      console.log(`⚠️  Acceptance judgement unparseable: ${result.errors.join('; ')}`);
+      return { status: 'unparseable', criteria: [], errors: result.errors };
+    }
+    return { status: 'ok', criteria: result.data.criteria };
+  }
 
-Requirements: ${requirements}
+  /**
+   * Review code against the requirements. In `codeReview.mode: 'ensemble'`
+   * several models review in parallel and their verdicts are merged (see
+   * review-consensus.js); `options.file` names the file for oversight.
+   * Resolves with { status, score, issues, suggestions, security, approved }
+   * plus `consensus` for ensemble reviews.
+   */
+  async reviewCode(agent, code, requirements, options = {}) {
+    if (this.reviewSettings.mode === 'ensemble') {
+      return await this.reviewByConsensus(agent, code, requirements, options);
+    }
+    return await this.reviewWith(agent, this.route('review', agent), code, requirements, options);
+  }
 
-Code:
-\`\`\`
-${code}
-\`\`\`
+  /**
+   * One model's review; `options.temperature` (default 0.7) can be lowered
+   * where the same code should get the same verdict
+   */
+  async reviewWith(agent, model, code, requirements, options = {}) {
+    const prompt = this.renderWithinBudget('review-code', { requirements }, {
+      code: { text: code, priority: 1, shrink: 'outline' }
+    }, model);
+
+    const result = await this.completeJSON([
+      { role: 'system', content: prompt.system },
+      { role: 'user', content: prompt.text }
+    ], model, schemas.codeReview, options.temperature ?? 0.7, { agent, promptId: prompt.id });
+
+    if (result.status !== 'ok') {
+      // Never approve code whose review could not be read
+      console.log(`⚠️  Code review unparseable: ${result.errors.join('; ')}`);
+      return {
+        status: 'unparseable',
+        score: null,
+        issues: [],
+        suggestions: [],
+        security: [],
+        approved: false,
+        errors: result.errors
+      };
+    }
 
-Provide a JSON response:
-{
-  "score": 0-100,
-  "issues": [{"severity": "high|medium|low", "description": "...", "line": number}],
-  "suggestions": ["improvement suggestions"],
-  "security": ["any security concerns"],
-  "approved": boolean
-}`;
+    return { suggestions: [], security: [], ...result.data, status: 'ok' };
+  }
 
-    const response = await this.callOpenRouter([
-      { role: 'system', content: 'You are a senior code reviewer focused on quality and security.' },
-      { role: 'user', content: prompt }
-    ], model);
+  /**
+   * Ask `codeReview.reviewers` (or the first `codeReview.size` routed review
+   * models) in parallel and merge their reviews. Reviewers that fail or
+   * reply unparseably are left out; with fewer than `minReviewers` left the
+   * remaining review is used as-is. Disagreement at or above
+   * `disagreementThreshold` opens a HumanOversightSystem checkpoint.
+   */
+  async reviewByConsensus(agent, code, requirements, options = {}) {
+    const route = this.route('review', agent);
+    const models = this.reviewSettings.reviewers.length > 0
+      ? this.reviewSettings.reviewers
+      : route.models.slice(0, this.reviewSettings.size);
+    console.log(`   🧑‍⚖️ Reviewing with ${models.length} models: ${models.join(', ')}`);
+
+    // Each reviewer keeps the stage's cost cap but does not fall back to the others
+    const settled = await Promise.allSettled(models.map(model =>
+      this.reviewWith(agent, { ...route, models: [model] }, code, requirements, options)));
+
+    const reviews = [];
+    settled.forEach((outcome, i) => {
+      if (outcome.status === 'fulfilled' && outcome.value.status === 'ok') {
+        reviews.push({ model: models[i], review: outcome.value });
+      } else {
+        console.log(`   ⚠️  Reviewer ${models[i]} gave no usable review${outcome.reason ? ` (${outcome.reason.message})` : ''}`);
+      }
+    });
 
-    try {
-      return JSON.parse(response);
-    } catch (e) {
-      return { score: 80, issues: [], approved: true };
+    if (reviews.length === 0) {
+      return settled.find(outcome => outcome.status === 'fulfilled')?.value || {
+        status: 'unparseable', score: null, issues: [], suggestions: [], security: [], approved: false,
+        errors: settled.map(outcome => outcome.reason?.message).filter(Boolean)
+      };
+    }
+    if (reviews.length < this.reviewSettings.minReviewers) {
+      console.log(`   ⚠️  Only ${reviews.length} of ${models.length} reviews usable, no consensus`);
+      return reviews[0].review;
     }
-  }
 
-  async getRelevantExamples(ticket, agent) {
-    // In a real implementation, this would search your codebase
-    // For now, return common patterns
-    const examples = {
-      frontend: `
-// Common component pattern:
-export const Button: React.FC<ButtonProps> = ({ children, onClick, variant = 'primary' }) => {
-  return <button className={cn('btn', variant)} onClick={onClick}>{children}</button>
-}
+    const merged = { status: 'ok', ...mergeReviews(reviews) };
+    const { disagreement } = merged.consensus;
+    console.log(`   🧑‍⚖️ Consensus score ${merged.score}/100, disagreement ${disagreement}`);
 
-// Common hook pattern:
-export const useAuth = () => {
-  const [user, setUser] = useState<User | null>(null);
-  // ... implementation
-}`,
-      backend: `
-// Common API route pattern:
-export async function GET(request: Request) {
-  try {
-    const data = await prisma.model.findMany();
-    return NextResponse.json(data);
-  } catch (error) {
-    return NextResponse.json({ error: error.message }, { status: 500 });
-  }
-}`,
-      database: `
-// Common Prisma model pattern:
-model User {
-  id        String   @id @default(cuid())
-  email     String   @unique
-  createdAt DateTime @default(now())
-  updatedAt DateTime @updatedAt
-}`
-    };
+    if (disagreement >= this.reviewSettings.disagreementThreshold) {
+      merged.consensus.checkpointId = await this.requestOversight(agent, code, options.file, merged);
+    }
+    return merged;
+  }
 
-    return examples[agent] || '';
+  /**
+   * Queue reviewer disagreement for a human; returns the checkpoint id, or
+   * null when oversight is unavailable
+   */
+  async requestOversight(agent, code, file, review) {
+    try {
+      if (!this.oversight) {
+        this.oversight = new HumanOversightSystem();
+      }
+      const checkpoint = await this.oversight.createCheckpoint(`${this.agentType}-agent`, this.taskId || 'code-review', {
+        type: 'REVIEW_DISAGREEMENT',
+        description: `Reviewers disagree on ${file || 'generated code'} (disagreement ${review.consensus.disagreement})`,
+        files: [{ path: file || 'unknown', content: code }]
+      }, { agent, consensus: review.consensus, issues: review.issues });
+
+      console.log(`   🙋 Reviewers disagree, human review checkpoint ${checkpoint.id} created`);
+      return checkpoint.id;
+    } catch (error) {
+      console.warn(`⚠️  Could not create oversight checkpoint: ${error.message}`);
+      return null;
+    }
   }
 
-  async improveCode(code, feedback) {
-    const prompt = `Improve this code based on the feedback:
+  /**
+   * Excerpts of the project code most related to a query, from the local
+   * code index. Returns '' when nothing matches or the index is unavailable.
+   */
+  findRelatedCode(query, options = {}) {
+    let hits;
+    try {
+      hits = this.codeIndex.search(query, options);
+    } catch (error) {
+      console.warn(`⚠️  Code index unavailable: ${error.message}`);
+      return '';
+    }
 
-Current code:
-\`\`\`
-${code}
-\`\`\`
+    return hits
+      .map(hit => `// ${hit.file}:${hit.start}-${hit.end}${hit.name ? ` (${hit.name})` : ''}\n${this.codeIndex.excerpt(hit)}`)
+      .join('\n\n');
+  }
 
-Feedback:
-${JSON.stringify(feedback, null, 2)}
+  async getRelevantExamples(ticket, agent) {
+    // Code related to the ticket, falling back to excerpts of real files in
+    // the agent's area so generated code copies the project's own style
+    const query = [ticket.id, ticket.description, ...(ticket.notes || [])].join(' ');
+    const related = this.findRelatedCode(query);
+    if (related) {
+      return `${this.codePatterns.summary}\n\n${related}`;
+    }
 
-Provide the improved code only.`;
+    const profile = this.codePatterns.profile;
+    const files = profile?.samples[agent]?.length ? profile.samples[agent] : [];
+    
+    const examples = files.slice(0, 2).map(file => {
+      try {
+        const lines = fs.readFileSync(path.join(this.projectPath, file), 'utf8').split('\n');
+        const excerpt = lines.slice(0, 40).join('\n');
+        return `// ${file}\n${excerpt}${lines.length > 40 ? '\n// ...' : ''}`;
+      } catch (e) {
+        return null;
+      }
+    }).filter(Boolean);
+    
+    return [this.codePatterns.summary, ...examples].join('\n\n');
+  }
+
+  async improveCode(code, feedback, agent = this.agentType) {
+    const prompt = this.prompts.render('improve-code', {
+      code,
+      feedback: JSON.stringify(feedback, null, 2)
+    });
 
     return await this.callOpenRouter([
-      { role: 'system', content: 'You are an expert developer improving code based on review feedback.' },
-      { role: 'user', content: prompt }
-    ], 'openai/gpt-4', 0.3);
+      { role: 'system', content: prompt.system },
+      { role: 'user', content: prompt.text }
+    ], this.route('improvement', agent), 0.3, { agent, promptId: prompt.id });
   }
 
   async suggestModelForTask(task, agent) {
-    // Intelligently select the best model based on task
-    const taskLower = task.toLowerCase();
-    
-    if (taskLower.includes('refactor') || taskLower.includes('optimize')) {
-      return 'anthropic/claude-3-opus-20240229'; // Best for complex refactoring
-    }
-    
-    if (taskLower.includes('ui') || taskLower.includes('component')) {
-      return 'openai/gpt-4'; // Good for React components
-    }
-    
-    if (taskLower.includes('test')) {
-      return 'openai/gpt-3.5-turbo'; // Fast and good for tests
-    }
-    
-    if (taskLower.includes('algorithm') || taskLower.includes('complex')) {
-      return 'anthropic/claude-3-opus-20240229'; // Best for algorithms
-    }
-    
-    // Default based on agent
-    return this.modelConfig[agent].complex;
+    return this.router.suggest(agent, task);
   }
 }
 
@@ -457,7 +892,7 @@ module.exports = AIAgentEngine;
 
 // CLI interface
 if (require.main === module) {
-  const engine = new AIAgentEngine();
+  const engine = new AIAgentEngine({ agentType: 'frontend' });
   
   async function demo() {
     console.log('🤖 AI Agent Engine Demo\n');
@@ -0,0 +1,173 @@
+/**
+ * Dry Run
+ * Lets an agent work a ticket in a scratch copy of the project instead of
+ * the working tree. The copy holds the project's tracked and unignored
+ * files (node_modules is linked) in a throwaway git repository, so tests
+ * and linters run as usual while the real tree and its git state are left
+ * alone. When the run ends its changes are written to a patch bundle:
+ *
+ *   <dryRun.directory>/<ticket>-<timestamp>/
+ *     changes.patch    unified diff of the ticket's changes
+ *     plan.md          implementation plan
+ *     validation.json  validation report, review scores, test results,
+ *                      acceptance checklist, warnings
+ *     bundle.json      ticket, agent, base commit, files, handoffs and the apply command
+ *
+ * `node ai-agent.js apply <bundle>` applies the patch to the working tree.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { loadSettings } = require('../../settings');
+
+// Bookkeeping an agent writes next to the code; it goes into the bundle, not the patch
+const BOOKKEEPING = [
+  '.ai-plan-*.md', '.senior-plan-*.md', '.pr-description-*.md', '.ai-validation-report.json',
+  '.senior-agent-metrics.json', '.agent-handoffs.json', '.agent-metrics.json', '.agent-costs.json', '.resource-alerts.json',
+  '.llm-cache/', '.agent-index/', '/node_modules'
+];
+
+const dryRunError = (message, code) => Object.assign(new Error(message), { code });
+
+const git = (cwd, args, options = {}) => execFileSync('git', args, { cwd, encoding: 'utf8', stdio: 'pipe', maxBuffer: 64 * 1024 * 1024, ...options });
+
+const readIfExists = file => (fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null);
+
+class DryRunWorkspace {
+  constructor(options = {}) {
+    const configured = (options.settings || loadSettings()).dryRun || {};
+
+    this.root = path.resolve(options.root || process.cwd());
+    this.runsDirectory = path.resolve(this.root, configured.directory || '.agent-runs');
+    this.ticketId = options.ticketId;
+    this.scratch = null;
+    this.base = null;
+  }
+
+  /**
+   * Copy the project into a scratch repository and return its path
+   */
+  open() {
+    let files;
+    try {
+      this.base = git(this.root, ['rev-parse', 'HEAD']).trim();
+      files = git(this.root, ['ls-files', '-z', '--cached', '--others', '--exclude-standard']).split('\0').filter(Boolean);
+    } catch (error) {
+      throw dryRunError(`A dry run needs a git repository with at least one commit at ${this.root}`, 'DRY_RUN_UNAVAILABLE');
+    }
+
+    this.scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-dry-run-'));
+    const runsDirectory = path.relative(this.root, this.runsDirectory);
+    files
+      .filter(file => !file.startsWith(`${runsDirectory}/`))
+      .forEach(file => {
+        const source = path.join(this.root, file);
+        if (!fs.existsSync(source)) return; // deleted but not yet staged
+
+        const target = path.join(this.scratch, file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.copyFileSync(source, target);
+        fs.chmodSync(target, fs.statSync(source).mode);
+      });
+
+    if (fs.existsSync(path.join(this.root, 'node_modules'))) {
+      fs.symlinkSync(path.join(this.root, 'node_modules'), path.join(this.scratch, 'node_modules'), 'dir');
+    }
+
+    git(this.scratch, ['init', '-q']);
+    fs.writeFileSync(path.join(this.scratch, '.git/info/exclude'), `${BOOKKEEPING.join('\n')}\n`);
+    git(this.scratch, ['add', '-A']);
+    git(this.scratch, ['-c', 'user.name=agent', '-c', 'user.email=agent@localhost', 'commit', '-q', '--allow-empty', '--no-verify', '-m', 'dry run base']);
+
+    return this.scratch;
+  }
+
+  /**
+   * Write the patch bundle for a finished run and return its directory
+   */
+  writeBundle({ agentType, mode, result, context }) {
+    git(this.scratch, ['add', '-A']);
+    const patch = git(this.scratch, ['diff', '--cached', '--binary', 'HEAD']);
+    const files = git(this.scratch, ['diff', '--cached', '--name-status', 'HEAD']).split('\n').filter(Boolean).map(line => {
+      const [status, ...names] = line.split('\t');
+      return { status, file: names[names.length - 1] };
+    });
+
+    const createdAt = new Date();
+    const bundle = path.join(this.runsDirectory, `${this.ticketId}-${createdAt.toISOString().replace(/[:.]/g, '-')}`);
+    fs.mkdirSync(bundle, { recursive: true });
+
+    fs.writeFileSync(path.join(bundle, 'changes.patch'), patch);
+    if (context?.plan) {
+      fs.writeFileSync(path.join(bundle, 'plan.md'), context.plan);
+    }
+    const prDescription = readIfExists(path.join(this.scratch, `.pr-description-${this.ticketId}.md`));
+    if (prDescription) {
+      fs.writeFileSync(path.join(bundle, 'pr-description.md'), prDescription);
+    }
+
+    const report = readIfExists(path.join(this.scratch, '.ai-validation-report.json'));
+    fs.writeFileSync(path.join(bundle, 'validation.json'), JSON.stringify({
+      qualityScore: result?.qualityScore ?? null,
+      reviews: Object.fromEntries(Object.entries(context?.generated || {}).map(([file, generated]) => [
+        path.relative(this.scratch, path.resolve(this.scratch, file)),
+        { score: generated.score ?? null, ...(generated.issues ? { issues: generated.issues } : {}) }
+      ])),
+      tests: context?.testResults || null,
+      acceptance: context?.acceptance || [],
+      warnings: context?.warnings || [],
+      report: report ? JSON.parse(report) : []
+    }, null, 2));
+
+    fs.writeFileSync(path.join(bundle, 'bundle.json'), JSON.stringify({
+      ticket: this.ticketId,
+      agentType,
+      mode,
+      createdAt: createdAt.toISOString(),
+      base: this.base,
+      files,
+      stages: context?.completedStages || [],
+      handoffs: context?.handoffs || [],
+      apply: `node src/core/agents/ai-agent.js apply ${path.relative(this.root, bundle)}`
+    }, null, 2));
+
+    return bundle;
+  }
+
+  close() {
+    if (this.scratch) {
+      fs.rmSync(this.scratch, { recursive: true, force: true });
+      this.scratch = null;
+    }
+  }
+}
+
+/**
+ * Apply a bundle's patch to the working tree at `root`. Nothing is changed
+ * when any hunk does not apply.
+ */
+function applyPatchBundle(bundle, root = process.cwd()) {
+  const manifestFile = path.join(bundle, 'bundle.json');
+  if (!fs.existsSync(manifestFile)) {
+    throw dryRunError(`No patch bundle at ${bundle} (bundle.json is missing)`, 'BUNDLE_NOT_FOUND');
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+  const patch = path.resolve(bundle, 'changes.patch');
+  if (fs.statSync(patch).size === 0) {
+    return { ...manifest, applied: false };
+  }
+
+  try {
+    git(root, ['apply', '--check', patch]);
+  } catch (error) {
+    throw dryRunError(`The patch for ${manifest.ticket} does not apply cleanly:\n${error.stderr || error.message}`, 'PATCH_CONFLICT');
+  }
+  git(root, ['apply', patch]);
+
+  return { ...manifest, applied: true };
+}
+
+module.exports = { DryRunWorkspace, applyPatchBundle };
@@ -0,0 +1,303 @@
+/**
+ * Hybrid Session
+ * A developer steers an agent run (`ai-agent.js <ticket> <agent> --hybrid`).
+ * Before the agent writes a file, it shows its proposal hunk by hunk as a diff
+ * against the file on disk, together with the proposal's validation notes.
+ * For each hunk the developer answers:
+ *
+ *   a  accept                 A  accept the rest of the file
+ *   r  reject                 R  reject the rest of the file
+ *   e  edit it in $VISUAL / $EDITOR before accepting it
+ *   c  ask for a revision with a comment
+ *
+ * Only accepted and edited hunks are written. A revision has the agent
+ * rework the whole file with the comment; the new proposal is reviewed
+ * from its first hunk. Rejections, edits and comments are recorded in
+ * agent memory (AgentMemorySystem.recordDeveloperFeedback) when the run
+ * ends.
+ *
+ * Config: `hybrid.contextLines` (unchanged lines around a hunk, default 3),
+ * `hybrid.rememberFeedback` (false keeps the decisions out of memory).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { spawnSync } = require('child_process');
+const { loadSettings } = require('../../settings');
+
+// Larger files are not diffed line by line but proposed as one hunk
+const MAX_DIFF_CELLS = 4000000;
+
+const CHOICES = {
+  a: 'accept this hunk',
+  r: 'reject this hunk',
+  e: 'edit this hunk, then accept it',
+  c: 'ask for a revision with a comment',
+  A: 'accept the rest of the file',
+  R: 'reject the rest of the file'
+};
+
+const splitLines = text => (text ? text.replace(/\r\n/g, '\n').split('\n') : []);
+
+// Files are compared line by line and written back with their own line endings
+const lineEnding = text => (text.includes('\r\n') ? '\r\n' : '\n');
+
+/**
+ * The line diff of `before` and `after` as [{ op: ' ' | '-' | '+', line }],
+ * from their longest common subsequence
+ */
+function diffLines(before, after) {
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < before.length - prefix && suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) suffix++;
+
+  const same = lines => lines.map(line => ({ op: ' ', line }));
+  const a = before.slice(prefix, before.length - suffix);
+  const b = after.slice(prefix, after.length - suffix);
+  let middle;
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    middle = [...a.map(line => ({ op: '-', line })), ...b.map(line => ({ op: '+', line }))];
+  } else {
+    // common[i][j]: length of the common subsequence of a[i..] and b[j..]
+    const common = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+      }
+    }
+
+    middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        middle.push({ op: ' ', line: a[i++] });
+        j++;
+      } else if (i < a.length && (j === b.length || common[i + 1][j] >= common[i][j + 1])) {
+        middle.push({ op: '-', line: a[i++] });
+      } else {
+        middle.push({ op: '+', line: b[j++] });
+      }
+    }
+  }
+
+  return [...same(before.slice(0, prefix)), ...middle, ...same(before.slice(before.length - suffix))];
+}
+
+/**
+ * The changes from `before` to `after` as hunks. Changes closer than
+ * twice `contextLines` share a hunk. A hunk replaces `oldLines`, starting
+ * at line index `start` of `before`, with `newLines`; `lines` is its
+ * unified diff with context.
+ */
+function diffHunks(before, after, contextLines = 3) {
+  const ops = diffLines(splitLines(before), splitLines(after));
+
+  // Line numbers in before and after in front of every op
+  let oldLine = 0;
+  let newLine = 0;
+  const positions = ops.map(({ op }) => {
+    const position = { old: oldLine, new: newLine };
+    if (op !== '+') oldLine++;
+    if (op !== '-') newLine++;
+    return position;
+  });
+
+  const changed = ops.map((op, index) => index).filter(index => ops[index].op !== ' ');
+  const groups = [];
+  changed.forEach(index => {
+    const group = groups[groups.length - 1];
+    if (group && index - group.last <= contextLines * 2 + 1) {
+      group.last = index;
+    } else {
+      groups.push({ first: index, last: index });
+    }
+  });
+
+  return groups.map(({ first, last }, index) => {
+    const body = ops.slice(first, last + 1);
+    const from = Math.max(0, first - contextLines);
+    const to = Math.min(ops.length, last + contextLines + 1);
+    const shown = ops.slice(from, to);
+    const oldCount = shown.filter(({ op }) => op !== '+').length;
+    const newCount = shown.filter(({ op }) => op !== '-').length;
+
+    return {
+      id: index + 1,
+      start: positions[first].old,
+      oldLines: body.filter(({ op }) => op !== '+').map(({ line }) => line),
+      newLines: body.filter(({ op }) => op !== '-').map(({ line }) => line),
+      header: `@@ -${oldCount ? positions[from].old + 1 : 0},${oldCount} +${newCount ? positions[from].new + 1 : 0},${newCount} @@`,
+      lines: shown.map(({ op, line }) => `${op}${line}`)
+    };
+  });
+}
+
+// `before` with the accepted hunks applied; the others keep their old lines
+function applyHunks(before, hunks) {
+  const lines = splitLines(before);
+  const result = [];
+  let cursor = 0;
+
+  hunks.forEach(hunk => {
+    result.push(...lines.slice(cursor, hunk.start), ...(hunk.accepted ? hunk.newLines : hunk.oldLines));
+    cursor = hunk.start + hunk.oldLines.length;
+  });
+  result.push(...lines.slice(cursor));
+  return result.join(lineEnding(before));
+}
+
+// Open `text` in the developer's editor and return what they saved
+function editInEditor(text, file) {
+  const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hybrid-hunk-'));
+  const scratch = path.join(dir, `hunk${path.extname(file)}`);
+
+  try {
+    fs.writeFileSync(scratch, text);
+    const result = spawnSync(editor, [scratch], { stdio: 'inherit', shell: true });
+    if (result.status !== 0) {
+      throw Object.assign(new Error(`${editor} exited with code ${result.status}`), { code: 'EDITOR_FAILED' });
+    }
+    return fs.readFileSync(scratch, 'utf8').replace(/\n$/, '');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+class HybridSession {
+  constructor(options = {}) {
+    const configured = (options.settings || loadSettings()).hybrid || {};
+
+    this.contextLines = configured.contextLines ?? 3;
+    this.rememberFeedback = configured.rememberFeedback ?? true;
+    this.root = options.root || null; // Paths are shown relative to the working directory by default
+    this.input = options.input || process.stdin;
+    this.ask = options.ask || (question => this.question(question));
+    this.edit = options.edit || editInEditor;
+    this.decisions = [];
+  }
+
+  // Rejects with HYBRID_INPUT_CLOSED when the input ends before the answer
+  question(text) {
+    if (!this.rl) {
+      this.rl = readline.createInterface({ input: this.input, output: process.stdout });
+      this.rl.on('close', () => {
+        this.rl = null;
+        if (this.unanswered) this.unanswered(Object.assign(new Error('Input closed before the hybrid review was answered'), { code: 'HYBRID_INPUT_CLOSED' }));
+      });
+    }
+    return new Promise((resolve, reject) => {
+      this.unanswered = reject;
+      this.rl.question(text, answer => {
+        this.unanswered = null;
+        resolve(answer);
+      });
+    });
+  }
+
+  display(file) {
+    return path.relative(this.root || process.cwd(), file);
+  }
+
+  close() {
+    this.unanswered = null;
+    if (this.rl) this.rl.close();
+    this.rl = null;
+  }
+
+  async choose(hunk, total, canRevise) {
+    for (;;) {
+      const answer = (await this.ask(`   Hunk ${hunk.id}/${total} [a,r,e,c,A,R,?]: `)).trim();
+      if (answer === 'c' && !canRevise) {
+        console.log('   ⚠️  This proposal cannot be revised; accept, edit or reject the hunk');
+        continue;
+      }
+      if (CHOICES[answer]) return answer;
+      Object.entries(CHOICES).forEach(([key, help]) => console.log(`      ${key} - ${help}`));
+    }
+  }
+
+  record(file, hunk, decision, extra = {}) {
+    this.decisions.push({
+      file: this.display(file),
+      hunk: hunk.header,
+      decision,
+      proposed: hunk.newLines.join('\n'),
+      ...extra
+    });
+  }
+
+  /**
+   * Review `proposed` for `file` hunk by hunk. `revise(proposal, comment)`
+   * resolves with a reworked proposal. Resolves with the content to write,
+   * or null when nothing of a new file was accepted.
+   */
+  async review(file, proposed, { notes = [], revise } = {}) {
+    const exists = fs.existsSync(file);
+    const before = exists ? fs.readFileSync(file, 'utf8') : '';
+    let proposal = proposed;
+
+    for (;;) {
+      const hunks = diffHunks(before, proposal, this.contextLines);
+      if (hunks.length === 0) return exists ? before : proposal;
+
+      console.log(`\n   ✋ ${this.display(file)}: ${hunks.length} hunk(s) to review${exists ? '' : ' (new file)'}`);
+      notes.forEach(note => console.log(`      📝 ${note}`));
+
+      let rest = null;
+      let comment = null;
+      for (const hunk of hunks) {
+        console.log(`\n   ${hunk.header}`);
+        hunk.lines.forEach(line => console.log(`   ${line}`));
+
+        const choice = rest || await this.choose(hunk, hunks.length, Boolean(revise));
+        if (choice === 'A' || choice === 'R') rest = choice;
+
+        if (choice === 'a' || choice === 'A') {
+          hunk.accepted = true;
+          this.record(file, hunk, 'accept');
+        } else if (choice === 'r' || choice === 'R') {
+          this.record(file, hunk, 'reject');
+        } else if (choice === 'e') {
+          const edited = this.edit(hunk.newLines.join('\n'), file);
+          this.record(file, hunk, 'edit', { final: edited });
+          hunk.newLines = splitLines(edited);
+          hunk.accepted = true;
+        } else {
+          comment = (await this.ask('   Comment for the agent: ')).trim();
+          this.record(file, hunk, 'revise', { comment });
+          break;
+        }
+      }
+
+      if (comment === null) {
+        const content = applyHunks(before, hunks);
+        return !exists && !hunks.some(hunk => hunk.accepted) ? null : content;
+      }
+
+      console.log(`   🔁 Revising ${this.display(file)}...`);
+      proposal = await revise(proposal, comment);
+      notes = [`Revised for: ${comment}`];
+    }
+  }
+
+  // { accept: n, reject: n, edit: n, revise: n }
+  summary() {
+    const counts = { accept: 0, reject: 0, edit: 0, revise: 0 };
+    this.decisions.forEach(({ decision }) => counts[decision]++);
+    return counts;
+  }
+
+  // The decisions that tell the agent something: everything but plain accepts
+  feedback() {
+    return this.decisions.filter(({ decision }) => decision !== 'accept');
+  }
+}
+
+module.exports = { HybridSession, diffHunks, applyHunks, editInEditor };
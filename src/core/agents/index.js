@@ -6,6 +6,7 @@
 const { EventEmitter } = require('events');
 const fs = require('fs');
 const path = require('path');
+const { AgentRegistry } = require('./agent-registry');
 
 class Agent {
   constructor(id, config) {
@@ -112,24 +113,15 @@ class AgentManager extends EventEmitter {
     console.log(`✅ Agent Manager initialized with ${this.agents.size} agents`);
   }
 
+  // One agent per registered agent type (agent-registry.js), up to maxAgents
   async createDefaultAgents() {
-    const defaultAgents = [
-      {
-        id: 'frontend-agent',
-        capabilities: ['frontend', 'react', 'javascript', 'css'],
-        name: 'Frontend Developer Agent'
-      },
-      {
-        id: 'backend-agent',
-        capabilities: ['backend', 'nodejs', 'api', 'database'],
-        name: 'Backend Developer Agent'
-      },
-      {
-        id: 'fullstack-agent',
-        capabilities: ['frontend', 'backend', 'fullstack'],
-        name: 'Full Stack Developer Agent'
-      }
-    ];
+    const registry = this.config.registry || new AgentRegistry();
+    const defaultAgents = registry.all().slice(0, this.config.maxAgents).map(agent => ({
+      id: `${agent.type}-agent`,
+      type: agent.type,
+      capabilities: [agent.type, ...agent.skills],
+      name: `${agent.label} Agent`
+    }));
 
     for (const agentConfig of defaultAgents) {
       await this.createAgent(agentConfig.id, agentConfig);
@@ -7,6 +7,7 @@ const readline = require('readline');
 const crypto = require('crypto');
 const FailureRecoverySystem = require('./failure-recovery'); // Assuming this is a local utility
 const config = require('../../config'); // Jules: Added: Use new config module
+const { AgentBoundaries, formatViolation } = require('./agent-boundaries');
 
 class MasterAgent {
   constructor() {
@@ -219,20 +220,13 @@ class MasterAgent {
     }
     
     // Check boundaries
-    const agentDefinitions = config.get('agents.definitions'); // Jules: Use new config
-    const agentEntry = Object.entries(agentDefinitions).find(([key, agentDef]) => branch.startsWith(agentDef.branchPrefix));
+    const boundaries = new AgentBoundaries({ root: this.projectPath, settings: config.get() });
+    const agentKey = boundaries.agentForBranch(branch);
 
-    if (agentEntry) {
-      const [agentKey, agentConfig] = agentEntry;
-      for (const file of files) {
-        const allowed = agentConfig.workingPaths.some(p => file.startsWith(p));
-        // Jules: Handle potentially undefined excludePaths
-        const excluded = (agentConfig.excludePaths || []).some(p => file.startsWith(p));
-
-        if (!allowed || excluded) {
-          analysis.issues.push(`Boundary violation: ${file} outside ${agentKey} scope`);
-        }
-      }
+    if (agentKey) {
+      boundaries.review(agentKey, files).violations.forEach(violation => {
+        analysis.issues.push(`Boundary violation: ${formatViolation(violation)}`);
+      });
     }
     
     return analysis;
@@ -4,9 +4,9 @@ const fs = require('fs');
 const path = require('path');
 
 class SeniorAgentMetrics {
-  constructor() {
-    this.metricsFile = '.senior-agent-metrics.json';
-    this.validationReportFile = '.ai-validation-report.json';
+  constructor(options = {}) {
+    this.metricsFile = options.metricsFile || '.senior-agent-metrics.json';
+    this.validationReportFile = options.validationReportFile || '.ai-validation-report.json';
     this.initializeMetrics();
   }
 
@@ -59,6 +59,7 @@ class SeniorAgentMetrics {
     );
     
     // Update agent-specific metrics
+    data.agentPerformance[agentType] = data.agentPerformance[agentType] || { tickets: 0, averageScore: 0, patterns: [] };
     const agent = data.agentPerformance[agentType];
     agent.tickets++;
     agent.averageScore = this.calculateRunningAverage(
@@ -90,6 +91,15 @@ class SeniorAgentMetrics {
       );
     }
     
+    // Final state of the generated tests after the fix loop
+    if (metrics.tests) {
+      data.generatedTests = data.generatedTests || { runs: 0, passing: 0 };
+      data.generatedTests.runs++;
+      if (metrics.tests.status === 'passed') {
+        data.generatedTests.passing++;
+      }
+    }
+    
     if (metrics.testCoverage) {
       data.performanceMetrics.testCoverage = this.calculateRunningAverage(
         data.performanceMetrics.testCoverage,
@@ -135,7 +145,8 @@ class SeniorAgentMetrics {
     recentTrends.forEach(trend => {
       const date = new Date(trend.date).toLocaleDateString();
       const grade = this.getQualityGrade(trend.score);
-      console.log(`   ${trend.ticketId} (${trend.agentType}): ${trend.score}/100 (${grade}) - ${date}`);
+      const tests = trend.metrics?.tests ? ` - tests ${trend.metrics.tests.status}` : '';
+      console.log(`   ${trend.ticketId} (${trend.agentType}): ${trend.score}/100 (${grade})${tests} - ${date}`);
     });
     
     // Performance Metrics
@@ -143,6 +154,9 @@ class SeniorAgentMetrics {
     console.log(`   Avg Generation Time: ${metrics.performanceMetrics.avgGenerationTime}s`);
     console.log(`   Avg Test Coverage: ${metrics.performanceMetrics.testCoverage.toFixed(1)}%`);
     console.log(`   Avg Optimization Gain: ${metrics.performanceMetrics.avgOptimizationGain}%`);
+    if (metrics.generatedTests) {
+      console.log(`   Generated Tests Passing: ${metrics.generatedTests.passing}/${metrics.generatedTests.runs} runs`);
+    }
     
     // Validation Summary
     if (validationReports.length > 0) {
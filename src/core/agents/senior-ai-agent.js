@@ -1,186 +1,30 @@
 #!/usr/bin/env node
 
-const { execSync } = require('child_process');
+const { execSync, execFileSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
-const AIAgentEngine = require('./ai-agent-engine');
-const AIValidationLayer = require('../ai/ai-validation-layer');
+const AIEnabledAgent = require('./ai-agent');
 const AgentMemorySystem = require('./agent-memory-system');
-
-class SeniorAIAgent {
+const schemas = require('../ai/schemas');
+const { formatIssue, formatTarget } = require('../ai/senior-validation');
+const { describeTestResults } = require('../ai/test-fix-loop');
+const { extractAcceptanceCriteria } = require('../ai/acceptance-criteria');
+
+/**
+ * Senior AI Agent
+ * An AIEnabledAgent that always runs the senior pipeline, with richer
+ * model-driven architecture, documentation, test and review steps.
+ */
+class SeniorAIAgent extends AIEnabledAgent {
   constructor(agentType, ticket) {
-    this.type = agentType;
-    this.ticket = ticket;
-    this.ai = new AIAgentEngine();
-    this.validator = new AIValidationLayer();
-    this.memory = new AgentMemorySystem();
-    this.workDir = process.cwd();
-    this.branch = `feature/${agentType}/${ticket.id.toLowerCase()}`;
-    
-    // Senior-level capabilities
-    this.seniorCapabilities = {
-      frontend: {
-        patterns: ['Compound Components', 'Render Props', 'Custom Hooks', 'Suspense Boundaries'],
-        performance: ['Code Splitting', 'Lazy Loading', 'Memoization', 'Virtual DOM Optimization'],
-        testing: ['RTL Best Practices', 'E2E Strategies', 'Visual Regression', 'Accessibility Testing'],
-        architecture: ['Micro-frontends', 'Design Systems', 'State Management Patterns']
-      },
-      backend: {
-        patterns: ['CQRS', 'Event Sourcing', 'Saga Pattern', 'Circuit Breaker'],
-        performance: ['Caching Strategies', 'Database Optimization', 'Load Balancing', 'Message Queues'],
-        security: ['OAuth2/OIDC', 'Rate Limiting', 'Input Validation', 'OWASP Compliance'],
-        architecture: ['Microservices', 'Domain-Driven Design', 'API Gateway', 'Service Mesh']
-      },
-      database: {
-        patterns: ['Sharding', 'Replication', 'Partitioning', 'Indexing Strategies'],
-        optimization: ['Query Planning', 'Connection Pooling', 'Materialized Views', 'Denormalization'],
-        migrations: ['Zero-downtime', 'Rollback Strategies', 'Data Versioning', 'Schema Evolution'],
-        architecture: ['CQRS Read Models', 'Event Store', 'Time-series Design', 'Multi-tenant']
-      }
-    };
+    super(agentType, ticket);
+    this.seniorMode = true;
   }
 
-  async execute() {
-    console.log(`\n🎓 Senior AI ${this.type.toUpperCase()} Agent`);
-    console.log(`📋 Working on: ${this.ticket.id} - ${this.ticket.description}\n`);
-    
-    try {
-      // 1. Query relevant memories
-      console.log('1️⃣ Retrieving relevant knowledge from memory...');
-      const relevantMemories = await this.memory.queryMemories(
-        this.ticket.description,
-        this.type,
-        10
-      );
-      
-      // 2. Perform senior-level analysis
-      console.log('\n2️⃣ Performing architectural analysis...');
-      const analysis = await this.performSeniorAnalysis();
-      console.log(`   Complexity: ${analysis.complexity}`);
-      console.log(`   Architecture Impact: ${analysis.architectureImpact}`);
-      console.log(`   Performance Considerations: ${analysis.performanceConsiderations.length}`);
-      console.log(`   Security Implications: ${analysis.securityImplications.length}`);
-      
-      // 3. Generate architectural design
-      console.log('\n3️⃣ Creating architectural design...');
-      const architecture = await this.designArchitecture(analysis);
-      
-      // Save architectural decision record
-      await this.memory.recordArchitecturalDecision(
-        this.type,
-        architecture.decision,
-        architecture.rationale,
-        architecture.alternatives
-      );
-      
-      // 4. Generate implementation plan with best practices
-      console.log('\n4️⃣ Creating senior-level implementation plan...');
-      const plan = await this.generateSeniorImplementationPlan(analysis, architecture);
-      
-      // Save plan
-      fs.writeFileSync(`.senior-plan-${this.ticket.id}.md`, plan);
-      console.log('   Plan saved to .senior-plan-' + this.ticket.id + '.md');
-      
-      // 5. Setup branch
-      console.log('\n5️⃣ Setting up development branch...');
-      this.setupBranch();
-      
-      // 6. Generate code with senior patterns
-      console.log('\n6️⃣ Generating production-grade code...');
-      const files = await this.identifyRequiredFiles(analysis);
-      
-      for (const file of files) {
-        console.log(`\n   📄 Generating ${file}...`);
-        
-        // Ensure directory exists
-        const dir = path.dirname(file);
-        if (!fs.existsSync(dir)) {
-          fs.mkdirSync(dir, { recursive: true });
-        }
-        
-        // Generate code with senior-level patterns
-        const code = await this.generateSeniorCode(file, analysis, architecture, plan);
-        
-        // Perform senior-level validation
-        console.log(`   🔍 Performing comprehensive validation...`);
-        const validation = await this.performSeniorValidation(code, file);
-        
-        if (!validation.passed) {
-          console.log(`   ⚠️  Quality issues detected:`);
-          validation.issues.forEach(issue => console.log(`      - ${issue.category}: ${issue.message}`));
-          
-          // Apply senior-level fixes
-          const fixedCode = await this.applySeniorFixes(code, validation.issues);
-          fs.writeFileSync(file, fixedCode);
-        } else {
-          fs.writeFileSync(file, code);
-        }
-        
-        console.log(`   ✅ Generated ${file} (Senior Quality Score: ${validation.score}/100)`);
-        
-        // Learn from the implementation
-        await this.memory.learnCodePattern(
-          this.type,
-          `${this.ticket.id}-implementation`,
-          `Implementation for ${this.ticket.description}`,
-          code.substring(0, 1000)
-        );
-        
-        // Generate comprehensive tests
-        await this.generateComprehensiveTests(file, code);
-        
-        // Generate documentation
-        await this.generateDocumentation(file, code, architecture);
-      }
-      
-      // 7. Performance optimization pass
-      console.log('\n7️⃣ Applying performance optimizations...');
-      await this.optimizeImplementation(files);
-      
-      // 8. Security audit
-      console.log('\n8️⃣ Running security audit...');
-      await this.performSecurityAudit(files);
-      
-      // 9. Generate integration tests
-      console.log('\n9️⃣ Generating integration tests...');
-      await this.generateIntegrationTests(files, architecture);
-      
-      // 10. Final quality checks
-      console.log('\n🔟 Running final quality checks...');
-      this.runQualityChecks();
-      
-      // 11. Commit with detailed message
-      console.log('\n📝 Committing changes...');
-      this.commitWork(analysis, architecture);
-      
-      // 12. Generate PR description
-      const prDescription = await this.generatePRDescription(analysis, architecture, files);
-      fs.writeFileSync(`.pr-description-${this.ticket.id}.md`, prDescription);
-      
-      console.log('\n✅ Senior AI Agent completed the task!');
-      console.log('\n📊 Summary:');
-      console.log(`   - Architecture Pattern: ${architecture.pattern}`);
-      console.log(`   - Code Quality Score: ${validation.score}/100`);
-      console.log(`   - Performance Grade: ${analysis.performanceGrade}`);
-      console.log(`   - Security Grade: ${analysis.securityGrade}`);
-      console.log(`   - Test Coverage Target: ${analysis.testCoverageTarget}%`);
-      console.log(`   - Files Created: ${files.length}`);
-      console.log('\n🚀 Ready for principal engineer review!');
-      
-    } catch (error) {
-      console.error('\n❌ Senior AI Agent encountered an error:', error.message);
-      
-      // Record the error for learning
-      await this.memory.addMemory(
-        `Error encountered: ${error.message}\nContext: ${this.ticket.description}`,
-        this.type,
-        'errors',
-        { severity: 'high', needsReview: true }
-      );
-      
-      throw error;
-    }
+  // Memory writes are bookkeeping and never fail the run
+  warnMemoryUnavailable(error) {
+    console.warn(`   ⚠️  Could not record in memory: ${error.message}`);
   }
 
   async performSeniorAnalysis() {
@@ -189,6 +33,7 @@ class SeniorAIAgent {
 Ticket: ${this.ticket.id}
 Description: ${this.ticket.description}
 Notes: ${this.ticket.notes?.join('\n') || 'None'}
+Acceptance criteria: ${extractAcceptanceCriteria(this.ticket).map(criterion => `\n${criterion.id}: ${criterion.text}`).join('') || 'None'}
 
 Provide analysis including:
 1. Architectural patterns needed (be specific)
@@ -214,39 +59,25 @@ Format as JSON with these fields:
   "estimatedLinesOfCode": number,
   "performanceGrade": "A|B|C|D",
   "securityGrade": "A|B|C|D",
-  "testCoverageTarget": number
-}`;
+  "testCoverageTarget": number,
+  "handoffs": [{"agent": "other agent", "type": "schema-change|api-change|ui-change|test-change|other", "request": "work in that agent's area this ticket needs", "files": ["its files"]}]
+}
 
-    const response = await this.ai.callOpenRouter([
+Leave "handoffs" empty unless part of the work belongs to another agent's area.`;
+
+    const result = await this.ai.completeJSON([
       { 
         role: 'system', 
         content: `You are a principal ${this.type} engineer with 15+ years of experience. You think in terms of systems, patterns, and long-term implications.`
       },
       { role: 'user', content: prompt }
-    ], 'anthropic/claude-3-opus-20240229'); // Use most capable model for analysis
+    ], this.ai.route('architecture', this.type, 'complex'), schemas.seniorAnalysis);
 
-    try {
-      return JSON.parse(response);
-    } catch (e) {
-      console.log('Using default senior analysis');
-      return {
-        complexity: 'complex',
-        architectureImpact: 'high',
-        requiredPatterns: this.seniorCapabilities[this.type].patterns.slice(0, 2),
-        performanceConsiderations: ['optimize bundle size', 'implement caching'],
-        securityImplications: ['validate all inputs', 'implement rate limiting'],
-        scalabilityRequirements: { expected: '1000 concurrent users' },
-        testingStrategy: { unit: '90% coverage', integration: 'critical paths', e2e: 'user journeys' },
-        estimatedLinesOfCode: 500,
-        performanceGrade: 'A',
-        securityGrade: 'A',
-        testCoverageTarget: 90
-      };
-    }
+    return this.seniorAnalysisFrom(result);
   }
 
   async designArchitecture(analysis) {
-    const patterns = this.seniorCapabilities[this.type].patterns;
+    const patterns = this.seniorCapabilities.patterns || [];
     const prompt = `As a principal ${this.type} architect, design the architecture for:
 
 ${this.ticket.description}
@@ -277,14 +108,15 @@ Provide as JSON with:
   "deployment": "deployment approach"
 }`;
 
-    const response = await this.ai.callOpenRouter([
+    const result = await this.ai.completeJSON([
       { role: 'system', content: `You are a principal software architect designing scalable, maintainable systems.` },
       { role: 'user', content: prompt }
-    ], 'anthropic/claude-3-opus-20240229');
+    ], this.ai.route('architecture', this.type, analysis.complexity), schemas.architectureDesign);
 
-    try {
-      return JSON.parse(response);
-    } catch (e) {
+    if (result.status === 'ok') {
+      return result.data;
+    } else {
+      console.log(`⚠️  Architecture design unparseable: ${result.errors.join('; ')}`);
       return {
         pattern: analysis.requiredPatterns[0] || 'Component-based',
         decision: `Use ${analysis.requiredPatterns[0]} pattern for ${this.ticket.description}`,
@@ -293,13 +125,14 @@ Provide as JSON with:
         components: [{ name: 'Main Component', responsibility: 'Core functionality', patterns: analysis.requiredPatterns }],
         dataFlow: 'Unidirectional data flow with centralized state management',
         integrations: ['API Gateway', 'Message Queue', 'Cache Layer'],
-        deployment: 'Container-based with auto-scaling'
+        deployment: 'Container-based with auto-scaling',
+        status: 'unparseable'
       };
     }
   }
 
   async generateSeniorImplementationPlan(analysis, architecture) {
-    const capabilities = this.seniorCapabilities[this.type];
+    const capabilities = this.seniorCapabilities;
     
     const prompt = `As a principal ${this.type} engineer, create a detailed implementation plan for:
 
@@ -311,7 +144,7 @@ Analysis: ${JSON.stringify(analysis, null, 2)}
 Include:
 1. Phase-by-phase implementation approach
 2. Specific design patterns with code examples
-3. Performance optimization techniques from: ${capabilities.performance.join(', ')}
+3. Performance optimization techniques from: ${(capabilities.performance || capabilities.optimization)?.join(', ') || 'best practices'}
 4. Security measures implementing: ${capabilities.security?.join(', ') || 'best practices'}
 5. Testing strategy covering: unit, integration, e2e, performance, security
 6. Monitoring and observability setup
@@ -323,7 +156,7 @@ Provide concrete code examples and specific technical details.`;
     return await this.ai.callOpenRouter([
       { role: 'system', content: `You are a principal engineer creating detailed implementation plans with production-ready code examples.` },
       { role: 'user', content: prompt }
-    ], 'anthropic/claude-3-opus-20240229');
+    ], this.ai.route('planning', this.type, analysis.complexity));
   }
 
   async generateSeniorCode(file, analysis, architecture, plan) {
@@ -335,14 +168,14 @@ Provide concrete code examples and specific technical details.`;
 Requirements: ${this.ticket.description}
 Architecture: ${JSON.stringify(architecture, null, 2)}
 Required Patterns: ${analysis.requiredPatterns.join(', ')}
-Performance Grade Target: ${analysis.performanceGrade}
-Security Grade Target: ${analysis.securityGrade}
+Performance Grade Target: ${formatTarget(analysis.performanceGrade)}
+Security Grade Target: ${formatTarget(analysis.securityGrade)}
 
 Implementation Requirements:
 1. Use these specific patterns: ${analysis.requiredPatterns.join(', ')}
 2. Implement comprehensive error handling and logging
-3. Add performance optimizations: ${analysis.performanceConsiderations.join(', ')}
-4. Include security measures: ${analysis.securityImplications.join(', ')}
+3. Add performance optimizations: ${analysis.performanceConsiderations?.join(', ') || 'none identified'}
+4. Include security measures: ${analysis.securityImplications?.join(', ') || 'none identified'}
 5. Follow SOLID principles and clean architecture
 6. Include comprehensive JSDoc documentation
 7. Make it highly testable with dependency injection
@@ -357,49 +190,11 @@ Respond with ONLY the complete code.`;
     const code = await this.ai.callOpenRouter([
       { role: 'system', content: `You are a principal ${this.type} engineer writing production-grade code that other seniors will review and learn from.` },
       { role: 'user', content: prompt }
-    ], 'anthropic/claude-3-opus-20240229', 0.2); // Lower temperature for consistent quality
+    ], this.ai.route('generation', this.type, analysis.complexity), 0.2); // Lower temperature for consistent quality
 
     return code.replace(/```[\w]*\n/g, '').replace(/```$/g, '').trim();
   }
 
-  async performSeniorValidation(code, file) {
-    const validationCategories = {
-      architecture: ['SOLID principles', 'Design patterns', 'Separation of concerns'],
-      performance: ['Algorithm efficiency', 'Memory usage', 'Bundle size'],
-      security: ['Input validation', 'Authentication', 'Authorization', 'XSS prevention'],
-      maintainability: ['Code clarity', 'Documentation', 'Test coverage'],
-      scalability: ['Stateless design', 'Caching strategy', 'Database efficiency'],
-      errorHandling: ['Comprehensive try-catch', 'Graceful degradation', 'User feedback'],
-      monitoring: ['Logging', 'Metrics', 'Tracing']
-    };
-
-    const validation = {
-      passed: true,
-      score: 100,
-      issues: []
-    };
-
-    // Check each category
-    for (const [category, checks] of Object.entries(validationCategories)) {
-      for (const check of checks) {
-        // Simplified validation - in reality would be more complex
-        if (Math.random() > 0.8) { // 20% chance of finding an issue
-          validation.issues.push({
-            category,
-            check,
-            severity: 'medium',
-            message: `Could improve ${check} in ${category}`,
-            suggestion: `Apply senior-level ${check} pattern`
-          });
-          validation.score -= 5;
-        }
-      }
-    }
-
-    validation.passed = validation.score >= 85; // Senior level requires 85+ score
-    return validation;
-  }
-
   async applySeniorFixes(code, issues) {
     const prompt = `As a principal engineer, improve this code to address these issues:
 
@@ -409,14 +204,14 @@ ${code}
 \`\`\`
 
 Issues to fix:
-${issues.map(i => `- ${i.category}: ${i.message} (${i.suggestion})`).join('\n')}
+${issues.map(i => `- ${formatIssue(i)}`).join('\n')}
 
 Apply senior-level patterns and best practices. Return only the improved code.`;
 
     const improvedCode = await this.ai.callOpenRouter([
       { role: 'system', content: 'You are a principal engineer fixing code to meet the highest standards.' },
       { role: 'user', content: prompt }
-    ], 'anthropic/claude-3-opus-20240229', 0.3);
+    ], this.ai.route('improvement', this.type, 'complex'), 0.3);
 
     // Learn from the improvement
     await this.memory.learnFromReview(
@@ -424,13 +219,14 @@ Apply senior-level patterns and best practices. Return only the improved code.`;
       code.substring(0, 500),
       issues.map(i => i.message).join('\n'),
       improvedCode.substring(0, 500)
-    );
+    ).catch(error => this.warnMemoryUnavailable(error));
 
     return improvedCode.replace(/```[\w]*\n/g, '').replace(/```$/g, '').trim();
   }
 
   async generateComprehensiveTests(file, code) {
     const testFile = file.replace(/\.(ts|tsx|js|jsx)$/, '.test.$1');
+    const criteria = this.context?.analysis?.acceptanceCriteria || [];
     
     const prompt = `As a principal ${this.type} engineer, generate comprehensive tests for this code:
 
@@ -451,6 +247,10 @@ Requirements:
 8. Accessibility tests if frontend
 9. Security tests if backend
 10. Load tests if API endpoint
+11. Tests for the acceptance criteria this file implements, each named after its criterion's id (e.g. \`test('AC1: ...')\`)
+
+Acceptance criteria:
+${criteria.map(criterion => `${criterion.id}: ${criterion.text}`).join('\n') || 'None'}
 
 Use Jest/React Testing Library (frontend) or Jest/Supertest (backend).
 Include test utilities and helpers.
@@ -460,18 +260,22 @@ Respond with ONLY the test code.`;
     const tests = await this.ai.callOpenRouter([
       { role: 'system', content: 'You are a principal engineer writing comprehensive test suites.' },
       { role: 'user', content: prompt }
-    ], 'anthropic/claude-3-opus-20240229', 0.3);
+    ], this.ai.route('testing', this.type, 'complex'), 0.3);
 
-    fs.writeFileSync(testFile, tests.replace(/```[\w]*\n/g, '').replace(/```$/g, '').trim());
+    const testCode = tests.replace(/```[\w]*\n/g, '').replace(/```$/g, '').trim();
+    if (await this.proposeProjectFile(testFile, testCode, [`Tests for ${path.basename(file)}`]) === null) return null;
     console.log(`      ✅ Generated comprehensive tests: ${testFile}`);
 
     // Also generate integration tests if applicable
     if (this.type === 'backend' || (this.type === 'frontend' && code.includes('api'))) {
       const integrationTestFile = file.replace(/\.(ts|tsx|js|jsx)$/, '.integration.test.$1');
       const integrationTests = await this.generateIntegrationTestsForFile(file, code);
-      fs.writeFileSync(integrationTestFile, integrationTests);
-      console.log(`      ✅ Generated integration tests: ${integrationTestFile}`);
+      if (await this.proposeProjectFile(integrationTestFile, integrationTests) !== null) {
+        console.log(`      ✅ Generated integration tests: ${integrationTestFile}`);
+      }
     }
+
+    return testFile;
   }
 
   async generateDocumentation(file, code, architecture) {
@@ -499,15 +303,16 @@ Format as clean, professional Markdown.`;
     const documentation = await this.ai.callOpenRouter([
       { role: 'system', content: 'You are a principal engineer writing documentation that will be used by the entire team.' },
       { role: 'user', content: prompt }
-    ], 'anthropic/claude-3-sonnet-20240229');
+    ], this.ai.route('documentation', this.type));
 
-    fs.writeFileSync(docFile, documentation);
-    console.log(`      ✅ Generated documentation: ${docFile}`);
+    if (await this.proposeProjectFile(docFile, documentation) !== null) {
+      console.log(`      ✅ Generated documentation: ${docFile}`);
+    }
   }
 
   async optimizeImplementation(files) {
     for (const file of files) {
-      const code = fs.readFileSync(file, 'utf8');
+      const code = fs.readFileSync(path.resolve(this.workDir, file), 'utf8');
       
       const optimizationPrompt = `As a performance expert, optimize this code:
 
@@ -529,7 +334,7 @@ Provide the optimized code with comments explaining each optimization.`;
       const optimizedCode = await this.ai.callOpenRouter([
         { role: 'system', content: 'You are a performance engineering expert.' },
         { role: 'user', content: optimizationPrompt }
-      ], 'openai/gpt-4-turbo-preview', 0.3);
+      ], this.ai.route('improvement', this.type, 'complex'), 0.3);
 
       // Measure improvement (simulated)
       const metrics = {
@@ -543,10 +348,12 @@ Provide the optimized code with comments explaining each optimization.`;
         `Optimization for ${file}`,
         'Applied algorithm optimization and caching',
         metrics
-      );
+      ).catch(error => this.warnMemoryUnavailable(error));
 
-      fs.writeFileSync(file, optimizedCode.replace(/```[\w]*\n/g, '').replace(/```$/g, '').trim());
-      console.log(`   ✅ Optimized ${file} (${metrics.improvement}% improvement)`);
+      const optimized = optimizedCode.replace(/```[\w]*\n/g, '').replace(/```$/g, '').trim();
+      if (await this.proposeProjectFile(file, optimized, ['Performance optimization of the generated code']) !== null) {
+        console.log(`   ✅ Optimized ${file} (${metrics.improvement}% improvement)`);
+      }
     }
   }
 
@@ -554,7 +361,7 @@ Provide the optimized code with comments explaining each optimization.`;
     const securityIssues = [];
     
     for (const file of files) {
-      const code = fs.readFileSync(file, 'utf8');
+      const code = fs.readFileSync(path.resolve(this.workDir, file), 'utf8');
       
       // Common security patterns to check
       const securityChecks = [
@@ -584,7 +391,7 @@ Provide the optimized code with comments explaining each optimization.`;
         this.type,
         'security',
         { severity: 'high', ticketId: this.ticket.id }
-      );
+      ).catch(error => this.warnMemoryUnavailable(error));
     } else {
       console.log(`   ✅ Security audit passed`);
     }
@@ -613,16 +420,11 @@ Use appropriate testing frameworks and include setup/teardown.`;
     const integrationTests = await this.ai.callOpenRouter([
       { role: 'system', content: 'You are a principal engineer writing integration tests.' },
       { role: 'user', content: prompt }
-    ], 'anthropic/claude-3-sonnet-20240229');
+    ], this.ai.route('testing', this.type));
 
-    // Ensure directory exists
-    const testDir = path.dirname(integrationTestFile);
-    if (!fs.existsSync(testDir)) {
-      fs.mkdirSync(testDir, { recursive: true });
+    if (await this.proposeProjectFile(integrationTestFile, integrationTests) !== null) {
+      console.log(`   ✅ Generated integration test suite`);
     }
-
-    fs.writeFileSync(integrationTestFile, integrationTests);
-    console.log(`   ✅ Generated integration test suite`);
   }
 
   async generateIntegrationTestsForFile(file, code) {
@@ -646,12 +448,12 @@ Use appropriate mocking for external dependencies.`;
     const tests = await this.ai.callOpenRouter([
       { role: 'system', content: 'You are an expert in integration testing.' },
       { role: 'user', content: prompt }
-    ], 'openai/gpt-4-turbo-preview');
+    ], this.ai.route('testing', this.type));
 
     return tests.replace(/```[\w]*\n/g, '').replace(/```$/g, '').trim();
   }
 
-  async generatePRDescription(analysis, architecture, files) {
+  async generatePRDescription(analysis, architecture, files, acceptance = []) {
     const prompt = `As a principal engineer, create a comprehensive PR description for:
 
 Ticket: ${this.ticket.id} - ${this.ticket.description}
@@ -670,79 +472,15 @@ Include:
 9. Screenshots/diagrams (as markdown)
 10. Checklist for reviewers
 
+The acceptance criteria checklist is appended to your description; do not repeat it.
+
 Format as GitHub-flavored Markdown.`;
 
-    return await this.ai.callOpenRouter([
+    const description = await this.ai.callOpenRouter([
       { role: 'system', content: 'You are a principal engineer writing a PR that will be reviewed by other senior engineers.' },
       { role: 'user', content: prompt }
-    ], 'anthropic/claude-3-sonnet-20240229');
-  }
-
-  async identifyRequiredFiles(analysis) {
-    const files = [];
-    const desc = this.ticket.description.toLowerCase();
-    
-    if (this.type === 'frontend') {
-      // Component files
-      if (desc.includes('component')) {
-        const componentName = this.extractComponentName(desc);
-        files.push(`src/components/${componentName}/${componentName}.tsx`);
-        files.push(`src/components/${componentName}/index.ts`);
-        files.push(`src/components/${componentName}/${componentName}.module.css`);
-        files.push(`src/components/${componentName}/${componentName}.stories.tsx`);
-      }
-      
-      // Hook files
-      if (desc.includes('hook') || analysis.requiredPatterns.includes('Custom Hooks')) {
-        const hookName = `use${this.ticket.id.replace('-', '')}`;
-        files.push(`src/hooks/${hookName}.ts`);
-      }
-      
-      // Context files
-      if (desc.includes('context') || desc.includes('state management')) {
-        files.push(`src/contexts/${this.ticket.id}Context.tsx`);
-      }
-    } else if (this.type === 'backend') {
-      // Service files
-      files.push(`src/services/${this.ticket.id.toLowerCase()}Service.ts`);
-      
-      // Controller/Route files
-      if (desc.includes('api') || desc.includes('endpoint')) {
-        files.push(`src/routes/${this.ticket.id.toLowerCase()}.route.ts`);
-        files.push(`src/controllers/${this.ticket.id.toLowerCase()}.controller.ts`);
-      }
-      
-      // Repository files (if using repository pattern)
-      if (analysis.requiredPatterns.includes('Repository Pattern')) {
-        files.push(`src/repositories/${this.ticket.id.toLowerCase()}.repository.ts`);
-      }
-      
-      // Event handlers (if event-driven)
-      if (analysis.requiredPatterns.includes('Event Sourcing')) {
-        files.push(`src/events/${this.ticket.id.toLowerCase()}.events.ts`);
-        files.push(`src/handlers/${this.ticket.id.toLowerCase()}.handler.ts`);
-      }
-    } else if (this.type === 'database') {
-      // Migration files
-      files.push(`prisma/migrations/${Date.now()}_${this.ticket.id.toLowerCase()}/migration.sql`);
-      
-      // Schema updates
-      if (desc.includes('model') || desc.includes('schema')) {
-        files.push('prisma/schema.prisma');
-      }
-      
-      // Seed files
-      if (desc.includes('seed') || desc.includes('initial data')) {
-        files.push(`prisma/seeds/${this.ticket.id.toLowerCase()}.seed.ts`);
-      }
-      
-      // Query optimization files
-      if (analysis.performanceConsiderations.length > 0) {
-        files.push(`src/queries/${this.ticket.id.toLowerCase()}.queries.ts`);
-      }
-    }
-    
-    return files.length > 0 ? files : [`src/${this.type}/${this.ticket.id.toLowerCase()}.ts`];
+    ], this.ai.route('documentation', this.type));
+    return `${description}\n${this.acceptanceChecklist(acceptance)}`;
   }
 
   extractComponentName(description) {
@@ -753,14 +491,6 @@ Format as GitHub-flavored Markdown.`;
     return this.ticket.id.replace('-', '');
   }
 
-  setupBranch() {
-    try {
-      execSync(`git checkout -b ${this.branch}`, { cwd: this.workDir });
-    } catch (e) {
-      execSync(`git checkout ${this.branch}`, { cwd: this.workDir });
-    }
-  }
-
   runQualityChecks() {
     const checks = [
       { name: 'TypeScript', command: 'npx tsc --noEmit', required: true },
@@ -785,21 +515,22 @@ Format as GitHub-flavored Markdown.`;
     });
   }
 
-  commitWork(analysis, architecture) {
+  commitSeniorWork(analysis, architecture, testResults, acceptance = [], qualityScore = null) {
     execSync('git add .', { cwd: this.workDir });
     
     const commitMessage = `feat(${this.ticket.id}): ${this.ticket.description}
 
 🏗️ Architecture: ${architecture.pattern}
 📊 Complexity: ${analysis.complexity}
-🎯 Performance Grade: ${analysis.performanceGrade}
-🔒 Security Grade: ${analysis.securityGrade}
-✅ Test Coverage Target: ${analysis.testCoverageTarget}%
+🎯 Performance Grade: ${formatTarget(analysis.performanceGrade)}
+🔒 Security Grade: ${formatTarget(analysis.securityGrade)}
+✅ Test Coverage Target: ${formatTarget(analysis.testCoverageTarget, '%')}
+🧪 Generated Tests: ${describeTestResults(testResults)}
 
 Implementation Details:
 - Patterns Used: ${analysis.requiredPatterns.join(', ')}
-- Performance Optimizations: ${analysis.performanceConsiderations.slice(0, 3).join(', ')}
-- Security Measures: ${analysis.securityImplications.slice(0, 3).join(', ')}
+- Performance Optimizations: ${(analysis.performanceConsiderations ?? []).slice(0, 3).join(', ') || 'none identified'}
+- Security Measures: ${(analysis.securityImplications ?? []).slice(0, 3).join(', ') || 'none identified'}
 
 Technical Decisions:
 ${architecture.rationale}
@@ -808,10 +539,10 @@ Breaking Changes: None
 Migration Required: No
 
 AI-Generated with Senior-Level Patterns
-Model: ${this.ai.modelConfig[this.type].complex}
-Quality Score: 95/100`;
+Model: ${this.ai.route('generation', this.type, analysis.complexity).models[0]}
+Quality Score: ${qualityScore ?? 'n/a'}${qualityScore != null ? '/100' : ''}${this.acceptanceSection(acceptance)}`;
     
-    execSync(`git commit -m "${commitMessage}"`, { cwd: this.workDir });
+    execFileSync('git', ['commit', '-m', commitMessage], { cwd: this.workDir });
   }
 }
 
@@ -1,9 +1,11 @@
 /**
  * Senior Agent Implementation
- * Specialized agent with enhanced capabilities
+ * Specialized agent that works a ticket through the senior stage pipeline
+ * (see ../agent-pipeline.js) of an AI agent of its `agentType`
  */
 
-const Agent = require('./base/Agent');
+const Agent = require('../base/Agent');
+const AIEnabledAgent = require('../ai-agent');
 
 class SeniorAgent extends Agent {
   constructor(config = {}) {
@@ -12,7 +14,9 @@ class SeniorAgent extends Agent {
       type: 'senior',
       capabilities: ['planning', 'validation', 'orchestration', ...(config.capabilities || [])]
     });
-    
+
+    this.agentType = config.agentType || 'general';
+    this.createWorker = config.createWorker || ((agentType, ticket) => new AIEnabledAgent(agentType, ticket));
     this.subordinates = new Map();
     this.taskQueue = [];
   }
@@ -24,23 +28,37 @@ class SeniorAgent extends Agent {
     return this.consolidateResults(results);
   }
 
+  /**
+   * Resolve the senior pipeline for the task; its stages are the plan's steps
+   */
   async createPlan(task) {
-    // Implement planning logic
+    const worker = this.createWorker(task.agentType || this.agentType, {
+      id: task.id,
+      description: task.description,
+      notes: task.notes
+    });
+    worker.seniorMode = true;
+    this.subordinates.set(task.id, worker);
+
     return {
-      steps: [],
+      worker,
+      steps: worker.pipelineStages('senior'),
       dependencies: [],
       estimatedTime: 0
     };
   }
 
   async executePlan(plan) {
-    // Execute plan steps
-    return [];
+    try {
+      return await plan.worker.execute();
+    } finally {
+      this.subordinates.delete(plan.worker.ticket.id);
+    }
   }
 
   consolidateResults(results) {
     // Merge and validate results
-    return { success: true, data: results };
+    return { success: results.success === true, data: results };
   }
 }
 
@@ -0,0 +1,144 @@
+/**
+ * Acceptance Criteria
+ * Finds a ticket's acceptance criteria and checks them once the work is
+ * done. Criteria come from the ticket's "Acceptance criteria" section
+ * (`ticket.acceptanceCriteria`, filled by MasterDispatcher) or, without
+ * one, from notes that read like criteria ("must ...", "Given ... then
+ * ...", "[ ] ..."). Each gets an id, AC1, AC2, ..., which the generated
+ * tests are asked to put in their names.
+ *
+ * A criterion is verified by the generated tests named after it when they
+ * ran, and otherwise by a model judgement of the diff
+ * (AIAgentEngine.verifyAcceptanceCriteria). Config: `acceptance.enabled`,
+ * `acceptance.review` (false leaves untested criteria unverified).
+ */
+
+const fs = require('fs');
+const { loadSettings } = require('../../settings');
+
+// "AC2: ...", "[ ] ...", "[x] ..." and bullets in front of a criterion
+const MARKER = /^(?:[-*]\s*)?(?:\[[ xX]?\]\s*|AC\d*\s*[:.)-]\s*)/;
+
+// Notes that read like a requirement rather than a hint
+const CRITERION = /^(?:\[[ xX]?\]|AC\d*\s*[:.)-])|\b(?:must|should|shall)\b|^given\b[\s\S]*\bthen\b/i;
+
+const TEST_TITLE = /\b(?:it|test)(?:\.only)?\(\s*(['"`])((?:\\.|(?!\1).)*)\1/g;
+
+const SECTION_HEADING = /^\s*(?:#+\s*)?acceptance\s+criteria\s*:?\s*(.*)$/i;
+
+const stripMarker = text => String(text).trim().replace(MARKER, '').trim();
+
+/**
+ * The heading of an "Acceptance criteria" section, or null: { inline }
+ * holds criteria written on the heading line, separated by semicolons
+ */
+function matchCriteriaHeading(line) {
+  const match = SECTION_HEADING.exec(line);
+  if (!match) return null;
+  return { inline: match[1].split(';').map(stripMarker).filter(Boolean) };
+}
+
+/**
+ * The ticket's criteria as [{ id, text }]: its explicit section, or the
+ * notes that read like criteria
+ */
+function extractAcceptanceCriteria(ticket = {}) {
+  const explicit = (ticket.acceptanceCriteria || []).map(criterion => (typeof criterion === 'string' ? criterion : criterion.text));
+  const texts = explicit.length > 0 ? explicit : (ticket.notes || []).filter(note => CRITERION.test(String(note).trim()));
+
+  return texts.map(stripMarker).filter(Boolean).map((text, index) => ({ id: `AC${index + 1}`, text }));
+}
+
+// The names of the tests in the generated test files, as { testFile, title }
+function collectTestTitles(tests) {
+  return tests.flatMap(({ testFile }) => {
+    if (!testFile || !fs.existsSync(testFile)) return [];
+    return [...fs.readFileSync(testFile, 'utf8').matchAll(TEST_TITLE)].map(match => ({ testFile, title: match[2] }));
+  });
+}
+
+/**
+ * Verdict of the tests named after `criterion`: pass when none of them
+ * failed, fail when one did, unverified when there are none or they did
+ * not run
+ */
+function verifyByTests(criterion, titles, testResults) {
+  const id = new RegExp(`\\b${criterion.id}\\b`, 'i');
+  const mapped = titles.filter(({ title }) => id.test(title));
+  const result = { ...criterion, status: 'unverified', method: null, tests: mapped.map(({ title }) => title), evidence: null };
+
+  if (mapped.length === 0) return result;
+  if (!testResults || !['passed', 'failed'].includes(testResults.status)) {
+    return { ...result, evidence: 'its tests could not be run' };
+  }
+
+  const failing = mapped.filter(({ title }) => (testResults.failures || []).some(failure => String(failure.name).includes(title)));
+  return failing.length > 0
+    ? { ...result, status: 'fail', method: 'tests', evidence: `failing: ${failing.map(({ title }) => title).join('; ')}` }
+    : { ...result, status: 'pass', method: 'tests', evidence: `${mapped.length} passing test(s)` };
+}
+
+const CHECKBOX = { pass: '[x]', fail: '[ ]', unverified: '[ ]' };
+
+// `- [x] AC1: Orders are paginated (tests: 2 passing test(s))`
+function formatChecklist(results) {
+  return results.map(result => {
+    const how = result.status === 'unverified'
+      ? `unverified${result.evidence ? `: ${result.evidence}` : ''}`
+      : `${result.status === 'fail' ? 'FAILED, ' : ''}${result.method}: ${result.evidence}`;
+    return `- ${CHECKBOX[result.status]} ${result.id}: ${result.text} (${how})`;
+  }).join('\n');
+}
+
+// `2 of 3 passed, 1 unverified`, for logs and commit messages
+function summarizeAcceptance(results) {
+  if (!results || results.length === 0) return 'none found';
+  const count = status => results.filter(result => result.status === status).length;
+  const extra = ['fail', 'unverified']
+    .filter(status => count(status) > 0)
+    .map(status => `${count(status)} ${status === 'fail' ? 'failed' : 'unverified'}`);
+  return `${count('pass')} of ${results.length} passed${extra.length ? `, ${extra.join(', ')}` : ''}`;
+}
+
+class AcceptanceVerifier {
+  constructor(options = {}) {
+    const configured = (options.settings || loadSettings()).acceptance || {};
+
+    this.engine = options.engine;
+    this.enabled = configured.enabled ?? true;
+    this.useReview = configured.review ?? true;
+  }
+
+  /**
+   * Verify `criteria` against the generated `tests` and their
+   * `testResults`, then have the model judge the rest against `diff`.
+   * Resolves with [{ id, text, status: 'pass' | 'fail' | 'unverified',
+   * method: 'tests' | 'review' | null, tests, evidence }].
+   */
+  async verify(agentType, criteria, { ticket = {}, tests = [], testResults = null, diff = '' } = {}) {
+    const titles = collectTestTitles(tests);
+    const results = criteria.map(criterion => verifyByTests(criterion, titles, testResults));
+
+    const open = results.filter(result => result.status === 'unverified');
+    if (open.length === 0 || !this.useReview || !this.engine) return results;
+
+    const review = await this.engine.verifyAcceptanceCriteria(agentType, open, diff, ticket);
+    if (review.status !== 'ok') return results;
+
+    return results.map(result => {
+      const verdict = result.status === 'unverified' && review.criteria.find(item => item.id === result.id);
+      if (!verdict) return result;
+      return { ...result, status: verdict.passed ? 'pass' : 'fail', method: 'review', evidence: verdict.evidence };
+    });
+  }
+}
+
+module.exports = {
+  AcceptanceVerifier,
+  extractAcceptanceCriteria,
+  matchCriteriaHeading,
+  collectTestTitles,
+  verifyByTests,
+  formatChecklist,
+  summarizeAcceptance
+};
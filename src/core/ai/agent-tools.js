@@ -0,0 +1,343 @@
+/**
+ * Agent Tools
+ * Repository tools an agent's model can call while it works: read_file,
+ * list_dir, grep, run_tests and propose_patch. Every path is resolved
+ * inside the project root and must fall under the agent's `workingPaths`
+ * without matching its `excludePaths` (agents.definitions.<agent> or its
+ * plugin, matched as in agent-boundaries.js). Nothing under .git or
+ * node_modules is reachable.
+ * Tool failures are returned to the model as text so it can correct itself.
+ *
+ * Config: `toolLoop.testCommand`, `toolLoop.commandTimeout`,
+ * `toolLoop.maxOutputChars`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseEdits, applyEdits, describeFailures } = require('./code-edits');
+const { matchesPath, leadsTo } = require('../agents/agent-boundaries');
+const { mergeAgentDefinitions } = require('../agents/agent-registry');
+const { loadSettings } = require('../../settings');
+
+const SKIPPED_DIRS = ['.git', 'node_modules'];
+const MAX_GREP_FILES = 5000;
+const MAX_FILE_BYTES = 1024 * 1024;
+
+const TOOL_DEFINITIONS = [
+  {
+    name: 'read_file',
+    description: 'Read a file of the project. Lines are numbered. Use startLine/endLine for large files.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path relative to the project root' },
+        startLine: { type: 'integer', description: 'First line to return (1-based)' },
+        endLine: { type: 'integer', description: 'Last line to return' }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'list_dir',
+    description: 'List the entries of a project directory. Directories end with "/".',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Directory relative to the project root (default ".")' }
+      }
+    }
+  },
+  {
+    name: 'grep',
+    description: 'Search project files for a regular expression. Returns file:line: text matches.',
+    parameters: {
+      type: 'object',
+      properties: {
+        pattern: { type: 'string', description: 'JavaScript regular expression' },
+        path: { type: 'string', description: 'Directory or file to search (default ".")' },
+        ignoreCase: { type: 'boolean' }
+      },
+      required: ['pattern']
+    }
+  },
+  {
+    name: 'run_tests',
+    description: "Run the project's test command, optionally for one test file or directory. Returns the exit code and the end of the output.",
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Test file or directory to run (default: the whole suite)' }
+      }
+    }
+  },
+  {
+    name: 'propose_patch',
+    description: 'Change a file with SEARCH/REPLACE blocks (<<<<<<< SEARCH / ======= / >>>>>>> REPLACE). An empty SEARCH creates a new file. Returns which edits applied.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path relative to the project root' },
+        edits: { type: 'string', description: 'One or more SEARCH/REPLACE blocks' }
+      },
+      required: ['path', 'edits']
+    }
+  }
+];
+
+// The real path of a file, or of its nearest ancestor that exists; null for a broken link
+function realpathOfNearest(file) {
+  let existing = file;
+  while (!lstatOrNull(existing) && path.dirname(existing) !== existing) {
+    existing = path.dirname(existing);
+  }
+  try {
+    return path.join(fs.realpathSync(existing), path.relative(existing, file));
+  } catch {
+    return null;
+  }
+}
+
+function lstatOrNull(file) {
+  try {
+    return fs.lstatSync(file);
+  } catch {
+    return null;
+  }
+}
+
+const quote = value => `'${String(value).replace(/'/g, "'\\''")}'`;
+
+class AgentToolbox {
+  constructor(options = {}) {
+    const settings = options.settings || loadSettings();
+    const definition = mergeAgentDefinitions(settings)[options.agentType] || {};
+    const configured = settings.toolLoop || {};
+
+    this.root = path.resolve(options.root || process.cwd());
+    this.realRoot = fs.realpathSync(this.root);
+    this.workingPaths = options.workingPaths || definition.workingPaths || ['.'];
+    this.excludePaths = options.excludePaths || definition.excludePaths || [];
+    this.testCommand = options.testCommand || configured.testCommand || 'npm test -- --passWithNoTests';
+    this.commandTimeout = options.commandTimeout || configured.commandTimeout || 120000;
+    this.maxOutput = options.maxOutputChars || configured.maxOutputChars || 12000;
+
+    // Files changed through propose_patch, in order
+    this.patches = [];
+  }
+
+  /**
+   * Tool schemas in the OpenAI function-calling format
+   */
+  definitions() {
+    return TOOL_DEFINITIONS.map(tool => ({ type: 'function', function: tool }));
+  }
+
+  isAllowed(file) {
+    return this.workingPaths.some(pattern => matchesPath(file, pattern)) &&
+      !this.excludePaths.some(pattern => matchesPath(file, pattern));
+  }
+
+  // Directories that are allowed or on the way to an allowed path
+  isReachable(dir) {
+    return (this.isAllowed(dir) || this.workingPaths.some(pattern => leadsTo(dir, pattern))) &&
+      !this.excludePaths.some(pattern => matchesPath(dir, pattern));
+  }
+
+  /**
+   * Resolve a model-supplied path to { relative, absolute } or throw
+   * PATH_NOT_ALLOWED when it leaves the project or the agent's paths
+   */
+  resolve(requested = '.', { directory = false } = {}) {
+    const absolute = path.resolve(this.root, String(requested));
+    const relative = path.relative(this.root, absolute).split(path.sep).join('/');
+    const deny = reason => {
+      const error = new Error(`${requested} ${reason}`);
+      error.code = 'PATH_NOT_ALLOWED';
+      return error;
+    };
+
+    if (relative === '..' || relative.startsWith('../') || path.isAbsolute(relative)) {
+      throw deny('is outside the project');
+    }
+    if (relative.split('/').some(segment => SKIPPED_DIRS.includes(segment))) {
+      throw deny(`is inside ${SKIPPED_DIRS.join(' or ')}`);
+    }
+    // A file that does not exist yet is created under its nearest existing directory
+    const real = realpathOfNearest(absolute);
+    if (real !== this.realRoot && !real?.startsWith(this.realRoot + path.sep)) {
+      throw deny('links outside the project');
+    }
+    if (!(directory ? this.isReachable(relative) : this.isAllowed(relative))) {
+      throw deny(`is outside this agent's working paths (${this.workingPaths.join(', ')})`);
+    }
+
+    return { relative: relative || '.', absolute };
+  }
+
+  /**
+   * Run a tool call and return its result as text
+   */
+  async execute(name, args = {}) {
+    const handlers = {
+      read_file: () => this.readFile(args),
+      list_dir: () => this.listDir(args),
+      grep: () => this.grep(args),
+      run_tests: () => this.runTests(args),
+      propose_patch: () => this.proposePatch(args)
+    };
+
+    if (!handlers[name]) {
+      return `Error: unknown tool ${name}. Available tools: ${Object.keys(handlers).join(', ')}`;
+    }
+    if (!args || typeof args !== 'object') {
+      return `Error: arguments for ${name} must be a JSON object`;
+    }
+
+    try {
+      return this.clip(await handlers[name]());
+    } catch (error) {
+      return `Error: ${error.message}`;
+    }
+  }
+
+  clip(text) {
+    if (text.length <= this.maxOutput) return text;
+    return `${text.substring(0, this.maxOutput)}\n[... ${text.length - this.maxOutput} more characters cut]`;
+  }
+
+  readFile({ path: requested, startLine, endLine }) {
+    const { relative, absolute } = this.resolve(requested);
+    if (!fs.existsSync(absolute) || !fs.statSync(absolute).isFile()) {
+      throw new Error(`${relative} does not exist`);
+    }
+
+    const lines = fs.readFileSync(absolute, 'utf8').split('\n');
+    const first = Math.max(1, startLine || 1);
+    const last = Math.min(lines.length, endLine || lines.length);
+
+    return [
+      `${relative} (lines ${first}-${last} of ${lines.length})`,
+      ...lines.slice(first - 1, last).map((line, i) => `${first + i}: ${line}`)
+    ].join('\n');
+  }
+
+  listDir({ path: requested = '.' }) {
+    const { relative, absolute } = this.resolve(requested, { directory: true });
+    if (!fs.existsSync(absolute) || !fs.statSync(absolute).isDirectory()) {
+      throw new Error(`${relative} is not a directory`);
+    }
+
+    const prefix = relative === '.' ? '' : `${relative}/`;
+    const entries = fs.readdirSync(absolute, { withFileTypes: true })
+      .filter(entry => !SKIPPED_DIRS.includes(entry.name))
+      .filter(entry => entry.isDirectory()
+        ? this.isReachable(prefix + entry.name)
+        : this.isAllowed(prefix + entry.name))
+      .map(entry => entry.name + (entry.isDirectory() ? '/' : ''))
+      .sort();
+
+    return entries.length > 0 ? entries.join('\n') : `${relative} has no entries this agent may access`;
+  }
+
+  // Allowed files under `relative`, depth-first
+  collectFiles(relative, absolute, files = []) {
+    if (files.length >= MAX_GREP_FILES) return files;
+
+    if (fs.statSync(absolute).isFile()) {
+      if (this.isAllowed(relative)) files.push({ relative, absolute });
+      return files;
+    }
+
+    const prefix = relative === '.' ? '' : `${relative}/`;
+    for (const entry of fs.readdirSync(absolute, { withFileTypes: true })) {
+      const child = prefix + entry.name;
+      if (SKIPPED_DIRS.includes(entry.name)) continue;
+      if (entry.isDirectory() ? this.isReachable(child) : entry.isFile()) {
+        this.collectFiles(child, path.join(absolute, entry.name), files);
+      }
+    }
+    return files;
+  }
+
+  grep({ pattern, path: requested = '.', ignoreCase = false }) {
+    let regex;
+    try {
+      regex = new RegExp(pattern, ignoreCase ? 'i' : '');
+    } catch (error) {
+      throw new Error(`invalid pattern: ${error.message}`);
+    }
+
+    const { relative, absolute } = this.resolve(requested, { directory: true });
+    if (!fs.existsSync(absolute)) {
+      throw new Error(`${relative} does not exist`);
+    }
+
+    const matches = [];
+    for (const file of this.collectFiles(relative, absolute)) {
+      if (fs.statSync(file.absolute).size > MAX_FILE_BYTES) continue;
+
+      const content = fs.readFileSync(file.absolute, 'utf8');
+      if (content.includes('\u0000')) continue; // binary
+
+      content.split('\n').forEach((line, i) => {
+        if (regex.test(line)) matches.push(`${file.relative}:${i + 1}: ${line.trim()}`);
+      });
+      if (matches.length >= 200) break;
+    }
+
+    return matches.length > 0 ? matches.slice(0, 200).join('\n') : `No matches for /${pattern}/ in ${relative}`;
+  }
+
+  runTests({ path: requested }) {
+    let command = this.testCommand;
+    if (requested) {
+      const { relative } = this.resolve(requested, { directory: true });
+      command += ` ${quote(relative)}`;
+    }
+
+    console.log(`   🧪 Running ${command}`);
+    const result = spawnSync(command, {
+      cwd: this.root,
+      shell: true,
+      encoding: 'utf8',
+      timeout: this.commandTimeout,
+      maxBuffer: 16 * 1024 * 1024,
+      env: { ...process.env, CI: 'true' }
+    });
+
+    const output = `${result.stdout || ''}${result.stderr || ''}`;
+    const tail = output.length > this.maxOutput - 200 ? output.slice(-(this.maxOutput - 200)) : output;
+    const status = result.error?.code === 'ETIMEDOUT'
+      ? `timed out after ${this.commandTimeout}ms`
+      : `exit code ${result.status}`;
+
+    return `$ ${command}\n${status}\n${tail}`;
+  }
+
+  proposePatch({ path: requested, edits }) {
+    const { relative, absolute } = this.resolve(requested);
+    const exists = fs.existsSync(absolute);
+    const parsed = parseEdits(edits);
+
+    if (parsed.edits.length === 0) {
+      throw new Error('no SEARCH/REPLACE blocks found in edits');
+    }
+
+    const source = exists ? fs.readFileSync(absolute, 'utf8') : '';
+    const { content, applied, failed } = applyEdits(source, parsed.edits);
+
+    if (applied.length > 0) {
+      fs.mkdirSync(path.dirname(absolute), { recursive: true });
+      fs.writeFileSync(absolute, content);
+      this.patches.push({ file: relative, created: !exists, applied: applied.length, failed: failed.length });
+    }
+
+    return [
+      `${relative}: ${applied.length} of ${parsed.edits.length} edit(s) applied${exists ? '' : ' (new file)'}`,
+      failed.length > 0 ? describeFailures(failed) : ''
+    ].filter(Boolean).join('\n\n');
+  }
+}
+
+module.exports = { AgentToolbox, TOOL_DEFINITIONS, matchesPath };
@@ -5,7 +5,9 @@ const path = require('path');
 const { execSync } = require('child_process');
 
 class AIValidationLayer {
-  constructor() {
+  // `root` is the checkout imports and package.json are checked against; `context.root` overrides it per file
+  constructor(options = {}) {
+    this.root = options.root || null;
     this.validationRules = {
       syntax: {
         enabled: true,
@@ -208,7 +210,8 @@ class AIValidationLayer {
           type: 'security',
           pattern: pattern.regex.toString(),
           message: pattern.message,
-          occurrences: matches.length
+          occurrences: matches.length,
+          line: this.lineOf(code, pattern.regex)
         };
         
         if (pattern.severity === 'high') {
@@ -240,7 +243,8 @@ class AIValidationLayer {
         if (!code.match(req.pattern)) {
           results.suggestions.push({
             type: 'quality',
-            message: req.message
+            message: req.message,
+            line: 1
           });
         }
       }
@@ -274,16 +278,17 @@ class AIValidationLayer {
     const imports = [];
     let match;
     while ((match = importRegex.exec(code)) !== null) {
-      imports.push(match[1]);
+      imports.push({ name: match[1], line: this.lineAt(code, match.index) });
     }
     while ((match = requireRegex.exec(code)) !== null) {
-      imports.push(match[1]);
+      imports.push({ name: match[1], line: this.lineAt(code, match.index) });
     }
     
-    for (const imp of imports) {
+    const root = path.resolve(context.root || this.root || process.cwd());
+    for (const { name: imp, line } of imports) {
       // Check if it's a relative import
       if (imp.startsWith('.')) {
-        const importPath = path.resolve(path.dirname(filePath), imp);
+        const importPath = path.resolve(root, path.dirname(filePath), imp);
         const possiblePaths = [
           importPath,
           `${importPath}.js`,
@@ -298,12 +303,13 @@ class AIValidationLayer {
         if (!exists) {
           results.errors.push({
             type: 'hallucination',
-            message: `Import references non-existent file: ${imp}`
+            message: `Import references non-existent file: ${imp}`,
+            line
           });
         }
       } else if (!imp.startsWith('@') && !this.isNodeBuiltin(imp)) {
         // Check if package exists in node_modules
-        const packageJsonPath = path.join(process.cwd(), 'package.json');
+        const packageJsonPath = path.join(root, 'package.json');
         if (fs.existsSync(packageJsonPath)) {
           const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
           const allDeps = {
@@ -314,7 +320,8 @@ class AIValidationLayer {
           if (!allDeps[imp]) {
             results.warnings.push({
               type: 'hallucination',
-              message: `Import references package not in package.json: ${imp}`
+              message: `Import references package not in package.json: ${imp}`,
+              line
             });
           }
         }
@@ -333,7 +340,8 @@ class AIValidationLayer {
       if (commonPhantomMethods.includes(method) && !code.includes(`${method}:`)) {
         results.warnings.push({
           type: 'hallucination',
-          message: `Possible phantom method call: ${obj}.${method}()`
+          message: `Possible phantom method call: ${obj}.${method}()`,
+          line: this.lineAt(code, match.index)
         });
       }
     }
@@ -347,11 +355,12 @@ class AIValidationLayer {
     Object.keys(this.validationRules.architecture.checks).forEach(checkName => {
       const checkMethod = this.validationRules.architecture.checks[checkName];
       const issues = checkMethod.call(this, code);
-      issues.forEach(issue => {
+      issues.map(this.toFinding).forEach(({ message, line }) => {
         results.suggestions.push({
           type: 'architecture',
           check: checkName,
-          message: issue
+          message,
+          line
         });
       });
     });
@@ -365,11 +374,12 @@ class AIValidationLayer {
     Object.keys(this.validationRules.performance.checks).forEach(checkName => {
       const checkMethod = this.validationRules.performance.checks[checkName];
       const issues = checkMethod.call(this, code);
-      issues.forEach(issue => {
+      issues.map(this.toFinding).forEach(({ message, line }) => {
         results.warnings.push({
           type: 'performance',
           check: checkName,
-          message: issue
+          message,
+          line
         });
       });
     });
@@ -383,18 +393,20 @@ class AIValidationLayer {
     Object.keys(this.validationRules.seniorSecurity.checks).forEach(checkName => {
       const checkMethod = this.validationRules.seniorSecurity.checks[checkName];
       const issues = checkMethod.call(this, code);
-      issues.forEach(issue => {
-        if (issue.includes('A03: Injection') || issue.includes('hardcoded')) {
+      issues.map(this.toFinding).forEach(({ message, line }) => {
+        if (message.includes('A03: Injection') || message.includes('hardcoded')) {
           results.errors.push({
             type: 'senior-security',
             check: checkName,
-            message: issue
+            message,
+            line
           });
         } else {
           results.warnings.push({
             type: 'senior-security',
             check: checkName,
-            message: issue
+            message,
+            line
           });
         }
       });
@@ -415,7 +427,7 @@ class AIValidationLayer {
         const classCode = this.extractClassCode(code, className);
         const methodCount = (classCode.match(/^\s*\w+\s*\(/gm) || []).length;
         if (methodCount > 10) {
-          issues.push(`Class ${className} may violate SRP (${methodCount} methods)`);
+          issues.push({ message: `Class ${className} may violate SRP (${methodCount} methods)`, line: this.lineOf(code, `class ${className}`) });
         }
       });
     }
@@ -445,11 +457,11 @@ class AIValidationLayer {
     
     // Check for mixed concerns
     if (code.includes('fetch(') && code.includes('useState(')) {
-      issues.push('Consider separating API calls from component state');
+      issues.push({ message: 'Consider separating API calls from component state', line: this.lineOf(code, 'fetch(') });
     }
     
     if (code.includes('console.log') && !code.includes('test')) {
-      issues.push('Remove console.log statements from production code');
+      issues.push({ message: 'Remove console.log statements from production code', line: this.lineOf(code, 'console.log') });
     }
     
     return issues;
@@ -461,7 +473,7 @@ class AIValidationLayer {
     // Check for nested loops
     const nestedLoopPattern = /for\s*\([^}]*\{[^}]*for\s*\(/g;
     if (code.match(nestedLoopPattern)) {
-      issues.push('Nested loops detected - consider algorithm optimization');
+      issues.push({ message: 'Nested loops detected - consider algorithm optimization', line: this.lineOf(code, nestedLoopPattern) });
     }
     
     // Check for inefficient array methods
@@ -472,7 +484,7 @@ class AIValidationLayer {
     
     inefficientPatterns.forEach(({ pattern, message }) => {
       if (code.match(pattern)) {
-        issues.push(message);
+        issues.push({ message, line: this.lineOf(code, pattern) });
       }
     });
     
@@ -484,12 +496,12 @@ class AIValidationLayer {
     
     // Check for event listeners without cleanup
     if (code.includes('addEventListener') && !code.includes('removeEventListener')) {
-      issues.push('Event listeners should be cleaned up in useEffect cleanup');
+      issues.push({ message: 'Event listeners should be cleaned up in useEffect cleanup', line: this.lineOf(code, 'addEventListener') });
     }
     
     // Check for timers without cleanup
     if (code.includes('setInterval') && !code.includes('clearInterval')) {
-      issues.push('Intervals should be cleared to prevent memory leaks');
+      issues.push({ message: 'Intervals should be cleared to prevent memory leaks', line: this.lineOf(code, 'setInterval') });
     }
     
     return issues;
@@ -502,7 +514,7 @@ class AIValidationLayer {
     const heavyLibraries = ['lodash', 'moment', 'axios'];
     heavyLibraries.forEach(lib => {
       if (code.includes(`from '${lib}'`) && !code.includes(`from '${lib}/`)) {
-        issues.push(`Consider importing specific functions from ${lib} to reduce bundle size`);
+        issues.push({ message: `Consider importing specific functions from ${lib} to reduce bundle size`, line: this.lineOf(code, `from '${lib}'`) });
       }
     });
     
@@ -522,7 +534,7 @@ class AIValidationLayer {
     
     owaspChecks.forEach(({ pattern, message }) => {
       if (code.match(pattern)) {
-        issues.push(message);
+        issues.push({ message, line: this.lineOf(code, pattern) });
       }
     });
     
@@ -534,12 +546,12 @@ class AIValidationLayer {
     
     // Check for API routes without validation
     if (code.includes('req.body') && !code.includes('validate')) {
-      issues.push('API endpoints should validate input data');
+      issues.push({ message: 'API endpoints should validate input data', line: this.lineOf(code, 'req.body') });
     }
     
     // Check for form inputs without validation
     if (code.includes('input') && !code.includes('required') && !code.includes('pattern')) {
-      issues.push('Form inputs should include client-side validation');
+      issues.push({ message: 'Form inputs should include client-side validation', line: this.lineOf(code, 'input') });
     }
     
     return issues;
@@ -550,17 +562,35 @@ class AIValidationLayer {
     
     // Check for protected routes
     if (code.includes('router.') && !code.includes('auth') && !code.includes('middleware')) {
-      issues.push('API routes should include authentication middleware');
+      issues.push({ message: 'API routes should include authentication middleware', line: this.lineOf(code, 'router.') });
     }
     
     // Check for JWT handling
     if (code.includes('jwt') && !code.includes('verify')) {
-      issues.push('JWT tokens should be properly verified');
+      issues.push({ message: 'JWT tokens should be properly verified', line: this.lineOf(code, 'jwt') });
     }
     
     return issues;
   }
 
+  // Checks return a message, or { message, line } when they can point at the code
+  toFinding(issue) {
+    return typeof issue === 'string' ? { message: issue, line: null } : issue;
+  }
+
+  // 1-based line of a character offset
+  lineAt(code, index) {
+    return code.slice(0, index).split('\n').length;
+  }
+
+  // 1-based line of the first match of a string or RegExp, or null
+  lineOf(code, pattern) {
+    const index = typeof pattern === 'string'
+      ? code.indexOf(pattern)
+      : code.search(new RegExp(pattern.source, pattern.flags.replace('g', '')));
+    return index === -1 ? null : this.lineAt(code, index);
+  }
+
   extractClassCode(code, className) {
     const classStart = code.indexOf(`class ${className}`);
     if (classStart === -1) return '';
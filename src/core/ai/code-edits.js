@@ -0,0 +1,255 @@
+/**
+ * Code Edits
+ * Parses model-proposed edits (SEARCH/REPLACE blocks or unified diffs) and
+ * applies them to an existing file with progressively fuzzier matching:
+ * exact lines, then ignoring trailing whitespace, then ignoring indentation,
+ * then per-line token similarity. Edits that cannot be located (or match
+ * more than one place) are reported back instead of being guessed.
+ */
+
+const FUZZY_THRESHOLD = 0.8; // Average line similarity for a fuzzy match
+const FUZZY_LINE_FLOOR = 0.5; // No single line may be less similar than this
+
+const SEARCH_REPLACE = /<{5,9} SEARCH[^\n]*\n([\s\S]*?)\n?={5,9}\n([\s\S]*?)\n?>{5,9} REPLACE/g;
+const HUNK_HEADER = /^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/;
+
+function splitLines(text) {
+  return text === '' ? [] : text.replace(/\r\n/g, '\n').split('\n');
+}
+
+function parseSearchReplace(text) {
+  return [...text.matchAll(SEARCH_REPLACE)].map(match => ({
+    search: match[1],
+    replace: match[2],
+    hint: null
+  }));
+}
+
+function parseUnifiedDiff(text) {
+  const edits = [];
+  let hunk = null;
+
+  const close = () => {
+    if (hunk) {
+      edits.push({ search: hunk.search.join('\n'), replace: hunk.replace.join('\n'), hint: hunk.hint });
+    }
+    hunk = null;
+  };
+
+  for (const line of text.replace(/\r\n/g, '\n').split('\n')) {
+    const header = HUNK_HEADER.exec(line);
+    if (header) {
+      close();
+      hunk = { search: [], replace: [], hint: Number(header[1]) };
+    } else if (!hunk || line.startsWith('--- ') || line.startsWith('+++ ') || line.startsWith('```')) {
+      close();
+    } else if (line.startsWith('+')) {
+      hunk.replace.push(line.substring(1));
+    } else if (line.startsWith('-')) {
+      hunk.search.push(line.substring(1));
+    } else if (line.startsWith(' ') || line === '') {
+      hunk.search.push(line.substring(1));
+      hunk.replace.push(line.substring(1));
+    } else if (!line.startsWith('\\')) {
+      close(); // Prose after the diff; '\ No newline at end of file' is ignored
+    }
+  }
+  close();
+
+  // Trailing blank context lines are usually an artifact of the reply's formatting
+  edits.forEach(edit => {
+    while (edit.search.endsWith('\n') && edit.replace.endsWith('\n')) {
+      edit.search = edit.search.slice(0, -1);
+      edit.replace = edit.replace.slice(0, -1);
+    }
+  });
+  return edits;
+}
+
+/**
+ * Extract edits from a model reply. Returns
+ * { format: 'search-replace' | 'unified-diff' | null, edits: [{ search, replace, hint }] }
+ */
+function parseEdits(text) {
+  const blocks = parseSearchReplace(text || '');
+  if (blocks.length > 0) {
+    return { format: 'search-replace', edits: blocks };
+  }
+
+  const hunks = parseUnifiedDiff(text || '');
+  if (hunks.length > 0) {
+    return { format: 'unified-diff', edits: hunks };
+  }
+
+  return { format: null, edits: [] };
+}
+
+// Identifiers, numbers and single punctuation characters
+function tokens(line) {
+  return line.match(/[A-Za-z0-9_$]+|[^\sA-Za-z0-9_$]/g) || [];
+}
+
+// Dice coefficient over the lines' tokens
+function lineSimilarity(a, b) {
+  const left = a.trim();
+  const right = b.trim();
+  if (left === right) return 1;
+  if (!left || !right) return 0;
+
+  const counts = new Map();
+  const leftTokens = tokens(left);
+  const rightTokens = tokens(right);
+  leftTokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+
+  let shared = 0;
+  rightTokens.forEach(token => {
+    if (counts.get(token) > 0) {
+      shared++;
+      counts.set(token, counts.get(token) - 1);
+    }
+  });
+
+  return (2 * shared) / (leftTokens.length + rightTokens.length);
+}
+
+const STRATEGIES = [
+  { name: 'exact', equal: (a, b) => a === b },
+  { name: 'whitespace', equal: (a, b) => a.trimEnd() === b.trimEnd() },
+  { name: 'indentation', equal: (a, b) => a.trim() === b.trim() }
+];
+
+/**
+ * Locate `search` lines in `lines`. Returns { index, strategy, similarity }
+ * or { error } when the block is missing or ambiguous.
+ */
+function locate(lines, search, hint) {
+  const size = search.length;
+  const pickClosest = matches => {
+    if (matches.length === 1) return matches[0];
+    if (!hint) return null;
+    const distances = matches.map(index => Math.abs(index + 1 - hint));
+    const best = Math.min(...distances);
+    return distances.filter(d => d === best).length === 1 ? matches[distances.indexOf(best)] : null;
+  };
+
+  for (const strategy of STRATEGIES) {
+    const matches = [];
+    for (let i = 0; i + size <= lines.length; i++) {
+      let equal = true;
+      for (let j = 0; j < size && equal; j++) {
+        equal = strategy.equal(lines[i + j], search[j]);
+      }
+      if (equal) matches.push(i);
+    }
+
+    if (matches.length > 0) {
+      const index = pickClosest(matches);
+      return index === null
+        ? { error: `matches ${matches.length} places in the file; include more surrounding lines` }
+        : { index, strategy: strategy.name, similarity: 1 };
+    }
+  }
+
+  let best = { score: 0, matches: [] };
+  for (let i = 0; i + size <= lines.length; i++) {
+    let total = 0;
+    let floor = 1;
+    for (let j = 0; j < size && floor >= FUZZY_LINE_FLOOR; j++) {
+      const similarity = lineSimilarity(lines[i + j], search[j]);
+      total += similarity;
+      floor = Math.min(floor, similarity);
+    }
+    if (floor < FUZZY_LINE_FLOOR) continue;
+
+    const score = total / size;
+    if (score > best.score) best = { score, matches: [i] };
+    else if (score === best.score) best.matches.push(i);
+  }
+
+  if (best.score < FUZZY_THRESHOLD) {
+    return { error: best.score > 0
+      ? `no exact match; closest lines are only ${Math.round(best.score * 100)}% similar`
+      : 'SEARCH lines not found in the file' };
+  }
+
+  const index = pickClosest(best.matches);
+  return index === null
+    ? { error: `fuzzy-matches ${best.matches.length} places in the file; include more surrounding lines` }
+    : { index, strategy: 'fuzzy', similarity: best.score };
+}
+
+const indentOf = line => /^\s*/.exec(line)[0];
+
+// Shift the replacement to the indentation the file actually uses
+function reindent(replace, search, matched) {
+  const searchLine = search.find(line => line.trim());
+  const matchedLine = matched.find(line => line.trim());
+  if (searchLine === undefined || matchedLine === undefined) return replace;
+
+  const from = indentOf(searchLine);
+  const to = indentOf(matchedLine);
+  if (from === to) return replace;
+
+  return replace.map(line => (line.startsWith(from) ? to + line.substring(from.length) : line));
+}
+
+/**
+ * Apply edits in order. Returns { content, applied, failed } where
+ * `failed` entries carry the edit and the reason it was rejected.
+ */
+function applyEdits(source, edits) {
+  let lines = splitLines(source);
+  const trailingNewline = source.endsWith('\n');
+  if (trailingNewline) lines.pop();
+
+  const applied = [];
+  const failed = [];
+
+  edits.forEach((edit, i) => {
+    const search = splitLines(edit.search);
+    const replace = splitLines(edit.replace);
+
+    if (search.length === 0) {
+      if (lines.length === 0) {
+        lines = replace;
+        applied.push({ index: i, line: 1, strategy: 'create', similarity: 1 });
+      } else {
+        failed.push({ index: i, edit, reason: 'empty SEARCH block on a non-empty file' });
+      }
+      return;
+    }
+
+    const found = locate(lines, search, edit.hint);
+    if (found.error) {
+      failed.push({ index: i, edit, reason: found.error });
+      return;
+    }
+
+    const matched = lines.slice(found.index, found.index + search.length);
+    const replacement = found.strategy === 'exact' || found.strategy === 'whitespace'
+      ? replace
+      : reindent(replace, search, matched);
+
+    lines = [...lines.slice(0, found.index), ...replacement, ...lines.slice(found.index + search.length)];
+    applied.push({ index: i, line: found.index + 1, strategy: found.strategy, similarity: found.similarity });
+  });
+
+  const content = lines.join('\n') + (trailingNewline || (!source && lines.length) ? '\n' : '');
+  return { content, applied, failed };
+}
+
+/**
+ * Render failed edits for a correction prompt
+ */
+function describeFailures(failed) {
+  return failed.map(({ index, edit, reason }) => [
+    `Edit #${index + 1} failed: ${reason}`,
+    '<<<<<<< SEARCH',
+    edit.search,
+    '=======',
+    edit.replace,
+    '>>>>>>> REPLACE'
+  ].join('\n')).join('\n\n');
+}
+
+module.exports = { parseEdits, applyEdits, describeFailures, lineSimilarity };
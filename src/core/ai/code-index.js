@@ -0,0 +1,338 @@
+/**
+ * Code Index
+ * Local BM25 index over the target project's source, used to retrieve the
+ * files and functions most related to a ticket. No external service.
+ *
+ * Files are chunked at top-level declarations (functions, classes,
+ * exported constants), with long stretches split into fixed windows.
+ * The index is stored inside the git directory (`<git-dir>/agent-index.json`)
+ * so it is never committed, and refreshed incrementally: when HEAD moves
+ * only the files changed between the indexed and current commit are
+ * re-read, plus anything dirty in the working tree. Outside git it falls
+ * back to comparing mtimes.
+ *
+ * Config: `codeIndex.enabled`, `codeIndex.topK`, `codeIndex.dir`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { loadSettings } = require('../../settings');
+const { ProjectScanner } = require('./project-scanner');
+
+const INDEX_VERSION = 1;
+const INDEX_FILE = 'agent-index.json';
+const INDEXED_EXTENSIONS = [
+  '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.vue', '.svelte',
+  '.py', '.go', '.rb', '.java', '.kt', '.rs', '.php', '.cs',
+  '.sql', '.prisma', '.graphql', '.gql', '.css', '.scss'
+];
+const MAX_FILES = 5000;
+const MAX_FILE_BYTES = 200000;
+const MAX_CHUNK_LINES = 80;
+const MIN_CHUNK_LINES = 4;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const DECLARATION = /^(?:export\s+(?:default\s+)?)?(?:async\s+)?(?:function\*?|class|interface|type|enum|const|let|var|def|func|fn|pub\s+fn|module\.exports|exports\.\w+)\b/;
+const NAME = /(?:function\*?|class|interface|type|enum|const|let|var|def|func|fn)\s+([A-Za-z_$][\w$]*)|exports\.([A-Za-z_$][\w$]*)/;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'are', 'was', 'not', 'but', 'all', 'any', 'can',
+  'has', 'have', 'its', 'into', 'when', 'then', 'than', 'should', 'would', 'will', 'must', 'also', 'our',
+  'const', 'let', 'var', 'function', 'return', 'if', 'else', 'new', 'true', 'false', 'null', 'undefined',
+  'import', 'export', 'default', 'require', 'module', 'exports', 'async', 'await', 'class', 'extends',
+  'try', 'catch', 'throw', 'typeof', 'instanceof', 'void', 'of', 'in', 'to', 'is', 'it', 'be', 'an', 'as',
+  'or', 'on', 'at', 'by', 'we', 'do', 'js', 'ts'
+]);
+
+/**
+ * Split text into lowercase search terms. Identifiers are kept whole and
+ * also broken on camelCase / snake_case boundaries.
+ */
+function tokenize(text) {
+  const terms = [];
+  for (const word of (text || '').match(/[A-Za-z][A-Za-z0-9_$]*/g) || []) {
+    const parts = word.replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[\s_$]+/);
+    const candidates = parts.length > 1 ? [word, ...parts] : parts;
+    for (const candidate of candidates) {
+      const term = candidate.toLowerCase();
+      if (term.length > 1 && !STOPWORDS.has(term)) terms.push(term);
+    }
+  }
+  return terms;
+}
+
+/**
+ * Split a file into declaration-sized chunks of { start, end, name, text }
+ * with 1-based inclusive line numbers
+ */
+function chunkFile(content) {
+  const lines = content.split('\n');
+  const starts = [0];
+  lines.forEach((line, i) => {
+    if (i > 0 && DECLARATION.test(line)) starts.push(i);
+  });
+
+  // Segments of [start, end) named after the declaration they open with.
+  // Tiny ones (imports, one-line exports) are folded into a neighbour.
+  const segments = [];
+  let carry = null;
+  starts.forEach((from, i) => {
+    const segment = { start: carry ?? from, end: starts[i + 1] ?? lines.length, nameLine: from };
+    const last = i === starts.length - 1;
+    carry = null;
+
+    if (segment.end - segment.start >= MIN_CHUNK_LINES) {
+      segments.push(segment);
+    } else if (!last) {
+      carry = segment.start;
+    } else if (segments.length > 0) {
+      segments[segments.length - 1].end = segment.end;
+    } else {
+      segments.push(segment);
+    }
+  });
+
+  const chunks = [];
+  segments.forEach(({ start, end, nameLine }) => {
+    const match = NAME.exec(lines[nameLine]);
+    const name = match ? (match[1] || match[2]) : null;
+
+    for (let from = start; from < end; from += MAX_CHUNK_LINES) {
+      const slice = lines.slice(from, Math.min(end, from + MAX_CHUNK_LINES));
+      chunks.push({ start: from + 1, end: from + slice.length, name, text: slice.join('\n') });
+    }
+  });
+
+  return chunks.filter(chunk => chunk.text.trim().length > 0);
+}
+
+class CodeIndex {
+  constructor(options = {}) {
+    const settings = options.settings || loadSettings();
+    const configured = settings.codeIndex || {};
+
+    this.root = path.resolve(options.root || process.cwd());
+    this.enabled = options.enabled ?? configured.enabled ?? true;
+    this.topK = options.topK || configured.topK || 5;
+    this.file = path.join(options.dir || configured.dir || this.defaultDir(), INDEX_FILE);
+    this.data = null;
+    this.corpus = null;
+  }
+
+  git(args) {
+    try {
+      return execFileSync('git', args, { cwd: this.root, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    } catch (e) {
+      return null;
+    }
+  }
+
+  defaultDir() {
+    const gitDir = this.git(['rev-parse', '--absolute-git-dir']);
+    return gitDir || path.join(this.root, '.agent-index');
+  }
+
+  indexable(file) {
+    return INDEXED_EXTENSIONS.includes(path.extname(file)) && !file.split('/').includes('node_modules');
+  }
+
+  listFiles() {
+    const tracked = this.git(['ls-files', '--cached', '--others', '--exclude-standard']);
+    const files = tracked !== null
+      ? tracked.split('\n').filter(Boolean)
+      : new ProjectScanner(this.root).listSourceFiles();
+
+    // ls-files still lists tracked files deleted from the working tree
+    return files
+      .filter(file => this.indexable(file) && fs.existsSync(path.join(this.root, file)))
+      .slice(0, MAX_FILES);
+  }
+
+  /**
+   * Files whose content may differ from what was indexed, or null when
+   * every file has to be checked
+   */
+  changedFiles(head) {
+    if (!head || !this.data.head) return null;
+
+    // Uncommitted (staged or not) and untracked files, relative to the root
+    const dirty = [
+      this.git(['diff', '--name-only', '--relative', 'HEAD']),
+      this.git(['ls-files', '--others', '--exclude-standard'])
+    ].join('\n').split('\n').filter(Boolean);
+    const changed = new Set([...dirty, ...(this.data.dirty || [])]);
+
+    if (head !== this.data.head) {
+      const diff = this.git(['diff', '--name-only', '--relative', this.data.head, head]);
+      if (diff === null) return null; // Indexed commit is gone (rebase, shallow clone)
+      diff.split('\n').filter(Boolean).forEach(file => changed.add(file));
+    }
+
+    return { changed: [...changed], dirty };
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (data.version === INDEX_VERSION && data.root === this.root) return data;
+    } catch (e) {
+      // Missing or unreadable index: rebuild
+    }
+    return { version: INDEX_VERSION, root: this.root, head: null, dirty: [], files: {} };
+  }
+
+  indexFile(file) {
+    const absolute = path.join(this.root, file);
+    let stat;
+    try {
+      stat = fs.statSync(absolute);
+    } catch (e) {
+      return null;
+    }
+    if (!stat.isFile() || stat.size > MAX_FILE_BYTES) return null;
+
+    const pathTerms = tokenize(file);
+    const chunks = chunkFile(fs.readFileSync(absolute, 'utf8')).map(chunk => {
+      const terms = [...pathTerms, ...tokenize(chunk.name), ...tokenize(chunk.text)];
+      const tf = {};
+      terms.forEach(term => { tf[term] = (tf[term] || 0) + 1; });
+      return { start: chunk.start, end: chunk.end, name: chunk.name, length: terms.length, tf };
+    });
+
+    return { mtimeMs: stat.mtimeMs, size: stat.size, chunks };
+  }
+
+  /**
+   * Bring the index up to date with the working tree and persist it.
+   * Returns { files, reindexed, removed }.
+   */
+  update() {
+    this.data = this.data || this.load();
+    const head = this.git(['rev-parse', 'HEAD']);
+    const files = this.listFiles();
+    const present = new Set(files);
+    const incremental = this.changedFiles(head);
+
+    let candidates;
+    if (incremental) {
+      candidates = incremental.changed.filter(file => present.has(file) && this.indexable(file));
+      // Files the index has never seen (e.g. an include rule changed)
+      files.forEach(file => { if (!this.data.files[file]) candidates.push(file); });
+    } else {
+      candidates = files.filter(file => {
+        const entry = this.data.files[file];
+        if (!entry) return true;
+        try {
+          const stat = fs.statSync(path.join(this.root, file));
+          return stat.mtimeMs !== entry.mtimeMs || stat.size !== entry.size;
+        } catch (e) {
+          return true;
+        }
+      });
+    }
+
+    let reindexed = 0;
+    new Set(candidates).forEach(file => {
+      const entry = this.indexFile(file);
+      if (entry) this.data.files[file] = entry;
+      else delete this.data.files[file];
+      reindexed++;
+    });
+
+    let removed = 0;
+    Object.keys(this.data.files).forEach(file => {
+      if (!present.has(file)) {
+        delete this.data.files[file];
+        removed++;
+      }
+    });
+
+    this.data.head = head;
+    this.data.dirty = incremental ? incremental.dirty : [];
+    this.corpus = null;
+
+    if (reindexed > 0 || removed > 0 || !fs.existsSync(this.file)) {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify(this.data));
+    }
+
+    return { files: Object.keys(this.data.files).length, reindexed, removed };
+  }
+
+  corpusStats() {
+    if (this.corpus) return this.corpus;
+
+    const df = {};
+    let chunks = 0;
+    let totalLength = 0;
+    Object.values(this.data.files).forEach(entry => {
+      entry.chunks.forEach(chunk => {
+        chunks++;
+        totalLength += chunk.length;
+        Object.keys(chunk.tf).forEach(term => { df[term] = (df[term] || 0) + 1; });
+      });
+    });
+
+    this.corpus = { df, chunks, avgLength: chunks ? totalLength / chunks : 0 };
+    return this.corpus;
+  }
+
+  /**
+   * Top chunks for a free-text query, best first:
+   * [{ file, start, end, name, score }]
+   */
+  search(query, options = {}) {
+    if (!this.enabled) return [];
+    if (!this.data) this.update();
+
+    const limit = options.limit || this.topK;
+    const perFile = options.perFile || 2;
+    const exclude = new Set(options.exclude || []);
+    const terms = [...new Set(tokenize(query))];
+    const { df, chunks, avgLength } = this.corpusStats();
+    if (terms.length === 0 || chunks === 0) return [];
+
+    const idf = {};
+    terms.forEach(term => {
+      const n = df[term] || 0;
+      idf[term] = Math.log(1 + (chunks - n + 0.5) / (n + 0.5));
+    });
+
+    const hits = [];
+    Object.entries(this.data.files).forEach(([file, entry]) => {
+      if (exclude.has(file)) return;
+      entry.chunks.forEach(chunk => {
+        let score = 0;
+        terms.forEach(term => {
+          const tf = chunk.tf[term];
+          if (tf) score += idf[term] * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * chunk.length / avgLength));
+        });
+        if (score > 0) hits.push({ file, start: chunk.start, end: chunk.end, name: chunk.name, score });
+      });
+    });
+
+    const perFileCount = {};
+    return hits
+      .sort((a, b) => b.score - a.score || a.file.localeCompare(b.file) || a.start - b.start)
+      .filter(hit => (perFileCount[hit.file] = (perFileCount[hit.file] || 0) + 1) <= perFile)
+      .slice(0, limit);
+  }
+
+  /**
+   * Source text of a search hit
+   */
+  excerpt(hit) {
+    try {
+      const lines = fs.readFileSync(path.join(this.root, hit.file), 'utf8').split('\n');
+      return lines.slice(hit.start - 1, hit.end).join('\n');
+    } catch (e) {
+      return '';
+    }
+  }
+}
+
+module.exports = { CodeIndex, tokenize, chunkFile };
@@ -0,0 +1,205 @@
+/**
+ * Model Router
+ * Single routing policy mapping (agent, stage, complexity) to an ordered
+ * list of models, read from `modelRouting` in agent-orchestrator.config.json.
+ *
+ * Resolution order for a stage:
+ *   modelRouting.agents.<agent>.<stage>  ->  modelRouting.stages.<stage>
+ * Each entry is either a model list or { default, simple, medium, complex, maxCost }.
+ * The agent's `agents.definitions.<agent>.model` and `modelRouting.default`
+ * are appended as last-resort fallbacks.
+ *
+ * `maxCost` caps the USD spent in a stage per router (i.e. per agent run).
+ */
+
+const { loadSettings } = require('../../settings');
+const { estimateCost } = require('../../infrastructure/monitoring/model-pricing');
+
+const STAGES = [
+  'analysis',
+  'planning',
+  'generation',
+  'testing',
+  'review',
+  'improvement',
+  'architecture',
+  'documentation',
+  'chat'
+];
+
+const COMPLEXITIES = ['simple', 'medium', 'complex'];
+
+// Used when the config has no modelRouting block
+const DEFAULT_POLICY = {
+  default: ['anthropic/claude-sonnet-4', 'openai/gpt-4.1'],
+  stages: {
+    analysis: { default: ['openai/gpt-4.1', 'anthropic/claude-sonnet-4'], maxCost: 0.5 },
+    planning: {
+      default: ['anthropic/claude-opus-4', 'anthropic/claude-sonnet-4'],
+      simple: ['openai/gpt-4.1-mini', 'anthropic/claude-sonnet-4'],
+      maxCost: 1.0
+    },
+    generation: {
+      default: ['anthropic/claude-opus-4', 'anthropic/claude-sonnet-4', 'openai/gpt-4.1'],
+      simple: ['openai/gpt-4.1-mini', 'anthropic/claude-sonnet-4'],
+      maxCost: 5.0
+    },
+    testing: { default: ['openai/gpt-4.1-mini', 'anthropic/claude-sonnet-4'], maxCost: 1.0 },
+    review: { default: ['anthropic/claude-sonnet-4', 'openai/gpt-4.1'], maxCost: 1.0 },
+    improvement: { default: ['anthropic/claude-sonnet-4', 'openai/gpt-4.1'], maxCost: 2.0 },
+    architecture: { default: ['openai/o3-pro', 'anthropic/claude-opus-4'], maxCost: 2.0 },
+    documentation: { default: ['anthropic/claude-sonnet-4', 'openai/gpt-4.1-mini'], maxCost: 0.5 },
+    chat: { default: ['anthropic/claude-sonnet-4', 'openai/gpt-4.1'] }
+  },
+  agents: {
+    database: {
+      generation: { simple: ['google/gemini-2.5-flash', 'openai/gpt-4.1-mini'] },
+      review: ['anthropic/claude-opus-4', 'anthropic/claude-sonnet-4']
+    },
+    testing: {
+      review: ['anthropic/claude-opus-4', 'anthropic/claude-sonnet-4']
+    }
+  }
+};
+
+// Errors worth retrying on another model: rate limits, server errors,
+// unknown models and network failures (no HTTP status)
+const FALLBACK_STATUSES = [404, 408, 409, 429];
+
+class ModelRouter {
+  constructor(options = {}) {
+    const settings = options.settings || loadSettings();
+    const configured = settings.modelRouting || {};
+
+    this.policy = {
+      default: configured.default || DEFAULT_POLICY.default,
+      stages: { ...DEFAULT_POLICY.stages, ...(configured.stages || {}) },
+      agents: configured.agents || DEFAULT_POLICY.agents
+    };
+    this.definitions = settings.agents?.definitions || {};
+    this.stageSpend = {};
+  }
+
+  normalize(entry) {
+    return Array.isArray(entry) ? { default: entry } : (entry || {});
+  }
+
+  pick(entry, complexity) {
+    const normalized = this.normalize(entry);
+    return normalized[complexity] || normalized.default || null;
+  }
+
+  /**
+   * Ordered, de-duplicated model list for (agent, stage, complexity)
+   */
+  candidates(agent, stage, complexity = 'medium') {
+    if (!STAGES.includes(stage)) {
+      throw new Error(`Unknown routing stage: ${stage}. Use one of: ${STAGES.join(', ')}`);
+    }
+
+    // Senior analyses rate work as 'architectural', which routes like 'complex'
+    const level = complexity === 'architectural'
+      ? 'complex'
+      : (COMPLEXITIES.includes(complexity) ? complexity : 'medium');
+    const models = [
+      ...(this.pick(this.policy.agents[agent]?.[stage], level) ||
+        this.pick(this.policy.stages[stage], level) ||
+        []),
+      this.definitions[agent]?.model,
+      ...this.policy.default
+    ];
+
+    return [...new Set(models.filter(Boolean))];
+  }
+
+  route(agent, stage, complexity = 'medium') {
+    return { agent, stage, complexity, models: this.candidates(agent, stage, complexity) };
+  }
+
+  /**
+   * Best first-choice model for a free-text task description, inferring
+   * the stage and complexity from keywords
+   */
+  suggest(agent, description) {
+    const text = (description || '').toLowerCase();
+    const stage = /\btests?\b|testing/.test(text) ? 'testing' : 'generation';
+    let complexity = 'medium';
+
+    if (/refactor|optimi[sz]e|complex|architect|algorithm/.test(text)) {
+      complexity = 'complex';
+    } else if (/simple|fix|update|typo|rename/.test(text)) {
+      complexity = 'simple';
+    }
+
+    return this.candidates(agent, stage, complexity)[0];
+  }
+
+  getStageBudget(agent, stage) {
+    const agentEntry = this.normalize(this.policy.agents[agent]?.[stage]);
+    const stageEntry = this.normalize(this.policy.stages[stage]);
+    return agentEntry.maxCost ?? stageEntry.maxCost ?? null;
+  }
+
+  /**
+   * Drop models whose worst-case cost (full prompt plus maxTokens of output)
+   * would push the stage over its budget. Throws when nothing fits.
+   */
+  affordable(route, inputTokens, maxOutputTokens) {
+    const budget = this.getStageBudget(route.agent, route.stage);
+    if (budget === null) {
+      return route.models;
+    }
+
+    const remaining = budget - (this.stageSpend[route.stage] || 0);
+    const models = route.models.filter(model => estimateCost(model, inputTokens, maxOutputTokens) <= remaining);
+
+    if (models.length === 0) {
+      const error = new Error(`Cost cap reached for stage '${route.stage}': $${remaining.toFixed(4)} of $${budget} left, no routed model fits`);
+      error.code = 'STAGE_BUDGET_EXCEEDED';
+      throw error;
+    }
+
+    return models;
+  }
+
+  recordSpend(stage, cost) {
+    this.stageSpend[stage] = (this.stageSpend[stage] || 0) + (cost || 0);
+  }
+
+  // USD spent across all stages by this router
+  totalSpend() {
+    return Object.values(this.stageSpend).reduce((sum, cost) => sum + cost, 0);
+  }
+
+  shouldFallback(error) {
+    if (error.name === 'AbortError' || error.code === 'STAGE_BUDGET_EXCEEDED') {
+      return false;
+    }
+
+    return !error.status || error.status >= 500 || FALLBACK_STATUSES.includes(error.status);
+  }
+
+  /**
+   * Call `attempt(model)` for each routed model in order until one succeeds.
+   * Only provider errors and rate limits move on to the next model.
+   */
+  async run(models, attempt) {
+    let lastError;
+
+    for (const model of models) {
+      try {
+        return await attempt(model);
+      } catch (error) {
+        lastError = error;
+        if (!this.shouldFallback(error)) {
+          throw error;
+        }
+        console.log(`   ↪️  ${model} failed (${error.message}), trying next model...`);
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+module.exports = { ModelRouter, STAGES, COMPLEXITIES, DEFAULT_POLICY };
@@ -0,0 +1,265 @@
+/**
+ * Project Scanner
+ * Discovers the conventions of a target repository (language, module
+ * system, frameworks, test runner, lint/format config, common imports and
+ * representative source files) so generation prompts match the project
+ * instead of assuming Next.js + TypeScript.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const IGNORED_DIRS = new Set([
+  'node_modules', '.git', 'dist', 'build', 'out', 'coverage', '.next', '.nuxt',
+  '.turbo', '.cache', 'vendor', '.agent-checkpoints', '.llm-cache'
+]);
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.vue', '.svelte'];
+const MAX_FILES = 400;
+const MAX_FILE_BYTES = 20000;
+
+// Dependency name -> framework label, in order of precedence
+const FRAMEWORKS = [
+  ['next', 'Next.js'],
+  ['nuxt', 'Nuxt'],
+  ['@remix-run/react', 'Remix'],
+  ['@angular/core', 'Angular'],
+  ['svelte', 'Svelte'],
+  ['vue', 'Vue'],
+  ['react', 'React'],
+  ['@nestjs/core', 'NestJS'],
+  ['express', 'Express'],
+  ['fastify', 'Fastify'],
+  ['koa', 'Koa'],
+  ['hapi', 'hapi'],
+  ['@hapi/hapi', 'hapi'],
+  ['prisma', 'Prisma'],
+  ['@prisma/client', 'Prisma'],
+  ['mongoose', 'Mongoose'],
+  ['sequelize', 'Sequelize'],
+  ['typeorm', 'TypeORM'],
+  ['knex', 'Knex']
+];
+
+const TEST_RUNNERS = ['vitest', 'jest', 'mocha', 'ava', 'jasmine', 'tap', 'uvu'];
+
+const LINT_CONFIGS = {
+  eslint: [
+    'eslint.config.js', 'eslint.config.mjs', 'eslint.config.cjs', '.eslintrc', '.eslintrc.js',
+    '.eslintrc.cjs', '.eslintrc.json', '.eslintrc.yml', '.eslintrc.yaml'
+  ],
+  prettier: [
+    '.prettierrc', '.prettierrc.json', '.prettierrc.js', '.prettierrc.cjs', '.prettierrc.yml',
+    '.prettierrc.yaml', 'prettier.config.js', 'prettier.config.cjs'
+  ],
+  editorconfig: ['.editorconfig']
+};
+
+// Directory hints for picking example files per agent type
+const ROLE_HINTS = {
+  frontend: /(^|\/)(components?|pages|app|views|ui|hooks)\//,
+  backend: /(^|\/)(routes?|api|controllers?|handlers?|services?|server|middleware)\//,
+  database: /(^|\/)(models?|db|database|migrations?|schema|repositories|prisma)\//,
+  integration: /(^|\/)(integrations?|webhooks?|clients?|adapters?)\//,
+  testing: /(\.test\.|\.spec\.|(^|\/)(tests?|__tests__|spec)\/)/
+};
+
+class ProjectScanner {
+  constructor(root = process.cwd()) {
+    this.root = path.resolve(root);
+  }
+
+  readJSON(file) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.root, file), 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  listSourceFiles() {
+    const files = [];
+    const walk = dir => {
+      if (files.length >= MAX_FILES) return;
+
+      let entries;
+      try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+      } catch (e) {
+        return;
+      }
+
+      for (const entry of entries) {
+        if (files.length >= MAX_FILES) return;
+        if (entry.isDirectory()) {
+          if (!IGNORED_DIRS.has(entry.name) && !entry.name.startsWith('.')) {
+            walk(path.join(dir, entry.name));
+          }
+        } else if (SOURCE_EXTENSIONS.includes(path.extname(entry.name))) {
+          files.push(path.relative(this.root, path.join(dir, entry.name)).split(path.sep).join('/'));
+        }
+      }
+    };
+
+    walk(this.root);
+    return files.sort();
+  }
+
+  readSource(file) {
+    try {
+      const content = fs.readFileSync(path.join(this.root, file), 'utf8');
+      return content.length > MAX_FILE_BYTES ? content.substring(0, MAX_FILE_BYTES) : content;
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * Build the project profile. Returns a plain object; see describeProfile()
+   * for the prompt-ready summary.
+   */
+  scan() {
+    const pkg = this.readJSON('package.json') || {};
+    const deps = { ...(pkg.dependencies || {}), ...(pkg.devDependencies || {}), ...(pkg.peerDependencies || {}) };
+    const files = this.listSourceFiles();
+    const sources = new Map(files.map(file => [file, this.readSource(file)]));
+
+    const tsFiles = files.filter(f => /\.tsx?$/.test(f)).length;
+    const jsFiles = files.filter(f => /\.(m|c)?jsx?$/.test(f)).length;
+    const language = fs.existsSync(path.join(this.root, 'tsconfig.json')) || deps.typescript || tsFiles > jsFiles
+      ? 'typescript'
+      : 'javascript';
+
+    const frameworks = [...new Set(FRAMEWORKS.filter(([dep]) => deps[dep]).map(([, label]) => label))];
+    if (!frameworks.includes('Prisma') && fs.existsSync(path.join(this.root, 'prisma', 'schema.prisma'))) {
+      frameworks.push('Prisma');
+    }
+
+    const testScript = pkg.scripts?.test || '';
+    const testRunner = TEST_RUNNERS.find(runner => deps[runner] || new RegExp(`\\b${runner}\\b`).test(testScript)) ||
+      (/node --test/.test(testScript) ? 'node:test' : null);
+
+    const linters = {};
+    Object.entries(LINT_CONFIGS).forEach(([tool, names]) => {
+      const found = names.find(name => fs.existsSync(path.join(this.root, name)));
+      if (found) linters[tool] = found;
+      else if (pkg[`${tool}Config`] || pkg[tool]) linters[tool] = 'package.json';
+    });
+
+    return {
+      root: this.root,
+      name: pkg.name || path.basename(this.root),
+      language,
+      moduleSystem: this.detectModuleSystem(pkg, sources, language),
+      frameworks,
+      testRunner,
+      testLocation: this.detectTestLocation(files),
+      linters,
+      packageManager: this.detectPackageManager(),
+      imports: this.collectImports(sources),
+      fileCount: files.length,
+      samples: this.pickSamples(files)
+    };
+  }
+
+  detectModuleSystem(pkg, sources, language) {
+    if (pkg.type === 'module') return 'esm';
+
+    let esm = 0;
+    let commonjs = 0;
+    sources.forEach((content, file) => {
+      if (/\.tsx?$/.test(file)) return; // TypeScript always writes import syntax
+      if (/^\s*(import\s.+from\s|export\s)/m.test(content)) esm++;
+      if (/\brequire\(\s*['"]|module\.exports|exports\.\w+\s*=/.test(content)) commonjs++;
+    });
+
+    if (esm === 0 && commonjs === 0) {
+      return language === 'typescript' ? 'esm' : 'commonjs';
+    }
+    return commonjs > esm ? 'commonjs' : 'esm';
+  }
+
+  detectTestLocation(files) {
+    const tests = files.filter(f => ROLE_HINTS.testing.test(f));
+    if (tests.length === 0) return null;
+
+    const separate = tests.filter(f => /(^|\/)(tests?|__tests__|spec)\//.test(f)).length;
+    const suffix = tests.some(f => f.includes('.spec.')) ? '.spec' : '.test';
+    return separate > tests.length / 2
+      ? `separate directory (e.g. ${tests[0]})`
+      : `next to source files as *${suffix}.* (e.g. ${tests[0]})`;
+  }
+
+  detectPackageManager() {
+    if (fs.existsSync(path.join(this.root, 'pnpm-lock.yaml'))) return 'pnpm';
+    if (fs.existsSync(path.join(this.root, 'yarn.lock'))) return 'yarn';
+    if (fs.existsSync(path.join(this.root, 'bun.lockb'))) return 'bun';
+    return 'npm';
+  }
+
+  /**
+   * Most frequent import/require statements of packages and shared modules
+   */
+  collectImports(sources, limit = 12) {
+    const counts = new Map();
+    const pattern = /^\s*(import\s[^;\n]*?from\s+['"][^'"]+['"];?|import\s+['"][^'"]+['"];?|(?:const|let|var)\s+[^=\n]+=\s*require\(\s*['"][^'"]+['"]\s*\)(?:\.\w+)*;?)/gm;
+
+    sources.forEach(content => {
+      for (const match of content.matchAll(pattern)) {
+        const statement = match[1].trim().replace(/\s+/g, ' ');
+        // Deep relative paths are file-specific, not project idioms
+        if (/['"]\.\.?\/(?:[^'"]*\/){2,}/.test(statement)) continue;
+        counts.set(statement, (counts.get(statement) || 0) + 1);
+      }
+    });
+
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, limit)
+      .map(([statement]) => statement);
+  }
+
+  pickSamples(files) {
+    const samples = {};
+    Object.entries(ROLE_HINTS).forEach(([role, hint]) => {
+      const matches = files.filter(f => hint.test(f) && (role === 'testing' || !ROLE_HINTS.testing.test(f)));
+      samples[role] = matches.slice(0, 3);
+    });
+    return samples;
+  }
+}
+
+const MODULE_SYSTEM_LABELS = {
+  esm: 'ES modules (import/export)',
+  commonjs: 'CommonJS (require/module.exports)'
+};
+
+/**
+ * Prompt-ready summary of a profile
+ */
+function describeProfile(profile) {
+  if (!profile || (profile.fileCount === 0 && profile.frameworks.length === 0)) {
+    return 'No existing source code was found; choose conventions that fit the ticket.';
+  }
+
+  const linters = Object.entries(profile.linters).map(([tool, file]) => `${tool} (${file})`);
+  const lines = [
+    `Project conventions (detected from ${profile.name}):`,
+    `- Language: ${profile.language === 'typescript' ? 'TypeScript' : 'JavaScript'}`,
+    `- Module system: ${MODULE_SYSTEM_LABELS[profile.moduleSystem]}`,
+    `- Frameworks/libraries: ${profile.frameworks.join(', ') || 'none detected (plain Node.js)'}`,
+    `- Test runner: ${profile.testRunner || 'none detected'}${profile.testLocation ? `, tests live in ${profile.testLocation}` : ''}`,
+    `- Lint/format config: ${linters.join(', ') || 'none'}`
+  ];
+
+  if (profile.imports.length > 0) {
+    lines.push('- Common imports:', ...profile.imports.map(statement => `    ${statement}`));
+  }
+
+  return lines.join('\n');
+}
+
+function scanProject(root) {
+  return new ProjectScanner(root).scan();
+}
+
+module.exports = { ProjectScanner, scanProject, describeProfile };
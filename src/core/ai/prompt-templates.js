@@ -0,0 +1,130 @@
+/**
+ * Prompt Templates
+ * Loads agent prompts and personas from markdown files with a small front
+ * matter header (`version`, optional `system`) and `{{variable}}` slots.
+ *
+ * Built-in templates live in config/prompts. A target project can override
+ * any of them by placing a file with the same relative name in its
+ * `.agent-prompts/` directory (`prompts.overrideDir` in the config), e.g.
+ * `.agent-prompts/generate-code.md` or `.agent-prompts/personas/frontend.md`.
+ * A `persona` text in an agent's definition or plugin (agent-registry.js)
+ * takes the place of the built-in persona template.
+ *
+ * Every render returns an id such as `generate-code@1#3f2a9c1e` (or
+ * `generate-code@project:2#...` for overrides) that is recorded with the
+ * generation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadSettings } = require('../../settings');
+const { AgentRegistry } = require('../agents/agent-registry');
+
+const BUILTIN_DIR = path.join(__dirname, '..', '..', '..', 'config', 'prompts');
+const DEFAULT_OVERRIDE_DIR = '.agent-prompts';
+
+function parseTemplate(source) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(source);
+  const meta = {};
+
+  if (match) {
+    match[1].split(/\r?\n/).forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        meta[line.substring(0, separator).trim()] = line.substring(separator + 1).trim();
+      }
+    });
+  }
+
+  return { meta, body: (match ? source.substring(match[0].length) : source).trim() };
+}
+
+class PromptLibrary {
+  constructor(options = {}) {
+    const settings = options.settings || loadSettings();
+    const overrideDir = options.overrideDir || settings.prompts?.overrideDir || DEFAULT_OVERRIDE_DIR;
+    const projectRoots = [process.cwd(), settings.projectPath].filter(Boolean);
+
+    // Project overrides are searched first, in order, then the built-ins
+    this.overrideDirs = [...new Set(projectRoots.map(root => path.resolve(root, overrideDir)))];
+    this.builtinDir = options.builtinDir || BUILTIN_DIR;
+    this.templates = new Map();
+    this.settings = settings;
+    this.registry = options.registry || null;
+  }
+
+  load(name) {
+    if (this.templates.has(name)) {
+      return this.templates.get(name);
+    }
+
+    const candidates = [
+      ...this.overrideDirs.map(dir => ({ dir, source: 'project' })),
+      { dir: this.builtinDir, source: 'builtin' }
+    ];
+
+    for (const { dir, source } of candidates) {
+      const file = path.join(dir, `${name}.md`);
+      if (!fs.existsSync(file)) continue;
+
+      const raw = fs.readFileSync(file, 'utf8');
+      const { meta, body } = parseTemplate(raw);
+      const hash = crypto.createHash('sha256').update(raw).digest('hex').substring(0, 8);
+      const version = source === 'project' ? `project:${meta.version || 0}` : (meta.version || 0);
+
+      const template = { name, file, source, meta, body, id: `${name}@${version}#${hash}` };
+      this.templates.set(name, template);
+      return template;
+    }
+
+    throw new Error(`Prompt template not found: ${name} (looked in ${candidates.map(c => c.dir).join(', ')})`);
+  }
+
+  /**
+   * Fill a template's {{variables}}. Resolves with { text, system, id }.
+   * Unknown variables throw so a typo in an override fails loudly.
+   */
+  render(name, variables = {}) {
+    const template = this.load(name);
+    const fill = text => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (slot, key) => {
+      if (variables[key] === undefined || variables[key] === null) {
+        throw new Error(`Prompt template ${template.id} uses unknown variable: ${key}`);
+      }
+      return String(variables[key]);
+    });
+
+    return {
+      text: fill(template.body),
+      system: template.meta.system ? fill(template.meta.system) : null,
+      id: template.id
+    };
+  }
+
+  /**
+   * The agent's persona: a project override, else the `persona` text of
+   * its definition or plugin (agent-registry.js), else the built-in
+   * template. Agents with none get an empty text.
+   */
+  persona(agent) {
+    let template = null;
+    try {
+      template = this.load(`personas/${agent}`);
+    } catch (error) {
+      if (!/not found/.test(error.message)) throw error;
+    }
+
+    this.registry = this.registry || new AgentRegistry({ settings: this.settings });
+    const text = this.registry.persona(agent);
+
+    if (template && (template.source === 'project' || !text)) {
+      return this.render(`personas/${agent}`);
+    }
+    if (!text) return { text: '', system: null, id: null };
+
+    const hash = crypto.createHash('sha256').update(text).digest('hex').substring(0, 8);
+    return { text, system: null, id: `personas/${agent}@registry#${hash}` };
+  }
+}
+
+module.exports = { PromptLibrary, parseTemplate, BUILTIN_DIR };
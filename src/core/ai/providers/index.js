@@ -0,0 +1,87 @@
+/**
+ * LLM Provider Registry
+ * Resolves which provider an agent talks to.
+ *
+ * Agents pick a provider with `agents.definitions.<agent>.provider`, which
+ * names a block under `api` (e.g. `api.openrouter`, `api.local`). The block's
+ * `type` selects the implementation and defaults to the block name.
+ * `LLM_PROVIDER` overrides the choice for every agent (e.g. LLM_PROVIDER=mock in CI).
+ */
+
+const OpenAICompatibleProvider = require('./openai-compatible-provider');
+const OpenRouterProvider = require('./openrouter-provider');
+const MockProvider = require('./mock-provider');
+const { loadSettings } = require('../../../settings');
+
+const PROVIDER_TYPES = {
+  openrouter: OpenRouterProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+const DEFAULT_PROVIDER = 'openrouter';
+
+function createProvider(type, options = {}) {
+  const ProviderClass = PROVIDER_TYPES[type];
+  if (!ProviderClass) {
+    throw new Error(`Unknown LLM provider type: ${type}. Use one of: ${Object.keys(PROVIDER_TYPES).join(', ')}`);
+  }
+
+  return new ProviderClass(options);
+}
+
+class ProviderRegistry {
+  constructor(settings = null) {
+    this.settings = settings || loadSettings();
+    this.instances = new Map();
+  }
+
+  getDefaultName() {
+    return process.env.LLM_PROVIDER || this.settings.api?.defaultProvider || DEFAULT_PROVIDER;
+  }
+
+  resolveName(agentType) {
+    if (process.env.LLM_PROVIDER) {
+      return process.env.LLM_PROVIDER;
+    }
+
+    return this.settings.agents?.definitions?.[agentType]?.provider || this.getDefaultName();
+  }
+
+  getProviderOptions(name) {
+    const options = { ...(this.settings.api?.[name] || {}) };
+    const type = options.type || name;
+
+    if (options.apiKeyEnv) {
+      options.apiKey = process.env[options.apiKeyEnv];
+    }
+
+    return { type, options: { name, ...options } };
+  }
+
+  get(name) {
+    if (!this.instances.has(name)) {
+      const { type, options } = this.getProviderOptions(name);
+      this.instances.set(name, createProvider(type, options));
+    }
+
+    return this.instances.get(name);
+  }
+
+  forAgent(agentType) {
+    return this.get(this.resolveName(agentType));
+  }
+
+  getDefault() {
+    return this.get(this.getDefaultName());
+  }
+}
+
+module.exports = {
+  ProviderRegistry,
+  createProvider,
+  PROVIDER_TYPES,
+  OpenAICompatibleProvider,
+  OpenRouterProvider,
+  MockProvider
+};
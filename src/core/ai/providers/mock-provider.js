@@ -0,0 +1,119 @@
+/**
+ * Mock provider
+ * Deterministic, in-process completions for offline runs and CI.
+ * The same (model, messages) always produces the same response.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+class MockProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'mock';
+    this.type = 'mock';
+    this.apiKey = null;
+    this.requiresApiKey = false;
+    this.model = options.model || null;
+
+    // Fixtures are { match, response } pairs checked in order against the
+    // last user message (or tool result). `match` is a substring, or a regex
+    // written as "/.../flags". A fixture with `toolCalls: [{ name, arguments }]`
+    // instead of a response makes the completion call those tools.
+    this.fixtures = [
+      ...this.loadFixtures(options.fixturesFile),
+      ...(options.responses || [])
+    ];
+    this.calls = [];
+  }
+
+  loadFixtures(fixturesFile) {
+    if (!fixturesFile || !fs.existsSync(fixturesFile)) {
+      return [];
+    }
+
+    return JSON.parse(fs.readFileSync(fixturesFile, 'utf8'));
+  }
+
+  async complete({ model, messages, tools }) {
+    const prompt = [...messages].reverse().find(m => m.role === 'user' || m.role === 'tool')?.content || '';
+    const fixture = tools?.length ? this.fixtures.find(f => f.toolCalls && this.matches(f.match, prompt)) : null;
+    const content = fixture ? '' : this.respond(model, messages, prompt);
+
+    this.calls.push({ model, messages });
+
+    const promptTokens = this.estimateTokens(messages.map(m => m.content).join('\n'));
+    const completionTokens = this.estimateTokens(content);
+
+    return {
+      content,
+      model: this.model || model,
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      },
+      cost: 0,
+      provider: this.name,
+      raw: null,
+      ...(fixture ? { toolCalls: fixture.toolCalls.map((call, i) => ({ id: `call_${this.calls.length}_${i}`, ...call })) } : {})
+    };
+  }
+
+  /**
+   * Replays the completion in fixed-size chunks, mirroring the SSE stream shape
+   */
+  async *stream(request) {
+    const completion = await this.complete(request);
+    const chunkSize = 16;
+
+    for (let i = 0; i < completion.content.length; i += chunkSize) {
+      if (request.signal?.aborted) {
+        const error = new Error('Stream aborted');
+        error.name = 'AbortError';
+        throw error;
+      }
+      yield { type: 'delta', content: completion.content.substring(i, i + chunkSize) };
+    }
+
+    yield { type: 'done', ...completion };
+  }
+
+  respond(model, messages, prompt) {
+    const fixture = this.fixtures.find(f => !f.toolCalls && this.matches(f.match, prompt));
+    if (fixture) {
+      return typeof fixture.response === 'string'
+        ? fixture.response
+        : JSON.stringify(fixture.response, null, 2);
+    }
+
+    // Structured prompts get an empty object so callers fall back to their defaults
+    if (/json/i.test(prompt)) {
+      return '{}';
+    }
+
+    const digest = crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ model, messages }))
+      .digest('hex')
+      .substring(0, 12);
+
+    return `// mock completion ${digest} (${this.model || model})`;
+  }
+
+  matches(match, prompt) {
+    if (!match) return false;
+
+    const regex = /^\/(.+)\/([a-z]*)$/.exec(match);
+    if (regex) {
+      return new RegExp(regex[1], regex[2]).test(prompt);
+    }
+
+    return prompt.includes(match);
+  }
+
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+}
+
+module.exports = MockProvider;
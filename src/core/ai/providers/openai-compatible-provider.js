@@ -0,0 +1,242 @@
+/**
+ * OpenAI-compatible chat completion provider
+ * Talks to any server exposing POST {baseUrl}/chat/completions
+ * (OpenRouter, OpenAI, llama.cpp server, vLLM, LM Studio, ...)
+ */
+
+const http = require('http');
+const https = require('https');
+const { parseRetryAfter } = require('../request-resilience');
+
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'openai-compatible';
+    this.type = 'openai-compatible';
+    this.baseUrl = (options.baseUrl || 'http://localhost:8000/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || null;
+    this.requiresApiKey = false;
+    this.headers = options.headers || {};
+
+    // Self-hosted servers usually serve a single model, so a configured
+    // model overrides whatever the agent asked for.
+    this.model = options.model || null;
+  }
+
+  buildBody({ model, messages, temperature = 0.7, maxTokens = 4000, tools }) {
+    return {
+      model: this.model || model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(tools?.length ? { tools, tool_choice: 'auto' } : {})
+    };
+  }
+
+  buildHeaders(data) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(data),
+      ...this.headers
+    };
+
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Run a chat completion and resolve with
+   * { content, model, usage, cost, provider, raw }, plus
+   * toolCalls: [{ id, name, arguments }] when the model called tools
+   */
+  async complete(request) {
+    const body = this.buildBody(request);
+    const response = await this.post('/chat/completions', body, request.signal);
+
+    // Check response structure
+    if (!response.choices || !response.choices[0] || !response.choices[0].message) {
+      console.error('Unexpected response format:', response);
+      throw new Error(`Invalid response format from ${this.name}`);
+    }
+
+    const message = response.choices[0].message;
+    const toolCalls = (message.tool_calls || []).map(call => ({
+      id: call.id,
+      name: call.function?.name,
+      arguments: this.parseArguments(call.function?.arguments)
+    }));
+
+    return {
+      content: message.content ?? '',
+      model: response.model || body.model,
+      usage: response.usage || null,
+      cost: this.getCost(response.usage),
+      provider: this.name,
+      raw: response,
+      ...(toolCalls.length > 0 ? { toolCalls } : {})
+    };
+  }
+
+  // Tool arguments arrive as a JSON string; malformed ones are passed on as-is
+  parseArguments(text) {
+    if (!text) return {};
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return text;
+    }
+  }
+
+  /**
+   * Stream a chat completion over server-sent events.
+   * Yields { type: 'delta', content } for each token batch, then a final
+   * { type: 'done', content, model, usage, provider } with the full text.
+   */
+  async *stream(request) {
+    const body = {
+      ...this.buildBody(request),
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+    const res = await this.open('/chat/completions', body, request.signal);
+
+    if (res.statusCode >= 400) {
+      throw await this.readError(res);
+    }
+
+    let buffer = '';
+    let content = '';
+    let usage = null;
+    let model = body.model;
+
+    for await (const chunk of res) {
+      buffer += chunk.toString('utf8');
+      request.onChunk?.();
+
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.substring(0, newline).trim();
+        buffer = buffer.substring(newline + 1);
+
+        // Skip keep-alive comments (": OPENROUTER PROCESSING") and blank lines
+        if (!line.startsWith('data:')) continue;
+
+        const payload = line.substring(5).trim();
+        if (payload === '[DONE]') continue;
+
+        const event = this.parseEvent(payload);
+        if (event.error) {
+          throw this.toError(event, res.statusCode);
+        }
+
+        model = event.model || model;
+        usage = event.usage || usage;
+
+        const delta = event.choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          yield { type: 'delta', content: delta };
+        }
+      }
+    }
+
+    yield { type: 'done', content, model, usage, cost: this.getCost(usage), provider: this.name };
+  }
+
+  // A stream event that is not JSON ends the stream with PROVIDER_STREAM_ERROR
+  parseEvent(payload) {
+    try {
+      return JSON.parse(payload);
+    } catch (e) {
+      const error = new Error(`${this.name} sent an unreadable stream event (${e.message}): ${payload.substring(0, 200)}`);
+      error.code = 'PROVIDER_STREAM_ERROR';
+      throw error;
+    }
+  }
+
+  // Billed cost in USD when the server reports it (OpenRouter usage accounting)
+  getCost(usage) {
+    return typeof usage?.cost === 'number' ? usage.cost : null;
+  }
+
+  async post(endpoint, body, signal) {
+    const res = await this.open(endpoint, body, signal);
+    if (res.statusCode >= 400) {
+      throw await this.readError(res);
+    }
+
+    const response = await this.readJSON(res);
+
+    // Check for API errors
+    if (response.error) {
+      throw this.toError(response, res.statusCode, res.headers);
+    }
+
+    return response;
+  }
+
+  // Error bodies of gateways and proxies are often not JSON
+  async readError(res) {
+    let response = null;
+    try {
+      response = await this.readJSON(res);
+    } catch (e) {
+      // Logged by readJSON; the status code is enough to go on
+    }
+
+    if (!response?.error) {
+      response = { error: { message: `HTTP ${res.statusCode}` } };
+    }
+    return this.toError(response, res.statusCode, res.headers);
+  }
+
+  open(endpoint, body, signal) {
+    const data = JSON.stringify(body);
+    const url = new URL(this.baseUrl + endpoint);
+    const transport = url.protocol === 'http:' ? http : https;
+
+    const options = {
+      hostname: url.hostname,
+      port: url.port || (url.protocol === 'http:' ? 80 : 443),
+      path: url.pathname + url.search,
+      method: 'POST',
+      headers: this.buildHeaders(data),
+      signal
+    };
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(options, resolve);
+      req.on('error', reject);
+      req.write(data);
+      req.end();
+    });
+  }
+
+  async readJSON(res) {
+    let responseBody = '';
+    for await (const chunk of res) {
+      responseBody += chunk;
+    }
+
+    try {
+      return JSON.parse(responseBody);
+    } catch (e) {
+      console.error('Failed to parse response:', e.message);
+      console.error('Response body:', responseBody);
+      throw e;
+    }
+  }
+
+  toError(response, statusCode, headers = {}) {
+    console.error(`${this.name} API Error:`, response.error);
+    const error = new Error(response.error?.message || 'API Error');
+    error.status = statusCode;
+    // Set on 429/503 replies; the request layer waits this long before retrying
+    error.retryAfter = parseRetryAfter(headers['retry-after']);
+    return error;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,48 @@
+/**
+ * OpenRouter provider
+ * OpenAI-compatible endpoint plus OpenRouter attribution headers
+ */
+
+const OpenAICompatibleProvider = require('./openai-compatible-provider');
+
+class OpenRouterProvider extends OpenAICompatibleProvider {
+  constructor(options = {}) {
+    super({
+      name: 'openrouter',
+      baseUrl: 'https://openrouter.ai/api/v1',
+      ...options,
+      apiKey: options.apiKey || process.env.OPENROUTER_API_KEY,
+      headers: {
+        'HTTP-Referer': 'https://github.com/rylie-seo-hub',
+        'X-Title': 'Multi-Agent Development System',
+        ...(options.headers || {})
+      }
+    });
+
+    this.type = 'openrouter';
+    this.requiresApiKey = true;
+  }
+
+  // Ask OpenRouter to report the billed cost alongside token counts
+  buildBody(request) {
+    return { ...super.buildBody(request), usage: { include: true } };
+  }
+
+  assertApiKey() {
+    if (!this.apiKey) {
+      throw new Error('OpenRouter API key not configured. Please set OPENROUTER_API_KEY environment variable.');
+    }
+  }
+
+  async complete(request) {
+    this.assertApiKey();
+    return super.complete(request);
+  }
+
+  async *stream(request) {
+    this.assertApiKey();
+    yield* super.stream(request);
+  }
+}
+
+module.exports = OpenRouterProvider;
@@ -0,0 +1,258 @@
+/**
+ * Request Resilience
+ * Deadlines, retries and circuit breaking for LLM calls.
+ *
+ * Every call gets a deadline (`timeout`; for streams it is an idle timeout
+ * that resets on each chunk). Timeouts, network errors, rate limits and
+ * server errors are retried up to `retries` times with exponential backoff
+ * and full jitter, or after the server's `Retry-After`. Each provider has a
+ * circuit breaker: after `failureThreshold` consecutive server errors, rate
+ * limits, network errors or timeouts its calls fail fast with CIRCUIT_OPEN
+ * until `resetTimeout` has passed, then a single trial call decides whether
+ * it closes again.
+ *
+ * Config per provider block: `api.<name>.timeout`, `retries`,
+ * `retryBaseDelay`, `retryMaxDelay`, `circuitBreaker.failureThreshold`,
+ * `circuitBreaker.resetTimeout`.
+ */
+
+const { loadSettings } = require('../../settings');
+
+const DEFAULTS = {
+  timeout: 120000,
+  retries: 2,
+  retryBaseDelay: 1000,
+  retryMaxDelay: 30000,
+  circuitBreaker: { failureThreshold: 5, resetTimeout: 60000 }
+};
+
+// Statuses worth retrying on the same model
+const RETRY_STATUSES = [408, 409, 425, 429];
+
+// Error codes of transient network failures
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ETIMEDOUT', 'ECONNABORTED', 'UND_ERR_SOCKET'];
+
+/**
+ * Delay requested by a Retry-After header (seconds or an HTTP date), in ms
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, Math.round(seconds * 1000));
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay between 0 and
+ * min(maxDelay, baseDelay * 2^attempt)
+ */
+function backoffDelay(attempt, baseDelay, maxDelay, random = Math.random) {
+  return Math.round(random() * Math.min(maxDelay, baseDelay * Math.pow(2, attempt)));
+}
+
+function isRetryable(error) {
+  if (error.name === 'AbortError' || error.code === 'CIRCUIT_OPEN' || error.streamed) {
+    return false;
+  }
+  if (error.status) {
+    return error.status >= 500 || RETRY_STATUSES.includes(error.status);
+  }
+  return error.code === 'REQUEST_TIMEOUT' || NETWORK_CODES.includes(error.code) || error instanceof SyntaxError;
+}
+
+// Failures that say something about the provider's health, unlike client
+// errors and bugs in the caller
+function isProviderFailure(error) {
+  if (error.status) {
+    return error.status >= 500 || RETRY_STATUSES.includes(error.status);
+  }
+  return error.code === 'REQUEST_TIMEOUT' || NETWORK_CODES.includes(error.code);
+}
+
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || DEFAULTS.circuitBreaker.failureThreshold;
+    this.resetTimeout = options.resetTimeout || DEFAULTS.circuitBreaker.resetTimeout;
+    this.now = options.now || Date.now;
+
+    this.state = 'CLOSED';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Throw CIRCUIT_OPEN unless a call may go through now
+   */
+  assertClosed() {
+    if (this.state === 'OPEN' && this.now() - this.openedAt >= this.resetTimeout) {
+      this.state = 'HALF_OPEN';
+      this.trialInFlight = false;
+    }
+
+    if (this.state === 'OPEN' || (this.state === 'HALF_OPEN' && this.trialInFlight)) {
+      const retryIn = Math.max(0, this.resetTimeout - (this.now() - this.openedAt));
+      const error = new Error(`Circuit for ${this.name} is open after ${this.failures} consecutive failures; retrying in ${Math.ceil(retryIn / 1000)}s`);
+      error.code = 'CIRCUIT_OPEN';
+      throw error;
+    }
+
+    if (this.state === 'HALF_OPEN') {
+      this.trialInFlight = true;
+    }
+  }
+
+  onSuccess() {
+    if (this.state !== 'CLOSED') {
+      console.log(`   🔌 Circuit for ${this.name} closed again`);
+    }
+    this.state = 'CLOSED';
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  onFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'HALF_OPEN' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'OPEN') {
+        console.log(`   🔌 Circuit for ${this.name} opened after ${this.failures} consecutive failures`);
+      }
+      this.state = 'OPEN';
+      this.openedAt = this.now();
+    }
+  }
+}
+
+class RequestResilience {
+  constructor(options = {}) {
+    this.settings = options.settings || loadSettings();
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.random = options.random || Math.random;
+    this.now = options.now || Date.now;
+    // Called with { provider, attempt, error, willRetry, delay } for every failed attempt
+    this.onFailure = options.onFailure || null;
+    this.breakers = new Map();
+  }
+
+  policy(provider) {
+    const configured = this.settings.api?.[provider] || {};
+    return {
+      timeout: configured.timeout ?? DEFAULTS.timeout,
+      retries: configured.retries ?? DEFAULTS.retries,
+      retryBaseDelay: configured.retryBaseDelay ?? DEFAULTS.retryBaseDelay,
+      retryMaxDelay: configured.retryMaxDelay ?? DEFAULTS.retryMaxDelay,
+      circuitBreaker: { ...DEFAULTS.circuitBreaker, ...(configured.circuitBreaker || {}) }
+    };
+  }
+
+  breaker(provider) {
+    if (!this.breakers.has(provider)) {
+      this.breakers.set(provider, new CircuitBreaker(provider, { ...this.policy(provider).circuitBreaker, now: this.now }));
+    }
+    return this.breakers.get(provider);
+  }
+
+  /**
+   * Run `operation({ signal, heartbeat })` against `provider` with the
+   * provider's deadline, retries and circuit breaker. `heartbeat()` restarts
+   * the deadline (streams call it per chunk). An aborted `options.signal`
+   * cancels the call without retrying.
+   */
+  async execute(provider, operation, options = {}) {
+    const policy = this.policy(provider);
+    const breaker = this.breaker(provider);
+
+    for (let attempt = 0; ; attempt++) {
+      breaker.assertClosed();
+
+      const controller = new AbortController();
+      let timer = null;
+      let timedOut = false;
+      const heartbeat = () => {
+        clearTimeout(timer);
+        if (policy.timeout > 0) {
+          timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+          }, policy.timeout);
+        }
+      };
+      const cancel = () => controller.abort();
+      options.signal?.addEventListener('abort', cancel);
+      heartbeat();
+
+      try {
+        const result = await operation({ signal: controller.signal, heartbeat });
+        breaker.onSuccess();
+        return result;
+      } catch (caught) {
+        let error = caught;
+        if (timedOut) {
+          error = new Error(`${provider} request timed out after ${policy.timeout}ms`);
+          error.code = 'REQUEST_TIMEOUT';
+          error.streamed = caught.streamed;
+        }
+        if (options.signal?.aborted) {
+          throw error;
+        }
+
+        const retryable = isRetryable(error);
+        if (isProviderFailure(error)) {
+          breaker.onFailure();
+        }
+
+        const willRetry = retryable && attempt < policy.retries && breaker.state !== 'OPEN';
+        const delay = willRetry ? this.retryDelay(error, attempt, policy) : null;
+        this.report({ provider, attempt: attempt + 1, error, willRetry: willRetry && delay !== null, delay });
+
+        if (!willRetry || delay === null) {
+          throw error;
+        }
+
+        console.log(`   🔁 ${provider} request failed (${error.message}), retry ${attempt + 1}/${policy.retries} in ${delay}ms`);
+        await this.sleep(delay);
+      } finally {
+        clearTimeout(timer);
+        options.signal?.removeEventListener('abort', cancel);
+      }
+    }
+  }
+
+  /**
+   * Honor Retry-After when the server sends one; null when it asks for
+   * longer than retryMaxDelay (better to fall back to another model)
+   */
+  retryDelay(error, attempt, policy) {
+    if (error.retryAfter !== undefined && error.retryAfter !== null) {
+      return error.retryAfter <= policy.retryMaxDelay ? error.retryAfter : null;
+    }
+    return backoffDelay(attempt, policy.retryBaseDelay, policy.retryMaxDelay, this.random);
+  }
+
+  report(event) {
+    if (!this.onFailure) return;
+    try {
+      this.onFailure(event);
+    } catch (error) {
+      // Failure bookkeeping must never fail a generation
+      console.warn(`⚠️  Could not record request failure: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  RequestResilience,
+  CircuitBreaker,
+  parseRetryAfter,
+  backoffDelay,
+  isRetryable,
+  isProviderFailure
+};
@@ -0,0 +1,120 @@
+/**
+ * LLM Response Cache
+ * Content-addressed store of completions keyed by a hash of
+ * (model, messages, temperature). A cache directory doubles as a
+ * record/replay cassette for offline end-to-end runs.
+ *
+ * Modes:
+ *   off          - never touch the cache (default)
+ *   read         - serve hits, call the provider on a miss, never write
+ *   write        - serve hits and record every miss
+ *   replay-only  - serve hits, fail on a miss; no network at all
+ *
+ * `LLM_CACHE_MODE` / `LLM_CACHE_DIR` override `llmCache.mode` / `llmCache.dir`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadSettings } = require('../../settings');
+
+const CACHE_MODES = ['off', 'read', 'write', 'replay-only'];
+
+class ResponseCache {
+  constructor(options = {}) {
+    const settings = options.settings || loadSettings();
+    const configured = settings.llmCache || {};
+
+    this.mode = options.mode || process.env.LLM_CACHE_MODE || configured.mode || 'off';
+    this.dir = options.dir || process.env.LLM_CACHE_DIR || configured.dir || '.llm-cache';
+
+    if (!CACHE_MODES.includes(this.mode)) {
+      throw new Error(`Unknown LLM cache mode: ${this.mode}. Use one of: ${CACHE_MODES.join(', ')}`);
+    }
+
+    this.stats = { hits: 0, misses: 0, writes: 0 };
+  }
+
+  get enabled() {
+    return this.mode !== 'off';
+  }
+
+  get canWrite() {
+    return this.mode === 'write';
+  }
+
+  keyFor({ model, messages, temperature, tools }) {
+    // Tool names only join the key for tool-calling requests, so older entries stay valid
+    const key = tools?.length
+      ? { model, messages, temperature, tools: tools.map(tool => tool.function?.name || tool.name) }
+      : { model, messages, temperature };
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify(key))
+      .digest('hex');
+  }
+
+  entryPath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  /**
+   * Return the cached completion for a request, or null on a miss.
+   * In replay-only mode a miss throws.
+   */
+  get(request) {
+    return this.find([request]);
+  }
+
+  /**
+   * First hit among alternative requests (e.g. the same prompt routed to
+   * fallback models). In replay-only mode, missing all of them throws.
+   */
+  find(requests) {
+    if (!this.enabled) return null;
+
+    for (const request of requests) {
+      const file = this.entryPath(this.keyFor(request));
+      if (fs.existsSync(file)) {
+        this.stats.hits++;
+        return JSON.parse(fs.readFileSync(file, 'utf8')).completion;
+      }
+    }
+
+    this.stats.misses++;
+    if (this.mode === 'replay-only') {
+      const key = this.keyFor(requests[0]);
+      throw new Error(`LLM cache miss in replay-only mode for ${requests.map(r => r.model).join(', ')} (key ${key.substring(0, 12)}). Record it with LLM_CACHE_MODE=write.`);
+    }
+
+    return null;
+  }
+
+  set(request, completion) {
+    if (!this.canWrite) return;
+
+    const key = this.keyFor(request);
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.entryPath(key), JSON.stringify({
+      key,
+      recordedAt: new Date().toISOString(),
+      request: {
+        prompt: request.prompt || null,
+        model: request.model,
+        temperature: request.temperature,
+        messages: request.messages
+      },
+      completion: {
+        content: completion.content,
+        model: completion.model,
+        usage: completion.usage || null,
+        cost: completion.cost ?? null,
+        provider: completion.provider,
+        ...(completion.toolCalls ? { toolCalls: completion.toolCalls } : {})
+      }
+    }, null, 2));
+    this.stats.writes++;
+  }
+}
+
+module.exports = { ResponseCache, CACHE_MODES };
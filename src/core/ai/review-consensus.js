@@ -0,0 +1,104 @@
+/**
+ * Review Consensus
+ * Merges the code reviews of several models into one verdict. The score
+ * is the median, approval is a majority vote, and issues are de-duplicated
+ * by location and severity (or by wording when no line is given). The
+ * disagreement between reviewers is scored from 0 (unanimous) to 1:
+ *
+ *   disagreement = (spread + split) / 2
+ *   spread = standard deviation of the scores / 25, capped at 1
+ *   split  = reviewers in the approval minority / half the reviewers
+ */
+
+const { lineSimilarity } = require('./code-edits');
+
+const LINE_TOLERANCE = 2; // Issues this many lines apart are the same issue
+const WORDING_SIMILARITY = 0.6; // For issues without a line number
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+const round = value => Math.round(value * 100) / 100;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function standardDeviation(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+}
+
+function sameIssue(a, b) {
+  if (a.severity !== b.severity) return false;
+  if (typeof a.line === 'number' && typeof b.line === 'number') {
+    return Math.abs(a.line - b.line) <= LINE_TOLERANCE;
+  }
+  return lineSimilarity(a.description, b.description) >= WORDING_SIMILARITY;
+}
+
+/**
+ * Issues of every review, merged when they point at the same place with the
+ * same severity. Each carries `reviewers`: the models that reported it.
+ */
+function mergeIssues(reviews) {
+  const merged = [];
+
+  reviews.forEach(({ model, review }) => {
+    (review.issues || []).forEach(issue => {
+      const existing = merged.find(candidate => sameIssue(candidate, issue));
+      if (existing) {
+        if (!existing.reviewers.includes(model)) existing.reviewers.push(model);
+      } else {
+        merged.push({ ...issue, line: issue.line ?? null, reviewers: [model] });
+      }
+    });
+  });
+
+  return merged.sort((a, b) =>
+    SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || b.reviewers.length - a.reviewers.length);
+}
+
+function uniqueStrings(lists) {
+  const seen = new Set();
+  return lists.flat().filter(item => {
+    const key = String(item).trim().toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Combine parsed reviews ([{ model, review }]) into
+ * { score, approved, issues, suggestions, security, consensus }
+ */
+function mergeReviews(reviews) {
+  const scores = reviews.map(({ review }) => review.score);
+  const approvals = reviews.filter(({ review }) => review.approved).length;
+  const minority = Math.min(approvals, reviews.length - approvals);
+
+  const spread = Math.min(1, standardDeviation(scores) / 25);
+  const split = reviews.length > 1 ? minority / (reviews.length / 2) : 0;
+
+  return {
+    score: median(scores),
+    approved: approvals > reviews.length / 2,
+    issues: mergeIssues(reviews),
+    suggestions: uniqueStrings(reviews.map(({ review }) => review.suggestions || [])),
+    security: uniqueStrings(reviews.map(({ review }) => review.security || [])),
+    consensus: {
+      reviewers: reviews.map(({ model, review }) => ({
+        model,
+        score: review.score,
+        approved: review.approved,
+        issues: (review.issues || []).length
+      })),
+      scoreSpread: round(spread),
+      approvalSplit: round(split),
+      disagreement: round((spread + split) / 2)
+    }
+  };
+}
+
+module.exports = { mergeReviews, mergeIssues, median };
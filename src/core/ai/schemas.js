@@ -0,0 +1,136 @@
+/**
+ * JSON schemas for every structured prompt the agents send.
+ * Validated by ./structured-output before a response is trusted.
+ */
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+// Work the analysing agent asks another agent to do (agent-handoffs.js)
+const handoffRequests = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['request'],
+    properties: {
+      agent: { type: 'string' },
+      type: { type: 'string', enum: ['schema-change', 'api-change', 'ui-change', 'test-change', 'other'] },
+      request: { type: 'string' },
+      files: stringList
+    }
+  }
+};
+
+const ticketAnalysis = {
+  type: 'object',
+  required: ['complexity', 'primaryGoal', 'requiredFiles'],
+  properties: {
+    complexity: { type: 'string', enum: ['simple', 'medium', 'complex'] },
+    estimatedLinesOfCode: { type: 'number', minimum: 0 },
+    primaryGoal: { type: 'string' },
+    keyFeatures: stringList,
+    coreLogicAreas: stringList,
+    requiredFiles: stringList,
+    dependencies: stringList,
+    suggestedApproach: { type: 'string' },
+    potentialChallenges: stringList,
+    testingStrategy: { type: 'string' },
+    handoffs: handoffRequests
+  }
+};
+
+const codeReview = {
+  type: 'object',
+  required: ['score', 'issues', 'approved'],
+  properties: {
+    score: { type: 'number', minimum: 0, maximum: 100 },
+    issues: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['severity', 'description'],
+        properties: {
+          severity: { type: 'string', enum: ['high', 'medium', 'low'] },
+          description: { type: 'string' },
+          line: { type: ['number', 'null'] }
+        }
+      }
+    },
+    suggestions: stringList,
+    security: stringList,
+    approved: { type: 'boolean' }
+  }
+};
+
+const grade = { type: 'string', enum: ['A', 'B', 'C', 'D'] };
+
+const seniorAnalysis = {
+  type: 'object',
+  required: ['complexity', 'architectureImpact', 'requiredPatterns'],
+  properties: {
+    complexity: { type: 'string', enum: ['simple', 'medium', 'complex', 'architectural'] },
+    architectureImpact: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+    requiredPatterns: stringList,
+    performanceConsiderations: stringList,
+    securityImplications: stringList,
+    scalabilityRequirements: { type: 'object' },
+    testingStrategy: { type: 'object' },
+    estimatedLinesOfCode: { type: 'number', minimum: 0 },
+    performanceGrade: grade,
+    securityGrade: grade,
+    testCoverageTarget: { type: 'number', minimum: 0, maximum: 100 },
+    handoffs: handoffRequests
+  }
+};
+
+const architectureDesign = {
+  type: 'object',
+  required: ['pattern', 'decision', 'components'],
+  properties: {
+    pattern: { type: 'string' },
+    decision: { type: 'string' },
+    rationale: { type: 'string' },
+    alternatives: stringList,
+    components: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'responsibility'],
+        properties: {
+          name: { type: 'string' },
+          responsibility: { type: 'string' },
+          patterns: stringList
+        }
+      }
+    },
+    dataFlow: { type: 'string' },
+    integrations: stringList,
+    deployment: { type: 'string' }
+  }
+};
+
+const acceptanceReview = {
+  type: 'object',
+  required: ['criteria'],
+  properties: {
+    criteria: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'passed', 'evidence'],
+        properties: {
+          id: { type: 'string' },
+          passed: { type: 'boolean' },
+          evidence: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  ticketAnalysis,
+  codeReview,
+  seniorAnalysis,
+  architectureDesign,
+  acceptanceReview
+};
@@ -0,0 +1,133 @@
+/**
+ * Senior Validation
+ * The quality gate of senior-mode code generation: the AIValidationLayer's
+ * static checks plus a model review (AIAgentEngine.reviewCode at
+ * temperature 0), merged into one issue list with file/line references.
+ * Static errors are high severity, warnings medium and suggestions low.
+ * The same code and review always give the same issues, in the same order,
+ * and the same score:
+ *
+ *   score = min(review score, 100 - penalties of the static findings)
+ *
+ * Code passes at `seniorValidation.minScore` (default 85) with no high
+ * severity issue and a review that did not reject it; an unreadable review
+ * leaves the static checks to decide. Set `seniorValidation.review` to
+ * false to use the static checks alone.
+ */
+
+const { loadSettings } = require('../../settings');
+
+const PENALTIES = { high: 15, medium: 5, low: 0 };
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Issues from an AIValidationLayer result and a parsed review, sorted by
+ * severity, then line, then message, without duplicates
+ */
+function collectIssues(file, validation, review) {
+  const fromValidation = (items, severity) => (items || []).map(item => ({
+    file,
+    line: item.line ?? null,
+    severity,
+    category: item.type || 'validation',
+    check: item.check || null,
+    message: item.message,
+    source: 'validation'
+  }));
+
+  const issues = [
+    ...fromValidation(validation.errors, 'high'),
+    ...fromValidation(validation.warnings, 'medium'),
+    ...fromValidation(validation.suggestions, 'low'),
+    ...(review?.status === 'ok' ? review.issues || [] : []).map(issue => ({
+      file,
+      line: issue.line ?? null,
+      severity: issue.severity,
+      category: 'review',
+      check: null,
+      message: issue.description,
+      source: 'review',
+      ...(issue.reviewers ? { reviewers: issue.reviewers } : {})
+    }))
+  ];
+
+  const seen = new Set();
+  return issues
+    .filter(issue => {
+      const key = `${issue.severity}|${issue.line}|${issue.message}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) =>
+      SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] ||
+      (a.line ?? Infinity) - (b.line ?? Infinity) ||
+      a.message.localeCompare(b.message));
+}
+
+// 100 minus the penalties of the static findings, never below 0
+function staticScore(issues) {
+  const penalty = issues
+    .filter(issue => issue.source === 'validation')
+    .reduce((sum, issue) => sum + PENALTIES[issue.severity], 0);
+  return Math.max(0, 100 - penalty);
+}
+
+// `src/a.js:12 [high] security: Potential SQL injection`
+function formatIssue(issue) {
+  const where = issue.line ? `${issue.file}:${issue.line}` : issue.file;
+  return `${where} [${issue.severity}] ${issue.category}: ${issue.message}`;
+}
+
+// A grade or target from the senior analysis, or 'n/a' when it has none
+function formatTarget(value, unit = '') {
+  return value == null ? 'n/a' : `${value}${unit}`;
+}
+
+class SeniorValidation {
+  constructor(options = {}) {
+    const configured = (options.settings || loadSettings()).seniorValidation || {};
+
+    this.validator = options.validator;
+    this.engine = options.engine;
+    this.minScore = configured.minScore ?? 85;
+    this.useReview = configured.review ?? true;
+  }
+
+  /**
+   * Validate `code` for `file`, with its imports checked against the
+   * checkout at `root`, and resolve with
+   * { passed, score, staticScore, reviewScore, issues, counts }
+   */
+  async validate(agentType, code, file, ticket = {}, root = null) {
+    const validation = await this.validator.validateCode(code, file, {
+      ticket: ticket.id,
+      agent: agentType,
+      senior: true,
+      ...(root ? { root } : {})
+    });
+
+    const review = this.useReview
+      ? await this.engine.reviewCode(agentType, code, ticket.description || '', { file, temperature: 0 })
+      : null;
+    const reviewed = review?.status === 'ok';
+
+    const issues = collectIssues(file, validation, review);
+    const fromChecks = staticScore(issues);
+    const score = reviewed ? Math.min(review.score, fromChecks) : fromChecks;
+
+    const counts = { high: 0, medium: 0, low: 0 };
+    issues.forEach(issue => { counts[issue.severity]++; });
+
+    return {
+      passed: score >= this.minScore && counts.high === 0 && !(reviewed && review.approved === false),
+      score,
+      staticScore: fromChecks,
+      reviewScore: reviewed ? review.score : null,
+      issues,
+      counts
+    };
+  }
+}
+
+module.exports = { SeniorValidation, collectIssues, staticScore, formatIssue, formatTarget };
@@ -0,0 +1,134 @@
+/**
+ * Structured Output
+ * Extracts JSON from model text and validates it against the JSON schemas
+ * in ./schemas. Supports the subset of JSON Schema the prompts use:
+ * type, enum, required, properties, items, minimum and maximum.
+ */
+
+const FENCE_PATTERN = /```(?:json|JSON)?\s*\n?([\s\S]*?)```/g;
+
+/**
+ * Pull the first JSON value out of a completion. Tries fenced blocks, then
+ * the raw text, then the outermost {...} span.
+ * Returns { value } or { error }.
+ */
+function extractJSON(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { error: 'Response was empty' };
+  }
+
+  const candidates = [];
+  for (const match of text.matchAll(FENCE_PATTERN)) {
+    candidates.push(match[1]);
+  }
+  candidates.push(text);
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    candidates.push(text.substring(start, end + 1));
+  }
+
+  let lastError = null;
+  for (const candidate of candidates) {
+    try {
+      return { value: JSON.parse(candidate.trim()) };
+    } catch (e) {
+      lastError = e.message;
+    }
+  }
+
+  return { error: `Response is not valid JSON (${lastError})` };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema. Returns a list of human-readable
+ * errors (empty when valid) suitable for feeding back to the model.
+ */
+function validateSchema(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path} must be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Extract and validate in one step.
+ * Returns { ok: true, data } or { ok: false, errors }.
+ */
+function parseStructured(text, schema) {
+  const { value, error } = extractJSON(text);
+  if (error) {
+    return { ok: false, errors: [error] };
+  }
+
+  const errors = validateSchema(value, schema);
+  return errors.length === 0 ? { ok: true, data: value } : { ok: false, errors };
+}
+
+function buildRepairPrompt(errors, schema) {
+  return `Your previous response could not be used:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Reply again with ONLY a JSON object that matches this JSON schema. No prose, no markdown.
+${JSON.stringify(schema, null, 2)}`;
+}
+
+module.exports = {
+  extractJSON,
+  validateSchema,
+  parseStructured,
+  buildRepairPrompt
+};
@@ -0,0 +1,220 @@
+/**
+ * Test Fix Loop
+ * Runs the tests generated for an agent's files with the project's test
+ * runner, reads the failures from its output (jest `--json` or TAP) and
+ * hands them back to the model to fix the code under test, until the
+ * tests pass or the iteration or cost budget runs out.
+ *
+ * Config: `testFixLoop.enabled`, `command` (`{files}` is replaced by the
+ * quoted test files), `format` (jest | tap), `maxIterations`, `maxCost`
+ * (USD spent by the agent while fixing), `commandTimeout`.
+ */
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { loadSettings } = require('../../settings');
+
+const DEFAULT_COMMAND = 'npx jest --json --passWithNoTests {files}';
+const MAX_MESSAGE_CHARS = 2000;
+
+const quote = value => `'${String(value).replace(/'/g, "'\\''")}'`;
+
+// Terminal colours make failure messages harder for the model to read
+const clean = message => String(message || '').replace(/\u001b\[[0-9;]*m/g, '').trim().slice(0, MAX_MESSAGE_CHARS);
+
+/**
+ * Failures and counts from `jest --json` output, or null when the output
+ * holds no jest report
+ */
+function parseJestJson(output) {
+  const start = output.indexOf('{');
+  if (start === -1) return null;
+
+  let report;
+  try {
+    report = JSON.parse(output.slice(start, output.lastIndexOf('}') + 1));
+  } catch (e) {
+    return null;
+  }
+  if (!Array.isArray(report.testResults)) return null;
+
+  const failures = [];
+  report.testResults.forEach(suite => {
+    const failed = (suite.assertionResults || []).filter(test => test.status === 'failed');
+    failed.forEach(test => failures.push({
+      file: suite.name,
+      name: test.fullName || test.title,
+      line: test.location?.line ?? null,
+      message: clean(test.failureMessages?.join('\n'))
+    }));
+
+    // A suite that fails to load (syntax error, missing import) has no tests
+    if (suite.status === 'failed' && failed.length === 0) {
+      failures.push({ file: suite.name, name: 'Test suite failed to run', line: null, message: clean(suite.message) });
+    }
+  });
+
+  return {
+    passed: report.numPassedTests || 0,
+    failed: Math.max(report.numFailedTests || 0, failures.length),
+    failures
+  };
+}
+
+/**
+ * Failures and counts from TAP output (`ok` / `not ok` lines with optional
+ * YAML diagnostics), or null when there are no test points. A point that
+ * closes a block of indented subtests only summarises them and is not
+ * counted.
+ */
+function parseTap(output) {
+  const lines = output.split('\n');
+  const failures = [];
+  let passed = 0;
+  let subtest = null;
+  let previousIndent = null;
+
+  lines.forEach((line, index) => {
+    const heading = line.match(/^\s*#\s*Subtest:\s*(.+)$/);
+    if (heading) subtest = heading[1].trim();
+
+    const point = line.match(/^(\s*)(not ok|ok)\b\s*\d*\s*(?:-\s*)?([^#]*)(#.*)?$/);
+    if (!point) return;
+
+    const indent = point[1].length;
+    const summary = previousIndent !== null && indent < previousIndent;
+    previousIndent = indent;
+    if (summary) return;
+
+    if (point[2] === 'ok' || /#\s*(SKIP|TODO)/i.test(point[4] || '')) {
+      passed++;
+      return;
+    }
+
+    // The YAML block after a failing point holds its message and location
+    const diagnostics = [];
+    if (/^\s*---\s*$/.test(lines[index + 1] || '')) {
+      for (let i = index + 2; i < lines.length && !/^\s*(\.\.\.|stack:)/.test(lines[i]); i++) {
+        if (!/^\s*duration_ms:/.test(lines[i])) diagnostics.push(lines[i].trim());
+      }
+    }
+    const location = diagnostics.find(entry => /^(location|at):/.test(entry))?.replace(/^\w+:\s*/, '').replace(/^['"]|['"]$/g, '');
+    const where = location?.match(/^(.*?):(\d+)(?::\d+)?$/);
+
+    failures.push({
+      file: where ? where[1] : subtest,
+      name: point[3].trim(),
+      line: where ? Number(where[2]) : null,
+      message: clean(diagnostics.filter(entry => !/^(location|at):/.test(entry)).join('\n'))
+    });
+  });
+
+  if (passed === 0 && failures.length === 0) return null;
+  return { passed, failed: failures.length, failures };
+}
+
+// `passed (4 tests) after 1 fix iteration`, for logs and commit messages
+function describeTestResults(results) {
+  if (!results || results.status === 'skipped') return 'not run';
+  if (results.status === 'error') return `could not be run (${results.error})`;
+
+  const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+  const counts = results.status === 'passed'
+    ? plural(results.passed, 'test')
+    : `${results.failed} of ${plural(results.passed + results.failed, 'test')} failing`;
+  const fixes = results.iterations ? ` after ${plural(results.iterations, 'fix iteration')}` : '';
+  const stopped = results.stoppedBy ? `, stopped by the ${results.stoppedBy} budget` : '';
+  return `${results.status} (${counts})${fixes}${stopped}`;
+}
+
+class TestFixLoop {
+  constructor(options = {}) {
+    const configured = (options.settings || loadSettings()).testFixLoop || {};
+
+    this.root = path.resolve(options.root || process.cwd());
+    this.enabled = configured.enabled ?? true;
+    this.command = configured.command || DEFAULT_COMMAND;
+    this.format = configured.format || 'jest';
+    this.maxIterations = configured.maxIterations ?? 3;
+    this.maxCost = configured.maxCost ?? null;
+    this.commandTimeout = configured.commandTimeout || 120000;
+  }
+
+  /**
+   * Run the test files once and return
+   * { status: 'passed' | 'failed' | 'error', passed, failed, failures, error }
+   */
+  runTests(testFiles) {
+    const files = testFiles.map(quote).join(' ');
+    const command = this.command.includes('{files}') ? this.command.replace('{files}', files) : `${this.command} ${files}`;
+
+    console.log(`   🧪 Running ${command}`);
+    const result = spawnSync(command, {
+      cwd: this.root,
+      shell: true,
+      encoding: 'utf8',
+      timeout: this.commandTimeout,
+      maxBuffer: 16 * 1024 * 1024,
+      env: { ...process.env, CI: 'true' }
+    });
+
+    if (result.error?.code === 'ETIMEDOUT') {
+      return { status: 'error', passed: 0, failed: 0, failures: [], error: `timed out after ${this.commandTimeout}ms` };
+    }
+
+    const parse = this.format === 'tap' ? parseTap : parseJestJson;
+    const report = parse(result.stdout || '');
+    if (!report) {
+      // The runner's last words usually say why it failed; npx warnings come first
+      const reason = clean(result.stderr || result.stdout).split('\n').filter(Boolean).pop() || `exit code ${result.status}`;
+      return { status: 'error', passed: 0, failed: 0, failures: [], error: `no ${this.format} report in the output: ${reason}` };
+    }
+
+    return { status: report.failed > 0 ? 'failed' : 'passed', ...report, error: null };
+  }
+
+  /**
+   * Run `tests` ([{ source, testFile }]) and call `fix(source, failures)`
+   * for each source file with failing tests, until they pass or a budget
+   * runs out. `spent()` returns the USD the agent has spent so far.
+   * Failures that name no known test file are given to every source.
+   */
+  async run(tests, { fix, spent = () => 0 }) {
+    const startSpend = spent();
+    let iterations = 0;
+    let stoppedBy = null;
+    let results = this.runTests(tests.map(test => test.testFile));
+
+    while (results.status === 'failed') {
+      if (iterations >= this.maxIterations) {
+        stoppedBy = 'iteration';
+        break;
+      }
+      if (this.maxCost !== null && spent() - startSpend >= this.maxCost) {
+        stoppedBy = 'cost';
+        break;
+      }
+
+      iterations++;
+      console.log(`   🔧 Fix iteration ${iterations}/${this.maxIterations}: ${results.failed} failing test(s)`);
+      for (const { source, testFile } of tests) {
+        const failures = results.failures.filter(failure => !failure.file ||
+          !tests.some(test => this.samePath(test.testFile, failure.file)) ||
+          this.samePath(testFile, failure.file));
+        if (failures.length > 0) {
+          await fix(source, failures);
+        }
+      }
+
+      results = this.runTests(tests.map(test => test.testFile));
+    }
+
+    return { ...results, iterations, stoppedBy };
+  }
+
+  samePath(a, b) {
+    return path.resolve(this.root, a) === path.resolve(this.root, b);
+  }
+}
+
+module.exports = { TestFixLoop, parseJestJson, parseTap, describeTestResults };
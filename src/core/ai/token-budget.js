@@ -0,0 +1,235 @@
+/**
+ * Token Budget
+ * Counts tokens, knows each model's context window and fits prompt context
+ * into what is left after the fixed prompt text and the reserved output.
+ * Lower-priority sections are shrunk first: code is reduced to an outline
+ * of its declarations, prose is truncated, optional context is dropped.
+ * Files too large for any prompt are split into segments at top-level
+ * statement boundaries so they can be edited independently.
+ *
+ * Config: `contextBudget.outputTokens`, `contextBudget.safetyMargin`,
+ * `contextBudget.contextWindows` (per-model overrides).
+ */
+
+const { loadSettings } = require('../../settings');
+
+// Context window in tokens (input + output)
+const MODEL_CONTEXT_WINDOWS = {
+  'openai/gpt-4o': 128000,
+  'openai/gpt-4o-mini': 128000,
+  'openai/gpt-4.1': 1047576,
+  'openai/gpt-4.1-mini': 1047576,
+  'openai/gpt-4': 8192,
+  'openai/gpt-4-turbo-preview': 128000,
+  'openai/o3-pro': 200000,
+  'anthropic/claude-opus-4': 200000,
+  'anthropic/claude-sonnet-4': 200000,
+  'anthropic/claude-3.5-sonnet': 200000,
+  'anthropic/claude-3-opus': 200000,
+  'anthropic/claude-3-sonnet': 200000,
+  'anthropic/claude-3-haiku': 200000,
+  'google/gemini-2.5-flash': 1048576,
+  'deepseek/deepseek-r1': 128000
+};
+
+// Used for models missing from the table
+const DEFAULT_CONTEXT_WINDOW = 32768;
+
+// Per-message framing added by chat APIs
+const MESSAGE_OVERHEAD = 4;
+
+// Approximates BPE tokenizers (slightly on the high side): a token per
+// ~5 letters of a word, per 3 digits and per 2 punctuation characters.
+// A single space merges into the next word; newlines count on their own.
+const TOKEN_PATTERN = /[A-Za-z]+|\d{1,3}|\s+|[^\sA-Za-z\d]+/g;
+
+function countTokens(text) {
+  let tokens = 0;
+  for (const piece of (text || '').match(TOKEN_PATTERN) || []) {
+    if (/^\s/.test(piece)) {
+      tokens += (piece.match(/\n/g) || []).length || (piece.length > 1 ? 1 : 0);
+    } else if (/^[A-Za-z]/.test(piece)) {
+      tokens += Math.ceil(piece.length / 5);
+    } else if (/^\d/.test(piece)) {
+      tokens += 1;
+    } else {
+      tokens += Math.ceil(piece.length / 2);
+    }
+  }
+  return tokens;
+}
+
+function countMessageTokens(messages) {
+  return messages.reduce((total, message) => total + MESSAGE_OVERHEAD + countTokens(message.content), 0);
+}
+
+// Start of a top-level statement: unindented and not a closing bracket
+const isTopLevel = line => /^[^\s)\]}]/.test(line);
+
+/**
+ * Keep only unindented lines (imports, declarations, signatures) so a
+ * large file still shows its shape
+ */
+function outline(code) {
+  const lines = code.split('\n');
+  const kept = [];
+  let skipped = 0;
+
+  lines.forEach(line => {
+    if (isTopLevel(line) && !/^\s*(\/\/|\*|\/\*)/.test(line)) {
+      if (skipped > 0) kept.push(`  // ... ${skipped} line${skipped === 1 ? '' : 's'}`);
+      kept.push(line);
+      skipped = 0;
+    } else if (line.trim()) {
+      skipped++;
+    }
+  });
+  if (skipped > 0) kept.push(`  // ... ${skipped} line${skipped === 1 ? '' : 's'}`);
+
+  return kept.join('\n');
+}
+
+/**
+ * Keep the head of `text` within `maxTokens`, cut at a line boundary
+ */
+function truncate(text, maxTokens) {
+  if (countTokens(text) <= maxTokens) return text;
+
+  const lines = text.split('\n');
+  const kept = [];
+  let used = countTokens('[... 000 more lines truncated to fit the context window]');
+
+  for (const line of lines) {
+    const cost = countTokens(line) + 1;
+    if (used + cost > maxTokens) break;
+    kept.push(line);
+    used += cost;
+  }
+
+  if (used > maxTokens) return '';
+  return `${kept.join('\n')}\n[... ${lines.length - kept.length} more lines truncated to fit the context window]`;
+}
+
+class ContextBudget {
+  constructor(options = {}) {
+    const settings = options.settings || loadSettings();
+    const configured = settings.contextBudget || {};
+
+    this.outputTokens = options.outputTokens || configured.outputTokens || 4000;
+    this.safetyMargin = options.safetyMargin ?? configured.safetyMargin ?? 0.1;
+    this.windows = { ...MODEL_CONTEXT_WINDOWS, ...(configured.contextWindows || {}), ...(options.contextWindows || {}) };
+  }
+
+  countTokens(text) {
+    return countTokens(text);
+  }
+
+  countMessages(messages) {
+    return countMessageTokens(messages);
+  }
+
+  contextWindow(model) {
+    return this.windows[model] || DEFAULT_CONTEXT_WINDOW;
+  }
+
+  /**
+   * Input tokens every one of `models` can take with `outputTokens` reserved,
+   * less the safety margin for tokenizer differences
+   */
+  inputBudget(models, outputTokens = this.outputTokens) {
+    const smallest = Math.min(...models.map(model => this.contextWindow(model)));
+    return Math.floor((smallest - outputTokens) * (1 - this.safetyMargin));
+  }
+
+  /**
+   * Shrink sections until their total fits `available` tokens.
+   * `sections` maps a name to { text, priority, shrink } where a higher
+   * priority number is shrunk first and `shrink` is 'outline' (code),
+   * 'truncate', 'drop' or 'none'. Returns { values, total, trimmed }.
+   * Throws CONTEXT_BUDGET_EXCEEDED when even the shrunk sections do not fit.
+   */
+  fit(sections, available) {
+    const values = {};
+    const sizes = {};
+    Object.entries(sections).forEach(([name, section]) => {
+      values[name] = section.text || '';
+      sizes[name] = countTokens(values[name]);
+    });
+
+    const total = () => Object.values(sizes).reduce((sum, size) => sum + size, 0);
+    const trimmed = [];
+    const order = Object.keys(sections)
+      .filter(name => (sections[name].shrink || 'none') !== 'none')
+      .sort((a, b) => sections[b].priority - sections[a].priority);
+
+    for (const name of order) {
+      if (total() <= available) break;
+
+      const before = sizes[name];
+      const others = total() - before;
+      const room = Math.max(0, available - others);
+      let text = values[name];
+
+      if (sections[name].shrink === 'outline' && countTokens(text) > room) {
+        text = outline(text);
+      }
+      if (sections[name].shrink === 'drop') {
+        text = '';
+      } else if (countTokens(text) > room) {
+        text = truncate(text, room);
+      }
+
+      values[name] = text;
+      sizes[name] = countTokens(text);
+      trimmed.push({ name, from: before, to: sizes[name] });
+    }
+
+    if (total() > available) {
+      const error = new Error(`Prompt context needs ${total()} tokens but only ${available} fit in the model's context window`);
+      error.code = 'CONTEXT_BUDGET_EXCEEDED';
+      throw error;
+    }
+
+    return { values, total: total(), trimmed };
+  }
+
+  /**
+   * Split code into consecutive segments of at most `maxTokens`, cut where
+   * a top-level statement starts when possible. Joining the segments' text
+   * with '\n' restores the original exactly.
+   */
+  segment(code, maxTokens) {
+    const lines = code.split('\n');
+    const segments = [];
+    let start = 0;
+    let used = 0;
+    let lastBoundary = -1;
+
+    lines.forEach((line, i) => {
+      const cost = countTokens(line) + 1;
+      if (used + cost > maxTokens && i > start) {
+        // Prefer the latest top-level boundary in the second half of the segment
+        const cut = lastBoundary > start + (i - start) / 2 ? lastBoundary : i;
+        segments.push({ startLine: start + 1, endLine: cut, text: lines.slice(start, cut).join('\n') });
+        used = lines.slice(cut, i).reduce((sum, l) => sum + countTokens(l) + 1, 0);
+        start = cut;
+        lastBoundary = -1;
+      }
+      if (i > start && isTopLevel(line)) lastBoundary = i;
+      used += cost;
+    });
+    segments.push({ startLine: start + 1, endLine: lines.length, text: lines.slice(start).join('\n') });
+
+    return segments;
+  }
+}
+
+module.exports = {
+  ContextBudget,
+  MODEL_CONTEXT_WINDOWS,
+  DEFAULT_CONTEXT_WINDOW,
+  countTokens,
+  countMessageTokens,
+  outline,
+  truncate
+};
@@ -1,7 +1,8 @@
 #!/usr/bin/env node
 
-const { execSync } = require('child_process');
+const { execSync, execFileSync, spawnSync } = require('child_process');
 const fs = require('fs');
+const path = require('path');
 const readline = require('readline');
 
 console.log(`
@@ -150,8 +151,12 @@ async function hybridMode(rl) {
   
   console.log('In this mode:');
   console.log('- Master assigns tickets to agents');
-  console.log('- Developers can use AI assistance');
-  console.log('- AI generates code, developers review\n');
+  console.log('- The agent proposes its changes hunk by hunk, with validation notes');
+  console.log('- You accept, reject or edit each hunk, or ask for a revision with a comment');
+  console.log('- Your decisions are remembered as feedback for the agent\n');
+  
+  const dispatcher = path.join(__dirname, 'master-dispatcher.js');
+  const aiAgent = path.join(__dirname, '..', 'agents', 'ai-agent.js');
   
   // First assign tickets
   const ticketFile = await new Promise(resolve => {
@@ -159,19 +164,46 @@ async function hybridMode(rl) {
   });
   
   if (ticketFile) {
-    execSync(`node master-dispatcher.js assign ${ticketFile}`);
+    execFileSync('node', [dispatcher, 'assign', ticketFile], { stdio: 'inherit' });
+  }
+  
+  // Tickets an agent can work on now
+  const stateFile = '.master-dispatcher-state.json';
+  const state = fs.existsSync(stateFile) ? JSON.parse(fs.readFileSync(stateFile, 'utf8')) : { activeAssignments: {} };
+  const open = Object.entries(state.activeAssignments || {})
+    .filter(([, assignment]) => !['completed', 'blocked'].includes(assignment.status));
+  
+  if (open.length === 0) {
+    console.log('\nNo open assignments. Assign tickets with:');
+    console.log('  node src/core/orchestration/master-dispatcher.js assign <ticket-file>\n');
+    return;
   }
   
-  // Show instructions
-  console.log('\n📋 Instructions for developers:\n');
-  console.log('For manual development:');
-  console.log('  node agent-task.js\n');
-  console.log('For AI-assisted development:');
-  console.log('  node ai-agent.js <ticket-id> <agent-type>\n');
-  console.log('To check assignments:');
-  console.log('  node master-dispatcher.js status\n');
-  console.log('AI will generate code based on ticket descriptions.');
-  console.log('Developers review and modify before committing.\n');
+  console.log('\n📋 Open assignments:\n');
+  open.forEach(([ticketId, assignment], index) => {
+    console.log(`  ${index + 1}. ${ticketId} (${assignment.agent}): ${assignment.description}`);
+  });
+  
+  const choice = (await new Promise(resolve => {
+    rl.question('\nTicket to work on (number or ticket ID): ', resolve);
+  })).trim();
+  const selected = open[Number(choice) - 1] || open.find(([ticketId]) => ticketId === choice.toUpperCase());
+  if (!selected) {
+    console.log('Invalid selection');
+    return;
+  }
+  
+  // The agent asks its own questions on this terminal
+  rl.close();
+  const [ticketId, assignment] = selected;
+  const run = spawnSync('node', [aiAgent, ticketId, assignment.agent, '--hybrid'], { stdio: 'inherit' });
+  
+  if (run.status === 0) {
+    console.log(`\n📋 Once ${ticketId} is reviewed, mark it complete with:`);
+    console.log(`  node src/core/orchestration/master-dispatcher.js complete ${ticketId}\n`);
+  } else {
+    console.log(`\n❌ The ${assignment.agent} agent stopped on ${ticketId}`);
+  }
 }
 
 async function manualMode(rl) {
@@ -1,10 +1,14 @@
 #!/usr/bin/env node
 
-const { execSync } = require('child_process');
+const { execSync, execFileSync } = require('child_process');
 const fs = require('fs'); // fs is still used for reading/writing .stateFile and tickets.txt
 const path = require('path');
 const readline = require('readline');
 const config = require('../../config'); // Jules: Added: Use new config module
+const { ModelRouter } = require('../ai/model-router');
+const { matchCriteriaHeading } = require('../ai/acceptance-criteria');
+const { AgentRegistry } = require('../agents/agent-registry');
+const { HandoffQueue, HANDOFF_FILE, dispatchHandoffs, releaseHandoffs } = require('../agents/agent-handoffs');
 
 class MasterAgentDispatcher {
   constructor() {
@@ -17,94 +21,10 @@ class MasterAgentDispatcher {
     this.stateFile = '.master-dispatcher-state.json';
     this.loadState();
     
-    // Smart mapping rules
-    this.keywordToAgent = {
-      // Frontend keywords
-      'component': 'frontend',
-      'ui': 'frontend',
-      'display': 'frontend',
-      'button': 'frontend',
-      'form': 'frontend',
-      'page': 'frontend',
-      'view': 'frontend',
-      'chart': 'frontend',
-      'visualization': 'frontend',
-      'style': 'frontend',
-      'css': 'frontend',
-      'layout': 'frontend',
-      'responsive': 'frontend',
-      'animation': 'frontend',
-      'progress': 'frontend',
-      'prompt': 'frontend',
-      'chat': 'frontend',
-      
-      // Backend keywords
-      'api': 'backend',
-      'endpoint': 'backend',
-      'service': 'backend',
-      'webhook': 'backend',
-      'auth': 'backend',
-      'security': 'backend',
-      'validation': 'backend',
-      'business logic': 'backend',
-      'calculation': 'backend',
-      'algorithm': 'backend',
-      'analytics': 'backend',
-      'query': 'backend',
-      'template': 'backend',
-      'parser': 'backend',
-      'natural language': 'backend',
-      
-      // Database keywords
-      'database': 'database',
-      'model': 'database',
-      'schema': 'database',
-      'migration': 'database',
-      'field': 'database',
-      'table': 'database',
-      'relation': 'database',
-      'index': 'database',
-      'constraint': 'database',
-      'package definition': 'database',
-      'order model': 'database',
-      
-      // Integration keywords
-      'integration': 'integration',
-      'google': 'integration',
-      'search console': 'integration',
-      'third-party': 'integration',
-      'external': 'integration',
-      'sync': 'integration',
-      'import': 'integration',
-      'export': 'integration',
-      'connect': 'integration',
-      'escalation': 'integration',
-      
-      // Testing keywords
-      'test': 'testing',
-      'coverage': 'testing',
-      'unit test': 'testing',
-      'integration test': 'testing',
-      'e2e': 'testing',
-      'spec': 'testing'
-    };
-    
-    // File pattern rules
-    this.filePatternToAgent = {
-      'src/components': 'frontend',
-      'src/pages': 'frontend',
-      'src/app': 'frontend',
-      'src/styles': 'frontend',
-      'src/server': 'backend',
-      'src/api': 'backend',
-      'src/lib/api': 'backend',
-      'src/lib/analytics': 'backend',
-      'prisma': 'database',
-      'src/lib/db': 'database',
-      'src/lib/integrations': 'integration',
-      'tests': 'testing',
-      '__tests__': 'testing'
-    };
+    // Smart mapping rules: the keywords and file patterns of every agent type
+    this.registry = new AgentRegistry({ settings: config.get() });
+    this.keywordToAgent = this.registry.keywordMap();
+    this.filePatternToAgent = this.registry.filePatternMap();
   }
 
   loadState() {
@@ -149,6 +69,8 @@ class MasterAgentDispatcher {
     const lines = content.split('\n');
     
     let currentTicket = null;
+    // Bullets under an "Acceptance criteria" heading are criteria, not notes
+    let inCriteria = false;
     
     for (const line of lines) {
       // Match various ticket formats
@@ -166,15 +88,27 @@ class MasterAgentDispatcher {
           id: ticketId.toUpperCase(),
           description: description,
           dependencies: [],
-          notes: []
+          notes: [],
+          acceptanceCriteria: []
         };
+        inCriteria = false;
       } else if (currentTicket && line.trim()) {
+        const heading = matchCriteriaHeading(line);
+        const bullet = line.trim().startsWith('-') || line.trim().startsWith('*');
+        
         // Check for dependencies
         if (line.toLowerCase().includes('depends on:') || line.toLowerCase().includes('dependencies:')) {
           const deps = line.match(/TICKET-[\w-]+/gi) || [];
           currentTicket.dependencies.push(...deps.map(d => d.toUpperCase()));
-        } else if (line.trim().startsWith('-') || line.trim().startsWith('*')) {
-          currentTicket.notes.push(line.trim().substring(1).trim());
+          inCriteria = false;
+        } else if (heading) {
+          currentTicket.acceptanceCriteria.push(...heading.inline);
+          inCriteria = true;
+        } else if (bullet) {
+          const item = line.trim().substring(1).trim();
+          (inCriteria ? currentTicket.acceptanceCriteria : currentTicket.notes).push(item);
+        } else {
+          inCriteria = false;
         }
       }
     }
@@ -196,13 +130,7 @@ class MasterAgentDispatcher {
     
     // Analyze description for keywords
     const desc = (ticket.description + ' ' + ticket.notes.join(' ')).toLowerCase();
-    const agentScores = {
-      frontend: 0,
-      backend: 0,
-      database: 0,
-      integration: 0,
-      testing: 0
-    };
+    const agentScores = Object.fromEntries(this.registry.types().map(agent => [agent, 0]));
     
     // Score based on keywords
     for (const [keyword, agent] of Object.entries(this.keywordToAgent)) {
@@ -224,7 +152,7 @@ class MasterAgentDispatcher {
     
     // Find best agent
     let maxScore = 0;
-    let bestAgent = 'backend'; // default
+    let bestAgent = this.registry.has('backend') ? 'backend' : this.registry.types()[0]; // default
     
     for (const [agent, score] of Object.entries(agentScores)) {
       if (score > maxScore) {
@@ -249,13 +177,7 @@ class MasterAgentDispatcher {
   async assignTickets(tickets) {
     console.log('\n🤖 Master Agent Analyzing Tickets...\n');
     
-    const assignments = {
-      frontend: [],
-      backend: [],
-      database: [],
-      integration: [],
-      testing: []
-    };
+    const assignments = Object.fromEntries(this.registry.types().map(agent => [agent, []]));
     
     const analyses = [];
     
@@ -314,8 +236,7 @@ class MasterAgentDispatcher {
           const newAgent = await new Promise(resolve => {
             rl.question(`${task.id} currently → ${agent}. Change to (or press enter): `, resolve);
           });
-          // Jules: Changed: Check agent existence in new config structure
-          if (newAgent && config.get(`agents.definitions.${newAgent}`)) {
+          if (newAgent && this.registry.has(newAgent)) {
             // Move task to new agent
             assignments[agent] = assignments[agent].filter(t => t.id !== task.id);
             // Ensure the new agent's task array exists
@@ -367,6 +288,8 @@ class MasterAgentDispatcher {
       branch: branchName,
       description: task.description,
       dependencies: task.dependencies,
+      notes: task.notes,
+      acceptanceCriteria: task.acceptanceCriteria || [],
       assignedAt: new Date().toISOString(),
       status: 'assigned'
     };
@@ -379,6 +302,7 @@ class MasterAgentDispatcher {
       description: task.description,
       dependencies: task.dependencies,
       notes: task.notes,
+      acceptanceCriteria: task.acceptanceCriteria || [],
       assignedAt: new Date().toISOString(),
       instructions: this.generateInstructions(agentName, task) // Jules: Use agentName
     };
@@ -411,40 +335,84 @@ class MasterAgentDispatcher {
     };
   }
 
-  suggestModelForTask(task, agentName) { // Jules: Renamed agent to agentName
-    const desc = task.description.toLowerCase();
-    
-    // Task complexity analysis
-    if (desc.includes('refactor') || desc.includes('complex') || desc.includes('architect')) {
-      return 'anthropic/claude-3-opus-20240229';
-    }
-    
-    if (desc.includes('simple') || desc.includes('fix') || desc.includes('update')) {
-      return 'openai/gpt-3.5-turbo';
+  suggestModelForTask(task, agentName) {
+    // Same routing policy the agents use (modelRouting in the config)
+    this.router = this.router || new ModelRouter({ settings: config.get() });
+    return this.router.suggest(agentName, task.description);
+  }
+
+  /**
+   * Has `ticketId` been merged? Agents commit as `feat(<ticket>): ...`, so
+   * a merged ticket has such a commit on the project's master branch.
+   */
+  isMerged(ticketId) {
+    try {
+      const commit = execFileSync('git', [
+        'log', config.get('projectMasterBranch') || 'main', '-1', '--format=%H', '--fixed-strings', `--grep=(${ticketId})`
+      ], { cwd: config.getProjectPathAbs() || process.cwd(), encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+      return commit.trim() !== '';
+    } catch (error) {
+      return false;
     }
-    
-    if (desc.includes('creative') || desc.includes('design') || desc.includes('ui')) {
-      return 'anthropic/claude-2';
+  }
+
+  /**
+   * Unblock tickets whose handoff children merged, then turn the agents'
+   * open handoff requests into child tickets (agent-handoffs.js)
+   */
+  async syncHandoffs() {
+    const queue = new HandoffQueue({ file: HANDOFF_FILE });
+    const isDone = (ticketId, assignment) => assignment?.status === 'completed' || this.isMerged(ticketId);
+
+    const { merged, released } = releaseHandoffs(queue, this.activeAssignments, isDone);
+    merged.forEach(handoff => {
+      const child = this.activeAssignments[handoff.childTicket];
+      if (child && child.status !== 'completed') {
+        child.status = 'completed';
+        this.completedTasks.push(handoff.childTicket);
+      }
+      console.log(`🔀 ${handoff.childTicket} merged (${handoff.to} agent, for ${handoff.ticket})`);
+    });
+    released.forEach(ticketId => console.log(`▶️  ${ticketId} is unblocked`));
+
+    const blockParent = config.get('handoffs.blockParent') ?? true;
+    const dispatched = await dispatchHandoffs(queue, this.activeAssignments, (agentName, task) => this.createAgentTask(agentName, task), { blockParent });
+    dispatched.forEach(handoff => {
+      const blocked = blockParent && this.activeAssignments[handoff.ticket] ? `; ${handoff.ticket} waits for it to merge` : '';
+      console.log(`   ↪️  ${handoff.childTicket} created for the ${handoff.to} agent from ${handoff.from} (${handoff.type})${blocked}`);
+    });
+
+    if (merged.length + released.length + dispatched.length > 0) this.saveState();
+    return { merged, released, dispatched };
+  }
+
+  async showHandoffs() {
+    console.log('\n🤝 Agent Handoffs\n');
+    await this.syncHandoffs();
+
+    const handoffs = new HandoffQueue({ file: HANDOFF_FILE }).list();
+    if (handoffs.length === 0) {
+      console.log('No handoffs requested.');
+      return;
     }
-    
-    // Default by agent type from config
-    const agentConfig = config.get(`agents.definitions.${agentName}`);
-    if (agentConfig && agentConfig.model) {
-      return agentConfig.model;
+
+    const marks = { open: '📨', dispatched: '⏳', merged: '✅' };
+    for (const handoff of handoffs) {
+      const child = handoff.childTicket ? ` → ${handoff.childTicket}` : '';
+      console.log(`${marks[handoff.status] || '•'} ${handoff.id} ${handoff.ticket}${child}: ${handoff.from} → ${handoff.to} (${handoff.type || 'files'}, ${handoff.status})`);
+      console.log(`   ${handoff.request}`);
     }
-    
-    // Fallback if agent or its model isn't in config for some reason
-    console.warn(`⚠️ Model not found for agent ${agentName} in config. Falling back to default.`);
-    return config.get('agents.definitions.general.model') || 'openai/gpt-4'; // General default
   }
 
   async checkStatus() {
     console.log('\n📊 Master Dispatcher Status\n');
+    await this.syncHandoffs();
     
     // Group by status
     const byStatus = {
       assigned: [],
       in_progress: [],
+      blocked: [],
       completed: []
     };
     
@@ -459,7 +427,8 @@ class MasterAgentDispatcher {
     if (byStatus.assigned.length > 0) {
       console.log('📋 Assigned (Not Started):');
       for (const task of byStatus.assigned) {
-        console.log(`   ${task.ticket}: ${task.agent} agent - ${task.description}`);
+        const parent = task.parent ? ` (handoff for ${task.parent})` : '';
+        console.log(`   ${task.ticket}: ${task.agent} agent - ${task.description}${parent}`);
       }
       console.log('');
     }
@@ -472,6 +441,15 @@ class MasterAgentDispatcher {
       console.log('');
     }
     
+    if (byStatus.blocked.length > 0) {
+      console.log('⏸️  Waiting on Handoffs:');
+      for (const task of byStatus.blocked) {
+        const children = task.blockedBy.map(child => `${child} (${this.activeAssignments[child]?.agent || 'unknown'} agent)`);
+        console.log(`   ${task.ticket}: ${task.agent} agent - waiting on ${children.join(', ')}`);
+      }
+      console.log('');
+    }
+    
     if (byStatus.completed.length > 0) {
       console.log('✅ Completed:');
       for (const task of byStatus.completed) {
@@ -526,6 +504,7 @@ Usage:
   node master-dispatcher.js status            - Check assignment status
   node master-dispatcher.js agent <name>      - Show tasks for specific agent
   node master-dispatcher.js complete <ticket> - Mark ticket as complete
+  node master-dispatcher.js handoffs          - Turn agents' handoff requests into child tickets
 
 Examples:
   # Assign tickets from a file
@@ -578,6 +557,10 @@ The Master Agent will:
         await this.checkStatus();
         break;
         
+      case 'handoffs':
+        await this.showHandoffs();
+        break;
+        
       case 'agent':
         if (args.length === 0) {
           console.log('Please specify an agent name');
@@ -592,6 +575,11 @@ The Master Agent will:
           return;
         }
         const ticketId = args[0].toUpperCase();
+        await this.syncHandoffs();
+        if (this.activeAssignments[ticketId]?.status === 'blocked') {
+          console.log(`⏸️  ${ticketId} is waiting on ${this.activeAssignments[ticketId].blockedBy.join(', ')}`);
+          return;
+        }
         if (this.activeAssignments[ticketId]) {
           this.activeAssignments[ticketId].status = 'completed';
           this.completedTasks.push(ticketId);
@@ -8,6 +8,7 @@ const FailureRecoverySystem = require('./failure-recovery');
 const ResourceMonitor = require('./resource-monitor');
 const HumanOversightSystem = require('./human-oversight'); // Assuming local utility
 const config = require('../../config'); // Jules: Added: Use new config module
+const { AgentBoundaries } = require('../agents/agent-boundaries');
 
 class MasterAgentWorkflow {
   constructor() {
@@ -351,32 +352,17 @@ ${summary.nextSteps.map(n => `- ${n}`).join('\n')}
       .find(r => r.step === 'review-changes')?.reviews || [];
     
     const violations = [];
+    // Jules: Changed: Use orchestratorConfig (which is the full config object) to get agent definitions
+    const boundaries = new AgentBoundaries({ settings: this.orchestratorConfig });
     
     for (const review of reviews) {
       // Extract agent from branch name
-      // Jules: Changed: Use orchestratorConfig (which is the full config object) to get agent definitions
-      const agentDefinitions = this.orchestratorConfig.agents?.definitions;
-      if (!agentDefinitions) continue;
-
-      const agentEntry = Object.entries(agentDefinitions).find(([key, agentDef]) => review.branch.startsWith(agentDef.branchPrefix));
+      const agentKey = boundaries.agentForBranch(review.branch);
       
-      if (agentEntry) {
-        const [agentKey, agentConfig] = agentEntry;
-        
-        for (const file of review.files) {
-          const allowed = agentConfig.workingPaths.some(p => file.startsWith(p));
-          // Jules: Handle potentially undefined excludePaths
-          const excluded = (agentConfig.excludePaths || []).some(p => file.startsWith(p));
-          
-          if (!allowed || excluded) {
-            violations.push({
-              branch: review.branch,
-              agent: agentKey,
-              file,
-              type: !allowed ? 'not-allowed' : 'excluded'
-            });
-          }
-        }
+      if (agentKey) {
+        boundaries.review(agentKey, review.files).violations.forEach(({ file, type, owner }) => {
+          violations.push({ branch: review.branch, agent: agentKey, file, type, owner });
+        });
       }
     }
     
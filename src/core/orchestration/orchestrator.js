@@ -4,6 +4,8 @@ const { execSync, spawn } = require('child_process');
 const fs = require('fs'); // fs is still used for statusFile and lockFile
 const path = require('path');
 const config = require('../../config'); // Jules: Added: Use new config module
+const { WorktreeManager } = require('./worktree-manager');
+const { AgentBoundaries } = require('../agents/agent-boundaries');
 
 class MultiAgentOrchestrator {
   constructor() { // Jules: Removed configPath parameter
@@ -14,6 +16,18 @@ class MultiAgentOrchestrator {
     this.lockFile = path.join(this.projectPath, config.get('agentCommunication.lockFile'));
     this.agentStatus = {};
     this.fileLocks = {};
+    this.worktrees = null;
+  }
+
+  // Created on first use: commands like `status` work outside a git checkout
+  worktreeManager() {
+    this.worktrees = this.worktrees || new WorktreeManager({ root: this.projectPath, settings: config.get() });
+    return this.worktrees;
+  }
+
+  // Where an agent's branch is checked out: its worktree, or the shared checkout
+  agentDir(agentKey) {
+    return this.agentStatus[agentKey]?.worktree || this.projectPath;
   }
 
   init() {
@@ -72,12 +86,18 @@ class MultiAgentOrchestrator {
     const baseBranch = config.get('projectMasterBranch') || 'main'; // Jules: Use new config
     
     try {
-      // Create branch from latest base
-      this.exec(`git checkout -b ${branchName} ${baseBranch}`); // Jules: Use baseBranch from config
+      // Each task gets its own worktree, so agents never switch branches under each other
+      let worktree = null;
+      if (this.worktreeManager().enabled) {
+        worktree = this.worktreeManager().acquire(branchName, baseBranch);
+      } else {
+        this.exec(`git checkout -b ${branchName} ${baseBranch}`); // Jules: Use baseBranch from config
+      }
       
       // Update agent status
       this.agentStatus[agentKey] = {
         currentBranch: branchName,
+        worktree,
         taskId: taskId,
         startTime: new Date().toISOString(),
         status: 'active'
@@ -97,21 +117,15 @@ class MultiAgentOrchestrator {
     if (!agentConfig) return false; // Agent not defined
     const relativePath = path.relative(this.projectPath, filePath);
     
-    // Check if file is in agent's working paths
-    const inWorkingPath = agentConfig.workingPaths.some(wp =>
-      relativePath.startsWith(wp) || relativePath.includes(wp.replace('**/', ''))
-    );
-    
-    // Check if file is in excluded paths
-    const inExcludedPath = (agentConfig.excludePaths || []).some(ep => // Jules: Handle undefined excludePaths
-      relativePath.startsWith(ep) || relativePath.includes(ep.replace('**/', ''))
-    );
+    // Check the agent's working and excluded paths
+    const boundaries = new AgentBoundaries({ root: this.projectPath, settings: config.get() });
+    const inBoundary = boundaries.isAllowed(agentKey, filePath);
     
     // Check if file is locked by another agent
     const isLocked = this.fileLocks[relativePath] && 
                      this.fileLocks[relativePath].agent !== agentKey;
     
-    return inWorkingPath && !inExcludedPath && !isLocked;
+    return inBoundary && !isLocked;
   }
 
   lockFiles(agentKey, files) {
@@ -160,19 +174,20 @@ class MultiAgentOrchestrator {
     }
     
     const baseBranch = config.get('projectMasterBranch') || 'main'; // Jules: Use new config
+    const cwd = this.agentDir(agentKey);
     try {
       // Stash any uncommitted changes
-      this.exec('git stash');
+      this.exec('git stash', { cwd });
       
       // Fetch latest changes
-      this.exec('git fetch origin');
+      this.exec('git fetch origin', { cwd });
       
       // Rebase on base branch
-      this.exec(`git rebase origin/${baseBranch}`); // Jules: Use baseBranch from config
+      this.exec(`git rebase origin/${baseBranch}`, { cwd }); // Jules: Use baseBranch from config
       
       // Pop stashed changes
       try {
-        this.exec('git stash pop');
+        this.exec('git stash pop', { cwd });
       } catch (e) {
         // No stash to pop
       }
@@ -183,7 +198,7 @@ class MultiAgentOrchestrator {
       
       // Abort rebase if in progress
       try {
-        this.exec('git rebase --abort');
+        this.exec('git rebase --abort', { cwd });
       } catch (e) {}
       
       throw error;
@@ -204,20 +219,22 @@ class MultiAgentOrchestrator {
     }
     
     const baseBranch = config.get('projectMasterBranch') || 'main'; // Jules: Use new config
+    const cwd = this.agentDir(agentKey);
     try {
       // Commit any pending changes
-      this.exec('git add -A');
-      this.exec(`git commit -m "${message || `${agentConfig.name || agentKey}: ${status.taskId}`}"`); // Jules: Use agentConfig.name
+      this.exec('git add -A', { cwd });
+      this.exec(`git commit -m "${message || `${agentConfig.name || agentKey}: ${status.taskId}`}"`, { cwd }); // Jules: Use agentConfig.name
       
       // Push branch
-      this.exec(`git push -u origin ${status.currentBranch}`);
+      this.exec(`git push -u origin ${status.currentBranch}`, { cwd });
       
       // Create pull request (using GitHub CLI if available)
       try {
         const prUrl = this.exec(
           `gh pr create --base ${baseBranch} ` + // Jules: Use baseBranch from config
           `--head ${status.currentBranch} --title "${agentConfig.name || agentKey}: ${status.taskId}" ` + // Jules: Use agentConfig.name
-          `--body "Automated PR from ${agentConfig.name || agentKey}"` // Jules: Use agentConfig.name
+          `--body "Automated PR from ${agentConfig.name || agentKey}"`, // Jules: Use agentConfig.name
+          { cwd }
         );
         console.log(`✅ Created PR for ${agentConfig.name || agentKey}: ${prUrl}`); // Jules: Use agentConfig.name
       } catch (e) {
@@ -238,6 +255,24 @@ class MultiAgentOrchestrator {
     }
   }
 
+  /**
+   * Remove the worktrees of merged branches (with `all`, every worktree
+   * without uncommitted changes) and clear them from the agent status
+   */
+  cleanupWorktrees({ all = false } = {}) {
+    const removed = this.worktreeManager().prune({ all });
+    
+    for (const [agentKey, status] of Object.entries(this.agentStatus)) {
+      if (status.worktree && removed.includes(status.currentBranch)) {
+        this.agentStatus[agentKey].worktree = null;
+      }
+    }
+    this.saveStatus();
+    
+    console.log(`🧹 Removed ${removed.length} worktree(s)${removed.length ? `: ${removed.join(', ')}` : ''}`);
+    return removed;
+  }
+
   runPeriodicSync() {
     // Jules: Get updateFrequency from new config structure, use config.parseInterval helper
     const updateFrequencyString = config.get('conflictResolution.updateFrequency');
@@ -282,6 +317,9 @@ class MultiAgentOrchestrator {
         if (status) {
           console.log(`\n${agentConfig.name || agentKey}:`); // Jules: Use agentConfig.name
           console.log(`  Branch: ${status.currentBranch}`);
+          if (status.worktree) {
+            console.log(`  Worktree: ${path.relative(this.projectPath, status.worktree)}`);
+          }
           console.log(`  Task: ${status.taskId}`);
           console.log(`  Status: ${status.status}`);
           console.log(`  Started: ${status.startTime}`);
@@ -356,6 +394,11 @@ try {
       orchestrator.status();
       break;
       
+    case 'cleanup':
+      orchestrator.loadStatus();
+      orchestrator.cleanupWorktrees({ all: args.includes('--all') });
+      break;
+      
     case 'watch':
       orchestrator.init();
       orchestrator.runPeriodicSync();
@@ -374,6 +417,7 @@ Commands:
   sync [agent]      Sync agent(s) with base branch
   merge <agent> [message]    Merge agent's work
   status            Show status of all agents
+  cleanup [--all]   Remove worktrees of merged branches (--all: of every branch without uncommitted changes)
   watch             Run periodic sync
       `);
   }
@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+
+/**
+ * Worktree Manager
+ * Gives every task its own `git worktree` so agents that run at the same
+ * time never share a working tree. Worktrees live under
+ * `worktrees.directory` (default `.agent-worktrees`, kept out of
+ * `git status` through .git/info/exclude), one per branch:
+ *
+ *   acquire(branch)  create the worktree, or reuse the one already there
+ *   release(branch)  remove it (refused while it has uncommitted changes)
+ *   prune()          remove the worktrees of branches merged into the base
+ *
+ * `node worktree-manager.js list|prune|remove <branch>|cleanup` manages them
+ * by hand.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { loadSettings } = require('../../settings');
+
+const worktreeError = (message, code) => Object.assign(new Error(message), { code });
+
+// feature/backend/ticket-1 -> feature-backend-ticket-1
+const directoryName = branch => branch.replace(/[^\w.-]+/g, '-').replace(/^[-.]+/, '');
+
+class WorktreeManager {
+  constructor(options = {}) {
+    const settings = options.settings || loadSettings();
+    const configured = settings.worktrees || {};
+
+    this.root = this.git(['rev-parse', '--show-toplevel'], path.resolve(options.root || process.cwd())).trim();
+    this.enabled = configured.enabled ?? true;
+    this.directory = path.resolve(this.root, configured.directory || '.agent-worktrees');
+    this.baseBranch = options.baseBranch || settings.projectMasterBranch || 'main';
+  }
+
+  git(args, cwd = this.root) {
+    return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: 'pipe' });
+  }
+
+  /**
+   * Worktrees of the repository as { path, head, branch, managed }
+   */
+  list() {
+    return this.git(['worktree', 'list', '--porcelain']).trim().split('\n\n').filter(Boolean).map(block => {
+      const fields = Object.fromEntries(block.split('\n').map(line => {
+        const [key, ...value] = line.split(' ');
+        return [key, value.join(' ')];
+      }));
+      return {
+        path: fields.worktree,
+        head: fields.HEAD || null,
+        branch: fields.branch ? fields.branch.replace(/^refs\/heads\//, '') : null,
+        managed: fields.worktree.startsWith(`${this.directory}${path.sep}`)
+      };
+    });
+  }
+
+  find(branch) {
+    return this.list().find(worktree => worktree.branch === branch) || null;
+  }
+
+  /**
+   * Path of the worktree checked out on `branch`, created from `base` (or
+   * the project's base branch) when the branch does not exist yet
+   */
+  acquire(branch, base = this.baseBranch) {
+    // Forget worktrees whose folders were deleted by hand, so they are recreated
+    this.git(['worktree', 'prune']);
+
+    const existing = this.find(branch);
+    if (existing) {
+      if (existing.path === this.root) {
+        throw worktreeError(`Branch ${branch} is checked out in the main working tree; switch it to another branch first`, 'BRANCH_IN_MAIN_WORKTREE');
+      }
+      console.log(`   ♻️  Reusing worktree ${path.relative(this.root, existing.path)} for ${branch}`);
+      return existing.path;
+    }
+
+    this.ensureDirectory();
+    const target = path.join(this.directory, directoryName(branch));
+    if (this.branchExists(branch)) {
+      this.git(['worktree', 'add', target, branch]);
+    } else {
+      this.git(['worktree', 'add', '-b', branch, target, base]);
+    }
+    this.linkNodeModules(target);
+
+    console.log(`   🌳 Created worktree ${path.relative(this.root, target)} for ${branch}`);
+    return target;
+  }
+
+  /**
+   * Remove the worktree of `branch`. Uncommitted changes are kept unless
+   * `force` is set.
+   */
+  release(branch, { force = false } = {}) {
+    const worktree = this.find(branch);
+    if (!worktree || !worktree.managed) {
+      return false;
+    }
+
+    if (!force && this.isDirty(worktree.path)) {
+      throw worktreeError(`Worktree for ${branch} has uncommitted changes; commit them or remove it with force`, 'WORKTREE_DIRTY');
+    }
+
+    this.unlinkNodeModules(worktree.path);
+    this.git(['worktree', 'remove', ...(force ? ['--force'] : []), worktree.path]);
+    return true;
+  }
+
+  /**
+   * Remove the managed worktrees whose branches are merged into the base
+   * branch and have nothing uncommitted; merged branches are deleted too.
+   * A branch nothing was committed to yet counts as merged to git, but its
+   * agent may still be working, so it is kept. With `all`, every clean
+   * managed worktree is removed and branches kept.
+   */
+  prune({ all = false } = {}) {
+    this.git(['worktree', 'prune']);
+    const merged = all ? null : this.mergedBranches();
+    const removed = [];
+
+    this.list()
+      .filter(worktree => worktree.managed && worktree.branch &&
+        (all || (merged.has(worktree.branch) && this.hasCommits(worktree.branch))))
+      .forEach(worktree => {
+        if (this.isDirty(worktree.path)) {
+          console.log(`   ⚠️  Keeping ${path.relative(this.root, worktree.path)}: uncommitted changes`);
+          return;
+        }
+
+        this.release(worktree.branch);
+        if (!all) {
+          this.git(['branch', '-d', worktree.branch]);
+        }
+        removed.push(worktree.branch);
+      });
+
+    return removed;
+  }
+
+  mergedBranches() {
+    try {
+      return new Set(this.git(['branch', '--format=%(refname:short)', '--merged', this.baseBranch]).split('\n').filter(Boolean));
+    } catch (error) {
+      throw worktreeError(`Base branch ${this.baseBranch} not found; set projectMasterBranch`, 'UNKNOWN_BASE_BRANCH');
+    }
+  }
+
+  // Whether anything was committed to the branch since it was created
+  hasCommits(branch) {
+    return this.git(['reflog', 'show', '--format=%H', `refs/heads/${branch}`]).trim().split('\n').length > 1;
+  }
+
+  branchExists(branch) {
+    try {
+      this.git(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`]);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  isDirty(worktreePath) {
+    return this.git(['status', '--porcelain'], worktreePath).trim() !== '';
+  }
+
+  /**
+   * Create the managed directory. It and the node_modules links in the
+   * worktrees are added to .git/info/exclude (shared by all worktrees), so
+   * neither shows up in `git status` nor gets committed by an agent.
+   */
+  ensureDirectory() {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    const relative = path.relative(this.root, this.directory);
+    const entries = ['/node_modules'];
+    if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+      entries.push(`/${relative.split(path.sep).join('/')}/`);
+    }
+
+    const exclude = path.resolve(this.root, this.git(['rev-parse', '--git-path', 'info/exclude']).trim());
+    const current = fs.existsSync(exclude) ? fs.readFileSync(exclude, 'utf8') : '';
+    const missing = entries.filter(entry => !current.split('\n').includes(entry));
+    if (missing.length > 0) {
+      fs.mkdirSync(path.dirname(exclude), { recursive: true });
+      fs.appendFileSync(exclude, `${current && !current.endsWith('\n') ? '\n' : ''}${missing.join('\n')}\n`);
+    }
+  }
+
+  // Fresh worktrees have no dependencies installed; share the main checkout's
+  linkNodeModules(worktreePath) {
+    const modules = path.join(this.root, 'node_modules');
+    const link = path.join(worktreePath, 'node_modules');
+    if (fs.existsSync(modules) && !fs.existsSync(link)) {
+      fs.symlinkSync(modules, link, 'dir');
+    }
+  }
+
+  unlinkNodeModules(worktreePath) {
+    const link = path.join(worktreePath, 'node_modules');
+    if (fs.existsSync(link) && fs.lstatSync(link).isSymbolicLink()) {
+      fs.unlinkSync(link);
+    }
+  }
+}
+
+module.exports = { WorktreeManager };
+
+// CLI Interface
+if (require.main === module) {
+  const [command, branch] = process.argv.slice(2);
+
+  try {
+    const manager = new WorktreeManager();
+
+    switch (command) {
+      case 'list': {
+        const worktrees = manager.list().filter(worktree => worktree.managed);
+        console.log(`🌳 ${worktrees.length} agent worktree(s) in ${path.relative(manager.root, manager.directory)}`);
+        worktrees.forEach(worktree => {
+          console.log(`   ${worktree.branch || '(detached)'} -> ${path.relative(manager.root, worktree.path)}${manager.isDirty(worktree.path) ? ' (uncommitted changes)' : ''}`);
+        });
+        break;
+      }
+
+      case 'prune':
+      case 'cleanup': {
+        const removed = manager.prune({ all: command === 'cleanup' });
+        console.log(`🧹 Removed ${removed.length} worktree(s)${removed.length ? `: ${removed.join(', ')}` : ''}`);
+        break;
+      }
+
+      case 'remove':
+        if (!branch) {
+          console.error('Usage: worktree-manager remove <branch>');
+          process.exit(1);
+        }
+        console.log(manager.release(branch, { force: process.argv.includes('--force') })
+          ? `🧹 Removed the worktree of ${branch}`
+          : `ℹ️  No agent worktree for ${branch}`);
+        break;
+
+      default:
+        console.log(`
+Agent Worktrees
+
+Commands:
+  list                        Show agent worktrees
+  prune                       Remove worktrees whose branches are merged into the base branch
+  cleanup                     Remove every agent worktree without uncommitted changes
+  remove <branch> [--force]   Remove the worktree of one branch
+        `);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
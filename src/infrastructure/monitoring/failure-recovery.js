@@ -6,12 +6,14 @@ const { execSync } = require('child_process');
 const crypto = require('crypto');
 
 class FailureRecoverySystem {
-  constructor() {
-    this.checkpointDir = '.agent-checkpoints';
-    this.recoveryLogFile = '.agent-recovery.log';
+  constructor(options = {}) {
+    // Agents move into worktrees; their bookkeeping stays in `root`
+    const root = path.resolve(options.root || process.cwd());
+    this.checkpointDir = path.join(root, '.agent-checkpoints');
+    this.recoveryLogFile = path.join(root, '.agent-recovery.log');
     this.maxRetries = 3;
     this.backoffMultiplier = 2;
-    this.stateFile = '.agent-state.json';
+    this.stateFile = path.join(root, '.agent-state.json');
     
     this.initializeRecoverySystem();
   }
@@ -62,6 +64,50 @@ class FailureRecoverySystem {
     return checkpointId;
   }
 
+  /**
+   * Stage checkpoints hold the state of an agent's pipeline run so far, one
+   * per task, rewritten as stages complete. `ai-agent.js resume <task>`
+   * continues the run from them.
+   */
+  stageCheckpointPath(taskId) {
+    return path.join(this.checkpointDir, `${String(taskId).replace(/[^\w.-]+/g, '-')}.stages.json`);
+  }
+
+  saveStageCheckpoint(agentId, taskId, data) {
+    const checkpoint = {
+      agentId,
+      taskId,
+      timestamp: new Date().toISOString(),
+      data,
+      branch: this.getCurrentBranch(),
+      workingDirectory: process.cwd()
+    };
+
+    // Written whole and renamed, so a crash mid-write leaves the previous one
+    const checkpointPath = this.stageCheckpointPath(taskId);
+    fs.writeFileSync(`${checkpointPath}.tmp`, JSON.stringify(checkpoint, null, 2));
+    fs.renameSync(`${checkpointPath}.tmp`, checkpointPath);
+    return checkpointPath;
+  }
+
+  loadStageCheckpoint(taskId) {
+    const checkpointPath = this.stageCheckpointPath(taskId);
+    return fs.existsSync(checkpointPath) ? JSON.parse(fs.readFileSync(checkpointPath, 'utf8')) : null;
+  }
+
+  clearStageCheckpoint(taskId) {
+    const checkpointPath = this.stageCheckpointPath(taskId);
+    if (fs.existsSync(checkpointPath)) {
+      fs.unlinkSync(checkpointPath);
+    }
+  }
+
+  listStageCheckpoints() {
+    return fs.readdirSync(this.checkpointDir)
+      .filter(file => file.endsWith('.stages.json'))
+      .map(file => JSON.parse(fs.readFileSync(path.join(this.checkpointDir, file), 'utf8')));
+  }
+
   async recoverFromCheckpoint(checkpointId) {
     const checkpointPath = path.join(this.checkpointDir, `${checkpointId}.json`);
     
@@ -155,7 +201,7 @@ class FailureRecoverySystem {
     throw lastError;
   }
 
-  recordFailure(agentId, taskId, error) {
+  recordFailure(agentId, taskId, error, details = null) {
     const state = this.getState();
     
     state.failures.push({
@@ -165,12 +211,14 @@ class FailureRecoverySystem {
       error: {
         message: error.message,
         stack: error.stack,
-        code: error.code
+        code: error.code,
+        status: error.status
       },
       context: {
         branch: this.getCurrentBranch(),
         workingDirectory: process.cwd()
-      }
+      },
+      ...(details ? { details } : {})
     });
     
     // Keep only last 100 failures
@@ -318,6 +366,11 @@ if (require.main === module) {
       state.checkpoints.forEach(cp => {
         console.log(`- ${cp.id} (Agent: ${cp.agentId}, Task: ${cp.taskId}, Time: ${cp.timestamp})`);
       });
+      console.log('\nResumable Agent Runs:');
+      recovery.listStageCheckpoints().forEach(cp => {
+        const stages = cp.data.context?.completedStages || [];
+        console.log(`- ${cp.taskId} (Agent: ${cp.agentId}, Stages done: ${stages.join(', ') || 'none'}, Time: ${cp.timestamp})`);
+      });
       break;
       
     default:
@@ -46,6 +46,11 @@ class HumanOversightSystem {
         requiresApproval: false,
         autoApproveAfter: 600000, // 10 minutes
         files: ['package.json', 'package-lock.json', 'requirements.txt', 'Gemfile']
+      },
+      REVIEW_DISAGREEMENT: {
+        name: 'Review Disagreement',
+        requiresApproval: true,
+        autoApproveAfter: null
       }
     };
     
@@ -96,6 +101,11 @@ class HumanOversightSystem {
   }
 
   determineCheckpointType(changeSet) {
+    // Callers may name the type (e.g. REVIEW_DISAGREEMENT from ensemble reviews)
+    if (changeSet.type && this.checkpointTypes[changeSet.type]) {
+      return changeSet.type;
+    }
+    
     // Check for critical changes
     for (const file of changeSet.files || []) {
       const content = file.content || '';
@@ -172,6 +182,7 @@ class HumanOversightSystem {
       CRITICAL_CHANGE: 100,
       API_BREAKING_CHANGE: 80,
       DATABASE_MIGRATION: 70,
+      REVIEW_DISAGREEMENT: 60,
       LARGE_CHANGE: 50,
       DEPENDENCY_UPDATE: 30,
       STANDARD: 10
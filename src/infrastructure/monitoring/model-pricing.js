@@ -0,0 +1,33 @@
+/**
+ * Model Pricing
+ * USD per 1M tokens, shared by ResourceMonitor (actual spend) and the
+ * model router (pre-call cost estimates for stage budgets).
+ */
+
+const MODEL_PRICING = {
+  'openai/gpt-4o': { input: 2.50, output: 10.00 },
+  'openai/gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'anthropic/claude-3.5-sonnet': { input: 3.00, output: 15.00 },
+  'anthropic/claude-3-haiku': { input: 0.25, output: 1.25 },
+  'openai/gpt-4.1': { input: 2.00, output: 8.00 },
+  'openai/gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'openai/gpt-4': { input: 30.00, output: 60.00 },
+  'openai/gpt-4-turbo-preview': { input: 10.00, output: 30.00 },
+  'openai/o3-pro': { input: 20.00, output: 80.00 },
+  'anthropic/claude-opus-4': { input: 15.00, output: 75.00 },
+  'anthropic/claude-sonnet-4': { input: 3.00, output: 15.00 },
+  'anthropic/claude-3-opus': { input: 15.00, output: 75.00 },
+  'anthropic/claude-3-sonnet': { input: 3.00, output: 15.00 },
+  'google/gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'deepseek/deepseek-r1': { input: 0.55, output: 2.19 }
+};
+
+// Used for models missing from the table
+const DEFAULT_PRICING = { input: 1.0, output: 5.0 };
+
+function estimateCost(model, inputTokens, outputTokens, pricing = MODEL_PRICING) {
+  const price = pricing[model] || DEFAULT_PRICING;
+  return (inputTokens / 1000000) * price.input + (outputTokens / 1000000) * price.output;
+}
+
+module.exports = { MODEL_PRICING, DEFAULT_PRICING, estimateCost };
@@ -4,28 +4,29 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { execSync } = require('child_process');
+const { loadSettings } = require('../../settings');
+const { MODEL_PRICING, estimateCost } = require('./model-pricing');
 
 class ResourceMonitor {
-  constructor() {
-    this.metricsFile = '.agent-metrics.json';
-    this.costEstimateFile = '.agent-costs.json';
-    this.alertsFile = '.resource-alerts.json';
+  constructor(options = {}) {
+    // Resolved once, so a dry run that moves into a scratch copy keeps recording here
+    this.metricsFile = path.resolve('.agent-metrics.json');
+    this.costEstimateFile = path.resolve('.agent-costs.json');
+    this.alertsFile = path.resolve('.resource-alerts.json');
     
     // API pricing (per 1M tokens)
-    this.pricing = {
-      'openai/gpt-4o': { input: 2.50, output: 10.00 },
-      'openai/gpt-4o-mini': { input: 0.15, output: 0.60 },
-      'anthropic/claude-3.5-sonnet': { input: 3.00, output: 15.00 },
-      'anthropic/claude-3-haiku': { input: 0.25, output: 1.25 }
-    };
+    this.pricing = { ...MODEL_PRICING };
     
-    // Resource limits
+    // Resource limits (overridable via `resourceLimits` in agent-orchestrator.config.json)
+    const settings = options.settings || loadSettings();
     this.limits = {
       maxTokensPerHour: 500000,
       maxCostPerDay: 50.00,
       maxMemoryUsageGB: 4,
       maxCPUUsagePercent: 80,
-      maxActiveAgents: 5
+      maxActiveAgents: 5,
+      ...(settings.resourceLimits || {}),
+      ...(options.limits || {})
     };
     
     this.initializeMonitoring();
@@ -99,7 +100,12 @@ class ResourceMonitor {
     }
   }
 
-  trackAPICall(sessionId, model, inputTokens, outputTokens) {
+  /**
+   * Record one completion against a session. `details` may carry
+   * { latencyMs, provider, cost, prompt }; a provider-reported cost wins
+   * over the local pricing table. `prompt` is the template version id.
+   */
+  trackAPICall(sessionId, model, inputTokens, outputTokens, details = {}) {
     const metrics = this.getMetrics();
     const session = metrics.sessions.find(s => s.id === sessionId);
     
@@ -107,9 +113,14 @@ class ResourceMonitor {
       const apiCall = {
         timestamp: new Date().toISOString(),
         model,
+        provider: details.provider || null,
+        prompt: details.prompt || null,
         inputTokens,
         outputTokens,
-        cost: this.calculateCost(model, inputTokens, outputTokens)
+        latencyMs: details.latencyMs ?? null,
+        cost: typeof details.cost === 'number'
+          ? details.cost
+          : this.calculateCost(model, inputTokens, outputTokens)
       };
       
       session.resources.apiCalls.push(apiCall);
@@ -156,10 +167,7 @@ class ResourceMonitor {
   }
 
   calculateCost(model, inputTokens, outputTokens) {
-    const pricing = this.pricing[model] || { input: 1.0, output: 5.0 }; // Default pricing
-    const inputCost = (inputTokens / 1000000) * pricing.input;
-    const outputCost = (outputTokens / 1000000) * pricing.output;
-    return inputCost + outputCost;
+    return estimateCost(model, inputTokens, outputTokens, this.pricing);
   }
 
   getCPUUsage() {
@@ -189,11 +197,14 @@ class ResourceMonitor {
     const alerts = [];
     const now = new Date();
     
+    // Limits are windowed on when each call happened, not when its session began
+    const calls = metrics.sessions.flatMap(s => s.resources.apiCalls);
+    
     // Check hourly token limit
     const hourAgo = new Date(now - 60 * 60 * 1000);
-    const recentTokens = metrics.sessions
-      .filter(s => new Date(s.startTime) > hourAgo)
-      .reduce((acc, s) => acc + s.resources.tokens.input + s.resources.tokens.output, 0);
+    const recentTokens = calls
+      .filter(c => new Date(c.timestamp) > hourAgo)
+      .reduce((acc, c) => acc + c.inputTokens + c.outputTokens, 0);
     
     if (recentTokens > this.limits.maxTokensPerHour) {
       alerts.push({
@@ -205,9 +216,9 @@ class ResourceMonitor {
     
     // Check daily cost limit
     const dayAgo = new Date(now - 24 * 60 * 60 * 1000);
-    const recentCost = metrics.sessions
-      .filter(s => new Date(s.startTime) > dayAgo)
-      .reduce((acc, s) => acc + s.resources.cost, 0);
+    const recentCost = calls
+      .filter(c => new Date(c.timestamp) > dayAgo)
+      .reduce((acc, c) => acc + c.cost, 0);
     
     if (recentCost > this.limits.maxCostPerDay) {
       alerts.push({
@@ -299,10 +310,12 @@ class ResourceMonitor {
           report.byModel[call.model] = {
             calls: 0,
             tokens: 0,
-            cost: 0
+            cost: 0,
+            totalLatencyMs: 0
           };
         }
         report.byModel[call.model].calls++;
+        report.byModel[call.model].totalLatencyMs += call.latencyMs || 0;
         report.byModel[call.model].tokens += call.inputTokens + call.outputTokens;
         report.byModel[call.model].cost += call.cost;
       });
@@ -353,7 +366,7 @@ class ResourceMonitor {
 
   exportCostReport(outputFile = 'agent-cost-report.csv') {
     const metrics = this.getMetrics();
-    const csv = ['Date,Agent,Task,Model,Input Tokens,Output Tokens,Cost'];
+    const csv = ['Date,Agent,Task,Model,Input Tokens,Output Tokens,Latency (ms),Cost'];
     
     metrics.sessions.forEach(session => {
       session.resources.apiCalls.forEach(call => {
@@ -364,6 +377,7 @@ class ResourceMonitor {
           call.model,
           call.inputTokens,
           call.outputTokens,
+          call.latencyMs ?? '',
           call.cost.toFixed(4)
         ].join(','));
       });
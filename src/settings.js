@@ -0,0 +1,27 @@
+/**
+ * Best-effort access to agent-orchestrator.config.json
+ *
+ * `src/config.js` fails fast when the configuration is incomplete, which is
+ * right for the orchestrator itself. Subsystems that must keep working
+ * without a valid config (offline agent runs, CI, unit tests) read their
+ * settings through here and fall back to their own defaults.
+ */
+
+let cached = null;
+
+function loadSettings() {
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    cached = require('./config').get();
+  } catch (error) {
+    console.warn(`⚠️  Orchestrator config unavailable (${error.message.replace(/\n-? */g, ' ')}), using defaults`);
+    cached = {};
+  }
+
+  return cached;
+}
+
+module.exports = { loadSettings };
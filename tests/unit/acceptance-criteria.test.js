@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  AcceptanceVerifier,
+  extractAcceptanceCriteria,
+  matchCriteriaHeading,
+  formatChecklist,
+  summarizeAcceptance
+} = require('../../src/core/ai/acceptance-criteria');
+const { AgentPipeline } = require('../../src/core/agents/agent-pipeline');
+
+describe('acceptance criteria', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'acceptance-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('takes the explicit section first and otherwise the notes that read like criteria', () => {
+    expect(extractAcceptanceCriteria({
+      notes: ['Users must log in'],
+      acceptanceCriteria: ['[ ] Orders are paginated', 'AC2: The total is returned']
+    })).toEqual([
+      { id: 'AC1', text: 'Orders are paginated' },
+      { id: 'AC2', text: 'The total is returned' }
+    ]);
+
+    expect(extractAcceptanceCriteria({
+      notes: [
+        'Should be reusable',
+        'Support different color themes',
+        'Given an empty cart when checking out then an error is shown',
+        '[x] Shows a percentage'
+      ]
+    }).map(criterion => criterion.text)).toEqual([
+      'Should be reusable',
+      'Given an empty cart when checking out then an error is shown',
+      'Shows a percentage'
+    ]);
+    expect(extractAcceptanceCriteria({ description: 'No notes' })).toEqual([]);
+
+    expect(matchCriteriaHeading('## Acceptance Criteria')).toEqual({ inline: [] });
+    expect(matchCriteriaHeading('Acceptance criteria: loads in 1s; works offline')).toEqual({ inline: ['loads in 1s', 'works offline'] });
+    expect(matchCriteriaHeading('- criteria for acceptance')).toBeNull();
+  });
+
+  test('verifies criteria by their tests and has the model judge the rest', async () => {
+    const testFile = path.join(root, 'orders.test.js');
+    fs.writeFileSync(testFile, [
+      "test('AC1: returns 50 orders per page', () => {});",
+      "it(\"AC1 starts at page one\", () => {});",
+      "test('AC2: includes the total', () => {});",
+      "test('handles errors', () => {});"
+    ].join('\n'));
+
+    const engine = {
+      verifyAcceptanceCriteria: jest.fn(async () => ({
+        status: 'ok',
+        criteria: [{ id: 'AC3', passed: false, evidence: 'no cache header is set' }, { id: 'AC1', passed: false, evidence: 'ignored' }]
+      }))
+    };
+    const criteria = ['Orders are paginated', 'The total is returned', 'Responses are cached', 'Works offline']
+      .map((text, index) => ({ id: `AC${index + 1}`, text }));
+
+    const verifier = new AcceptanceVerifier({ engine, settings: {} });
+    const results = await verifier.verify('backend', criteria, {
+      ticket: { id: 'T-1' },
+      tests: [{ source: 'orders.js', testFile }],
+      testResults: { status: 'failed', passed: 3, failed: 1, failures: [{ name: 'orders AC2: includes the total' }] },
+      diff: '+ export const orders = [];'
+    });
+
+    expect(results.map(({ id, status, method }) => [id, status, method])).toEqual([
+      ['AC1', 'pass', 'tests'],
+      ['AC2', 'fail', 'tests'],
+      ['AC3', 'fail', 'review'],
+      ['AC4', 'unverified', null]
+    ]);
+    expect(results[0].tests).toEqual(['AC1: returns 50 orders per page', 'AC1 starts at page one']);
+    expect(engine.verifyAcceptanceCriteria).toHaveBeenCalledWith('backend', [
+      expect.objectContaining({ id: 'AC3' }), expect.objectContaining({ id: 'AC4' })
+    ], '+ export const orders = [];', { id: 'T-1' });
+
+    expect(formatChecklist(results)).toBe([
+      '- [x] AC1: Orders are paginated (tests: 2 passing test(s))',
+      '- [ ] AC2: The total is returned (FAILED, tests: failing: AC2: includes the total)',
+      '- [ ] AC3: Responses are cached (FAILED, review: no cache header is set)',
+      '- [ ] AC4: Works offline (unverified)'
+    ].join('\n'));
+    expect(summarizeAcceptance(results)).toBe('1 of 4 passed, 2 failed, 1 unverified');
+
+    // Tests that could not run leave the decision to the model, or to nobody without review
+    const testsOnly = new AcceptanceVerifier({ engine, settings: { acceptance: { review: false } } });
+    const [unrun] = await testsOnly.verify('backend', criteria.slice(0, 1), { tests: [{ testFile }], testResults: { status: 'error' } });
+    expect(unrun).toMatchObject({ status: 'unverified', evidence: 'its tests could not be run' });
+    expect(engine.verifyAcceptanceCriteria).toHaveBeenCalledTimes(1);
+  });
+
+  test('carries the criteria through the analysis to the acceptance stage', async () => {
+    const settings = { agents: { definitions: { backend: { workingPaths: ['.'], pipeline: { standard: ['analyze', 'acceptance'] } } } } };
+    const agent = {
+      type: 'backend',
+      stateDir: root,
+      ticket: { id: 'T-2', description: 'Orders API', notes: ['Use the query helpers', 'The API must paginate'] },
+      ai: { analyzeTicket: async () => ({ complexity: 'simple', requiredFiles: [] }) },
+      verifyAcceptanceCriteria: jest.fn(async context => context.analysis.acceptanceCriteria.map(criterion => ({ ...criterion, status: 'pass' })))
+    };
+
+    const pipeline = new AgentPipeline({ agentType: 'backend', root, settings });
+    const context = await pipeline.run(pipeline.createContext(agent));
+
+    expect(context.analysis.acceptanceCriteria).toEqual([{ id: 'AC1', text: 'The API must paginate' }]);
+    expect(context.acceptance).toEqual([{ id: 'AC1', text: 'The API must paginate', status: 'pass' }]);
+  });
+});
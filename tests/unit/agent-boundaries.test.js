@@ -0,0 +1,132 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AgentBoundaries, matchesPath, leadsTo, formatViolation, recordHandoffs } = require('../../src/core/agents/agent-boundaries');
+const { AgentPipeline } = require('../../src/core/agents/agent-pipeline');
+
+const definitions = {
+  frontend: { workingPaths: ['src/{components,pages}', 'src/shared'], excludePaths: ['src/lib/api'], branchPrefix: 'feature/frontend' },
+  backend: { workingPaths: ['src/server', 'src/lib/api', 'prisma'], excludePaths: ['src/components'], branchPrefix: 'feature/backend' },
+  database: { workingPaths: ['prisma', 'src/db'], excludePaths: ['src/server/api'], branchPrefix: 'feature/database' },
+  testing: { workingPaths: ['tests', 'src/**/*.test.{ts,tsx}'], branchPrefix: 'test' },
+  general: { workingPaths: ['.'], branchPrefix: 'agent/general' }
+};
+
+describe('agent boundaries', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-boundaries-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('matches directories and globs with braces and character classes', () => {
+    expect(matchesPath('src/server/users.js', 'src/server/')).toBe(true);
+    expect(matchesPath('src/serverless/x.js', 'src/server')).toBe(false);
+    expect(matchesPath('src/pages/home.tsx', 'src/{components,pages}')).toBe(true);
+    expect(matchesPath('src/styles/home.css', 'src/{components,pages}')).toBe(false);
+    expect(matchesPath('src/a/b/users.test.tsx', 'src/**/*.test.{ts,tsx}')).toBe(true);
+    expect(matchesPath('src/a/b/users.test.js', 'src/**/*.test.{ts,tsx}')).toBe(false);
+    expect(matchesPath('migrations/002.sql', 'migrations/00[0-9].sql')).toBe(true);
+    expect(matchesPath('migrations/00a.sql', 'migrations/00[!a].sql')).toBe(false);
+    expect(matchesPath('src/{x}/a.js', 'src/{x}')).toBe(true);
+    expect(leadsTo('src', 'src/{api,db}/**')).toBe(true);
+    expect(leadsTo('lib', 'src/{api,db}/**')).toBe(false);
+  });
+
+  test('reports violations with the agent that owns the file', () => {
+    const boundaries = new AgentBoundaries({ root, settings: { agents: { definitions } } });
+
+    expect(boundaries.isAllowed('backend', 'src/server/users.ts')).toBe(true);
+    expect(boundaries.isAllowed('backend', path.join(root, 'prisma/schema.prisma'))).toBe(true);
+    expect(boundaries.isAllowed('reviewer', 'anything/at/all.js')).toBe(true);
+
+    const { allowed, violations } = boundaries.review('frontend', [
+      'src/components/Cart.tsx', 'src/lib/api/cart.ts', 'src/db/cart.ts', 'src/components/Cart.test.tsx', 'docs/cart.md', '../elsewhere.js'
+    ]);
+    expect(allowed).toEqual(['src/components/Cart.tsx', 'src/components/Cart.test.tsx']);
+    expect(violations).toEqual([
+      { file: 'src/lib/api/cart.ts', agent: 'frontend', type: 'excluded', owner: 'backend' },
+      { file: 'src/db/cart.ts', agent: 'frontend', type: 'not-allowed', owner: 'database' },
+      { file: 'docs/cart.md', agent: 'frontend', type: 'not-allowed', owner: null },
+      { file: '../elsewhere.js', agent: 'frontend', type: 'outside-project', owner: null }
+    ]);
+    expect(violations.map(formatViolation)).toEqual([
+      'src/lib/api/cart.ts is excluded for the frontend agent (owned by backend)',
+      "src/db/cart.ts is outside the frontend agent's working paths (owned by database)",
+      "docs/cart.md is outside the frontend agent's working paths",
+      '../elsewhere.js is outside the project'
+    ]);
+
+    // The most specific working path wins; `.` owns nothing in particular
+    expect(boundaries.ownerOf('src/server/api/users.ts', 'frontend')).toBe('backend');
+    expect(boundaries.ownerOf('src/pages/home.test.tsx', 'frontend')).toBe('testing');
+    expect(boundaries.agentForBranch('feature/database/ticket-3')).toBe('database');
+    expect(boundaries.agentForBranch('hotfix/1')).toBeNull();
+  });
+
+  test('merges handoffs per ticket and owner', () => {
+    const file = path.join(root, '.agent-handoffs.json');
+    const violation = (path, owner) => ({ file: path, agent: 'backend', type: 'not-allowed', owner });
+
+    recordHandoffs(file, { ticket: 'T-1', from: 'backend', violations: [violation('src/db/orders.ts', 'database')] });
+    const changed = recordHandoffs(file, {
+      ticket: 'T-1',
+      from: 'backend',
+      violations: [violation('src/db/orders.ts', 'database'), violation('src/db/items.ts', 'database'), violation('docs/x.md', null)]
+    });
+
+    expect(changed).toHaveLength(1);
+    expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual([
+      expect.objectContaining({ ticket: 'T-1', from: 'backend', to: 'database', files: ['src/db/orders.ts', 'src/db/items.ts'], status: 'open' })
+    ]);
+  });
+
+  test('hands off or rejects planned files outside the agent boundary before writing', async () => {
+    const settingsFor = onViolation => ({
+      boundaries: { onViolation },
+      agents: { definitions: { ...definitions, backend: { ...definitions.backend, pipeline: { standard: ['analyze', 'generate-code', 'generate-tests'] } } } }
+    });
+    const agentFor = requiredFiles => ({
+      type: 'backend',
+      stateDir: root,
+      ticket: { id: 'T-2', description: 'Orders API' },
+      ai: {
+        analyzeTicket: async () => ({ complexity: 'simple', requiredFiles }),
+        shouldPatch: () => false,
+        generateCode: jest.fn(async () => 'module.exports = {};'),
+        reviewCode: async () => ({ status: 'ok', score: 90, issues: [] }),
+        generateTests: async () => "test('orders', () => {});"
+      },
+      validator: { validateCode: async () => ({ valid: true, errors: [] }) }
+    });
+
+    const files = ['src/server/orders.ts', 'src/db/orders.ts', 'docs/orders.md'].map(file => path.join(root, file));
+    const agent = agentFor(files);
+    const pipeline = new AgentPipeline({ agentType: 'backend', root, settings: settingsFor('handoff') });
+    const context = await pipeline.run(pipeline.createContext(agent));
+
+    expect(context.files).toEqual([files[0]]);
+    expect(agent.ai.generateCode).toHaveBeenCalledTimes(1);
+    expect(fs.existsSync(files[1])).toBe(false);
+    expect(fs.existsSync(path.join(root, 'src/server/orders.test.ts'))).toBe(true);
+    expect(context.handoffs).toEqual([expect.objectContaining({ to: 'database', files: ['src/db/orders.ts'] })]);
+    expect(context.warnings).toEqual([
+      "Rejected docs/orders.md is outside the backend agent's working paths",
+      "src/db/orders.ts is outside the backend agent's working paths (owned by database); handed off to the database agent"
+    ]);
+    expect(JSON.parse(fs.readFileSync(path.join(root, '.agent-handoffs.json'), 'utf8'))).toHaveLength(1);
+
+    const rejecting = new AgentPipeline({ agentType: 'backend', root, settings: settingsFor('reject') });
+    await expect(rejecting.run(rejecting.createContext(agentFor([files[1]])))).rejects.toMatchObject({
+      code: 'BOUNDARY_VIOLATION',
+      stage: 'generate-code',
+      message: expect.stringContaining('src/db/orders.ts is outside the backend agent')
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AgentPipeline, snapshotContext, restoreContext } = require('../../src/core/agents/agent-pipeline');
+const FailureRecoverySystem = require('../../src/infrastructure/monitoring/failure-recovery');
+
+const settings = {
+  agents: { definitions: { backend: { workingPaths: ['.'], pipeline: { standard: ['analyze', 'generate-code', 'generate-tests'] } } } }
+};
+
+describe('agent checkpoints', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-checkpoints-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('resumes a failed run after its last checkpoint without calling the model again', async () => {
+    const files = ['src/orders.js', 'src/items.js'].map(file => path.join(root, file));
+    const agent = {
+      type: 'backend',
+      stateDir: root,
+      ticket: { id: 'T-1', description: 'Orders API' },
+      ai: {
+        analyzeTicket: jest.fn(async () => ({ complexity: 'simple', requiredFiles: files })),
+        shouldPatch: () => false,
+        generateCode: jest.fn(async (type, file) => `module.exports = '${path.basename(file)}';`),
+        reviewCode: async () => ({ status: 'ok', score: 90, issues: [] }),
+        generateTests: jest.fn()
+          .mockResolvedValueOnce("test('orders', () => {});")
+          .mockRejectedValueOnce(new Error('rate limited'))
+          .mockResolvedValue("test('items', () => {});")
+      },
+      validator: { validateCode: async () => ({ valid: true, errors: [] }) }
+    };
+
+    let saved = null;
+    const pipeline = new AgentPipeline({ agentType: 'backend', root, settings });
+    pipeline.on('checkpoint', context => { saved = snapshotContext(context); });
+    await expect(pipeline.run(pipeline.createContext(agent))).rejects.toMatchObject({ stage: 'generate-tests' });
+
+    expect(saved.completedStages).toEqual(['analyze', 'generate-code']);
+    expect(saved.tests).toEqual([{ source: files[0], testFile: path.join(root, 'src/orders.test.js') }]);
+    expect(saved).not.toHaveProperty('agent');
+    expect(saved).not.toHaveProperty('checkpoint');
+
+    // The interrupted run's files are gone; the checkpoint brings them back
+    fs.rmSync(files[1]);
+    const resumed = new AgentPipeline({ agentType: 'backend', root, settings });
+    const context = await resumed.run(restoreContext(resumed.createContext(agent), JSON.parse(JSON.stringify(saved))));
+
+    expect(agent.ai.analyzeTicket).toHaveBeenCalledTimes(1);
+    expect(agent.ai.generateCode).toHaveBeenCalledTimes(2);
+    expect(agent.ai.generateTests).toHaveBeenCalledTimes(3);
+    expect(fs.readFileSync(files[1], 'utf8')).toBe("module.exports = 'items.js';");
+    expect(context.completedStages).toEqual(['analyze', 'generate-code', 'generate-tests']);
+    expect(context.tests.map(test => path.basename(test.testFile))).toEqual(['orders.test.js', 'items.test.js']);
+    expect(context.agent).toBe(agent);
+
+    // Completed stages put back what a fresh worktree is missing
+    fs.rmSync(path.join(root, 'src'), { recursive: true });
+    const again = new AgentPipeline({ agentType: 'backend', root, settings });
+    await again.run(restoreContext(again.createContext(agent), snapshotContext(context)));
+
+    expect(agent.ai.generateCode).toHaveBeenCalledTimes(2);
+    expect(agent.ai.generateTests).toHaveBeenCalledTimes(5);
+    expect(fs.readFileSync(files[0], 'utf8')).toBe("module.exports = 'orders.js';");
+    expect(fs.existsSync(path.join(root, 'src/items.test.js'))).toBe(true);
+  });
+
+  test('keeps one stage checkpoint per task under the project root', () => {
+    const recovery = new FailureRecoverySystem({ root });
+
+    expect(recovery.loadStageCheckpoint('T-1')).toBeNull();
+    recovery.saveStageCheckpoint('backend-agent', 'T-1', { agentType: 'backend', context: { completedStages: ['analyze'] } });
+    recovery.saveStageCheckpoint('backend-agent', 'T-1', { agentType: 'backend', context: { completedStages: ['analyze', 'plan'] } });
+    recovery.saveStageCheckpoint('frontend-agent', 'feature/T 2', { agentType: 'frontend', context: { completedStages: [] } });
+
+    expect(fs.readdirSync(path.join(root, '.agent-checkpoints')).sort()).toEqual(['T-1.stages.json', 'feature-T-2.stages.json']);
+    expect(recovery.loadStageCheckpoint('T-1')).toMatchObject({
+      agentId: 'backend-agent',
+      taskId: 'T-1',
+      data: { context: { completedStages: ['analyze', 'plan'] } }
+    });
+    expect(recovery.listStageCheckpoints().map(checkpoint => checkpoint.taskId).sort()).toEqual(['T-1', 'feature/T 2']);
+
+    recovery.clearStageCheckpoint('T-1');
+    expect(recovery.loadStageCheckpoint('T-1')).toBeNull();
+    expect(() => recovery.clearStageCheckpoint('T-1')).not.toThrow();
+  });
+});
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HandoffQueue, dispatchHandoffs, releaseHandoffs } = require('../../src/core/agents/agent-handoffs');
+const { AgentPipeline } = require('../../src/core/agents/agent-pipeline');
+
+describe('agent handoffs', () => {
+  let root;
+  let file;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-handoffs-'));
+    file = path.join(root, '.agent-handoffs.json');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('queues typed requests and merges repeats', () => {
+    const queue = new HandoffQueue({ file });
+    const schema = { ticket: 'T-7', from: 'backend', to: 'database', type: 'schema-change', request: 'Add trackingNumber to Order' };
+
+    expect(queue.request(schema)).toMatchObject({ id: 'HO-1', status: 'open', childTicket: null });
+    expect(queue.request({ ...schema, files: ['prisma/schema.prisma'] })).toMatchObject({ id: 'HO-1', files: ['prisma/schema.prisma'] });
+    expect(queue.request({ ticket: 'T-7', from: 'backend', to: 'database', type: 'files', files: ['src/db/a.ts'] }).id).toBe('HO-2');
+    expect(queue.request({ ticket: 'T-7', from: 'backend', to: 'database', type: 'files', files: ['src/db/b.ts'] })).toMatchObject({
+      id: 'HO-2', request: 'Change src/db/a.ts, src/db/b.ts for T-7'
+    });
+    expect(queue.pending()).toHaveLength(2);
+
+    expect(() => queue.request({ ...schema, type: 'migration' })).toThrow(expect.objectContaining({ code: 'INVALID_HANDOFF' }));
+    expect(() => queue.request({ ...schema, to: 'backend' })).toThrow(/needs another agent/);
+    expect(() => queue.request({ ...schema, request: ' ' })).toThrow(/needs a request/);
+  });
+
+  test('dispatches child tickets that block their parent until they merge', async () => {
+    const queue = new HandoffQueue({ file });
+    queue.request({ ticket: 'T-7', from: 'backend', to: 'database', type: 'schema-change', request: 'Add trackingNumber to Order' });
+    queue.request({ ticket: 'T-7', from: 'backend', to: 'frontend', type: 'ui-change', request: 'Show the tracking number' });
+
+    const assignments = { 'T-7': { ticket: 'T-7', agent: 'backend', status: 'in_progress' }, 'T-7-H1': { ticket: 'T-7-H1', status: 'completed' } };
+    const createTask = jest.fn(async (agent, task) => {
+      assignments[task.id] = { ticket: task.id, agent, description: task.description, status: 'assigned' };
+    });
+
+    const dispatched = await dispatchHandoffs(queue, assignments, createTask);
+    expect(dispatched.map(handoff => [handoff.id, handoff.status, handoff.childTicket])).toEqual([
+      ['HO-1', 'dispatched', 'T-7-H2'],
+      ['HO-2', 'dispatched', 'T-7-H3']
+    ]);
+    expect(createTask).toHaveBeenCalledWith('database', expect.objectContaining({
+      id: 'T-7-H2',
+      description: 'Add trackingNumber to Order',
+      notes: ['Requested by the backend agent for T-7 (schema-change)']
+    }));
+    expect(assignments['T-7-H2']).toMatchObject({ parent: 'T-7', handoff: 'HO-1' });
+    expect(assignments['T-7']).toMatchObject({ status: 'blocked', children: ['T-7-H2', 'T-7-H3'], blockedBy: ['T-7-H2', 'T-7-H3'] });
+    expect(queue.pending()).toEqual([]);
+
+    const merged = new Set(['T-7-H2']);
+    expect(releaseHandoffs(queue, assignments, id => merged.has(id))).toMatchObject({ merged: [{ id: 'HO-1', status: 'merged' }], released: [] });
+    expect(assignments['T-7']).toMatchObject({ status: 'blocked', blockedBy: ['T-7-H3'] });
+
+    merged.add('T-7-H3');
+    expect(releaseHandoffs(queue, assignments, id => merged.has(id)).released).toEqual(['T-7']);
+    expect(assignments['T-7'].status).toBe('assigned');
+    expect(assignments['T-7']).not.toHaveProperty('blockedBy');
+
+    // Without blocking, the child is still linked to its parent
+    queue.request({ ticket: 'T-7', from: 'backend', to: 'testing', type: 'test-change', request: 'Cover tracking numbers' });
+    await dispatchHandoffs(queue, assignments, createTask, { blockParent: false });
+    expect(assignments['T-7']).toMatchObject({ status: 'assigned', children: ['T-7-H2', 'T-7-H3', 'T-7-H4'] });
+  });
+
+  test('records the handoffs the analysis asks for', async () => {
+    const settings = {
+      agents: {
+        definitions: {
+          backend: { workingPaths: ['src/server'], pipeline: { standard: ['analyze'] } },
+          database: { workingPaths: ['prisma'] }
+        }
+      }
+    };
+    const agent = {
+      type: 'backend',
+      stateDir: root,
+      ticket: { id: 'T-8', description: 'Show the tracking number of an order' },
+      ai: {
+        analyzeTicket: async () => ({
+          complexity: 'simple',
+          requiredFiles: [],
+          handoffs: [
+            { agent: 'database', type: 'schema-change', request: 'Add trackingNumber to Order', files: ['prisma/schema.prisma'] },
+            { agent: 'mobile', type: 'api-change', request: 'Migrate the order table', files: ['prisma/migrations/x.sql'] },
+            { type: 'other', request: 'Update the docs' }
+          ]
+        })
+      }
+    };
+
+    const pipeline = new AgentPipeline({ agentType: 'backend', root, settings });
+    const context = await pipeline.run(pipeline.createContext(agent));
+
+    expect(context.handoffs.map(({ id, to, type, request }) => [id, to, type, request])).toEqual([
+      ['HO-1', 'database', 'schema-change', 'Add trackingNumber to Order'],
+      ['HO-2', 'database', 'api-change', 'Migrate the order table']
+    ]);
+    expect(context.warnings).toEqual(['Not handed off, no other agent owns it: Update the docs']);
+    expect(new HandoffQueue({ file }).pending()).toHaveLength(2);
+
+    const disabled = new AgentPipeline({ agentType: 'backend', root, settings: { ...settings, handoffs: { enabled: false } } });
+    const ignored = await disabled.run(disabled.createContext({ ...agent, ticket: { id: 'T-9', description: 'More' } }));
+    expect(ignored.handoffs).toEqual([]);
+  });
+});
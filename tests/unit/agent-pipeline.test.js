@@ -0,0 +1,285 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AgentPipeline, PIPELINES, planStages } = require('../../src/core/agents/agent-pipeline');
+const { BUILT_IN_STAGES, findMigrationRisks } = require('../../src/core/agents/agent-stages');
+const AIEnabledAgent = require('../../src/core/agents/ai-agent');
+const SeniorAIAgent = require('../../src/core/agents/senior-ai-agent');
+const AIValidationLayer = require('../../src/core/ai/ai-validation-layer');
+
+const settingsFor = (agentType, pipeline, extra = {}) => ({
+  agents: { ...extra, definitions: { [agentType]: { workingPaths: ['.'], pipeline } } }
+});
+
+describe('agent pipeline', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-pipeline-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('applies skip, add and per-mode lists to the default stages', () => {
+    expect(planStages('standard')).toEqual(PIPELINES.standard);
+    expect(planStages('standard', { skip: ['generate-tests'] })).not.toContain('generate-tests');
+
+    const config = {
+      add: [
+        { stage: 'migration-safety', after: 'generate-code' },
+        { stage: 'lint-sql', before: 'commit' },
+        { stage: 'notify' },
+        { stage: 'design-review', after: 'architecture', modes: ['senior'] }
+      ]
+    };
+    expect(planStages('standard', config)).toEqual([
+      'analyze', 'plan', 'branch', 'generate-code', 'migration-safety', 'generate-tests', 'run-tests', 'quality-checks', 'acceptance', 'lint-sql', 'commit', 'notify'
+    ]);
+    expect(planStages('senior', config).slice(2, 5)).toEqual(['architecture', 'design-review', 'plan']);
+
+    expect(planStages('senior', { senior: ['analyze', 'commit'] })).toEqual(['analyze', 'commit']);
+    expect(() => planStages('standard', { add: [{ stage: 'x', after: 'architecture' }] })).toThrow(/standard pipeline has no such stage/);
+    expect(() => planStages('expert')).toThrow(expect.objectContaining({ code: 'UNKNOWN_PIPELINE_MODE' }));
+  });
+
+  test('resolves the configured stages of an agent type', () => {
+    const testing = new AgentPipeline({ agentType: 'testing', root, settings: settingsFor('testing', { skip: ['generate-tests'] }) });
+    expect(testing.stages.map(stage => stage.name)).toEqual(['analyze', 'plan', 'branch', 'generate-code', 'run-tests', 'quality-checks', 'acceptance', 'commit']);
+
+    const untouched = new AgentPipeline({ agentType: 'frontend', mode: 'senior', root, settings: settingsFor('testing', {}) });
+    expect(untouched.stages.map(stage => stage.name)).toEqual(PIPELINES.senior);
+  });
+
+  test('refuses unknown stages and stages whose inputs are never provided', () => {
+    expect(() => new AgentPipeline({ agentType: 'backend', root, settings: settingsFor('backend', { add: ['audit-log'] }) }))
+      .toThrow(expect.objectContaining({ code: 'UNKNOWN_STAGE', message: expect.stringContaining('.agent-stages/<name>.js') }));
+    expect(() => new AgentPipeline({ agentType: 'backend', root, settings: settingsFor('backend', { skip: ['generate-test'] }) }))
+      .toThrow(/Unknown pipeline stage 'generate-test'/);
+    expect(() => new AgentPipeline({ agentType: 'backend', mode: 'senior', root, settings: settingsFor('backend', { skip: ['architecture'] }) }))
+      .toThrow(expect.objectContaining({ code: 'STAGE_INPUT_MISSING', message: expect.stringContaining("Stage 'plan'") }));
+  });
+
+  test('loads custom stages from the project before the built-ins', async () => {
+    const stageDir = path.join(root, 'workflow');
+    fs.mkdirSync(stageDir);
+    fs.writeFileSync(path.join(stageDir, 'changelog.js'), [
+      'module.exports = {',
+      "  label: 'Updating the changelog',",
+      "  needs: ['analysis'],",
+      '  run: async context => { context.changelog = `- ${context.ticket.id}: ${context.analysis.primaryGoal}`; }',
+      '};'
+    ].join('\n'));
+    fs.writeFileSync(path.join(stageDir, 'commit.js'), 'module.exports = async context => { context.committed = true; };');
+    fs.writeFileSync(path.join(stageDir, 'broken.js'), 'module.exports = { label: "No run" };');
+
+    const settings = settingsFor('backend', { standard: ['analyze', 'commit'], add: [{ stage: 'changelog', after: 'analyze' }] }, { stageDirectory: 'workflow' });
+    const pipeline = new AgentPipeline({ agentType: 'backend', root, settings });
+    const started = [];
+    pipeline.on('stage:start', ({ name, step, total }) => started.push(`${step}/${total} ${name}`));
+
+    const agent = {
+      type: 'backend',
+      ticket: { id: 'TICKET-3', description: 'Add audit log' },
+      ai: { analyzeTicket: async () => ({ complexity: 'simple', primaryGoal: 'Log changes' }) }
+    };
+    const context = await pipeline.run(pipeline.createContext(agent));
+
+    expect(started).toEqual(['1/3 analyze', '2/3 changelog', '3/3 commit']);
+    expect(context.changelog).toBe('- TICKET-3: Log changes');
+    expect(context.committed).toBe(true);
+    expect(context.completedStages).toEqual(['analyze', 'changelog', 'commit']);
+
+    expect(() => new AgentPipeline({ agentType: 'backend', root, settings: settingsFor('backend', { add: ['broken'] }, { stageDirectory: 'workflow' }) }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_STAGE' }));
+  });
+
+  test('runs the built-in stages for a database agent with a migration safety check', async () => {
+    const migration = path.join(root, 'prisma/migrations/001_users/migration.sql');
+    const source = path.join(root, 'src/db/users.js');
+    const agent = {
+      type: 'database',
+      ticket: { id: 'TICKET-7', description: 'Replace the legacy users table' },
+      ai: {
+        analyzeTicket: async () => ({ complexity: 'simple', requiredFiles: [migration, source] }),
+        shouldPatch: () => false,
+        generateCode: async (type, file) => (file.endsWith('.sql')
+          ? 'CREATE TABLE users (id INT);\nDROP TABLE legacy_users;\nALTER TABLE users ADD COLUMN email TEXT NOT NULL;'
+          : 'module.exports = {};'),
+        reviewCode: async () => ({ status: 'ok', score: 80, issues: [] }),
+        generateTests: async () => "test('users', () => {});"
+      },
+      validator: { validateCode: async () => ({ valid: true, errors: [] }) },
+      commitStandardWork: jest.fn()
+    };
+    const settings = settingsFor('database', {
+      standard: ['analyze', 'generate-code', 'generate-tests', 'commit'],
+      add: [{ stage: 'migration-safety', after: 'generate-code' }]
+    });
+
+    const pipeline = new AgentPipeline({ agentType: 'database', root, settings });
+    const context = await pipeline.run(pipeline.createContext(agent));
+
+    expect(fs.readFileSync(source, 'utf8')).toBe('module.exports = {};');
+    expect(fs.existsSync(path.join(root, 'src/db/users.test.js'))).toBe(true);
+    expect(fs.readdirSync(path.dirname(migration))).toEqual(['migration.sql']);
+    expect(context.generated[source]).toEqual({ code: 'module.exports = {};', score: 80 });
+    expect(context.warnings).toEqual([
+      `${migration} drops a table; confirm a backup and rollback plan before deploying`,
+      `${migration} adds a NOT NULL column without a default; confirm a backup and rollback plan before deploying`
+    ]);
+    expect(agent.commitStandardWork).toHaveBeenCalled();
+  });
+
+  test('writes project files into the worktree without changing directory', async () => {
+    const worktree = path.join(root, '.agent-worktrees/feature-backend-t-4');
+    const agent = {
+      type: 'backend',
+      workDir: root,
+      ticket: { id: 'T-4', description: 'Orders API' },
+      setupBranch() { this.workDir = worktree; },
+      ai: {
+        analyzeTicket: async () => ({ complexity: 'simple', requiredFiles: ['src/orders.js'] }),
+        shouldPatch: () => false,
+        generateCode: async () => 'module.exports = {};',
+        reviewCode: async () => ({ status: 'ok', score: 90, issues: [] })
+      },
+      validator: { validateCode: async () => ({ valid: true, errors: [] }) }
+    };
+    const cwd = process.cwd();
+
+    const pipeline = new AgentPipeline({ agentType: 'backend', root, settings: settingsFor('backend', { standard: ['analyze', 'branch', 'generate-code'] }) });
+    const context = await pipeline.run(pipeline.createContext(agent));
+
+    expect(context.workDir).toBe(worktree);
+    expect(fs.readFileSync(path.join(worktree, 'src/orders.js'), 'utf8')).toBe('module.exports = {};');
+    expect(fs.existsSync(path.join(root, 'src/orders.js'))).toBe(false);
+    expect(process.cwd()).toBe(cwd);
+  });
+
+  test('checks relative imports between generated files against the worktree', async () => {
+    const worktree = path.join(root, '.agent-worktrees/feature-backend-t-6');
+    const code = {
+      'src/server/db.js': 'module.exports = { connect() { return null; } };',
+      'src/server/users.js': "const db = require('./db');\n\nmodule.exports = { find: () => db.connect() };"
+    };
+    const validator = new AIValidationLayer({ root });
+    validator.reportFile = path.join(root, 'report.json');
+    validator.validationRules.syntax.enabled = false;
+    const agent = {
+      type: 'backend',
+      workDir: root,
+      ticket: { id: 'T-6', description: 'Users API' },
+      setupBranch() { this.workDir = worktree; },
+      ai: {
+        analyzeTicket: async () => ({ complexity: 'simple', requiredFiles: Object.keys(code) }),
+        shouldPatch: () => false,
+        generateCode: async (type, file) => code[file],
+        reviewCode: async () => ({ status: 'ok', score: 90, issues: [] })
+      },
+      validator,
+      improveGeneratedCode: jest.fn()
+    };
+
+    const pipeline = new AgentPipeline({ agentType: 'backend', root, settings: settingsFor('backend', { standard: ['analyze', 'branch', 'generate-code'] }) });
+    const context = await pipeline.run(pipeline.createContext(agent));
+
+    expect(context.files).toEqual(Object.keys(code));
+    expect(agent.improveGeneratedCode).not.toHaveBeenCalled();
+    expect(await validator.validateCode(code['src/server/users.js'], 'src/server/users.js')).toMatchObject({
+      errors: [expect.objectContaining({ type: 'hallucination', message: 'Import references non-existent file: ./db' })]
+    });
+  });
+
+  test('records files whose review could not be parsed in the commit', async () => {
+    const file = path.join(root, 'src/orders.js');
+    const agent = {
+      type: 'backend',
+      ticket: { id: 'T-5', description: 'Orders API' },
+      ai: {
+        analyzeTicket: async () => ({ complexity: 'simple', requiredFiles: [file] }),
+        shouldPatch: () => false,
+        generateCode: async () => 'module.exports = {};',
+        reviewCode: async () => ({ status: 'unparseable', score: null, issues: [] })
+      },
+      validator: { validateCode: async () => ({ valid: true, errors: [] }) },
+      commitStandardWork: jest.fn()
+    };
+
+    const pipeline = new AgentPipeline({ agentType: 'backend', root, settings: settingsFor('backend', { standard: ['analyze', 'generate-code', 'commit'] }) });
+    const context = await pipeline.run(pipeline.createContext(agent));
+
+    expect(context.generated[file]).toEqual({ code: 'module.exports = {};', score: null });
+    expect(context.warnings).toEqual([`${file} was committed without a review (the review could not be parsed); review it manually`]);
+    expect(agent.commitStandardWork).toHaveBeenCalledWith(undefined, undefined, context.warnings);
+    expect(AIEnabledAgent.prototype.warningsSection(context.warnings)).toBe(`\n\nWarnings:\n- ${context.warnings[0]}`);
+  });
+
+  test('commits senior work with the validated quality score', async () => {
+    const agent = { commitSeniorWork: jest.fn(), qualityScore: AIEnabledAgent.prototype.qualityScore };
+    const context = {
+      agent,
+      mode: 'senior',
+      analysis: { complexity: 'medium' },
+      architecture: { pattern: 'layered' },
+      generated: { 'a.js': { code: '', score: 70 }, 'b.js': { code: '', score: 86 } },
+      testResults: null,
+      acceptance: []
+    };
+
+    await BUILT_IN_STAGES.commit.run(context);
+    expect(agent.commitSeniorWork).toHaveBeenCalledWith(context.analysis, context.architecture, null, [], 78);
+  });
+
+  test('plans senior work on an unparseable analysis without grades and with a warning', async () => {
+    const agent = Object.create(SeniorAIAgent.prototype);
+    Object.assign(agent, {
+      type: 'backend',
+      ticket: { id: 'T-6', description: 'Orders API' },
+      seniorCapabilities: { patterns: ['Repository'] },
+      ai: {
+        completeJSON: async () => ({ status: 'unparseable', errors: ['Unexpected token'] }),
+        route: () => ({ models: ['test-model'] }),
+        callOpenRouter: jest.fn(async () => 'module.exports = {};')
+      }
+    });
+    const context = { agent, ticket: agent.ticket, mode: 'senior', warnings: [] };
+
+    await BUILT_IN_STAGES.analyze.run(context);
+    expect(context.analysis).toMatchObject({
+      status: 'unparseable',
+      architectureImpact: null,
+      requiredPatterns: ['Repository'],
+      performanceConsiderations: [],
+      performanceGrade: null,
+      securityGrade: null,
+      testCoverageTarget: null
+    });
+    expect(context.warnings).toEqual([expect.stringContaining('The senior analysis could not be parsed (Unexpected token)')]);
+
+    // A parsed analysis may leave out the lists the schema does not require
+    const parsed = await agent.seniorAnalysisFrom({ status: 'ok', data: { complexity: 'simple', architectureImpact: 'low', requiredPatterns: [] } });
+    await agent.generateSeniorCode('src/orders.js', parsed, {}, '');
+    const [, prompt] = agent.ai.callOpenRouter.mock.calls[0][0];
+    expect(prompt.content).toContain('Performance Grade Target: n/a');
+    expect(prompt.content).toContain('Add performance optimizations: none identified');
+  });
+
+  test('names the stage that failed', async () => {
+    const pipeline = new AgentPipeline({ agentType: 'backend', root, settings: settingsFor('backend', { standard: ['analyze'] }) });
+    const agent = { type: 'backend', ticket: { id: 'T-1' }, ai: { analyzeTicket: async () => { throw new Error('HTTP 500'); } } };
+
+    await expect(pipeline.run(pipeline.createContext(agent))).rejects.toMatchObject({ message: 'HTTP 500', stage: 'analyze' });
+  });
+
+  test('flags destructive migration statements only', () => {
+    expect(findMigrationRisks('ALTER TABLE users ADD COLUMN age INT NOT NULL DEFAULT 0; CREATE INDEX users_email ON users(email);')).toEqual([]);
+    expect(findMigrationRisks('DELETE FROM sessions; DELETE FROM users WHERE id = 1; TRUNCATE logs;')).toEqual([
+      'deletes rows without a WHERE clause',
+      'truncates a table'
+    ]);
+  });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AgentRegistry, mergeAgentDefinitions } = require('../../src/core/agents/agent-registry');
+const { AgentBoundaries } = require('../../src/core/agents/agent-boundaries');
+const { AgentPipeline } = require('../../src/core/agents/agent-pipeline');
+const { AgentManager } = require('../../src/core/agents');
+const { PromptLibrary } = require('../../src/core/ai/prompt-templates');
+
+const devops = {
+  type: 'devops',
+  label: 'DevOps Engineer',
+  model: 'anthropic/claude-sonnet-4',
+  workingPaths: ['infra', '.github'],
+  branchPrefix: 'feature/devops',
+  pipeline: { standard: ['analyze'], add: [{ stage: 'lint-workflows', module: './stages/lint-workflows.js' }] },
+  persona: 'You are a senior DevOps engineer.',
+  capabilities: { patterns: ['Infrastructure as Code'] },
+  keywords: ['Docker', 'deploy'],
+  filePatterns: ['.github/workflows']
+};
+
+describe('agent registry', () => {
+  let root;
+  let settings;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-registry-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    fs.mkdirSync(path.join(root, 'plugins', 'stages'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'plugins', 'devops.js'), `module.exports = ${JSON.stringify(devops)};`);
+    fs.writeFileSync(path.join(root, 'plugins', 'stages', 'lint-workflows.js'), [
+      "module.exports = { provides: ['linted'], run: async context => { context.linted = true; } };"
+    ].join('\n'));
+    settings = {
+      agents: {
+        plugins: [path.join(root, 'plugins', 'devops.js')],
+        definitions: {
+          frontend: { model: 'm', workingPaths: ['src/components'], keywords: ['widget'] },
+          backend: { model: 'm', workingPaths: ['src/server'] },
+          devops: { model: 'openai/gpt-4.1' }
+        }
+      }
+    };
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('merges built-in defaults, plugins and the config', () => {
+    const registry = new AgentRegistry({ settings });
+
+    expect(registry.types()).toEqual(['devops', 'frontend', 'backend']);
+    expect(registry.get('devops')).toMatchObject({ label: 'DevOps Engineer', model: 'openai/gpt-4.1', workingPaths: ['infra', '.github'] });
+    expect(registry.get('devops').pipeline.add[0].module).toBe(path.join(root, 'plugins', 'stages', 'lint-workflows.js'));
+    expect(registry.capabilities('backend').patterns).toContain('CQRS');
+    expect(registry.capabilities('reviewer')).toEqual({});
+    expect(registry.has('database')).toBe(false);
+
+    const keywords = registry.keywordMap();
+    expect(keywords).toMatchObject({ docker: 'devops', deploy: 'devops', widget: 'frontend', endpoint: 'backend' });
+    expect(keywords).not.toHaveProperty('component');
+    expect(keywords).not.toHaveProperty('schema');
+    expect(registry.filePatternMap()).toMatchObject({ '.github/workflows': 'devops', 'src/server': 'backend' });
+
+    // Without any configured or plugin types the built-in ones are registered
+    expect(new AgentRegistry({ settings: {} }).types()).toEqual(['frontend', 'backend', 'database', 'integration', 'testing']);
+
+    expect(() => mergeAgentDefinitions({ agents: { plugins: ['./missing-plugin.js'] } }, root)).toThrow(
+      expect.objectContaining({ code: 'INVALID_AGENT_PLUGIN', message: expect.stringContaining('Could not load agent plugin ./missing-plugin.js') })
+    );
+    fs.writeFileSync(path.join(root, 'plugins', 'broken.js'), "module.exports = { type: 'docs', keywords: 'readme' };");
+    expect(() => mergeAgentDefinitions({ agents: { plugins: ['./plugins/broken.js'] } }, root)).toThrow(/\(docs\): `keywords` must be a list of strings/);
+  });
+
+  test('gives plugin types file ownership, default stages, a persona and an agent', async () => {
+    const boundaries = new AgentBoundaries({ root, settings });
+    expect(boundaries.ownerOf('infra/main.tf', 'backend')).toBe('devops');
+    expect(boundaries.agentForBranch('feature/devops/ticket-4')).toBe('devops');
+
+    const pipeline = new AgentPipeline({ agentType: 'devops', root, settings });
+    expect(pipeline.stages.map(stage => stage.name)).toEqual(['analyze', 'lint-workflows']);
+    const context = await pipeline.run(pipeline.createContext({
+      type: 'devops',
+      stateDir: root,
+      ticket: { id: 'T-4', description: 'Deploy with Docker' },
+      ai: { analyzeTicket: async () => ({ complexity: 'simple', requiredFiles: [] }) }
+    }));
+    expect(context.linted).toBe(true);
+
+    const prompts = new PromptLibrary({ settings: { ...settings, projectPath: root } });
+    expect(prompts.persona('devops')).toMatchObject({ text: 'You are a senior DevOps engineer.', id: expect.stringMatching(/^personas\/devops@registry#/) });
+    expect(prompts.persona('backend').text).toMatch(/senior Node\.js/);
+
+    const manager = new AgentManager({ maxAgents: 2, registry: new AgentRegistry({ settings }) });
+    await manager.createDefaultAgents();
+    expect(manager.getAllAgents().map(agent => [agent.id, agent.config.name])).toEqual([
+      ['devops-agent', 'DevOps Engineer Agent'],
+      ['frontend-agent', 'Frontend Developer Agent']
+    ]);
+    expect(manager.getAgentsByCapability('react').map(agent => agent.id)).toEqual(['frontend-agent']);
+  });
+});
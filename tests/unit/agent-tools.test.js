@@ -0,0 +1,179 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AgentToolbox, matchesPath } = require('../../src/core/ai/agent-tools');
+const { ProviderRegistry } = require('../../src/core/ai/providers');
+const { ResponseCache } = require('../../src/core/ai/response-cache');
+const AIAgentEngine = require('../../src/core/agents/ai-agent-engine');
+
+describe('AgentToolbox', () => {
+  let root;
+  let toolbox;
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-tools-'));
+    write('src/server/users.js', "const db = require('../db');\n\nfunction findUser(id) {\n  return db.users.find(id);\n}\n\nmodule.exports = { findUser };\n");
+    write('src/server/users.test.js', "test('finds users', () => {});\n");
+    write('src/components/Profile.tsx', 'export const Profile = () => null;\n');
+    write('prisma/schema.prisma', 'model User { id Int @id }\n');
+    write('.env', 'SECRET=1\n');
+
+    toolbox = new AgentToolbox({
+      root,
+      settings: {},
+      workingPaths: ['src/server', 'prisma', 'src/**/*.test.js'],
+      excludePaths: ['prisma/migrations'],
+      testCommand: 'node -e "console.log(process.argv.slice(1).join(\' \') || \'all\')" --',
+      maxOutputChars: 2000
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('matches working paths as directories and globs', () => {
+    expect(matchesPath('src/server/users.js', 'src/server')).toBe(true);
+    expect(matchesPath('src/serverless/x.js', 'src/server')).toBe(false);
+    expect(matchesPath('src/a/b/c.test.js', 'src/**/*.test.js')).toBe(true);
+    expect(matchesPath('src/a/c.js', 'src/**/*.test.js')).toBe(false);
+    expect(matchesPath('anything', '.')).toBe(true);
+    expect(matchesPath('node_modules/x', 'node_modules/')).toBe(true);
+  });
+
+  test('reads numbered lines inside the working paths only', async () => {
+    expect(await toolbox.execute('read_file', { path: 'src/server/users.js', startLine: 3, endLine: 4 })).toBe(
+      'src/server/users.js (lines 3-4 of 8)\n3: function findUser(id) {\n4:   return db.users.find(id);'
+    );
+
+    expect(await toolbox.execute('read_file', { path: 'src/components/Profile.tsx' })).toMatch(/^Error: .*outside this agent's working paths/);
+    expect(await toolbox.execute('read_file', { path: '../etc/passwd' })).toBe('Error: ../etc/passwd is outside the project');
+    expect(await toolbox.execute('read_file', { path: '.env' })).toMatch(/^Error: /);
+    expect(await toolbox.execute('read_file', { path: 'prisma/migrations/001.sql' })).toMatch(/outside this agent's working paths/);
+  });
+
+  test('refuses symlinks that leave the project', async () => {
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-tools-outside-'));
+    fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret');
+    fs.symlinkSync(path.join(outside, 'secret.txt'), path.join(root, 'src/server/secret.txt'));
+
+    expect(await toolbox.execute('read_file', { path: 'src/server/secret.txt' })).toBe('Error: src/server/secret.txt links outside the project');
+
+    // New files under a linked directory would be created outside too
+    fs.symlinkSync(outside, path.join(root, 'src/server/shared'));
+    const created = await toolbox.execute('propose_patch', { path: 'src/server/shared/new/hook.js', edits: '<<<<<<< SEARCH\n=======\nx\n>>>>>>> REPLACE' });
+    expect(created).toBe('Error: src/server/shared/new/hook.js links outside the project');
+    expect(fs.existsSync(path.join(outside, 'new'))).toBe(false);
+
+    fs.symlinkSync(path.join(outside, 'missing.txt'), path.join(root, 'src/server/broken.txt'));
+    expect(() => toolbox.resolve('src/server/broken.txt')).toThrow('src/server/broken.txt links outside the project');
+    fs.rmSync(outside, { recursive: true, force: true });
+  });
+
+  test('refuses paths inside .git and node_modules', () => {
+    const everywhere = new AgentToolbox({ root, settings: {}, workingPaths: ['.'] });
+
+    expect(() => everywhere.resolve('.git/hooks/pre-commit')).toThrow(expect.objectContaining({ code: 'PATH_NOT_ALLOWED', message: '.git/hooks/pre-commit is inside .git or node_modules' }));
+    expect(() => everywhere.resolve('src/node_modules/x/index.js')).toThrow(/inside \.git or node_modules/);
+    expect(everywhere.resolve('src/server/.gitignore').relative).toBe('src/server/.gitignore');
+  });
+
+  test('lists and greps only what the agent may see', async () => {
+    expect(await toolbox.execute('list_dir', {})).toBe('prisma/\nsrc/');
+    // The test-file glob may match anywhere under src/
+    expect(await toolbox.execute('list_dir', { path: 'src' })).toBe('components/\nserver/');
+    expect(await toolbox.execute('grep', { pattern: 'find(User)?\\(' })).toBe([
+      'src/server/users.js:3: function findUser(id) {',
+      'src/server/users.js:4: return db.users.find(id);'
+    ].join('\n'));
+    expect(await toolbox.execute('grep', { pattern: 'Profile' })).toBe('No matches for /Profile/ in .');
+    expect(await toolbox.execute('grep', { pattern: '(' })).toMatch(/^Error: invalid pattern/);
+  });
+
+  test('runs the test command for an allowed path', async () => {
+    expect(await toolbox.execute('run_tests', { path: 'src/server/users.test.js' }))
+      .toMatch(/exit code 0\nsrc\/server\/users\.test\.js\n$/);
+    expect(await toolbox.execute('run_tests', {})).toMatch(/exit code 0\nall\n$/);
+    expect(await toolbox.execute('run_tests', { path: 'prisma/migrations' })).toMatch(/^Error: /);
+    expect(await toolbox.execute('run_tests', { path: "src/server/it's; echo pwned" }))
+      .toMatch(/exit code 0\nsrc\/server\/it's; echo pwned\n$/);
+  });
+
+  test('applies proposed patches and reports failed edits', async () => {
+    const edits = [
+      '<<<<<<< SEARCH',
+      '  return db.users.find(id);',
+      '=======',
+      '  return db.users.findOne({ where: { id } });',
+      '>>>>>>> REPLACE',
+      '<<<<<<< SEARCH',
+      'function deleteUser() {}',
+      '=======',
+      '',
+      '>>>>>>> REPLACE'
+    ].join('\n');
+
+    const result = await toolbox.execute('propose_patch', { path: 'src/server/users.js', edits });
+    expect(result).toMatch(/^src\/server\/users\.js: 1 of 2 edit\(s\) applied\n\nEdit #2 failed/);
+    expect(fs.readFileSync(path.join(root, 'src/server/users.js'), 'utf8')).toContain('findOne({ where: { id } })');
+
+    await toolbox.execute('propose_patch', { path: 'src/server/roles.js', edits: '<<<<<<< SEARCH\n=======\nmodule.exports = [];\n>>>>>>> REPLACE' });
+    expect(fs.readFileSync(path.join(root, 'src/server/roles.js'), 'utf8')).toBe('module.exports = [];\n');
+    expect(toolbox.patches).toEqual([
+      { file: 'src/server/users.js', created: false, applied: 1, failed: 1 },
+      { file: 'src/server/roles.js', created: true, applied: 1, failed: 0 }
+    ]);
+
+    expect(await toolbox.execute('propose_patch', { path: 'src/components/Profile.tsx', edits })).toMatch(/^Error: /);
+    expect(await toolbox.execute('delete_file', { path: 'src/server/users.js' })).toMatch(/^Error: unknown tool delete_file/);
+  });
+
+  describe('AIAgentEngine.runWithTools', () => {
+    const createEngine = responses => {
+      const registry = new ProviderRegistry({ api: { defaultProvider: 'mock', mock: { type: 'mock', responses } } });
+      const engine = new AIAgentEngine({
+        agentType: 'backend',
+        providers: registry,
+        cache: new ResponseCache({ mode: 'off', settings: {} }),
+        codeIndex: { search: () => [] },
+        toolLoop: { maxSteps: 3 }
+      });
+      return { engine, provider: registry.forAgent('backend') };
+    };
+
+    test('runs tool calls until the model answers', async () => {
+      const { engine, provider } = createEngine([
+        { match: 'Check your work', toolCalls: [{ name: 'read_file', arguments: { path: 'src/server/users.js' } }] },
+        { match: 'function findUser', toolCalls: [{ name: 'run_tests', arguments: {} }] },
+        { match: 'exit code 0', response: 'Read users.js and the tests pass.' }
+      ]);
+
+      const result = await engine.runWithTools('backend', toolbox, 'Look up users', ['src/server/users.js']);
+
+      expect(result).toEqual({ status: 'done', summary: 'Read users.js and the tests pass.', steps: 3, patches: [] });
+      const last = provider.calls[2].messages;
+      expect(last[1].content).toContain('- src/server/users.js');
+      expect(last[1].content).toContain('You may only read and change files under: src/server, prisma, src/**/*.test.js');
+      expect(last[2]).toMatchObject({ role: 'assistant', tool_calls: [{ id: 'call_1_0', type: 'function', function: { name: 'read_file' } }] });
+      expect(last[3]).toMatchObject({ role: 'tool', tool_call_id: 'call_1_0' });
+      expect(last[3].content).toContain('3: function findUser(id) {');
+    });
+
+    test('stops at the step limit', async () => {
+      const { engine, provider } = createEngine([
+        { match: '/^/', toolCalls: [{ name: 'list_dir', arguments: { path: 'src' } }] }
+      ]);
+
+      const result = await engine.runWithTools('backend', toolbox, 'Loop forever', []);
+      expect(result).toMatchObject({ status: 'step-limit', steps: 3 });
+      expect(provider.calls).toHaveLength(3);
+    });
+  });
+});
@@ -1,266 +1,151 @@
-const AIEnabledAgent = require('../../../src/core/agents/ai-agent');
-const AIAgentEngine = require('../../../src/core/agents/ai-agent-engine');
-const AIValidationLayer = require('../../../src/core/ai/ai-validation-layer');
+const mockSettings = {
+  api: { defaultProvider: 'mock', mock: { type: 'mock', responses: [] } },
+  agents: { definitions: { backend: { workingPaths: ['src/server'] } } },
+  // The generated tests would need jest installed in the scratch project
+  testFixLoop: { enabled: false }
+};
+jest.mock('../../src/settings', () => ({ loadSettings: () => mockSettings }));
+
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { execSync } = require('child_process');
-
-// Mock dependencies
-jest.mock('../../../src/core/agents/ai-agent-engine');
-jest.mock('../../../src/core/ai/ai-validation-layer');
-jest.mock('fs');
-jest.mock('child_process');
-
-describe('AIEnabledAgent - Standard Mode', () => {
-  let agent;
-  let mockTicket;
+const { execFileSync } = require('child_process');
+const AIEnabledAgent = require('../../src/core/agents/ai-agent');
+const { MockProvider } = require('../../src/core/ai/providers');
+
+// Recorded from RECORDED_RESPONSES with LLM_CACHE_MODE=write; otherwise only replayed
+const CASSETTE = path.join(__dirname, '../fixtures/cassettes/standard-mode');
+const recording = process.env.LLM_CACHE_MODE === 'write';
+
+const RECORDED_RESPONSES = [
+  {
+    match: 'Analyze this development ticket',
+    response: {
+      complexity: 'simple',
+      estimatedLinesOfCode: 15,
+      primaryGoal: 'Report that the API is up',
+      keyFeatures: ['GET /health endpoint'],
+      coreLogicAreas: ['Express router'],
+      requiredFiles: ['src/server/health.js'],
+      dependencies: [],
+      suggestedApproach: 'Add an Express router with a GET /health route',
+      potentialChallenges: [],
+      testingStrategy: 'Unit test the route handler',
+      handoffs: []
+    }
+  },
+  { match: 'step-by-step implementation plan', response: '1. Add src/server/health.js with a GET /health route\n2. Test the route handler' },
+  {
+    match: 'Generate production-ready code for the file',
+    response: [
+      "const { Router } = require('express');",
+      '',
+      'const router = Router();',
+      '',
+      "router.get('/health', (req, res) => res.json({ status: 'ok' }));",
+      '',
+      'module.exports = router;'
+    ].join('\n')
+  },
+  {
+    match: 'Review this code for quality',
+    response: {
+      score: 88,
+      issues: [{ severity: 'low', description: 'The router is not mounted in app.js yet', line: 7 }],
+      suggestions: ['Mount the router in src/server/app.js'],
+      security: [],
+      approved: true
+    }
+  },
+  {
+    match: 'Generate comprehensive tests for this code',
+    response: [
+      "const router = require('./health');",
+      '',
+      "test('AC1: GET /health responds with { status: \"ok\" }', () => {",
+      "  const route = router.stack.find(layer => layer.route.path === '/health').route;",
+      '  const res = { json: jest.fn() };',
+      '  route.stack[0].handle({}, res);',
+      "  expect(res.json).toHaveBeenCalledWith({ status: 'ok' });",
+      '});'
+    ].join('\n')
+  },
+  { match: 'You have just worked on this ticket', response: 'Checked src/server/health.js and its test; nothing to change.' },
+  {
+    match: 'Decide for each acceptance criterion',
+    response: { criteria: [{ id: 'AC1', passed: true, evidence: "router.get('/health', ...) responds with res.json({ status: 'ok' })" }] }
+  }
+];
+
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8', stdio: 'pipe' });
+
+describe('AIEnabledAgent standard mode', () => {
+  let root;
+  let project;
+  let cwd;
+  let env;
 
   beforeEach(() => {
-    // Reset mocks for each test
-    AIAgentEngine.mockClear();
-    AIValidationLayer.mockClear();
-    fs.existsSync.mockClear();
-    fs.writeFileSync.mockClear();
-    fs.mkdirSync.mockClear();
-    fs.readFileSync.mockClear();
-    execSync.mockClear();
-
-    mockTicket = {
-      id: 'TICKET-STD-001',
-      description: 'Create a simple utility function.',
-      agentType: 'backend' // Added for the enhanced analyzeTicket
-    };
-
-    // Setup default mock implementations
-    const mockAiInstance = {
-      analyzeTicket: jest.fn().mockResolvedValue({
-        complexity: 'simple',
-        estimatedLinesOfCode: 10,
-        primaryGoal: 'Create a utility function',
-        keyFeatures: ['adds two numbers'],
-        coreLogicAreas: ['addition logic'],
-        requiredFiles: ['src/utils/math.js'],
-        dependencies: [],
-        suggestedApproach: 'Create a function `add(a, b)`',
-        potentialChallenges: [],
-        testingStrategy: 'Unit test with various inputs'
-      }),
-      generateImplementationPlan: jest.fn().mockResolvedValue('1. Create math.js\n2. Implement add function'),
-      generateCode: jest.fn().mockResolvedValue('function add(a, b) { return a + b; }'),
-      generateTests: jest.fn().mockResolvedValue('// Test for add function'),
-      reviewCode: jest.fn().mockResolvedValue({ score: 90, approved: true, issues: [], suggestions: [] }),
-      improveCode: jest.fn().mockResolvedValue('function add(a, b) { return a + b; } // Improved')
-    };
-    AIAgentEngine.mockImplementation(() => mockAiInstance);
-
-    const mockValidatorInstance = {
-      validateCode: jest.fn().mockResolvedValue({ valid: true, errors: [] })
-    };
-    AIValidationLayer.mockImplementation(() => mockValidatorInstance);
-
-    fs.existsSync.mockReturnValue(false); // Default to file not existing
-    fs.readFileSync.mockReturnValue(''); // Default for existing file content
-
-    agent = new AIEnabledAgent('backend', mockTicket);
-    agent.seniorMode = false; // Ensure standard mode
+    cwd = process.cwd();
+    env = { ...process.env };
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'standard-mode-'));
+
+    // The project name goes into the prompts, so it is the same on every run
+    project = path.join(root, 'shop');
+    fs.mkdirSync(path.join(project, 'src/server'), { recursive: true });
+    fs.writeFileSync(path.join(project, 'package.json'), JSON.stringify({ name: 'shop', version: '1.0.0' }, null, 2));
+    fs.writeFileSync(path.join(project, 'src/server/app.js'), "const express = require('express');\n\nmodule.exports = express();\n");
+    git(project, 'init', '-q', '-b', 'main');
+    git(project, 'config', 'user.email', 'agent@example.com');
+    git(project, 'config', 'user.name', 'Agent');
+    git(project, 'add', '-A');
+    git(project, 'commit', '-q', '-m', 'Initial commit');
+
+    ['LLM_PROVIDER', 'SENIOR_MODE', 'DRY_RUN', 'HYBRID_MODE', 'AGENT_STREAM'].forEach(name => delete process.env[name]);
+    process.env.LLM_CACHE_MODE = recording ? 'write' : 'replay-only';
+    process.env.LLM_CACHE_DIR = CASSETTE;
+    mockSettings.api.mock.responses = recording ? RECORDED_RESPONSES : [];
+    process.chdir(project);
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
   });
 
-  test('should execute standard mode workflow and generate files', async () => {
-    fs.existsSync.mockReturnValueOnce(false); // Branch does not exist
-    fs.existsSync.mockReturnValueOnce(false); // Ensure main file dir does not exist for mkdir
-    fs.existsSync.mockReturnValueOnce(false); // Main file does not exist
-    fs.existsSync.mockReturnValueOnce(false); // Ensure test file dir does not exist for mkdir
-
-    const result = await agent.execute();
-
-    expect(result.success).toBe(true);
-    expect(result.mode).toBe('standard');
-
-    const aiInstance = AIAgentEngine.mock.results[0].value;
-    expect(aiInstance.analyzeTicket).toHaveBeenCalledWith(expect.objectContaining({ id: 'TICKET-STD-001' }));
-    expect(aiInstance.generateImplementationPlan).toHaveBeenCalled();
-    expect(aiInstance.generateCode).toHaveBeenCalledTimes(1);
-    expect(aiInstance.generateCode).toHaveBeenCalledWith(
-      'backend',
-      'src/utils/math.js',
-      mockTicket.description,
-      null, // existingCode
-      expect.any(Object), // analysis
-      expect.stringContaining('Implement add function') // plan
-    );
-    expect(aiInstance.generateTests).toHaveBeenCalledTimes(1);
-
-    // Check file system interactions
-    expect(fs.writeFileSync).toHaveBeenCalledWith('.ai-plan-TICKET-STD-001.md', expect.any(String));
-    expect(fs.mkdirSync).toHaveBeenCalledWith(path.dirname('src/utils/math.js'), { recursive: true });
-    expect(fs.writeFileSync).toHaveBeenCalledWith('src/utils/math.js', expect.stringContaining('function add(a, b)'));
-
-    const testFilePath = 'src/utils/math.test.js';
-    expect(fs.mkdirSync).toHaveBeenCalledWith(path.dirname(testFilePath), { recursive: true });
-    expect(fs.writeFileSync).toHaveBeenCalledWith(testFilePath, '// Test for add function');
-
-    // Check git commands
-    expect(execSync).toHaveBeenCalledWith('git checkout -b feature/backend/ticket-std-001', { cwd: process.cwd() });
-    expect(execSync).toHaveBeenCalledWith('git add .', { cwd: process.cwd() });
-    expect(execSync).toHaveBeenCalledWith(expect.stringContaining('git commit -m "feat(TICKET-STD-001):'), { cwd: process.cwd() });
-  });
-
-  test('should attempt to fix code if validation fails', async () => {
-    const aiInstance = AIAgentEngine.mock.results[0].value;
-    const validatorInstance = AIValidationLayer.mock.results[0].value;
-
-    validatorInstance.validateCode
-      .mockResolvedValueOnce({ valid: false, errors: [{ message: 'Syntax error' }] }) // First validation fails
-      .mockResolvedValueOnce({ valid: true, errors: [] }); // Second validation passes
-
-    await agent.execute();
-
-    expect(validatorInstance.validateCode).toHaveBeenCalledTimes(2);
-    expect(aiInstance.improveCode).toHaveBeenCalledTimes(1);
-    expect(aiInstance.improveCode).toHaveBeenCalledWith(
-      'function add(a, b) { return a + b; }', // Original code
-      { feedback: 'Fix the following validation errors:\n[\n  {\n    "message": "Syntax error"\n  }\n]' }
-    );
-    expect(fs.writeFileSync).toHaveBeenCalledWith('src/utils/math.js', 'function add(a, b) { return a + b; } // Improved');
+  afterEach(() => {
+    process.chdir(cwd);
+    process.env = env;
+    jest.restoreAllMocks();
+    fs.rmSync(root, { recursive: true, force: true });
   });
 
-  test('should attempt to improve code if review score is low', async () => {
-    const aiInstance = AIAgentEngine.mock.results[0].value;
-    const validatorInstance = AIValidationLayer.mock.results[0].value;
-
-    validatorInstance.validateCode.mockResolvedValue({ valid: true, errors: [] }); // Validation passes
-    aiInstance.reviewCode.mockResolvedValueOnce({ score: 60, approved: false, issues: [{message: "Low quality"}] }); // Review fails
-
-    await agent.execute();
-
-    expect(aiInstance.reviewCode).toHaveBeenCalledTimes(1);
-    expect(aiInstance.improveCode).toHaveBeenCalledTimes(1);
-    expect(aiInstance.improveCode).toHaveBeenCalledWith(
-      'function add(a, b) { return a + b; }', // Original code
-      { score: 60, approved: false, issues: [{message: "Low quality"}] } // Review feedback
-    );
-    expect(fs.writeFileSync).toHaveBeenCalledWith('src/utils/math.js', 'function add(a, b) { return a + b; } // Improved');
-  });
-
-  test('should use inferred files if analysis does not provide them', async () => {
-    const aiInstance = AIAgentEngine.mock.results[0].value;
-    aiInstance.analyzeTicket.mockResolvedValue({
-        complexity: 'simple',
-        estimatedLinesOfCode: 10,
-        primaryGoal: 'Create a utility function',
-        keyFeatures: ['adds two numbers'],
-        requiredFiles: [], // Empty requiredFiles to trigger inference
-        suggestedApproach: 'Create a function `add(a, b)`'
-    });
-
-    // Mock specific inferRequiredFiles behavior for this agent type and ticket
-    jest.spyOn(agent, 'inferRequiredFiles').mockReturnValue(['src/inferred/util.js']);
-    jest.spyOn(agent, 'extractComponentName'); // Keep an eye on this if inferRequiredFiles changes
-
-    fs.existsSync.mockReturnValueOnce(false); // Branch
-    fs.existsSync.mockReturnValueOnce(false); // Inferred file dir
-    fs.existsSync.mockReturnValueOnce(false); // Inferred file
-    fs.existsSync.mockReturnValueOnce(false); // Inferred test file dir
-
-    await agent.execute();
-
-    expect(agent.inferRequiredFiles).toHaveBeenCalled();
-    expect(aiInstance.generateCode).toHaveBeenCalledWith(
-      'backend',
-      'src/inferred/util.js', // Check that the inferred file is used
-      mockTicket.description,
-      null,
-      expect.any(Object),
-      expect.any(String)
-    );
-    expect(fs.writeFileSync).toHaveBeenCalledWith('src/inferred/util.js', expect.any(String));
-    agent.inferRequiredFiles.mockRestore(); // Clean up spy
-  });
-
-});
-
-// Basic E2E-like test (can be in a separate file e.g., tests/integration/ai-agent.e2e.test.js if desired)
-// For simplicity, adding it here. It requires more setup if AIAgentEngine is not mocked.
-// This version will use the mocked AIAgentEngine to avoid actual LLM calls and API keys.
-describe('AIEnabledAgent - Standard Mode (E2E-like with Mocks)', () => {
-  const testTicketId = 'TICKET-E2E-STD-001';
-  const planFilePath = `.ai-plan-${testTicketId}.md`;
-  const codeFilePath = 'src/utils/e2e-math.js';
-  const testCodeFilePath = 'src/utils/e2e-math.test.js';
-
-  beforeEach(() => {
-    // Clean up any files from previous test runs
-    if (fs.existsSync(planFilePath)) fs.unlinkSync(planFilePath);
-    // For code/test files, need to handle directory cleanup if created, fs.rmSync might be better
-    // For now, simple unlink, assuming dirs are managed by mocks or setup for real runs
-    if (fs.existsSync(codeFilePath)) fs.unlinkSync(codeFilePath);
-    if (fs.existsSync(testCodeFilePath)) fs.unlinkSync(testCodeFilePath);
-    if (fs.existsSync(path.dirname(codeFilePath))) {
-        // Simplified cleanup: remove file, then try to remove dir if empty.
-        // In a real test suite, use a more robust cleanup (e.g., rimraf for the test output dir)
-        try { fs.rmdirSync(path.dirname(codeFilePath)); } catch (e) { /* ignore if not empty */ }
-    }
-     if (fs.existsSync(path.dirname(testCodeFilePath))) {
-        try { fs.rmdirSync(path.dirname(testCodeFilePath)); } catch (e) { /* ignore if not empty */ }
-    }
-
-
-    // Setup mocks for this E2E-like test
-     AIAgentEngine.mockImplementation(() => ({
-      analyzeTicket: jest.fn().mockResolvedValue({
-        complexity: 'simple',
-        primaryGoal: 'E2E test goal',
-        keyFeatures: ['e2e feature'],
-        requiredFiles: [codeFilePath],
-        estimatedLinesOfCode: 5
-      }),
-      generateImplementationPlan: jest.fn().mockResolvedValue('E2E Plan: Implement math function'),
-      generateCode: jest.fn().mockResolvedValue('// E2E Code'),
-      generateTests: jest.fn().mockResolvedValue('// E2E Test'),
-      reviewCode: jest.fn().mockResolvedValue({ score: 90, approved: true }),
-      improveCode: jest.fn()
-    }));
-    AIValidationLayer.mockImplementation(() => ({
-      validateCode: jest.fn().mockResolvedValue({ valid: true })
-    }));
-
-    // Reset fs mocks and set up for creation
-    fs.existsSync.mockImplementation(filePath => {
-      // Specific logic for this test if needed, or default to false
-      if (filePath === planFilePath || filePath === codeFilePath || filePath === testCodeFilePath) return false;
-      if (filePath === path.dirname(codeFilePath) || filePath === path.dirname(testCodeFilePath)) return false;
-      return false; // Default: nothing exists
+  test('replays a recorded ticket from analysis to commit without a provider', async () => {
+    const complete = jest.spyOn(MockProvider.prototype, 'complete');
+    const agent = new AIEnabledAgent('backend', {
+      id: 'SHOP-1',
+      description: 'Add a health check endpoint',
+      acceptanceCriteria: ['GET /health responds with { status: "ok" }']
     });
-    fs.writeFileSync.mockImplementation(()_ => {}); // Don't actually write
-    fs.mkdirSync.mockImplementation(()_ => {});   // Don't actually make dirs
-    execSync.mockImplementation(()_ => {});     // Don't actually run git commands
-  });
-
-
-  test('should run end-to-end creating plan, code, and test files', async () => {
-    const mockE2ETicket = {
-      id: testTicketId,
-      description: 'E2E test: Create a simple e2e utility function.',
-      agentType: 'backend'
-    };
-    const e2eAgent = new AIEnabledAgent('backend', mockE2ETicket);
-    e2eAgent.seniorMode = false;
+    agent.seniorMode = false;
 
-    // Unmock fs for this specific test to check for file creation
-    // We need to be careful here: we want to mock AI calls but check real fs operations (or mocked fs that records calls)
-    // For this setup, we'll check that the fs.writeFileSync and mkdirSync mocks were called correctly.
-
-    await e2eAgent.execute();
-
-    expect(fs.writeFileSync).toHaveBeenCalledWith(planFilePath, 'E2E Plan: Implement math function');
-    expect(fs.mkdirSync).toHaveBeenCalledWith(path.dirname(codeFilePath), { recursive: true });
-    expect(fs.writeFileSync).toHaveBeenCalledWith(codeFilePath, '// E2E Code');
-    expect(fs.mkdirSync).toHaveBeenCalledWith(path.dirname(testCodeFilePath), { recursive: true });
-    expect(fs.writeFileSync).toHaveBeenCalledWith(testCodeFilePath, '// E2E Test');
+    const result = await agent.execute();
 
-    // Verify git commands were called
-    expect(execSync).toHaveBeenCalledWith(`git checkout -b feature/backend/${testTicketId.toLowerCase()}`, expect.any(Object));
-    expect(execSync).toHaveBeenCalledWith('git add .', expect.any(Object));
-    expect(execSync).toHaveBeenCalledWith(expect.stringContaining(`feat(${testTicketId})`), expect.any(Object));
+    expect(result).toMatchObject({ success: true, mode: 'standard', files: 1, qualityScore: 88, warnings: [] });
+    if (recording) return;
+    expect(agent.ai.cache.stats).toMatchObject({ hits: 7, misses: 0 });
+    expect(complete).not.toHaveBeenCalled();
+
+    // The work is committed on the ticket's branch, in its own worktree
+    expect(agent.workDir).not.toBe(project);
+    expect(git(project, 'status', '--porcelain', '--', 'src')).toBe('');
+    expect(git(agent.workDir, 'rev-parse', '--abbrev-ref', 'HEAD').trim()).toBe('feature/backend/shop-1');
+    expect(git(agent.workDir, 'show', '--name-only', '--format=', 'HEAD').trim().split('\n')).toEqual([
+      'src/server/health.js',
+      'src/server/health.test.js'
+    ]);
+    expect(fs.readFileSync(path.join(agent.workDir, 'src/server/health.js'), 'utf8')).toContain("res.json({ status: 'ok' })");
+
+    const message = git(agent.workDir, 'log', '-1', '--format=%B');
+    expect(message).toMatch(/^feat\(SHOP-1\): Add a health check endpoint/);
+    expect(message).toContain('Acceptance criteria (1 of 1 passed):\n- [x] AC1');
   });
 });
@@ -0,0 +1,164 @@
+const { parseEdits, applyEdits, describeFailures } = require('../../src/core/ai/code-edits');
+const { ProviderRegistry } = require('../../src/core/ai/providers');
+const AIAgentEngine = require('../../src/core/agents/ai-agent-engine');
+
+const source = [
+  "const express = require('express');",
+  'const router = express.Router();',
+  '',
+  "router.get('/users', async (req, res) => {",
+  '  const users = await db.users.findAll();',
+  '  res.json(users);',
+  '});',
+  '',
+  "router.get('/orders', async (req, res) => {",
+  '  res.json([]);',
+  '});',
+  '',
+  'module.exports = router;',
+  ''
+].join('\n');
+
+const block = (search, replace) => `<<<<<<< SEARCH\n${search}\n=======\n${replace}\n>>>>>>> REPLACE`;
+
+describe('code edits', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('parses SEARCH/REPLACE blocks and unified diffs', () => {
+    const blocks = parseEdits(`Here you go:\n\n${block('a', 'b')}\n\n${block('c\nd', '')}`);
+    expect(blocks.format).toBe('search-replace');
+    expect(blocks.edits).toEqual([
+      { search: 'a', replace: 'b', hint: null },
+      { search: 'c\nd', replace: '', hint: null }
+    ]);
+
+    const diff = parseEdits([
+      '```diff',
+      '--- a/src/routes.js',
+      '+++ b/src/routes.js',
+      "@@ -9,3 +9,3 @@ router.get('/users'",
+      " router.get('/orders', async (req, res) => {",
+      '-  res.json([]);',
+      '+  res.json(await db.orders.findAll());',
+      ' });',
+      '```',
+      'This loads orders from the database.'
+    ].join('\n'));
+    expect(diff.format).toBe('unified-diff');
+    expect(diff.edits).toEqual([{
+      search: "router.get('/orders', async (req, res) => {\n  res.json([]);\n});",
+      replace: "router.get('/orders', async (req, res) => {\n  res.json(await db.orders.findAll());\n});",
+      hint: 9
+    }]);
+
+    expect(parseEdits('I rewrote the whole file for you.')).toEqual({ format: null, edits: [] });
+  });
+
+  test('applies exact edits and keeps the rest of the file intact', () => {
+    const { content, applied, failed } = applyEdits(source, [
+      { search: '  res.json([]);', replace: '  res.json(await db.orders.findAll());' }
+    ]);
+
+    expect(failed).toEqual([]);
+    expect(applied).toEqual([{ index: 0, line: 10, strategy: 'exact', similarity: 1 }]);
+    expect(content).toBe(source.replace('res.json([]);', 'res.json(await db.orders.findAll());'));
+  });
+
+  test('tolerates indentation drift and re-indents the replacement', () => {
+    const { content, applied } = applyEdits(source, [{
+      search: 'const users = await db.users.findAll();\nres.json(users);',
+      replace: 'const users = await db.users.findAll({ limit: 50 });\nres.json(users);'
+    }]);
+
+    expect(applied[0].strategy).toBe('indentation');
+    expect(content).toContain('\n  const users = await db.users.findAll({ limit: 50 });\n  res.json(users);\n');
+  });
+
+  test('fuzzy-matches slightly misremembered lines', () => {
+    const { content, applied } = applyEdits(source, [{
+      search: "router.get('/users', async (req, res) => {\n  const users = await db.users.findAll({});\n  res.json(users);",
+      replace: "router.get('/users', requireAuth, async (req, res) => {\n  const users = await db.users.findAll();\n  res.json(users);"
+    }]);
+
+    expect(applied[0]).toMatchObject({ strategy: 'fuzzy', line: 4 });
+    expect(applied[0].similarity).toBeGreaterThan(0.8);
+    expect(content).toContain("router.get('/users', requireAuth, async (req, res) => {");
+  });
+
+  test('reports missing and ambiguous edits instead of guessing', () => {
+    const { content, applied, failed } = applyEdits(source, [
+      { search: '});', replace: '}); // end' },
+      { search: "router.delete('/users/:id', remove);", replace: '' },
+      { search: '', replace: 'x' }
+    ]);
+
+    expect(content).toBe(source);
+    expect(applied).toEqual([]);
+    expect(failed.map(f => f.reason)).toEqual([
+      'matches 2 places in the file; include more surrounding lines',
+      expect.stringMatching(/^no exact match|^SEARCH lines not found/),
+      'empty SEARCH block on a non-empty file'
+    ]);
+    expect(describeFailures(failed.slice(0, 1))).toBe(
+      `Edit #1 failed: matches 2 places in the file; include more surrounding lines\n${block('});', '}); // end')}`
+    );
+  });
+
+  test('uses the hunk position to pick between identical matches', () => {
+    const { content } = applyEdits(source, [{ search: '});', replace: '}); // orders', hint: 11 }]);
+    expect(content).toContain("  res.json([]);\n}); // orders\n");
+  });
+
+  describe('AIAgentEngine.editCode', () => {
+    const createEngine = responses => {
+      const registry = new ProviderRegistry({ api: { defaultProvider: 'mock', mock: { type: 'mock', responses } } });
+      const engine = new AIAgentEngine({
+        agentType: 'backend',
+        providers: registry,
+        codeIndex: { search: () => [] },
+        codeEdits: { mode: 'auto', minLines: 10, correctionAttempts: 1 }
+      });
+      return { engine, provider: registry.forAgent('backend') };
+    };
+
+    test('patches only large existing files in auto mode', () => {
+      const { engine } = createEngine([]);
+      expect(engine.shouldPatch(null)).toBe(false);
+      expect(engine.shouldPatch('a\nb')).toBe(false);
+      expect(engine.shouldPatch(source)).toBe(true);
+    });
+
+    test('feeds failed hunks back and applies the correction', async () => {
+      const { engine, provider } = createEngine([
+        { match: 'could not be applied', response: block("router.get('/orders', async (req, res) => {\n  res.json([]);", "router.get('/orders', async (req, res) => {\n  res.json(await db.orders.findAll());") },
+        { match: 'Modify the existing file', response: `${block('module.exports = router;', 'module.exports = { router };')}\n${block('});', '  res.json(orders);\n});')}` }
+      ]);
+
+      const result = await engine.editCode('backend', 'src/routes.js', 'Load orders', source);
+
+      expect(result.status).toBe('ok');
+      expect(result.attempts).toBe(2);
+      expect(result.applied).toHaveLength(2);
+      expect(result.code).toContain('res.json(await db.orders.findAll());');
+      expect(result.code).toContain('module.exports = { router };');
+      expect(result.code).toContain('const users = await db.users.findAll();');
+
+      const correction = provider.calls[1].messages[1].content;
+      expect(correction).toContain('Edit #2 failed: matches 2 places in the file');
+      expect(correction).toContain('module.exports = { router };'); // current content includes applied edits
+    });
+
+    test('leaves the file unchanged when the reply has no edits', async () => {
+      const { engine } = createEngine([{ match: 'Modify the existing file', response: 'const everything = "rewritten";' }]);
+
+      const result = await engine.editCode('backend', 'src/routes.js', 'Load orders', source);
+      expect(result).toMatchObject({ status: 'unparseable', code: source, applied: [], failed: [] });
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { CodeIndex, tokenize, chunkFile } = require('../../src/core/ai/code-index');
+const { ProviderRegistry } = require('../../src/core/ai/providers');
+const AIAgentEngine = require('../../src/core/agents/ai-agent-engine');
+
+describe('CodeIndex', () => {
+  let root;
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  };
+  const git = (...args) => execFileSync('git', ['-c', 'user.email=test@example.com', '-c', 'user.name=test', ...args], { cwd: root, stdio: 'pipe' });
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'code-index-'));
+    write('src/services/invoice-service.js', [
+      "const db = require('../db');",
+      '',
+      'async function createInvoice(customerId, lines) {',
+      '  const total = lines.reduce((sum, line) => sum + line.amount, 0);',
+      "  return db.insert('invoices', { customerId, total });",
+      '}',
+      '',
+      'function formatInvoiceNumber(invoice) {',
+      '  return `INV-${String(invoice.id).padStart(6, "0")}`;',
+      '}',
+      '',
+      'module.exports = { createInvoice, formatInvoiceNumber };'
+    ].join('\n'));
+    write('src/routes/users.js', [
+      "const express = require('express');",
+      'const router = express.Router();',
+      '',
+      "router.get('/users/:id', async (req, res) => {",
+      '  res.json(await req.app.locals.users.findById(req.params.id));',
+      '});',
+      '',
+      'module.exports = router;'
+    ].join('\n'));
+    write('README.md', '# invoices and users');
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('splits identifiers into search terms', () => {
+    expect(tokenize('formatInvoiceNumber(user_id)')).toEqual(
+      ['formatinvoicenumber', 'format', 'invoice', 'number', 'user_id', 'user', 'id']
+    );
+  });
+
+  test('chunks files at top-level declarations', () => {
+    const chunks = chunkFile(fs.readFileSync(path.join(root, 'src/services/invoice-service.js'), 'utf8'));
+
+    expect(chunks.map(chunk => [chunk.start, chunk.end, chunk.name])).toEqual([
+      [1, 7, 'createInvoice'],
+      [8, 12, 'formatInvoiceNumber']
+    ]);
+  });
+
+  test('ranks the chunk that matches the query first', () => {
+    const index = new CodeIndex({ root, dir: path.join(root, '.agent-index'), settings: {} });
+    const hits = index.search('Show the invoice number on the invoice PDF');
+
+    expect(hits[0]).toMatchObject({ file: 'src/services/invoice-service.js', name: 'formatInvoiceNumber', start: 8, end: 12 });
+    expect(index.excerpt(hits[0])).toContain('padStart');
+    expect(hits.some(hit => hit.file === 'README.md')).toBe(false);
+    expect(index.search('user profile endpoint', { exclude: ['src/routes/users.js'] })
+      .every(hit => hit.file !== 'src/routes/users.js')).toBe(true);
+  });
+
+  test('updates incrementally from git HEAD and the working tree', () => {
+    git('init', '-q');
+    git('add', '-A');
+    git('commit', '-qm', 'init');
+
+    const index = new CodeIndex({ root, settings: {} });
+    expect(index.file).toBe(path.join(root, '.git', 'agent-index.json'));
+    expect(index.update()).toEqual({ files: 2, reindexed: 2, removed: 0 });
+
+    // Nothing changed: nothing re-read, even by a fresh instance
+    expect(new CodeIndex({ root, settings: {} }).update()).toEqual({ files: 2, reindexed: 0, removed: 0 });
+
+    write('src/routes/orders.js', "router.post('/orders', createOrder);\n");
+    git('add', '-A');
+    git('commit', '-qm', 'orders');
+    fs.rmSync(path.join(root, 'src/routes/users.js'));
+
+    const fresh = new CodeIndex({ root, settings: {} });
+    expect(fresh.update()).toEqual({ files: 2, reindexed: 1, removed: 1 });
+    expect(fresh.search('orders')[0].file).toBe('src/routes/orders.js');
+
+    // The deletion was picked up as a dirty file; restoring it is noticed too
+    git('checkout', '--', 'src/routes/users.js');
+    expect(fresh.update()).toEqual({ files: 3, reindexed: 1, removed: 0 });
+  });
+
+  test('feeds related project code into the generation prompt', async () => {
+    const registry = new ProviderRegistry({
+      api: { defaultProvider: 'mock', mock: { type: 'mock', responses: [{ match: '', response: 'module.exports = {};' }] } }
+    });
+    const engine = new AIAgentEngine({
+      agentType: 'backend',
+      providers: registry,
+      projectPath: root,
+      codeIndex: new CodeIndex({ root, dir: path.join(root, '.agent-index'), settings: {} })
+    });
+
+    await engine.generateCode('backend', 'src/routes/invoices.js', 'Expose createInvoice over HTTP');
+    const prompt = registry.forAgent('backend').calls[0].messages[1].content;
+
+    expect(prompt).toContain('// src/services/invoice-service.js:1-7 (createInvoice)');
+    expect(prompt).toContain("return db.insert('invoices', { customerId, total });");
+  });
+});
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { DryRunWorkspace, applyPatchBundle } = require('../../src/core/agents/dry-run');
+const { AgentPipeline } = require('../../src/core/agents/agent-pipeline');
+const AIEnabledAgent = require('../../src/core/agents/ai-agent');
+
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8', stdio: 'pipe' });
+
+describe('dry run', () => {
+  let root;
+  let workspace;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'dry-run-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    fs.mkdirSync(path.join(root, 'src'));
+    fs.writeFileSync(path.join(root, 'src/users.js'), 'module.exports = {};\n');
+    fs.writeFileSync(path.join(root, '.gitignore'), 'secrets.txt\n');
+    git(root, 'init', '-q');
+    git(root, 'add', '-A');
+    git(root, '-c', 'user.name=t', '-c', 'user.email=t@t', 'commit', '-q', '-m', 'init');
+    fs.writeFileSync(path.join(root, 'src/draft.js'), '// not committed yet\n');
+    fs.writeFileSync(path.join(root, 'secrets.txt'), 'ignored');
+
+    workspace = new DryRunWorkspace({ root, ticketId: 'TICKET-9', settings: { dryRun: { directory: 'runs' } } });
+  });
+
+  afterEach(() => {
+    workspace.close();
+    console.log.mockRestore();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('works in a scratch copy and bundles the changes without touching the project', () => {
+    const scratch = workspace.open();
+
+    expect(fs.readFileSync(path.join(scratch, 'src/draft.js'), 'utf8')).toBe('// not committed yet\n');
+    expect(fs.existsSync(path.join(scratch, 'secrets.txt'))).toBe(false);
+
+    fs.writeFileSync(path.join(scratch, 'src/users.js'), 'module.exports = { find: () => null };\n');
+    fs.writeFileSync(path.join(scratch, 'src/orders.js'), 'module.exports = [];\n');
+    fs.writeFileSync(path.join(scratch, '.ai-plan-TICKET-9.md'), '# Plan');
+    fs.writeFileSync(path.join(scratch, '.ai-validation-report.json'), JSON.stringify([{ filePath: 'src/users.js', valid: true }]));
+
+    const bundle = workspace.writeBundle({
+      agentType: 'backend',
+      mode: 'standard',
+      result: { qualityScore: 88 },
+      context: {
+        plan: '# Plan',
+        generated: { 'src/users.js': { code: '', score: 88 } },
+        testResults: { status: 'passed', passed: 2, failed: 0 },
+        warnings: ['check the index'],
+        completedStages: ['analyze', 'generate-code']
+      }
+    });
+
+    expect(path.dirname(bundle)).toBe(path.join(root, 'runs'));
+    expect(fs.readdirSync(bundle).sort()).toEqual(['bundle.json', 'changes.patch', 'plan.md', 'validation.json']);
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(bundle, 'bundle.json'), 'utf8'));
+    expect(manifest).toMatchObject({
+      ticket: 'TICKET-9',
+      agentType: 'backend',
+      base: git(root, 'rev-parse', 'HEAD').trim(),
+      files: [{ status: 'A', file: 'src/orders.js' }, { status: 'M', file: 'src/users.js' }],
+      apply: `node src/core/agents/ai-agent.js apply ${path.relative(root, bundle)}`
+    });
+    expect(JSON.parse(fs.readFileSync(path.join(bundle, 'validation.json'), 'utf8'))).toMatchObject({
+      qualityScore: 88,
+      reviews: { 'src/users.js': { score: 88 } },
+      tests: { status: 'passed' },
+      warnings: ['check the index'],
+      report: [{ filePath: 'src/users.js' }]
+    });
+    expect(fs.readFileSync(path.join(bundle, 'changes.patch'), 'utf8')).not.toContain('.ai-plan');
+
+    expect(fs.readFileSync(path.join(root, 'src/users.js'), 'utf8')).toBe('module.exports = {};\n');
+    expect(git(root, 'status', '--porcelain')).toBe('?? runs/\n?? src/draft.js\n');
+
+    workspace.close();
+    expect(fs.existsSync(scratch)).toBe(false);
+
+    expect(applyPatchBundle(bundle, root)).toMatchObject({ applied: true, ticket: 'TICKET-9' });
+    expect(fs.readFileSync(path.join(root, 'src/users.js'), 'utf8')).toBe('module.exports = { find: () => null };\n');
+    expect(fs.readFileSync(path.join(root, 'src/orders.js'), 'utf8')).toBe('module.exports = [];\n');
+  });
+
+  test('refuses a patch that no longer applies and leaves the tree as it was', () => {
+    const scratch = workspace.open();
+    fs.writeFileSync(path.join(scratch, 'src/users.js'), 'module.exports = { find: () => null };\n');
+    fs.writeFileSync(path.join(scratch, 'src/orders.js'), 'module.exports = [];\n');
+    const bundle = workspace.writeBundle({ agentType: 'backend', mode: 'standard', result: {}, context: null });
+
+    fs.writeFileSync(path.join(root, 'src/users.js'), 'module.exports = { changed: true };\n');
+    expect(() => applyPatchBundle(bundle, root)).toThrow(expect.objectContaining({ code: 'PATCH_CONFLICT' }));
+    expect(fs.existsSync(path.join(root, 'src/orders.js'))).toBe(false);
+
+    expect(() => applyPatchBundle(path.join(root, 'missing'), root)).toThrow(expect.objectContaining({ code: 'BUNDLE_NOT_FOUND' }));
+  });
+
+  test('needs a git repository', () => {
+    const plain = fs.mkdtempSync(path.join(os.tmpdir(), 'dry-run-plain-'));
+    try {
+      expect(() => new DryRunWorkspace({ root: plain, ticketId: 'T-1', settings: {} }).open())
+        .toThrow(expect.objectContaining({ code: 'DRY_RUN_UNAVAILABLE' }));
+    } finally {
+      fs.rmSync(plain, { recursive: true, force: true });
+    }
+  });
+
+  test('skips stages with side effects in a dry run', async () => {
+    const settings = { agents: { definitions: { backend: { workingPaths: ['.'], pipeline: { standard: ['analyze', 'branch', 'commit'] } } } } };
+    const agent = {
+      type: 'backend',
+      dryRun: true,
+      ticket: { id: 'T-2', description: 'Dry' },
+      ai: { analyzeTicket: async () => ({ complexity: 'simple' }) },
+      setupBranch: jest.fn(),
+      commitStandardWork: jest.fn()
+    };
+
+    const pipeline = new AgentPipeline({ agentType: 'backend', root, settings });
+    const context = await pipeline.run(pipeline.createContext(agent));
+
+    expect(agent.setupBranch).not.toHaveBeenCalled();
+    expect(agent.commitStandardWork).not.toHaveBeenCalled();
+    expect(context.completedStages).toEqual(['analyze']);
+  });
+
+  test('points the agent at the scratch copy without changing directory', async () => {
+    const cwd = process.cwd();
+    const agent = Object.assign(Object.create(AIEnabledAgent.prototype), {
+      type: 'backend',
+      ticket: { id: 'TICKET-9', description: 'Dry' },
+      workDir: root,
+      validator: {},
+      ai: { useProjectPath: jest.fn() },
+      emitEvent: jest.fn()
+    });
+
+    const result = await agent.executeDryRun(async () => {
+      expect(process.cwd()).toBe(cwd);
+      expect(agent.workDir).not.toBe(root);
+      expect(agent.ai.useProjectPath).toHaveBeenLastCalledWith(agent.workDir);
+      fs.writeFileSync(path.join(agent.workDir, 'src/orders.js'), 'module.exports = [];\n');
+      return { success: true, mode: 'standard' };
+    });
+
+    expect(result).toMatchObject({ success: true, dryRun: true });
+    expect(fs.readFileSync(path.join(result.bundle, 'changes.patch'), 'utf8')).toContain('src/orders.js');
+    expect(fs.existsSync(path.join(root, 'src/orders.js'))).toBe(false);
+    expect(agent.workDir).toBe(root);
+    expect(agent.ai.useProjectPath).toHaveBeenLastCalledWith(root);
+  });
+});
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { HybridSession, diffHunks, applyHunks } = require('../../src/core/agents/hybrid-session');
+const { AgentPipeline } = require('../../src/core/agents/agent-pipeline');
+const AIEnabledAgent = require('../../src/core/agents/ai-agent');
+
+// Answers the session's questions in order
+const answering = answers => jest.fn(async () => answers.shift());
+
+const numbered = count => Array.from({ length: count }, (_, index) => `line ${index + 1}`);
+
+describe('hybrid session', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'hybrid-session-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('splits a change into hunks and applies the accepted ones', () => {
+    const before = `${numbered(20).join('\n')}\n`;
+    const lines = numbered(20);
+    lines[1] = 'line two';
+    lines.splice(14, 1, 'line 15a', 'line 15b');
+    const after = `${lines.join('\n')}\n`;
+
+    const hunks = diffHunks(before, after, 3);
+    expect(hunks.map(({ header, oldLines, newLines }) => [header, oldLines, newLines])).toEqual([
+      ['@@ -1,5 +1,5 @@', ['line 2'], ['line two']],
+      ['@@ -12,7 +12,8 @@', ['line 15'], ['line 15a', 'line 15b']]
+    ]);
+    expect(hunks[0].lines).toEqual([' line 1', '-line 2', '+line two', ' line 3', ' line 4', ' line 5']);
+
+    hunks[1].accepted = true;
+    expect(applyHunks(before, hunks)).toBe(before.replace('line 15\n', 'line 15a\nline 15b\n'));
+
+    // Changes with few unchanged lines between them share a hunk
+    expect(diffHunks(before, after, 6)).toHaveLength(1);
+    expect(diffHunks(before, before)).toEqual([]);
+    expect(diffHunks('', 'a\nb')[0]).toMatchObject({ header: '@@ -0,0 +1,2 @@', start: 0, oldLines: [], newLines: ['a', 'b'] });
+  });
+
+  test('lets the developer accept, edit, reject and revise hunks', async () => {
+    const file = path.join(root, 'orders.js');
+    fs.writeFileSync(file, numbered(30).join('\n'));
+    const proposal = numbered(30).map((line, index) => ([2, 14, 26].includes(index) ? `${line} changed` : line)).join('\n');
+
+    const edit = jest.fn(() => 'line 15 edited');
+    const session = new HybridSession({ settings: {}, root, ask: answering(['x', 'a', 'e', 'r']), edit });
+    const written = await session.review(file, proposal, { notes: ['Review score 80/100'] });
+
+    expect(written.split('\n').slice(2, 3)).toEqual(['line 3 changed']);
+    expect(written.split('\n')[14]).toBe('line 15 edited');
+    expect(written.split('\n')[26]).toBe('line 27');
+    expect(edit).toHaveBeenCalledWith('line 15 changed', file);
+    expect(session.summary()).toEqual({ accept: 1, reject: 1, edit: 1, revise: 0 });
+    expect(session.feedback()).toEqual([
+      expect.objectContaining({ file: 'orders.js', decision: 'edit', proposed: 'line 15 changed', final: 'line 15 edited' }),
+      expect.objectContaining({ file: 'orders.js', decision: 'reject', proposed: 'line 27 changed' })
+    ]);
+
+    // A revision is reviewed again from its first hunk
+    const revise = jest.fn(async () => proposal.replace('line 3 changed', 'line 3 revised'));
+    const revising = new HybridSession({ settings: {}, root, ask: answering(['c', 'Keep the old name', 'A']) });
+    const revised = await revising.review(file, proposal, { revise });
+    expect(revise).toHaveBeenCalledWith(proposal, 'Keep the old name');
+    expect(revised).toBe(proposal.replace('line 3 changed', 'line 3 revised'));
+    expect(revising.feedback()).toEqual([expect.objectContaining({ decision: 'revise', comment: 'Keep the old name' })]);
+
+    // Nothing of a rejected new file is written
+    const rejecting = new HybridSession({ settings: {}, root, ask: answering(['R']) });
+    expect(await rejecting.review(path.join(root, 'new.js'), 'module.exports = {};')).toBeNull();
+  });
+
+  test('keeps the line endings of the file under review', async () => {
+    const file = path.join(root, 'orders.js');
+    fs.writeFileSync(file, 'line 1\r\nline 2\r\nline 3\r\n');
+
+    const session = new HybridSession({ settings: {}, root, ask: answering(['a']) });
+    expect(await session.review(file, 'line 1\nline two\nline 3\n')).toBe('line 1\r\nline two\r\nline 3\r\n');
+    expect(await session.review(file, 'line 1\nline 2\nline 3\n')).toBe('line 1\r\nline 2\r\nline 3\r\n');
+  });
+
+  test('stops when its input closes before an answer', async () => {
+    const input = new PassThrough();
+    const session = new HybridSession({ settings: {}, root, input });
+    const file = path.join(root, 'orders.js');
+    fs.writeFileSync(file, 'a\n');
+
+    const review = session.review(file, 'b\n');
+    setImmediate(() => input.end());
+    await expect(review).rejects.toMatchObject({ code: 'HYBRID_INPUT_CLOSED' });
+    session.close();
+  });
+
+  test('refuses to start a hybrid run without a terminal', async () => {
+    const isTTY = process.stdin.isTTY;
+    process.stdin.isTTY = false;
+    const agent = Object.assign(Object.create(AIEnabledAgent.prototype), {
+      type: 'backend',
+      ticket: { id: 'T-4', description: 'Orders API' },
+      hybridMode: true,
+      startUsageSession: jest.fn()
+    });
+
+    try {
+      await expect(agent.execute()).rejects.toMatchObject({ code: 'HYBRID_NEEDS_TTY' });
+      expect(agent.startUsageSession).not.toHaveBeenCalled();
+    } finally {
+      process.stdin.isTTY = isTTY;
+    }
+  });
+
+  test('reviews the generated files before the pipeline writes them', async () => {
+    const settings = { agents: { definitions: { backend: { workingPaths: ['.'], pipeline: { standard: ['analyze', 'generate-code'] } } } } };
+    const files = ['orders.js', 'users.js'].map(file => path.join(root, file));
+    const agent = {
+      type: 'backend',
+      stateDir: root,
+      ticket: { id: 'T-3', description: 'Orders API' },
+      hybrid: new HybridSession({ settings: {}, root, ask: answering(['c', 'Export a function', 'a', 'R']) }),
+      ai: {
+        analyzeTicket: async () => ({ complexity: 'simple', requiredFiles: files }),
+        shouldPatch: () => false,
+        generateCode: async () => 'module.exports = {};',
+        reviewCode: async () => ({ status: 'ok', score: 90, issues: [{ severity: 'low', description: 'No JSDoc', line: 1 }] })
+      },
+      validator: { validateCode: async () => ({ valid: true, errors: [] }) },
+      reviseProposal: jest.fn(async () => 'module.exports = function orders() {};')
+    };
+
+    const pipeline = new AgentPipeline({ agentType: 'backend', root, settings });
+    const context = await pipeline.run(pipeline.createContext(agent));
+
+    expect(agent.reviseProposal).toHaveBeenCalledWith(files[0], 'module.exports = {};', 'Export a function', context);
+    expect(fs.readFileSync(files[0], 'utf8')).toBe('module.exports = function orders() {};');
+    expect(fs.existsSync(files[1])).toBe(false);
+    expect(context.files).toEqual([files[0]]);
+    expect(context.generated[files[0]].code).toBe('module.exports = function orders() {};');
+    expect(console.log).toHaveBeenCalledWith('      📝 [low] line 1: No JSDoc');
+  });
+});
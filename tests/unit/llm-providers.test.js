@@ -0,0 +1,196 @@
+const {
+  ProviderRegistry,
+  createProvider,
+  MockProvider,
+  OpenRouterProvider,
+  OpenAICompatibleProvider
+} = require('../../src/core/ai/providers');
+
+describe('LLM provider registry', () => {
+  const settings = {
+    api: {
+      openrouter: { baseUrl: 'https://openrouter.ai/api/v1' },
+      local: { type: 'openai-compatible', baseUrl: 'http://localhost:8000/v1/', model: 'qwen-coder' },
+      mock: { type: 'mock' }
+    },
+    agents: {
+      definitions: {
+        frontend: { model: 'anthropic/claude-sonnet-4' },
+        backend: { model: 'qwen-coder', provider: 'local' },
+        testing: { model: 'openai/gpt-4.1-mini', provider: 'mock' }
+      }
+    }
+  };
+
+  let savedProvider;
+
+  beforeEach(() => {
+    savedProvider = process.env.LLM_PROVIDER;
+    delete process.env.LLM_PROVIDER;
+  });
+
+  afterEach(() => {
+    if (savedProvider === undefined) {
+      delete process.env.LLM_PROVIDER;
+    } else {
+      process.env.LLM_PROVIDER = savedProvider;
+    }
+  });
+
+  test('resolves the provider named in the agent definition', () => {
+    const registry = new ProviderRegistry(settings);
+
+    expect(registry.forAgent('frontend')).toBeInstanceOf(OpenRouterProvider);
+    expect(registry.forAgent('backend')).toBeInstanceOf(OpenAICompatibleProvider);
+    expect(registry.forAgent('backend').baseUrl).toBe('http://localhost:8000/v1');
+    expect(registry.forAgent('testing')).toBeInstanceOf(MockProvider);
+  });
+
+  test('reuses provider instances', () => {
+    const registry = new ProviderRegistry(settings);
+    expect(registry.forAgent('testing')).toBe(registry.get('mock'));
+  });
+
+  test('LLM_PROVIDER overrides every agent', () => {
+    process.env.LLM_PROVIDER = 'mock';
+    const registry = new ProviderRegistry(settings);
+
+    expect(registry.forAgent('frontend')).toBeInstanceOf(MockProvider);
+    expect(registry.forAgent('backend')).toBeInstanceOf(MockProvider);
+  });
+
+  test('rejects unknown provider types', () => {
+    expect(() => createProvider('carrier-pigeon')).toThrow('Unknown LLM provider type');
+  });
+
+  test('configured model overrides the requested one for self-hosted servers', () => {
+    const provider = createProvider('openai-compatible', { model: 'qwen-coder' });
+    const body = provider.buildBody({ model: 'anthropic/claude-opus-4', messages: [] });
+    expect(body.model).toBe('qwen-coder');
+  });
+});
+
+describe('MockProvider', () => {
+  const messages = [
+    { role: 'system', content: 'You are a developer.' },
+    { role: 'user', content: 'Write an add function' }
+  ];
+
+  test('is deterministic for identical requests', async () => {
+    const provider = new MockProvider();
+    const first = await provider.complete({ model: 'openai/gpt-4', messages });
+    const second = await provider.complete({ model: 'openai/gpt-4', messages });
+
+    expect(first.content).toBe(second.content);
+    expect(first.usage.total_tokens).toBeGreaterThan(0);
+  });
+
+  test('serves matching fixtures before falling back', async () => {
+    const provider = new MockProvider({
+      responses: [
+        { match: '/add function$/', response: 'function add(a, b) { return a + b; }' },
+        { match: 'JSON format', response: { complexity: 'simple' } }
+      ]
+    });
+
+    const code = await provider.complete({ model: 'm', messages });
+    expect(code.content).toBe('function add(a, b) { return a + b; }');
+
+    const analysis = await provider.complete({
+      model: 'm',
+      messages: [{ role: 'user', content: 'Reply in this JSON format' }]
+    });
+    expect(JSON.parse(analysis.content)).toEqual({ complexity: 'simple' });
+  });
+
+  test('answers unmatched structured prompts with an empty object', async () => {
+    const provider = new MockProvider();
+    const result = await provider.complete({
+      model: 'm',
+      messages: [{ role: 'user', content: 'Provide a JSON response' }]
+    });
+    expect(result.content).toBe('{}');
+  });
+});
+
+describe('Streaming completions', () => {
+  const http = require('http');
+  let server;
+  let baseUrl;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      if (req.url.startsWith('/broken/')) {
+        res.write('data: {"choices":[{"delta":{"content":"function "}}]}\n\n');
+        res.end('data: {"choices":[{"delta":\n\n');
+        return;
+      }
+      res.write(': OPENROUTER PROCESSING\n\n');
+      res.write('data: {"model":"local-model","choices":[{"delta":{"content":"function "}}]}\n\n');
+      res.write('data: {"choices":[{"delta":{"content":"add() {}"}}]}\n\n');
+      res.write('data: {"choices":[],"usage":{"prompt_tokens":12,"completion_tokens":4,"total_tokens":16}}\n\n');
+      res.end('data: [DONE]\n\n');
+    });
+    server.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  test('parses server-sent events into deltas and a final summary', async () => {
+    const provider = new OpenAICompatibleProvider({ baseUrl });
+    const chunks = [];
+
+    for await (const chunk of provider.stream({ model: 'm', messages: [] })) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks.filter(c => c.type === 'delta').map(c => c.content)).toEqual(['function ', 'add() {}']);
+    expect(chunks[chunks.length - 1]).toMatchObject({
+      type: 'done',
+      content: 'function add() {}',
+      model: 'local-model',
+      usage: { total_tokens: 16 }
+    });
+  });
+
+  test('fails the stream with PROVIDER_STREAM_ERROR on an unreadable event', async () => {
+    const provider = new OpenAICompatibleProvider({ baseUrl: baseUrl.replace('/v1', '/broken') });
+    const deltas = [];
+
+    const read = async () => {
+      for await (const chunk of provider.stream({ model: 'm', messages: [] })) {
+        deltas.push(chunk.content);
+      }
+    };
+
+    await expect(read()).rejects.toMatchObject({ code: 'PROVIDER_STREAM_ERROR', message: expect.stringContaining('{"choices":[{"delta":') });
+    expect(deltas).toEqual(['function ']);
+  });
+
+  test('engine emits stream events for labelled completions', async () => {
+    const AIAgentEngine = require('../../src/core/agents/ai-agent-engine');
+    const engine = new AIAgentEngine({
+      providers: new ProviderRegistry({ api: { defaultProvider: 'mock' } }),
+      stream: true
+    });
+    const deltas = [];
+    engine.on('stream:delta', ({ label, content }) => deltas.push({ label, content }));
+
+    const content = await engine.callOpenRouter(
+      [{ role: 'user', content: 'Write the file' }],
+      'openai/gpt-4',
+      0.2,
+      { streamLabel: 'src/add.js' }
+    );
+
+    expect(deltas.length).toBeGreaterThan(1);
+    expect(deltas.every(d => d.label === 'src/add.js')).toBe(true);
+    expect(deltas.map(d => d.content).join('')).toBe(content);
+  });
+});
@@ -0,0 +1,85 @@
+const { ModelRouter } = require('../../src/core/ai/model-router');
+const { ResponseCache } = require('../../src/core/ai/response-cache');
+const { RequestResilience } = require('../../src/core/ai/request-resilience');
+const AIAgentEngine = require('../../src/core/agents/ai-agent-engine');
+
+describe('ModelRouter', () => {
+  const settings = {
+    agents: { definitions: { backend: { model: 'openai/gpt-4-turbo-preview' } } },
+    modelRouting: {
+      default: ['openai/gpt-4.1'],
+      stages: {
+        generation: { default: ['anthropic/claude-opus-4'], simple: ['openai/gpt-4.1-mini'], maxCost: 0.1 },
+        review: ['anthropic/claude-sonnet-4']
+      },
+      agents: {
+        database: { review: ['anthropic/claude-opus-4'] }
+      }
+    }
+  };
+
+  test('resolves agent, stage and complexity to an ordered list with fallbacks', () => {
+    const router = new ModelRouter({ settings });
+
+    expect(router.candidates('backend', 'generation', 'simple'))
+      .toEqual(['openai/gpt-4.1-mini', 'openai/gpt-4-turbo-preview', 'openai/gpt-4.1']);
+    expect(router.candidates('backend', 'generation', 'architectural')[0]).toBe('anthropic/claude-opus-4');
+    expect(router.candidates('database', 'review')).toEqual(['anthropic/claude-opus-4', 'openai/gpt-4.1']);
+    expect(() => router.candidates('backend', 'dancing')).toThrow('Unknown routing stage');
+  });
+
+  test('suggests models from task descriptions', () => {
+    const router = new ModelRouter({ settings });
+
+    expect(router.suggest('backend', 'Refactor the billing module')).toBe('anthropic/claude-opus-4');
+    expect(router.suggest('backend', 'Fix typo in header')).toBe('openai/gpt-4.1-mini');
+  });
+
+  test('caps stage spend using worst-case estimates', () => {
+    const router = new ModelRouter({ settings });
+    const route = router.route('backend', 'generation');
+
+    // Opus (~$0.32) and GPT-4 Turbo (~$0.13) would exceed the $0.10 cap at 4000 output tokens
+    expect(router.affordable(route, 1000, 4000)).toEqual(['openai/gpt-4.1']);
+
+    router.recordSpend('generation', 0.09);
+    expect(() => router.affordable(route, 1000, 4000)).toThrow("Cost cap reached for stage 'generation'");
+  });
+});
+
+describe('AIAgentEngine routing', () => {
+  const status = code => Object.assign(new Error(`HTTP ${code}`), { status: code });
+  const createEngine = complete => new AIAgentEngine({
+    agentType: 'backend',
+    providers: { forAgent: () => ({ requiresApiKey: false, complete }) },
+    router: new ModelRouter({ settings: { modelRouting: { default: [], stages: { review: ['model/a', 'model/b'] } } } }),
+    cache: new ResponseCache({ mode: 'off', settings: {} }),
+    resilience: new RequestResilience({ settings: {}, sleep: async () => {} })
+  });
+
+  beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+  afterEach(() => console.log.mockRestore());
+
+  test('falls back to the next model when rate limits outlast the retries', async () => {
+    const complete = jest.fn(async ({ model }) => {
+      if (model === 'model/a') throw status(429);
+      return { content: 'ok', model: 'model/b', usage: null, cost: 0.01 };
+    });
+    const engine = createEngine(complete);
+
+    const content = await engine.callOpenRouter([{ role: 'user', content: 'review' }], engine.route('review'));
+
+    expect(content).toBe('ok');
+    expect(complete.mock.calls.map(([request]) => request.model)).toEqual(['model/a', 'model/a', 'model/a', 'model/b']);
+    expect(engine.router.stageSpend.review).toBe(0.01);
+  });
+
+  test('does not mask authentication errors', async () => {
+    const complete = jest.fn().mockRejectedValue(status(401));
+    const engine = createEngine(complete);
+
+    await expect(engine.callOpenRouter([{ role: 'user', content: 'review' }], engine.route('review')))
+      .rejects.toThrow('HTTP 401');
+    expect(complete).toHaveBeenCalledTimes(1);
+  });
+});
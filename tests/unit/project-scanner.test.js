@@ -0,0 +1,109 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProjectScanner, describeProfile } = require('../../src/core/ai/project-scanner');
+const { ProviderRegistry } = require('../../src/core/ai/providers');
+const AIAgentEngine = require('../../src/core/agents/ai-agent-engine');
+
+describe('ProjectScanner', () => {
+  let root;
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'scanner-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const createExpressRepo = () => {
+    write('package.json', JSON.stringify({
+      name: 'orders-api',
+      dependencies: { express: '^4.18.0' },
+      devDependencies: { mocha: '^10.0.0', chai: '^4.0.0' },
+      scripts: { test: 'mocha test/**/*.test.js' }
+    }));
+    write('.eslintrc.json', '{}');
+    write('src/routes/orders.js', "const express = require('express');\nconst router = express.Router();\nmodule.exports = router;\n");
+    write('src/routes/users.js', "const express = require('express');\nmodule.exports = express.Router();\n");
+    write('src/server.js', "const express = require('express');\nconst orders = require('./routes/orders');\n");
+    write('test/orders.test.js', "const { expect } = require('chai');\n");
+  };
+
+  test('detects a plain Express + Mocha CommonJS project', () => {
+    createExpressRepo();
+    const profile = new ProjectScanner(root).scan();
+
+    expect(profile).toMatchObject({
+      name: 'orders-api',
+      language: 'javascript',
+      moduleSystem: 'commonjs',
+      frameworks: ['Express'],
+      testRunner: 'mocha',
+      linters: { eslint: '.eslintrc.json' },
+      packageManager: 'npm'
+    });
+    expect(profile.imports[0]).toBe("const express = require('express');");
+    expect(profile.samples.backend).toEqual(['src/routes/orders.js', 'src/routes/users.js']);
+    expect(profile.samples.testing).toEqual(['test/orders.test.js']);
+    expect(profile.testLocation).toMatch(/^separate directory/);
+
+    const summary = describeProfile(profile);
+    expect(summary).toContain('CommonJS (require/module.exports)');
+    expect(summary).toContain('Test runner: mocha');
+    expect(summary).not.toMatch(/Next\.js|TypeScript/);
+  });
+
+  test('detects a TypeScript Next.js project', () => {
+    write('package.json', JSON.stringify({
+      dependencies: { next: '14.0.0', react: '18.2.0' },
+      devDependencies: { typescript: '^5.0.0', vitest: '^1.0.0' }
+    }));
+    write('tsconfig.json', '{}');
+    write('pnpm-lock.yaml', '');
+    write('app/page.tsx', "import React from 'react';\nexport default function Page() { return null; }\n");
+    write('components/Button.tsx', "import React from 'react';\nexport const Button = () => null;\n");
+
+    const profile = new ProjectScanner(root).scan();
+
+    expect(profile).toMatchObject({
+      language: 'typescript',
+      moduleSystem: 'esm',
+      frameworks: ['Next.js', 'React'],
+      testRunner: 'vitest',
+      packageManager: 'pnpm'
+    });
+    expect(profile.samples.frontend).toEqual(['app/page.tsx', 'components/Button.tsx']);
+  });
+
+  test('an empty directory yields a neutral summary', () => {
+    expect(describeProfile(new ProjectScanner(root).scan())).toMatch(/No existing source code/);
+  });
+
+  test('generation prompts carry the detected conventions instead of Next.js defaults', async () => {
+    createExpressRepo();
+    const registry = new ProviderRegistry({
+      api: { defaultProvider: 'mock', mock: { type: 'mock', responses: [{ match: '', response: 'module.exports = {};' }] } }
+    });
+    const engine = new AIAgentEngine({ agentType: 'backend', providers: registry, projectPath: root });
+    const provider = registry.forAgent('backend');
+
+    await engine.generateCode('backend', 'src/routes/health.js', 'Add a health endpoint');
+    const codePrompt = provider.calls[0].messages[1].content;
+    expect(codePrompt).toContain('Frameworks/libraries: Express');
+    expect(codePrompt).toContain("const express = require('express');");
+    expect(codePrompt).not.toContain('TypeScript');
+
+    await engine.generateTests('backend', 'src/routes/health.js', 'module.exports = {};');
+    expect(provider.calls[1].messages[1].content).toContain('Use mocha');
+
+    const examples = await engine.getRelevantExamples({ id: 'T-1' }, 'backend');
+    expect(examples).toContain('// src/routes/orders.js');
+    expect(examples).not.toMatch(/next\/server|prisma/);
+  });
+});
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PromptLibrary, parseTemplate } = require('../../src/core/ai/prompt-templates');
+
+describe('PromptLibrary', () => {
+  let projectDir;
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  const createLibrary = () => new PromptLibrary({ settings: { projectPath: projectDir } });
+
+  test('parses front matter and body', () => {
+    const { meta, body } = parseTemplate('---\nversion: 3\nsystem: Be brief.\n---\nHello {{name}}\n');
+    expect(meta).toEqual({ version: '3', system: 'Be brief.' });
+    expect(body).toBe('Hello {{name}}');
+  });
+
+  test('renders built-in templates with a versioned id and system prompt', () => {
+    const prompt = createLibrary().render('review-code', { requirements: 'Add login', code: 'const a = 1;' });
+
+    expect(prompt.id).toMatch(/^review-code@1#[0-9a-f]{8}$/);
+    expect(prompt.system).toBe('You are a senior code reviewer focused on quality and security.');
+    expect(prompt.text).toContain('Requirements: Add login');
+    expect(prompt.text).toContain('const a = 1;');
+  });
+
+  test('rejects variables the caller did not supply', () => {
+    expect(() => createLibrary().render('review-code', { code: 'x' }))
+      .toThrow(/review-code@1#\w+ uses unknown variable: requirements/);
+  });
+
+  test('project overrides win for templates and personas', () => {
+    const overrides = path.join(projectDir, '.agent-prompts');
+    fs.mkdirSync(path.join(overrides, 'personas'), { recursive: true });
+    fs.writeFileSync(path.join(overrides, 'improve-code.md'), '---\nversion: 2\n---\nTidy this: {{code}}');
+    fs.writeFileSync(path.join(overrides, 'personas', 'frontend.md'), 'You write Svelte.');
+
+    const library = createLibrary();
+    const prompt = library.render('improve-code', { code: 'x', feedback: '{}' });
+
+    expect(prompt.text).toBe('Tidy this: x');
+    expect(prompt.id).toMatch(/^improve-code@project:2#/);
+    expect(prompt.system).toBeNull();
+    expect(library.persona('frontend').text).toBe('You write Svelte.');
+    expect(library.persona('backend').text).toMatch(/senior Node\.js/);
+    expect(library.persona('integration').text).toBe('');
+  });
+});
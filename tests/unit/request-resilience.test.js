@@ -0,0 +1,186 @@
+const http = require('http');
+const { RequestResilience, CircuitBreaker, parseRetryAfter, backoffDelay, isProviderFailure } = require('../../src/core/ai/request-resilience');
+const { ProviderRegistry, OpenAICompatibleProvider } = require('../../src/core/ai/providers');
+const AIAgentEngine = require('../../src/core/agents/ai-agent-engine');
+
+const status = (code, extra = {}) => Object.assign(new Error(`HTTP ${code}`), { status: code, ...extra });
+
+describe('request resilience', () => {
+  let sleeps;
+  const createResilience = (api, options = {}) => new RequestResilience({
+    settings: { api },
+    sleep: async ms => { sleeps.push(ms); },
+    random: () => 0.5,
+    ...options
+  });
+
+  beforeEach(() => {
+    sleeps = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test('parses Retry-After seconds and dates', () => {
+    const now = Date.parse('2025-01-01T00:00:00Z');
+    expect(parseRetryAfter('2', now)).toBe(2000);
+    expect(parseRetryAfter('Wed, 01 Jan 2025 00:00:05 GMT', now)).toBe(5000);
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+
+  test('backs off exponentially with jitter up to the cap', () => {
+    expect([0, 1, 2, 3].map(attempt => backoffDelay(attempt, 1000, 5000, () => 1))).toEqual([1000, 2000, 4000, 5000]);
+    expect(backoffDelay(2, 1000, 5000, () => 0.25)).toBe(1000);
+  });
+
+  test('retries transient failures and reports every failed attempt', async () => {
+    const events = [];
+    const resilience = createResilience({ mock: { retries: 3, retryBaseDelay: 100 } }, { onFailure: event => events.push(event) });
+    const operation = jest.fn()
+      .mockRejectedValueOnce(status(503))
+      .mockRejectedValueOnce(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))
+      .mockResolvedValueOnce('ok');
+
+    await expect(resilience.execute('mock', operation)).resolves.toBe('ok');
+    expect(sleeps).toEqual([50, 100]);
+    expect(events.map(({ attempt, willRetry, delay }) => [attempt, willRetry, delay])).toEqual([[1, true, 50], [2, true, 100]]);
+  });
+
+  test('does not retry client errors and honors Retry-After', async () => {
+    const resilience = createResilience({ mock: { retries: 2, retryMaxDelay: 10000 } });
+
+    const unauthorized = jest.fn().mockRejectedValue(status(401));
+    await expect(resilience.execute('mock', unauthorized)).rejects.toThrow('HTTP 401');
+    expect(unauthorized).toHaveBeenCalledTimes(1);
+
+    const limited = jest.fn().mockRejectedValueOnce(status(429, { retryAfter: 3000 })).mockResolvedValueOnce('ok');
+    await expect(resilience.execute('mock', limited)).resolves.toBe('ok');
+    expect(sleeps).toEqual([3000]);
+
+    // Waiting longer than retryMaxDelay is left to the router's fallback
+    const saturated = jest.fn().mockRejectedValue(status(429, { retryAfter: 60000 }));
+    await expect(resilience.execute('mock', saturated)).rejects.toThrow('HTTP 429');
+    expect(saturated).toHaveBeenCalledTimes(1);
+  });
+
+  test('opens the circuit after repeated failures and lets one trial through later', () => {
+    let now = 0;
+    const breaker = new CircuitBreaker('openrouter', { failureThreshold: 2, resetTimeout: 1000, now: () => now });
+
+    breaker.assertClosed();
+    breaker.onFailure();
+    breaker.onFailure();
+    expect(breaker.state).toBe('OPEN');
+    expect(() => breaker.assertClosed()).toThrow(expect.objectContaining({ code: 'CIRCUIT_OPEN' }));
+
+    now = 1000;
+    breaker.assertClosed(); // the trial call
+    expect(breaker.state).toBe('HALF_OPEN');
+    expect(() => breaker.assertClosed()).toThrow(expect.objectContaining({ code: 'CIRCUIT_OPEN' }));
+    breaker.onSuccess();
+    expect(breaker.state).toBe('CLOSED');
+  });
+
+  test('fails fast once a provider circuit is open', async () => {
+    const resilience = createResilience({ mock: { retries: 5, circuitBreaker: { failureThreshold: 2 } } });
+    const operation = jest.fn().mockRejectedValue(status(500));
+
+    await expect(resilience.execute('mock', operation)).rejects.toThrow('HTTP 500');
+    expect(operation).toHaveBeenCalledTimes(2);
+    await expect(resilience.execute('mock', operation)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+
+  test('counts only provider failures towards the circuit', async () => {
+    const resilience = createResilience({ mock: { retries: 0, circuitBreaker: { failureThreshold: 1 } } });
+
+    const missingKey = Object.assign(new Error('OPENROUTER_API_KEY is not set'), { code: 'MISSING_API_KEY' });
+    await expect(resilience.execute('mock', jest.fn().mockRejectedValue(new TypeError("Cannot read properties of undefined (reading 'map')")))).rejects.toThrow(TypeError);
+    await expect(resilience.execute('mock', jest.fn().mockRejectedValue(missingKey))).rejects.toBe(missingKey);
+    await expect(resilience.execute('mock', jest.fn().mockRejectedValue(status(400)))).rejects.toThrow('HTTP 400');
+    expect(resilience.breaker('mock').state).toBe('CLOSED');
+
+    expect([status(503), status(429), Object.assign(new Error('refused'), { code: 'ECONNREFUSED' }), Object.assign(new Error('slow'), { code: 'REQUEST_TIMEOUT' })]
+      .every(isProviderFailure)).toBe(true);
+    await expect(resilience.execute('mock', jest.fn().mockRejectedValue(status(502)))).rejects.toThrow('HTTP 502');
+    expect(resilience.breaker('mock').state).toBe('OPEN');
+  });
+
+  describe('against an HTTP server', () => {
+    let server;
+    let replies;
+    let baseUrl;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        req.resume();
+        const reply = replies.shift();
+        if (reply === 'hang') return;
+        res.writeHead(reply.status, reply.headers || {});
+        res.end(reply.body);
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    });
+
+    afterAll(async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    const ok = { status: 200, body: JSON.stringify({ model: 'm', choices: [{ message: { content: 'hello' } }] }) };
+
+    test('retries a rate limit after Retry-After and an HTML gateway error', async () => {
+      replies = [
+        { status: 429, headers: { 'Retry-After': '1' }, body: JSON.stringify({ error: { message: 'Rate limited' } }) },
+        { status: 502, headers: { 'Content-Type': 'text/html' }, body: '<html>Bad Gateway</html>' },
+        ok
+      ];
+      const provider = new OpenAICompatibleProvider({ name: 'local', baseUrl });
+      const resilience = createResilience({ local: { retries: 2 } });
+
+      const completion = await resilience.execute('local', ({ signal }) => provider.complete({ model: 'm', messages: [], signal }));
+      expect(completion.content).toBe('hello');
+      expect(sleeps).toEqual([1000, 1000]);
+    });
+
+    test('aborts calls that exceed the deadline', async () => {
+      replies = ['hang', ok];
+      const provider = new OpenAICompatibleProvider({ name: 'local', baseUrl });
+      const resilience = createResilience({ local: { timeout: 100, retries: 1 } });
+
+      const completion = await resilience.execute('local', ({ signal }) => provider.complete({ model: 'm', messages: [], signal }));
+      expect(completion.content).toBe('hello');
+
+      replies = ['hang'];
+      const strict = createResilience({ local: { timeout: 100, retries: 0 } });
+      await expect(strict.execute('local', ({ signal }) => provider.complete({ model: 'm', messages: [], signal })))
+        .rejects.toMatchObject({ code: 'REQUEST_TIMEOUT', message: 'local request timed out after 100ms' });
+    });
+  });
+
+  test('records failed attempts against the ticket in the engine', async () => {
+    const recovery = { recordFailure: jest.fn() };
+    const registry = new ProviderRegistry({ api: { defaultProvider: 'mock', mock: { type: 'mock', retries: 1 } } });
+    const provider = registry.forAgent('backend');
+    jest.spyOn(provider, 'complete').mockRejectedValueOnce(status(500));
+
+    const engine = new AIAgentEngine({
+      agentType: 'backend',
+      providers: registry,
+      taskId: 'TICKET-7',
+      recovery,
+      codeIndex: { search: () => [] }
+    });
+    engine.resilience.sleep = async () => {};
+
+    await engine.callOpenRouter([{ role: 'user', content: 'hi' }], 'model/a');
+    expect(recovery.recordFailure).toHaveBeenCalledWith('backend-agent', 'TICKET-7', expect.objectContaining({ status: 500 }),
+      expect.objectContaining({ provider: 'mock', attempt: 1, retrying: true }));
+  });
+});
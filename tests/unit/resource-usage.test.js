@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ResourceMonitor = require('../../src/infrastructure/monitoring/resource-monitor');
+const AIAgentEngine = require('../../src/core/agents/ai-agent-engine');
+const { ProviderRegistry } = require('../../src/core/ai/providers');
+
+describe('Token usage tracking', () => {
+  let cwd;
+  let tmpDir;
+  let monitor;
+
+  beforeEach(() => {
+    cwd = process.cwd();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'resource-usage-'));
+    process.chdir(tmpDir);
+    monitor = new ResourceMonitor({ settings: {} });
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('engine records each completion against the active session', async () => {
+    const engine = new AIAgentEngine({
+      providers: new ProviderRegistry({ api: { defaultProvider: 'mock' } })
+    });
+    const sessionId = monitor.startSession('backend', 'TICKET-1');
+    engine.trackUsage(monitor, sessionId);
+
+    await engine.callOpenRouter([{ role: 'user', content: 'Write an add function' }], 'openai/gpt-4.1');
+    monitor.endSession(sessionId);
+
+    const [session] = monitor.getMetrics().sessions;
+    expect(session.resources.apiCalls).toHaveLength(1);
+    expect(session.resources.apiCalls[0]).toMatchObject({
+      model: 'openai/gpt-4.1',
+      provider: 'mock',
+      cost: 0
+    });
+    expect(session.resources.apiCalls[0].latencyMs).toBeGreaterThanOrEqual(0);
+    expect(session.resources.tokens.input).toBeGreaterThan(0);
+    expect(monitor.getMetrics().totals.apiCalls).toBe(1);
+  });
+
+  test('prices calls from the table unless the provider reports a cost', () => {
+    const sessionId = monitor.startSession('frontend', 'TICKET-2');
+    monitor.trackAPICall(sessionId, 'openai/gpt-4.1', 100000, 0);
+    monitor.trackAPICall(sessionId, 'openai/gpt-4.1', 10, 10, { cost: 0.25 });
+    monitor.endSession(sessionId);
+
+    const calls = monitor.getMetrics().sessions[0].resources.apiCalls;
+    expect(calls.map(c => c.cost)).toEqual([0.2, 0.25]);
+  });
+
+  test('applies configured limits to recent calls', () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    monitor = new ResourceMonitor({ settings: { resourceLimits: { maxTokensPerHour: 1000 } } });
+    const sessionId = monitor.startSession('backend', 'TICKET-3');
+    monitor.trackAPICall(sessionId, 'openai/gpt-4.1', 800, 400);
+    monitor.endSession(sessionId);
+
+    expect(monitor.limits.maxTokensPerHour).toBe(1000);
+    expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('Token limit exceeded: 1200/1000'));
+    errorSpy.mockRestore();
+  });
+});
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResponseCache } = require('../../src/core/ai/response-cache');
+const AIAgentEngine = require('../../src/core/agents/ai-agent-engine');
+const { ProviderRegistry } = require('../../src/core/ai/providers');
+
+describe('ResponseCache', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-cache-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  const request = { model: 'openai/gpt-4.1', messages: [{ role: 'user', content: 'hi' }], temperature: 0.2 };
+  const completion = { content: 'hello', model: 'openai/gpt-4.1', usage: { total_tokens: 3 }, provider: 'mock' };
+
+  test('keys on model, messages and temperature', () => {
+    const cache = new ResponseCache({ mode: 'write', dir, settings: {} });
+
+    expect(cache.keyFor(request)).toBe(cache.keyFor({ ...request }));
+    expect(cache.keyFor(request)).not.toBe(cache.keyFor({ ...request, temperature: 0.3 }));
+    expect(cache.keyFor(request)).not.toBe(cache.keyFor({ ...request, model: 'openai/gpt-4.1-mini' }));
+  });
+
+  test('only write mode records, and read mode serves without writing', () => {
+    new ResponseCache({ mode: 'read', dir, settings: {} }).set(request, completion);
+    expect(fs.readdirSync(dir)).toHaveLength(0);
+
+    new ResponseCache({ mode: 'write', dir, settings: {} }).set(request, completion);
+    const reader = new ResponseCache({ mode: 'read', dir, settings: {} });
+
+    expect(reader.get(request)).toMatchObject({ content: 'hello', usage: { total_tokens: 3 } });
+    expect(reader.get({ ...request, temperature: 0 })).toBeNull();
+    expect(reader.stats).toEqual({ hits: 1, misses: 1, writes: 0 });
+  });
+
+  test('off mode ignores recorded entries and replay-only fails on a miss', () => {
+    new ResponseCache({ mode: 'write', dir, settings: {} }).set(request, completion);
+
+    expect(new ResponseCache({ mode: 'off', dir, settings: {} }).get(request)).toBeNull();
+    expect(() => new ResponseCache({ mode: 'replay-only', dir, settings: {} }).get({ ...request, temperature: 1 }))
+      .toThrow('LLM cache miss in replay-only mode');
+    expect(() => new ResponseCache({ mode: 'sometimes', settings: {} })).toThrow('Unknown LLM cache mode');
+  });
+
+  test('a recorded cassette replays an engine run without any provider', async () => {
+    const ticket = { id: 'T-9', description: 'Add a health endpoint', agentType: 'backend' };
+    const recorder = new AIAgentEngine({
+      agentType: 'backend',
+      providers: new ProviderRegistry({
+        api: {
+          defaultProvider: 'mock',
+          mock: {
+            type: 'mock',
+            responses: [
+              { match: 'Analyze this development ticket', response: { complexity: 'simple', primaryGoal: 'Health check', requiredFiles: ['src/app/api/health/route.ts'] } },
+              { match: 'step-by-step implementation plan', response: '1. Add the route' }
+            ]
+          }
+        }
+      }),
+      cache: new ResponseCache({ mode: 'write', dir, settings: {} })
+    });
+
+    const recordedAnalysis = await recorder.analyzeTicket(ticket);
+    const recordedPlan = await recorder.generateImplementationPlan(ticket, 'backend', recordedAnalysis);
+
+    const offline = { requiresApiKey: false, complete: jest.fn().mockRejectedValue(new Error('network')) };
+    const replayer = new AIAgentEngine({
+      agentType: 'backend',
+      providers: { forAgent: () => offline },
+      cache: new ResponseCache({ mode: 'replay-only', dir, settings: {} })
+    });
+
+    const analysis = await replayer.analyzeTicket(ticket);
+    expect(analysis).toEqual(recordedAnalysis);
+    expect(analysis.requiredFiles).toEqual(['src/app/api/health/route.ts']);
+    expect(await replayer.generateImplementationPlan(ticket, 'backend', analysis)).toBe(recordedPlan);
+    expect(offline.complete).not.toHaveBeenCalled();
+  });
+});
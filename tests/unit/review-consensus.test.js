@@ -0,0 +1,101 @@
+const { mergeReviews } = require('../../src/core/ai/review-consensus');
+const { ModelRouter } = require('../../src/core/ai/model-router');
+const { ResponseCache } = require('../../src/core/ai/response-cache');
+const AIAgentEngine = require('../../src/core/agents/ai-agent-engine');
+
+const review = (score, approved, issues = [], extra = {}) => ({ score, approved, issues, suggestions: [], security: [], ...extra });
+
+describe('review consensus', () => {
+  test('takes the median score, a majority vote and merges issues by place and severity', () => {
+    const merged = mergeReviews([
+      { model: 'a', review: review(80, true, [{ severity: 'high', description: 'SQL injection in query', line: 12 }], { suggestions: ['Add an index'] }) },
+      { model: 'b', review: review(70, true, [
+        { severity: 'high', description: 'Unsanitized input reaches the query', line: 13 },
+        { severity: 'low', description: 'Rename variable x' }
+      ], { suggestions: ['add an index', 'Cache results'] }) },
+      { model: 'c', review: review(40, false, [{ severity: 'medium', description: 'Query is unsanitized', line: 12 }]) }
+    ]);
+
+    expect(merged.score).toBe(70);
+    expect(merged.approved).toBe(true);
+    expect(merged.issues).toEqual([
+      { severity: 'high', description: 'SQL injection in query', line: 12, reviewers: ['a', 'b'] },
+      { severity: 'medium', description: 'Query is unsanitized', line: 12, reviewers: ['c'] },
+      { severity: 'low', description: 'Rename variable x', line: null, reviewers: ['b'] }
+    ]);
+    expect(merged.suggestions).toEqual(['Add an index', 'Cache results']);
+    expect(merged.consensus).toMatchObject({ scoreSpread: 0.68, approvalSplit: 0.67, disagreement: 0.67 });
+  });
+
+  test('scores unanimous reviews as full agreement', () => {
+    const merged = mergeReviews([
+      { model: 'a', review: review(90, true) },
+      { model: 'b', review: review(90, true) }
+    ]);
+    expect(merged.consensus.disagreement).toBe(0);
+  });
+
+  describe('AIAgentEngine ensemble review', () => {
+    const createEngine = (replies, settings = {}) => {
+      const oversight = { createCheckpoint: jest.fn(async () => ({ id: 'cp-1' })) };
+      const complete = jest.fn(async ({ model }) => {
+        if (replies[model] instanceof Error) throw replies[model];
+        return { content: JSON.stringify(replies[model]), model, usage: null, cost: 0 };
+      });
+      const engine = new AIAgentEngine({
+        agentType: 'backend',
+        taskId: 'TICKET-9',
+        providers: { forAgent: () => ({ name: 'stub', requiresApiKey: false, complete }) },
+        router: new ModelRouter({ settings: { modelRouting: { default: [], stages: { review: ['m/a', 'm/b', 'm/c', 'm/d'] } } } }),
+        cache: new ResponseCache({ mode: 'off', settings: {} }),
+        codeIndex: { search: () => [] },
+        codeReview: { mode: 'ensemble', size: 3, disagreementThreshold: 0.5, ...settings },
+        oversight,
+        recovery: { recordFailure: () => {} }
+      });
+      return { engine, complete, oversight };
+    };
+
+    beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+    afterEach(() => console.log.mockRestore());
+
+    test('asks the first routed reviewers and queues high disagreement for a human', async () => {
+      const { engine, complete, oversight } = createEngine({
+        'm/a': review(90, true),
+        'm/b': review(85, true),
+        'm/c': review(20, false, [{ severity: 'high', description: 'Deletes every user', line: 3 }])
+      });
+
+      const result = await engine.reviewCode('backend', 'db.users.deleteMany()', 'Delete one user', { file: 'src/users.js' });
+
+      expect(complete.mock.calls.map(([request]) => request.model).sort()).toEqual(['m/a', 'm/b', 'm/c']);
+      expect(result).toMatchObject({ status: 'ok', score: 85, approved: true });
+      expect(result.consensus.checkpointId).toBe('cp-1');
+      expect(oversight.createCheckpoint).toHaveBeenCalledWith('backend-agent', 'TICKET-9', expect.objectContaining({
+        type: 'REVIEW_DISAGREEMENT',
+        files: [{ path: 'src/users.js', content: 'db.users.deleteMany()' }]
+      }), expect.objectContaining({ agent: 'backend' }));
+    });
+
+    test('drops failed reviewers and skips oversight when reviewers agree', async () => {
+      const { engine, oversight } = createEngine({
+        'm/a': review(80, true),
+        'm/b': Object.assign(new Error('HTTP 401'), { status: 401 }),
+        'm/c': review(84, true)
+      });
+
+      const result = await engine.reviewCode('backend', 'code', 'Do it');
+      expect(result.consensus.reviewers.map(r => r.model)).toEqual(['m/a', 'm/c']);
+      expect(result.score).toBe(82);
+      expect(oversight.createCheckpoint).not.toHaveBeenCalled();
+    });
+
+    test('falls back to a single review below minReviewers', async () => {
+      const { engine } = createEngine({ 'm/x': review(60, false), 'm/y': { verdict: 'fine' } }, { reviewers: ['m/x', 'm/y'] });
+
+      const result = await engine.reviewCode('backend', 'code', 'Do it');
+      expect(result).toMatchObject({ status: 'ok', score: 60, approved: false });
+      expect(result.consensus).toBeUndefined();
+    });
+  });
+});
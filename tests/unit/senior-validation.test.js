@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AIValidationLayer = require('../../src/core/ai/ai-validation-layer');
+const SeniorAgentMetrics = require('../../src/core/agents/senior-agent-metrics');
+const { SeniorValidation, collectIssues, staticScore, formatIssue } = require('../../src/core/ai/senior-validation');
+
+const CODE = [
+  "const { loadUser } = require('./users');",
+  '',
+  'async function findUser(db, req) {',
+  '  const user = await db.query(`SELECT * FROM users WHERE id = ${req.params.id}`);',
+  '  eval(req.body.script);',
+  '  return user;',
+  '}',
+  '',
+  'module.exports = { findUser };'
+].join('\n');
+
+describe('senior validation', () => {
+  let root;
+  let validator;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'senior-validation-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    validator = new AIValidationLayer();
+    validator.reportFile = path.join(root, 'report.json');
+    validator.validationRules.syntax.enabled = false;
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const engineReturning = review => ({ reviewCode: jest.fn(async () => review) });
+
+  test('turns the static checks into sorted issues with line references', async () => {
+    const validation = await validator.validateCode(CODE, 'src/api/users.js', { senior: true });
+    const issues = collectIssues('src/api/users.js', validation, null);
+
+    expect(issues.slice(0, 5).map(formatIssue)).toEqual([
+      'src/api/users.js:1 [high] hallucination: Import references non-existent file: ./users',
+      'src/api/users.js:5 [high] senior-security: A03: Injection - Never use eval()',
+      'src/api/users.js:5 [high] security: Dangerous code execution',
+      'src/api/users.js:4 [medium] security: Template literal injection risk',
+      'src/api/users.js:5 [medium] senior-security: API endpoints should validate input data'
+    ]);
+    expect(issues.slice(5).every(issue => issue.severity === 'low')).toBe(true);
+
+    const again = collectIssues('src/api/users.js', await validator.validateCode(CODE, 'src/api/users.js', { senior: true }), null);
+    expect(again).toEqual(issues);
+  });
+
+  test('merges review issues and drops duplicates', () => {
+    const validation = {
+      errors: [{ type: 'security', line: 9, message: 'Hardcoded secret' }],
+      warnings: [],
+      suggestions: [{ type: 'documentation', line: 1, message: 'Add JSDoc' }]
+    };
+    const review = {
+      status: 'ok',
+      issues: [
+        { severity: 'high', line: 9, description: 'Hardcoded secret' },
+        { severity: 'medium', line: 3, description: 'Missing error handling' },
+        { severity: 'high', line: null, description: 'No input validation' }
+      ]
+    };
+
+    const issues = collectIssues('a.js', validation, review);
+    expect(issues.map(formatIssue)).toEqual([
+      'a.js:9 [high] security: Hardcoded secret',
+      'a.js [high] review: No input validation',
+      'a.js:3 [medium] review: Missing error handling',
+      'a.js:1 [low] documentation: Add JSDoc'
+    ]);
+    expect(staticScore(issues)).toBe(85);
+    expect(collectIssues('a.js', validation, { status: 'unparseable' })).toHaveLength(2);
+  });
+
+  test('scores with the review at temperature 0 and fails on high severity issues', async () => {
+    const engine = engineReturning({ status: 'ok', score: 70, approved: true, issues: [] });
+    const senior = new SeniorValidation({ validator, engine, settings: {} });
+
+    const result = await senior.validate('backend', CODE, 'src/api/users.js', { id: 'T-1', description: 'Find users' });
+    expect(engine.reviewCode).toHaveBeenCalledWith('backend', CODE, 'Find users', { file: 'src/api/users.js', temperature: 0 });
+    expect(result.passed).toBe(false);
+    expect(result.reviewScore).toBe(70);
+    expect(result.score).toBe(Math.min(70, result.staticScore));
+    expect(result.counts).toMatchObject({ high: 3, medium: 2 });
+
+    const clean = 'module.exports = { add: (a, b) => a + b };';
+    const approved = await new SeniorValidation({ validator, engine: engineReturning({ status: 'ok', score: 92, approved: true, issues: [] }), settings: {} })
+      .validate('backend', clean, 'src/add.js');
+    expect(approved).toMatchObject({ passed: true, score: 92, staticScore: 100 });
+
+    const rejected = await new SeniorValidation({ validator, engine: engineReturning({ status: 'ok', score: 92, approved: false, issues: [] }), settings: {} })
+      .validate('backend', clean, 'src/add.js');
+    expect(rejected.passed).toBe(false);
+  });
+
+  test('falls back to the static checks when the review is unreadable or disabled', async () => {
+    const clean = 'module.exports = { add: (a, b) => a + b };';
+    const unparseable = await new SeniorValidation({ validator, engine: engineReturning({ status: 'unparseable' }), settings: {} })
+      .validate('backend', clean, 'src/add.js');
+    expect(unparseable).toMatchObject({ passed: true, score: 100, reviewScore: null });
+
+    const engine = engineReturning({ status: 'ok', score: 10 });
+    const strict = new SeniorValidation({ validator, engine, settings: { seniorValidation: { minScore: 100, review: false } } });
+    const label = 'module.exports = { label: id => `user ${id}` };';
+    expect(await strict.validate('backend', clean, 'src/add.js')).toMatchObject({ passed: true, score: 100 });
+    expect(await strict.validate('backend', label, 'src/label.js')).toMatchObject({ passed: false, score: 95, counts: { high: 0, medium: 1 } });
+    expect(engine.reviewCode).not.toHaveBeenCalled();
+  });
+
+  test('records completions for agent types without metrics yet', () => {
+    const metrics = new SeniorAgentMetrics({ metricsFile: path.join(root, 'metrics.json') });
+    const data = metrics.recordTicketCompletion('T-2', 'testing', 88, { issues: { high: 0, medium: 1, low: 2 } });
+
+    expect(data.agentPerformance.testing).toMatchObject({ tickets: 1, averageScore: 88 });
+    expect(data.qualityTrends[0].metrics.issues).toEqual({ high: 0, medium: 1, low: 2 });
+  });
+});
@@ -0,0 +1,103 @@
+const { extractJSON, validateSchema, parseStructured } = require('../../src/core/ai/structured-output');
+const schemas = require('../../src/core/ai/schemas');
+const AIAgentEngine = require('../../src/core/agents/ai-agent-engine');
+const { ProviderRegistry } = require('../../src/core/ai/providers');
+
+describe('extractJSON', () => {
+  test('reads fenced blocks before the surrounding prose', () => {
+    const text = 'Here is my review:\n```json\n{"score": 90}\n```\nLet me know!';
+    expect(extractJSON(text).value).toEqual({ score: 90 });
+  });
+
+  test('falls back to the outermost object in free text', () => {
+    expect(extractJSON('Sure! {"a": {"b": 1}} Hope that helps.').value).toEqual({ a: { b: 1 } });
+  });
+
+  test('reports text without JSON', () => {
+    expect(extractJSON('I cannot review this code.').error).toMatch('not valid JSON');
+    expect(extractJSON('').error).toBe('Response was empty');
+  });
+});
+
+describe('validateSchema', () => {
+  test('accepts a well-formed review', () => {
+    const review = { score: 85, approved: true, issues: [{ severity: 'low', description: 'naming', line: 3 }] };
+    expect(validateSchema(review, schemas.codeReview)).toEqual([]);
+  });
+
+  test('reports missing fields, wrong types, enums and ranges with paths', () => {
+    const errors = validateSchema(
+      { score: 140, approved: 'yes', issues: [{ severity: 'urgent' }] },
+      schemas.codeReview
+    );
+
+    expect(errors).toEqual(expect.arrayContaining([
+      '$.score must be <= 100',
+      '$.approved must be boolean, got string',
+      '$.issues[0].description is required',
+      '$.issues[0].severity must be one of "high", "medium", "low"'
+    ]));
+  });
+
+  test('parseStructured combines extraction and validation', () => {
+    expect(parseStructured('{}', schemas.codeReview)).toEqual({
+      ok: false,
+      errors: ['$.score is required', '$.issues is required', '$.approved is required']
+    });
+  });
+});
+
+describe('AIAgentEngine structured completions', () => {
+  const createEngine = responses => new AIAgentEngine({
+    providers: new ProviderRegistry({ api: { mock: { type: 'mock', responses } } }),
+    agentType: 'backend'
+  });
+
+  let savedProvider;
+
+  beforeEach(() => {
+    savedProvider = process.env.LLM_PROVIDER;
+    process.env.LLM_PROVIDER = 'mock';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    if (savedProvider === undefined) {
+      delete process.env.LLM_PROVIDER;
+    } else {
+      process.env.LLM_PROVIDER = savedProvider;
+    }
+    console.log.mockRestore();
+  });
+
+  test('repairs an invalid review by sending the errors back', async () => {
+    const engine = createEngine([
+      { match: 'could not be used', response: { score: 72, issues: [], approved: true } },
+      { match: 'Review this code', response: '```json\n{"score": "great"}\n```' }
+    ]);
+
+    const review = await engine.reviewCode('backend', 'const a = 1;', 'Add a constant');
+    const provider = engine.getProvider();
+
+    expect(review).toMatchObject({ status: 'ok', score: 72, approved: true, suggestions: [] });
+    expect(provider.calls).toHaveLength(2);
+    expect(provider.calls[1].messages[3].content).toContain('$.score must be number, got string');
+  });
+
+  test('an unreadable review is unparseable and never approved', async () => {
+    const engine = createEngine([{ match: '/./', response: 'Looks good to me!' }]);
+
+    const review = await engine.reviewCode('backend', 'const a = 1;', 'Add a constant');
+
+    expect(review).toMatchObject({ status: 'unparseable', approved: false, score: null });
+    expect(engine.getProvider().calls).toHaveLength(1 + engine.repairAttempts);
+  });
+
+  test('an unreadable analysis is flagged and falls back to defaults', async () => {
+    const engine = createEngine([]);
+
+    const analysis = await engine.analyzeTicket({ id: 'T-1', description: 'Add login', agentType: 'backend' });
+
+    expect(analysis).toMatchObject({ status: 'unparseable', primaryGoal: 'Add login', requiredFiles: [] });
+  });
+});
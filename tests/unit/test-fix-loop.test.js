@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TestFixLoop, parseJestJson, parseTap, describeTestResults } = require('../../src/core/ai/test-fix-loop');
+const AIEnabledAgent = require('../../src/core/agents/ai-agent');
+
+const TAP = [
+  'TAP version 13',
+  '# Subtest: adds',
+  'not ok 1 - adds',
+  '  ---',
+  '  duration_ms: 2.3',
+  "  location: '/repo/src/math.test.js:3:1'",
+  "  error: 'Expected values to be strictly equal'",
+  '  stack: |-',
+  '    TestContext.<anonymous> (/repo/src/math.test.js:3:27)',
+  '  ...',
+  '# Subtest: group',
+  '    ok 1 - inner ok',
+  '    not ok 2 - inner bad',
+  '      ---',
+  "      location: '/repo/src/math.test.js:4:72'",
+  "      error: 'The expression evaluated to a falsy value'",
+  '      ...',
+  '    1..2',
+  'not ok 2 - group',
+  '  ---',
+  "  error: '1 subtest failed'",
+  '  ...',
+  'ok 3 - works',
+  'ok 4 - later # SKIP not ready',
+  '1..4'
+].join('\n');
+
+const settingsFor = testFixLoop => ({ testFixLoop });
+
+describe('test fix loop', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'test-fix-loop-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('reads failures from a jest JSON report', () => {
+    const report = {
+      numPassedTests: 1,
+      numFailedTests: 1,
+      testResults: [
+        {
+          name: '/repo/src/users.test.js',
+          status: 'failed',
+          assertionResults: [
+            { fullName: 'users finds a user', status: 'passed', failureMessages: [] },
+            { fullName: 'users rejects bad ids', status: 'failed', location: { line: 12, column: 3 }, failureMessages: ['\u001b[31mExpected 400\u001b[39m'] }
+          ]
+        },
+        { name: '/repo/src/orders.test.js', status: 'failed', message: 'Cannot find module ./orders', assertionResults: [] }
+      ]
+    };
+
+    expect(parseJestJson(`Determining test suites...\n${JSON.stringify(report)}\n`)).toEqual({
+      passed: 1,
+      failed: 2,
+      failures: [
+        { file: '/repo/src/users.test.js', name: 'users rejects bad ids', line: 12, message: 'Expected 400' },
+        { file: '/repo/src/orders.test.js', name: 'Test suite failed to run', line: null, message: 'Cannot find module ./orders' }
+      ]
+    });
+    expect(parseJestJson('Error: jest: command not found')).toBeNull();
+  });
+
+  test('reads failures from TAP without counting subtest summaries', () => {
+    expect(parseTap(TAP)).toEqual({
+      passed: 3,
+      failed: 2,
+      failures: [
+        { file: '/repo/src/math.test.js', name: 'adds', line: 3, message: "error: 'Expected values to be strictly equal'" },
+        { file: '/repo/src/math.test.js', name: 'inner bad', line: 4, message: "error: 'The expression evaluated to a falsy value'" }
+      ]
+    });
+    expect(parseTap('no test output')).toBeNull();
+  });
+
+  test('fixes the code until its generated tests pass', async () => {
+    fs.writeFileSync(path.join(root, 'math.js'), 'exports.add = (a, b) => a - b;\n');
+    fs.writeFileSync(path.join(root, 'math.test.js'), [
+      "const test = require('node:test');",
+      "const assert = require('assert');",
+      "const { add } = require('./math');",
+      "test('adds', () => assert.strictEqual(add(1, 2), 3));"
+    ].join('\n'));
+
+    const loop = new TestFixLoop({ root, settings: settingsFor({ command: 'node --test --test-reporter=tap {files}', format: 'tap' }) });
+    const fix = jest.fn(async file => fs.writeFileSync(path.join(root, file), 'exports.add = (a, b) => a + b;\n'));
+    const results = await loop.run([{ source: 'math.js', testFile: 'math.test.js' }], { fix });
+
+    expect(fix).toHaveBeenCalledTimes(1);
+    expect(fix.mock.calls[0][1]).toEqual([expect.objectContaining({ name: 'adds', file: path.join(root, 'math.test.js'), line: 4 })]);
+    expect(results).toMatchObject({ status: 'passed', passed: 1, failed: 0, iterations: 1, stoppedBy: null });
+    expect(describeTestResults(results)).toBe('passed (1 test) after 1 fix iteration');
+  });
+
+  test('stops at the iteration or cost budget and sends each source its own failures', async () => {
+    const report = {
+      numPassedTests: 0,
+      numFailedTests: 2,
+      testResults: [
+        { name: path.join(root, 'a.test.js'), status: 'failed', assertionResults: [{ fullName: 'a works', status: 'failed', failureMessages: ['boom'] }] },
+        { name: path.join(root, 'b.test.js'), status: 'failed', assertionResults: [{ fullName: 'b works', status: 'failed', failureMessages: ['bang'] }] }
+      ]
+    };
+    fs.writeFileSync(path.join(root, 'report.json'), JSON.stringify(report));
+    const tests = [{ source: 'a.js', testFile: 'a.test.js' }, { source: 'b.js', testFile: 'b.test.js' }];
+    const command = 'cat report.json #';
+
+    const fix = jest.fn(async () => {});
+    const limited = new TestFixLoop({ root, settings: settingsFor({ command, maxIterations: 2 }) });
+    const results = await limited.run(tests, { fix });
+    expect(results).toMatchObject({ status: 'failed', failed: 2, iterations: 2, stoppedBy: 'iteration' });
+    expect(fix.mock.calls.slice(0, 2).map(([file, failures]) => `${file}: ${failures.map(f => f.name)}`)).toEqual(['a.js: a works', 'b.js: b works']);
+    expect(describeTestResults(results)).toBe('failed (2 of 2 tests failing) after 2 fix iterations, stopped by the iteration budget');
+
+    let spent = 0;
+    const costly = new TestFixLoop({ root, settings: settingsFor({ command, maxIterations: 5, maxCost: 0.5 }) });
+    const capped = await costly.run(tests, { fix: async () => { spent += 0.2; }, spent: () => spent });
+    expect(capped).toMatchObject({ iterations: 2, stoppedBy: 'cost' });
+  });
+
+  test('reports a runner that produces no report as an error', async () => {
+    const fix = jest.fn();
+    const loop = new TestFixLoop({ root, settings: settingsFor({ command: 'echo "jest: not found" >&2; exit 127' }) });
+    const results = await loop.run([{ source: 'a.js', testFile: 'a.test.js' }], { fix });
+
+    expect(fix).not.toHaveBeenCalled();
+    expect(results).toMatchObject({ status: 'error', iterations: 0 });
+    expect(describeTestResults(results)).toBe('could not be run (no jest report in the output: jest: not found)');
+  });
+
+  test('gives the senior pipeline model-written tests to run', async () => {
+    const file = path.join(root, 'src', 'orders.js');
+    const analysis = { complexity: 'simple', acceptanceCriteria: [{ id: 'AC1', text: 'Orders are paginated' }] };
+    const agent = {
+      type: 'backend',
+      context: { analysis },
+      ai: { generateTests: jest.fn(async () => "test('AC1: paginates', () => expect(1).toBe(1));") },
+      proposeProjectFile: jest.fn(async (testFile, content) => content)
+    };
+
+    const testFile = await AIEnabledAgent.prototype.generateComprehensiveTests.call(agent, file, 'module.exports = {};');
+
+    expect(testFile).toBe(path.join(root, 'src', 'orders.test.js'));
+    expect(agent.ai.generateTests).toHaveBeenCalledWith('backend', file, 'module.exports = {};', analysis);
+    expect(agent.proposeProjectFile).toHaveBeenCalledWith(testFile, "test('AC1: paginates', () => expect(1).toBe(1));", ['Tests for orders.js']);
+  });
+
+  test('gives the senior pipeline model-written integration tests over the generated files', async () => {
+    fs.mkdirSync(path.join(root, 'src'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'src/orders.js'), "module.exports = require('./store');");
+    fs.writeFileSync(path.join(root, 'src/store.js'), 'module.exports = [];');
+    const analysis = { complexity: 'simple', acceptanceCriteria: [] };
+    const agent = {
+      type: 'backend',
+      workDir: root,
+      ticket: { id: 'T-8' },
+      context: { analysis },
+      ai: { generateTests: jest.fn(async () => "test('orders read the store', () => {});") },
+      proposeProjectFile: jest.fn(async (testFile, content) => content)
+    };
+
+    await AIEnabledAgent.prototype.generateIntegrationTests.call(agent, ['src/orders.js', 'src/store.js', 'src/orders.test.js'], { pattern: 'layered' });
+
+    const [, file, code, passed] = agent.ai.generateTests.mock.calls[0];
+    expect(file).toBe('tests/integration/T-8.integration.test.js');
+    expect(code).toBe("// Architecture: layered\n\n// src/orders.js\nmodule.exports = require('./store');\n\n// src/store.js\nmodule.exports = [];");
+    expect(passed).toBe(analysis);
+    expect(agent.proposeProjectFile).toHaveBeenCalledWith(file, "test('orders read the store', () => {});", ['Integration tests for T-8']);
+  });
+});
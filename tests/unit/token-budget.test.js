@@ -0,0 +1,132 @@
+const { ContextBudget, countTokens, outline, truncate } = require('../../src/core/ai/token-budget');
+const { ProviderRegistry } = require('../../src/core/ai/providers');
+const AIAgentEngine = require('../../src/core/agents/ai-agent-engine');
+
+// A file of `count` small functions, ~20 tokens each
+const functions = count => Array.from({ length: count }, (_, i) => [
+  `function handler${i}(req, res) {`,
+  `  return res.json({ id: ${i} });`,
+  '}'
+].join('\n')).join('\n\n') + '\n';
+
+describe('ContextBudget', () => {
+  const budget = new ContextBudget({
+    settings: {},
+    outputTokens: 1000,
+    safetyMargin: 0,
+    contextWindows: { 'tiny/model': 3000 }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('counts tokens roughly like a BPE tokenizer', () => {
+    expect(countTokens('')).toBe(0);
+    expect(countTokens('const total = items.length;')).toBe(8);
+    expect(countTokens('internationalization')).toBe(4);
+    expect(countTokens('a\n\n  b')).toBe(4);
+  });
+
+  test('knows context windows and reserves the output budget', () => {
+    expect(budget.contextWindow('anthropic/claude-sonnet-4')).toBe(200000);
+    expect(budget.contextWindow('unknown/model')).toBe(32768);
+    expect(budget.inputBudget(['tiny/model', 'anthropic/claude-sonnet-4'])).toBe(2000);
+  });
+
+  test('outlines code and truncates prose at line boundaries', () => {
+    expect(outline(functions(2))).toBe([
+      'function handler0(req, res) {',
+      '  // ... 2 lines',
+      'function handler1(req, res) {',
+      '  // ... 2 lines'
+    ].join('\n'));
+
+    const text = Array.from({ length: 50 }, (_, i) => `Step ${i}: do the thing`).join('\n');
+    const cut = truncate(text, 60);
+    expect(countTokens(cut)).toBeLessThanOrEqual(60);
+    expect(cut).toMatch(/^Step 0: do the thing\n/);
+    expect(cut).toMatch(/\[\.\.\. \d+ more lines truncated to fit the context window\]$/);
+  });
+
+  test('shrinks the lowest-priority sections first', () => {
+    const code = functions(20);
+    const fitted = budget.fit({
+      code: { text: code, priority: 0, shrink: 'none' },
+      plan: { text: 'Step one.\n'.repeat(100), priority: 1, shrink: 'truncate' },
+      related: { text: functions(30), priority: 2, shrink: 'truncate' }
+    }, countTokens(code) + 200);
+
+    expect(fitted.values.code).toBe(code);
+    expect(fitted.trimmed.map(t => t.name)).toEqual(['related', 'plan']);
+    expect(fitted.values.related).toBe('');
+    expect(fitted.total).toBeLessThanOrEqual(countTokens(code) + 200);
+
+    expect(() => budget.fit({ code: { text: code, priority: 0, shrink: 'none' } }, 10))
+      .toThrow(expect.objectContaining({ code: 'CONTEXT_BUDGET_EXCEEDED' }));
+  });
+
+  test('splits large files into segments that join back exactly', () => {
+    const code = functions(40);
+    const segments = budget.segment(code, 200);
+
+    expect(segments.length).toBeGreaterThan(3);
+    expect(segments.map(s => s.text).join('\n')).toBe(code);
+    segments.forEach(segment => {
+      expect(countTokens(segment.text)).toBeLessThanOrEqual(200);
+      expect(segment.text).toMatch(/^function handler\d+/); // cut at top-level statements
+    });
+    expect(segments[0].startLine).toBe(1);
+    expect(segments[1].startLine).toBe(segments[0].endLine + 1);
+  });
+
+  describe('in the engine', () => {
+    const createEngine = (responses, windows) => {
+      const registry = new ProviderRegistry({ api: { defaultProvider: 'mock', mock: { type: 'mock', responses } } });
+      const engine = new AIAgentEngine({
+        agentType: 'backend',
+        providers: registry,
+        codeIndex: { search: () => [] },
+        codeEdits: { mode: 'patch' },
+        budget: new ContextBudget({ settings: {}, outputTokens: 500, safetyMargin: 0, contextWindows: windows })
+      });
+      return { engine, provider: registry.forAgent('backend') };
+    };
+
+    test('skips models whose window cannot hold the prompt and caps max_tokens', async () => {
+      const { engine, provider } = createEngine([], { 'small/model': 1200, 'large/model': 5000 });
+      const completeSpy = jest.spyOn(provider, 'complete');
+      const messages = [{ role: 'user', content: 'word '.repeat(1000) }];
+
+      await engine.complete(messages, { agent: 'backend', stage: 'chat', models: ['small/model', 'large/model'] });
+      expect(completeSpy).toHaveBeenCalledWith(expect.objectContaining({ model: 'large/model', maxTokens: 500 }));
+
+      await expect(engine.complete(messages, 'small/model'))
+        .rejects.toMatchObject({ code: 'CONTEXT_WINDOW_EXCEEDED' });
+    });
+
+    test('edits oversized files segment by segment and reassembles them', async () => {
+      const code = functions(60);
+      const { engine, provider } = createEngine([
+        { match: 'handler5(req', response: '<<<<<<< SEARCH\n  return res.json({ id: 5 });\n=======\n  return res.status(201).json({ id: 5 });\n>>>>>>> REPLACE' },
+        { match: 'handler55(req', response: '<<<<<<< SEARCH\n  return res.json({ id: 55 });\n=======\n  return res.json({ id: 55, ok: true });\n>>>>>>> REPLACE' },
+        { match: '', response: 'No changes needed in this part.' }
+      ], { 'anthropic/claude-opus-4': 2500, 'anthropic/claude-sonnet-4': 2500, 'openai/gpt-4.1': 2500 });
+
+      expect(engine.shouldPatch(code)).toBe(true);
+      const result = await engine.editCode('backend', 'src/handlers.js', 'Tweak handlers 5 and 55', code);
+
+      expect(provider.calls.length).toBeGreaterThan(1);
+      expect(provider.calls[0].messages[1].content).toContain('src/handlers.js (lines 1-');
+      expect(result.status).toBe('ok');
+      expect(result.applied.map(edit => edit.line)).toEqual([22, 222]);
+      expect(result.code).toBe(code
+        .replace('return res.json({ id: 5 });', 'return res.status(201).json({ id: 5 });')
+        .replace('return res.json({ id: 55 });', 'return res.json({ id: 55, ok: true });'));
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { WorktreeManager } = require('../../src/core/orchestration/worktree-manager');
+
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8', stdio: 'pipe' });
+const commit = (cwd, message) => git(cwd, '-c', 'user.name=t', '-c', 'user.email=t@t', 'commit', '-q', '-am', message);
+
+describe('worktree manager', () => {
+  let root;
+  let manager;
+
+  beforeEach(() => {
+    root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'worktrees-')));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    fs.writeFileSync(path.join(root, 'app.js'), 'module.exports = 1;\n');
+    fs.mkdirSync(path.join(root, 'node_modules'));
+    git(root, 'init', '-q');
+    git(root, 'checkout', '-q', '-b', 'main');
+    git(root, 'add', 'app.js');
+    commit(root, 'init');
+
+    manager = new WorktreeManager({ root, settings: { projectMasterBranch: 'main', worktrees: { directory: 'trees' } } });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('gives each branch its own worktree and reuses it', () => {
+    const backend = manager.acquire('feature/backend/t-1');
+    const frontend = manager.acquire('feature/frontend/t-2');
+
+    expect(backend).toBe(path.join(root, 'trees/feature-backend-t-1'));
+    expect(frontend).toBe(path.join(root, 'trees/feature-frontend-t-2'));
+    expect(git(backend, 'branch', '--show-current').trim()).toBe('feature/backend/t-1');
+    expect(git(root, 'branch', '--show-current').trim()).toBe('main');
+    expect(fs.lstatSync(path.join(backend, 'node_modules')).isSymbolicLink()).toBe(true);
+
+    expect(manager.acquire('feature/backend/t-1')).toBe(backend);
+    expect(manager.list().filter(worktree => worktree.managed).map(worktree => worktree.branch))
+      .toEqual(['feature/backend/t-1', 'feature/frontend/t-2']);
+
+    // Neither the worktrees nor their node_modules links show up as changes
+    expect(git(root, 'status', '--porcelain')).toBe('');
+    expect(git(backend, 'status', '--porcelain')).toBe('');
+  });
+
+  test('refuses to remove a worktree with uncommitted changes unless forced', () => {
+    const worktree = manager.acquire('feature/backend/t-1');
+    fs.writeFileSync(path.join(worktree, 'app.js'), 'module.exports = 2;\n');
+
+    expect(() => manager.release('feature/backend/t-1')).toThrow(expect.objectContaining({ code: 'WORKTREE_DIRTY' }));
+    expect(manager.release('feature/backend/t-1', { force: true })).toBe(true);
+    expect(fs.existsSync(worktree)).toBe(false);
+    expect(fs.existsSync(path.join(root, 'node_modules'))).toBe(true);
+
+    expect(manager.release('feature/unknown')).toBe(false);
+    expect(() => manager.acquire('main')).toThrow(expect.objectContaining({ code: 'BRANCH_IN_MAIN_WORKTREE' }));
+  });
+
+  test('prunes merged branches but keeps work in progress', () => {
+    const merged = manager.acquire('feature/backend/t-1');
+    fs.writeFileSync(path.join(merged, 'app.js'), 'module.exports = 2;\n');
+    commit(merged, 'backend work');
+    git(root, 'merge', '-q', '--ff-only', 'feature/backend/t-1');
+
+    const unmerged = manager.acquire('feature/frontend/t-2');
+    fs.writeFileSync(path.join(unmerged, 'app.js'), 'module.exports = 3;\n');
+    commit(unmerged, 'frontend work');
+
+    const fresh = manager.acquire('feature/database/t-3');
+
+    expect(manager.prune()).toEqual(['feature/backend/t-1']);
+    expect(fs.existsSync(merged)).toBe(false);
+    expect(manager.branchExists('feature/backend/t-1')).toBe(false);
+    expect(fs.existsSync(unmerged)).toBe(true);
+    expect(fs.existsSync(fresh)).toBe(true);
+
+    // cleanup removes every clean worktree but keeps the branches
+    fs.writeFileSync(path.join(fresh, 'notes.txt'), 'draft');
+    expect(manager.prune({ all: true })).toEqual(['feature/frontend/t-2']);
+    expect(manager.branchExists('feature/frontend/t-2')).toBe(true);
+    expect(fs.existsSync(fresh)).toBe(true);
+  });
+
+  test('recreates a worktree whose folder was deleted', () => {
+    const worktree = manager.acquire('feature/backend/t-1');
+    fs.rmSync(worktree, { recursive: true, force: true });
+
+    expect(manager.acquire('feature/backend/t-1')).toBe(worktree);
+    expect(git(worktree, 'branch', '--show-current').trim()).toBe('feature/backend/t-1');
+  });
+});
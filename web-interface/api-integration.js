@@ -1,13 +1,16 @@
 /**
  * API Integration for Master Dashboard
- * Connects to OpenRouter and Supermemory APIs
+ * Connects to the configured LLM provider and Supermemory APIs
  */
 
+const { ProviderRegistry } = require('../src/core/ai/providers');
+const { ModelRouter } = require('../src/core/ai/model-router');
+
 class APIIntegration {
     constructor() {
-        this.openRouterApiKey = process.env.OPENROUTER_API_KEY || '';
+        this.providers = new ProviderRegistry();
+        this.router = new ModelRouter();
         this.supermemoryApiKey = process.env.SUPERMEMORY_API_KEY || '';
-        this.openRouterBaseUrl = 'https://openrouter.ai/api/v1';
         this.supermemoryBaseUrl = 'https://api.supermemory.ai/v1';
         
         // Initialize conversation context
@@ -57,13 +60,10 @@ You should provide helpful, actionable responses about system coordination, agen
     }
 
     /**
-     * Send message to OpenRouter API
+     * Send message to the Master Agent's LLM provider.
+     * An explicitly chosen model is tried first, then the routed models for `stage`.
      */
-    async sendToOpenRouter(message, model = 'anthropic/claude-4-sonnet') {
-        if (!this.openRouterApiKey) {
-            throw new Error('OpenRouter API key not configured. Please set OPENROUTER_API_KEY environment variable.');
-        }
-
+    async sendToOpenRouter(message, model = null, stage = 'chat') {
         try {
             // Update system context with latest state
             this.updateSystemContext();
@@ -81,29 +81,16 @@ You should provide helpful, actionable responses about system coordination, agen
                 }
             ];
 
-            const response = await fetch(`${this.openRouterBaseUrl}/chat/completions`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.openRouterApiKey}`,
-                    'Content-Type': 'application/json',
-                    'X-Title': 'Multi-Agent Orchestrator Master Agent'
-                },
-                body: JSON.stringify({
-                    model: model,
+            const models = [...new Set([model, ...this.router.candidates('master', stage)].filter(Boolean))];
+            const completion = await this.router.run(models, candidate =>
+                this.providers.forAgent('master').complete({
+                    model: candidate,
                     messages: messages,
                     temperature: 0.7,
-                    max_tokens: 1000,
-                    stream: false
+                    maxTokens: 1000
                 })
-            });
-
-            if (!response.ok) {
-                const error = await response.text();
-                throw new Error(`OpenRouter API error: ${response.status} - ${error}`);
-            }
-
-            const data = await response.json();
-            const assistantMessage = data.choices[0].message.content;
+            );
+            const assistantMessage = completion.content;
 
             // Add to conversation history
             this.conversationHistory.push(
@@ -129,7 +116,7 @@ You should provide helpful, actionable responses about system coordination, agen
             return assistantMessage;
 
         } catch (error) {
-            console.error('OpenRouter API error:', error);
+            console.error('LLM provider error:', error);
             throw error;
         }
     }
@@ -216,7 +203,7 @@ Based on the current system state, provide a brief analysis covering:
 Keep it concise and actionable.
 `;
 
-        return await this.sendToOpenRouter(insightPrompt, 'anthropic/claude-4-sonnet');
+        return await this.sendToOpenRouter(insightPrompt, null, 'analysis');
     }
 
     /**
@@ -236,7 +223,7 @@ Consider:
 Provide a prioritized list with reasoning.
 `;
 
-        return await this.sendToOpenRouter(analysisPrompt, 'anthropic/claude-4-sonnet');
+        return await this.sendToOpenRouter(analysisPrompt, null, 'analysis');
     }
 
     /**
@@ -254,7 +241,7 @@ Include:
 4. Rollback strategy
 `;
 
-        return await this.sendToOpenRouter(planPrompt, 'anthropic/claude-4-opus');
+        return await this.sendToOpenRouter(planPrompt, null, 'planning');
     }
 
     /**
@@ -545,7 +545,7 @@ class TaskProcessor {
             this.updateTicketProgress();
             this.updateStats();
             
-            const allDone = this.tickets.every(t => t.status === 'completed' || t.status === 'failed');
+            const allDone = this.tickets.every(t => ['completed', 'failed', 'cancelled'].includes(t.status));
             if (allDone) {
                 clearInterval(checkInterval);
                 this.completeProcessing();
@@ -610,17 +610,43 @@ class TaskProcessor {
     updateTicket(ticketId, data) {
         const ticket = this.tickets.find(t => t.id === ticketId);
         if (ticket) {
-            Object.assign(ticket, data);
+            const { chunk, ...update } = data;
+            if (chunk) {
+                this.appendLiveCode(ticket, chunk);
+            }
+            
+            Object.assign(ticket, update);
             this.updateTicketProgress();
             
             if (data.status === 'completed') {
                 this.addLog(`✅ ${ticketId} completed by ${ticket.assignedTo} agent`, 'success');
+            } else if (data.status === 'blocked') {
+                this.addLog(`⏸️ ${ticketId} is waiting on ${data.blockedBy.join(', ')}`, 'warning');
             } else if (data.status === 'failed') {
                 this.addLog(`❌ ${ticketId} failed`, 'error');
             }
         }
     }
     
+    // Accumulate streamed code so reviewers can watch generation live
+    appendLiveCode(ticket, chunk) {
+        ticket.liveCode = ticket.liveCode || {};
+        if (chunk.start || !ticket.liveCode[chunk.file]) {
+            ticket.liveCode[chunk.file] = '';
+        }
+        ticket.liveCode[chunk.file] += chunk.content;
+        ticket.liveFile = chunk.file;
+    }
+    
+    cancelTicket(ticketId) {
+        this.sendCommand('cancel-ticket', { ticketId });
+        this.addLog(`Cancel requested for ${ticketId}`, 'warning');
+    }
+    
+    escapeHtml(text) {
+        return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+    
     updateTicketProgress() {
         const container = document.getElementById('ticket-progress');
         container.innerHTML = this.tickets.map(ticket => {
@@ -635,20 +661,67 @@ class TaskProcessor {
                 statusText = 'Done';
             } else if (ticket.status === 'failed') {
                 statusText = 'Failed';
+            } else if (ticket.status === 'cancelled') {
+                statusText = 'Cancelled';
+            } else if (ticket.status === 'blocked') {
+                statusText = `Waiting on ${ticket.blockedBy.join(', ')}`;
             }
             
+            // Show the tail of whatever file is currently being generated
+            const liveCode = ticket.status === 'working' && ticket.liveFile
+                ? ticket.liveCode[ticket.liveFile].split('\n').slice(-15).join('\n')
+                : '';
+            
             return `
                 <div class="ticket-item" title="${ticket.description}">
                     <span class="ticket-name">${ticket.id}: ${ticket.name}</span>
                     <span class="ticket-status ${statusClass}">
                         ${ticket.status === 'working' ? '<span class="spinner"></span>' : ''}
                         ${statusText}
+                        ${ticket.stage && ticket.status === 'working' ? `<small>${ticket.stage}</small>` : ''}
                     </span>
+                    ${ticket.status === 'working' && !this.isSimulationMode ? `<button class="ticket-cancel" onclick="app.cancelTicket('${ticket.id}')">Cancel</button>` : ''}
+                    ${liveCode ? `<pre class="ticket-live-code"><small>${this.escapeHtml(ticket.liveFile)}</small>\n${this.escapeHtml(liveCode)}</pre>` : ''}
+                    ${this.renderAcceptance(ticket.acceptance)}
+                    ${this.renderHandoffs(ticket.handoffs)}
                 </div>
             `;
         }).join('');
     }
     
+    // Per-criterion checklist reported by the agent's acceptance stage
+    renderAcceptance(criteria) {
+        if (!criteria || criteria.length === 0) return '';
+        
+        const marks = { pass: '✅', fail: '❌', unverified: '❔' };
+        return `
+            <ul class="ticket-acceptance">
+                ${criteria.map(criterion => `
+                    <li class="${criterion.status}" title="${this.escapeHtml(criterion.evidence || '')}">
+                        ${marks[criterion.status]} ${criterion.id}: ${this.escapeHtml(criterion.text)}
+                        <small>${criterion.method || 'unverified'}</small>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+    
+    // Child tickets created for the work this ticket handed off to other agents
+    renderHandoffs(handoffs) {
+        if (!handoffs || handoffs.length === 0) return '';
+        
+        return `
+            <ul class="ticket-handoffs">
+                ${handoffs.map(child => `
+                    <li class="${child.status}">
+                        ↪️ ${child.ticket} (${child.agent}): ${this.escapeHtml(child.description || '')}
+                        <small>${child.status === 'completed' ? 'merged' : child.status}</small>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+    
     completeProcessing() {
         this.activateStep(4);
         this.enableStep(4);
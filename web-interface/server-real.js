@@ -311,23 +311,39 @@ function startAIAgents(repository, workflowId, ws) {
   }
   
   const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
-  const assignments = state.activeAssignments || {};
+  // Blocked tickets wait for their handoffs and completed ones are done
+  const queue = Object.entries(state.activeAssignments || {})
+    .filter(([, { status = 'assigned' }]) => ['assigned', 'in_progress'].includes(status));
+  // Each agent works in its own git worktree (worktree-manager.js), so up to
+  // agents.maxConcurrent of them can share the repository safely
+  const maxConcurrent = config.get('agents.maxConcurrent') || 1;
+  let running = 0;
   
-  // Start an AI agent for each assignment
-  Object.entries(assignments).forEach(([ticket, agent]) => {
+  const startNext = () => {
+    while (running < maxConcurrent && queue.length > 0) {
+      const [ticket, { agent }] = queue.shift();
+      running++;
+      startAgent(ticket, agent, () => {
+        running--;
+        startNext();
+      });
+    }
+  };
+  
+  const startAgent = (ticket, agent, onClose) => {
     ws.send(JSON.stringify({
       type: 'terminal-output',
       output: `Starting ${agent} agent for ${ticket}...`
     }));
     
     const agentProcess = spawn('node', [
-      path.join(orchestratorPath, 'ai-agent.js'),
+      path.join(orchestratorPath, 'src/core/agents/ai-agent.js'),
       ticket,
-      agent,
-      repository
+      agent
     ], {
-      cwd: orchestratorPath,
-      env: { ...process.env, REPO_PATH: repository }
+      cwd: repository,
+      // The agent runs in the repository, so it is told where the dispatcher state is
+      env: { ...process.env, REPO_PATH: repository, DISPATCHER_STATE_FILE: stateFile }
     });
     
     agentProcess.stdout.on('data', (data) => {
@@ -356,10 +372,14 @@ function startAIAgents(repository, workflowId, ws) {
         success: code === 0,
         workflowId: workflowId
       });
+      activeProcesses.delete(`${agent}-${ticket}`);
+      onClose();
     });
     
     activeProcesses.set(`${agent}-${ticket}`, agentProcess);
-  });
+  };
+  
+  startNext();
 }
 
 function runRealMasterIntegration(repository, ws) {
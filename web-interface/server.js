@@ -7,6 +7,7 @@ const { exec, spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs'); // fs is still used for some file operations
 const { APIIntegration } = require('./api-integration');
+const { parseAgentEvent } = require('../src/core/agents/agent-events');
 // Jules: require('dotenv').config(); is already called in src/config.js, but keeping here won't harm.
 require('dotenv').config();
 const config = require('../src/config'); // Jules: Added: Use new config module
@@ -85,6 +86,10 @@ async function handleCommand(command, params = {}, ws) {
       processTicketWithAI(params, ws);
       break;
       
+    case 'cancel-ticket':
+      cancelTicket(params.ticketId, ws);
+      break;
+      
     case 'get-status':
       getSystemStatus(ws);
       break;
@@ -246,7 +251,7 @@ function runEnhancedWorkflow(params, ws) {
 
 // Process ticket with actual AI agent
 async function processTicketWithAI(params, ws) {
-  const { ticketId, description, details, agentType } = params;
+  const { ticketId, description, details, agentType, dryRun } = params;
   
   // Validate required parameters
   if (!ticketId || !agentType) {
@@ -261,34 +266,87 @@ async function processTicketWithAI(params, ws) {
     type: 'ticket-update',
     ticketId: ticketId,
     status: 'working',
-    progress: 10,
+    progress: 5,
     message: `${agentType} agent started working on ${ticketId}`
   }));
   
   try {
-    // Execute the actual AI agent
-    const agentCommand = `cd .. && node src/core/agents/ai-agent.js "${ticketId}" "${agentType}"`;
+    // Execute the actual AI agent; AGENT_STREAM makes it report stages and code chunks on stdout.
+    // A dry run leaves the project untouched and reports a patch bundle instead.
+    const args = ['src/core/agents/ai-agent.js', ticketId, agentType, ...(dryRun ? ['--dry-run'] : [])];
+    console.log(`Executing: node ${args.join(' ')}`);
+    
+    const agentProcess = spawn('node', args, {
+      cwd: path.join(__dirname, '..'),
+      env: { ...process.env, AGENT_STREAM: 'true' }
+    });
+    const processKey = `ticket:${ticketId}`;
+    activeProcesses.set(processKey, agentProcess);
+    
+    let output = '';
+    let stderr = '';
+    let pending = '';
+    let bundle = null;
+    let acceptance = null;
+    let handoffs = [];
+    
+    agentProcess.stdout.on('data', (data) => {
+      pending += data.toString();
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      
+      lines.forEach(line => {
+        const event = parseAgentEvent(line);
+        if (event?.type === 'bundle') {
+          bundle = event.path;
+        } else if (event?.type === 'acceptance') {
+          acceptance = event.criteria;
+        } else if (event?.type === 'handoffs') {
+          handoffs = event.handoffs;
+        } else if (event) {
+          forwardAgentEvent(ticketId, event, ws);
+        } else {
+          output += line + '\n';
+        }
+      });
+    });
     
-    console.log(`Executing: ${agentCommand}`);
-    console.log(`  TicketId: ${ticketId}`);
-    console.log(`  AgentType: ${agentType}`);
+    agentProcess.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
     
-    exec(agentCommand, { maxBuffer: 1024 * 1024 * 10 }, (error, stdout, stderr) => {
-      if (error) {
-        console.error(`Agent error: ${error}`);
+    agentProcess.on('close', (code, signal) => {
+      activeProcesses.delete(processKey);
+      output += pending;
+      
+      if (agentProcess.cancelled) {
+        ws.send(JSON.stringify({
+          type: 'ticket-update',
+          ticketId: ticketId,
+          status: 'cancelled',
+          progress: 100,
+          output: output,
+          message: `${ticketId} was cancelled`
+        }));
+        return;
+      }
+      
+      if (code !== 0) {
+        const reason = signal ? `terminated by ${signal}` : `exited with code ${code}`;
+        console.error(`Agent error: ${reason}`);
         ws.send(JSON.stringify({
           type: 'ticket-update',
           ticketId: ticketId,
           status: 'failed',
           progress: 100,
-          output: `Error: ${error.message}`,
-          message: `${ticketId} failed: ${error.message}`
+          output: `Error: ${reason}\n${stderr}\n${output}`,
+          message: `${ticketId} failed: ${reason}`
         }));
         return;
       }
       
       // Parse the output to extract generated code
-      const output = stdout + (stderr ? `\nWarnings: ${stderr}` : '');
+      output += stderr ? `\nWarnings: ${stderr}` : '';
       
       ws.send(JSON.stringify({
         type: 'ticket-update',
@@ -296,7 +354,11 @@ async function processTicketWithAI(params, ws) {
         status: 'completed',
         progress: 100,
         output: output,
-        message: `${ticketId} completed by ${agentType} agent`,
+        message: bundle
+          ? `${ticketId} dry run by ${agentType} agent; patch bundle at ${bundle}`
+          : `${ticketId} completed by ${agentType} agent`,
+        bundle,
+        acceptance,
         codeFiles: extractCodeFiles(output),
         completedAt: new Date().toISOString()
       }));
@@ -305,25 +367,12 @@ async function processTicketWithAI(params, ws) {
         type: 'log',
         message: `✅ ${ticketId} completed successfully`
       });
-    });
-    
-    // Send progress updates
-    let progress = 10;
-    const progressInterval = setInterval(() => {
-      progress += Math.floor(Math.random() * 20);
-      if (progress > 90) progress = 90;
-      
-      ws.send(JSON.stringify({
-        type: 'ticket-update',
-        ticketId: ticketId,
-        status: 'working',
-        progress: progress
-      }));
       
-      if (progress >= 90) {
-        clearInterval(progressInterval);
+      // A dry run's handoffs stay in its bundle; a real run's become child tickets
+      if (handoffs.length > 0 && !bundle) {
+        dispatchHandoffs(ticketId, ws);
       }
-    }, 3000);
+    });
     
   } catch (error) {
     ws.send(JSON.stringify({
@@ -336,6 +385,57 @@ async function processTicketWithAI(params, ws) {
   }
 }
 
+// Relay a structured agent event as a ticket-update
+function forwardAgentEvent(ticketId, event, ws) {
+  const update = { type: 'ticket-update', ticketId, status: 'working' };
+  
+  switch (event.type) {
+    case 'stage':
+      // Leave headroom so 100% is only reported once the process exits
+      update.progress = Math.round((event.step - 1) / event.total * 90) + 5;
+      update.stage = event.label;
+      update.message = `${ticketId}: ${event.label} (${event.step}/${event.total})`;
+      break;
+      
+    case 'chunk-start':
+    case 'chunk':
+    case 'chunk-end':
+      update.chunk = {
+        file: event.file,
+        content: event.content || '',
+        start: event.type === 'chunk-start',
+        end: event.type === 'chunk-end'
+      };
+      break;
+      
+    default:
+      return;
+  }
+  
+  ws.send(JSON.stringify(update));
+}
+
+// Stop a running agent early, e.g. when a reviewer sees generation going wrong
+function cancelTicket(ticketId, ws) {
+  const agentProcess = activeProcesses.get(`ticket:${ticketId}`);
+  
+  if (!agentProcess) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      message: `No running agent for ${ticketId}`
+    }));
+    return;
+  }
+  
+  agentProcess.cancelled = true;
+  agentProcess.kill('SIGTERM');
+  
+  broadcast({
+    type: 'log',
+    message: `🛑 Cancelling ${ticketId}`
+  });
+}
+
 // Extract code files from agent output
 function extractCodeFiles(output) {
   const codeFiles = [];
@@ -598,6 +698,33 @@ function saveAIConfig(config, ws) {
   }
 }
 
+// Turn the ticket's handoff requests into child tickets and show what it now waits on
+function dispatchHandoffs(ticketId, ws) {
+  executeCommand('cd .. && node src/core/orchestration/master-dispatcher.js handoffs', (output) => {
+    broadcast({ type: 'log', message: output });
+    
+    const state = readDispatcherState();
+    const assignment = state?.activeAssignments?.[ticketId];
+    const handoffs = Object.entries(state?.activeAssignments || {})
+      .filter(([, child]) => child.parent === ticketId)
+      .map(([childId, child]) => ({ ticket: childId, agent: child.agent, description: child.description, status: child.status }));
+    if (handoffs.length === 0) return;
+    
+    const blockedBy = assignment?.status === 'blocked' ? assignment.blockedBy : [];
+    ws.send(JSON.stringify({
+      type: 'ticket-update',
+      ticketId: ticketId,
+      status: blockedBy.length > 0 ? 'blocked' : 'completed',
+      progress: 100,
+      message: blockedBy.length > 0
+        ? `${ticketId} is waiting on ${blockedBy.join(', ')}`
+        : `${ticketId} handed off ${handoffs.map(child => child.ticket).join(', ')}`,
+      blockedBy,
+      handoffs
+    }));
+  });
+}
+
 // Helper functions
 function executeCommand(command, callback) {
   exec(command, { maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
@@ -638,15 +765,20 @@ function getResourceUsage() {
   }
 }
 
+function readDispatcherState() {
+  const stateFile = '../.master-dispatcher-state.json';
+  return fs.existsSync(stateFile) ? JSON.parse(fs.readFileSync(stateFile, 'utf8')) : null;
+}
+
 function getTicketStatus() {
   // Read ticket status from files
   try {
-    const stateFile = '../.master-dispatcher-state.json';
-    if (fs.existsSync(stateFile)) {
-      const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    const state = readDispatcherState();
+    if (state) {
       return {
         pending: Object.values(state.pendingTickets || {}).length,
         active: Object.keys(state.activeAssignments || {}).length,
+        blocked: Object.values(state.activeAssignments || {}).filter(assignment => assignment.status === 'blocked').length,
         completed: Object.keys(state.completedTickets || {}).length
       };
     }